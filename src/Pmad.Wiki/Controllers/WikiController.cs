@@ -15,6 +15,8 @@ namespace Pmad.Wiki.Controllers
     public class WikiController : Controller
     {
         private const int CacheDurationSeconds = 14400; // 4 hours
+        private const int DefaultPickerPageSize = 50;
+        private const int MaxPickerPageSize = 200;
 
         private readonly IWikiPageService _pageService;
         private readonly IWikiUserService _userService;
@@ -27,6 +29,8 @@ namespace Pmad.Wiki.Controllers
         private readonly ILogger<WikiController> _logger;
         private readonly IStringLocalizer<WikiResources> _localizer;
         private readonly IWikiPagePermissionHelper _pagePermissionHelper;
+        private readonly IMediaThumbnailService _thumbnailService;
+        private readonly IMediaMetadataService _metadataService;
 
         public WikiController(
             IWikiPageService pageService,
@@ -39,7 +43,9 @@ namespace Pmad.Wiki.Controllers
             IOptions<WikiOptions> options,
             ILogger<WikiController> logger,
             IStringLocalizer<WikiResources> localizer,
-            IWikiPagePermissionHelper pagePermissionHelper)
+            IWikiPagePermissionHelper pagePermissionHelper,
+            IMediaThumbnailService thumbnailService,
+            IMediaMetadataService metadataService)
         {
             _pageService = pageService;
             _userService = userService;
@@ -52,6 +58,8 @@ namespace Pmad.Wiki.Controllers
             _logger = logger;
             _localizer = localizer;
             _pagePermissionHelper = pagePermissionHelper;
+            _thumbnailService = thumbnailService;
+            _metadataService = metadataService;
         }
 
         [HttpGet]
@@ -107,7 +115,8 @@ namespace Pmad.Wiki.Controllers
                 Culture = culture,
                 AvailableCultures = availableCultures,
                 LastModifiedBy = page.LastModifiedBy,
-                LastModified = page.LastModified
+                LastModified = page.LastModified,
+                ContentHash = page.ContentHash
             };
 
             await GenerateBreadcrumbAsync(id, culture, viewModel.Breadcrumb, cancellationToken);
@@ -369,7 +378,7 @@ namespace Pmad.Wiki.Controllers
 
         [HttpGet]
         [Authorize]
-        public async Task<IActionResult> Edit(string id, string? culture, string? restoreFromCommit, string? templateId, CancellationToken cancellationToken)
+        public async Task<IActionResult> Edit(string id, string? culture, string? restoreFromCommit, string? templateId, int? section, CancellationToken cancellationToken)
         {
             if (string.IsNullOrEmpty(id))
             {
@@ -395,6 +404,7 @@ namespace Pmad.Wiki.Controllers
             WikiPage? page;
             string commitMessage;
             string content;
+            int? sectionLine = null;
 
             if (!string.IsNullOrEmpty(restoreFromCommit))
             {
@@ -421,8 +431,15 @@ namespace Pmad.Wiki.Controllers
                         content = string.Empty;
                     }
                 }
+                else if (section.HasValue && MarkdownSectionHelper.TryGetSection(page.Content, section.Value, out var sectionContent, out var sectionTitle))
+                {
+                    commitMessage = _localizer["Update section {0} of page {1}", sectionTitle, id];
+                    content = sectionContent;
+                    sectionLine = section;
+                }
                 else
                 {
+                    // The whole page is edited when the section is not found, the page may have changed since it was displayed
                     commitMessage = _localizer["Update page {0}", id];
                     content = page.Content;
                 }
@@ -435,7 +452,8 @@ namespace Pmad.Wiki.Controllers
                 CommitMessage = commitMessage,
                 Culture = culture,
                 IsNew = page == null,
-                OriginalContentHash = page?.ContentHash
+                OriginalContentHash = page?.ContentHash,
+                Section = sectionLine
             };
 
             await GenerateBreadcrumbAsync(id, culture, viewModel.Breadcrumb, cancellationToken);
@@ -445,7 +463,7 @@ namespace Pmad.Wiki.Controllers
 
         [HttpGet]
         [Authorize]
-        public async Task<IActionResult> GetAccessiblePages(string currentPageName, CancellationToken cancellationToken)
+        public async Task<IActionResult> GetAccessiblePages(string currentPageName, string? query, int? page, int? pageSize, CancellationToken cancellationToken)
         {
             var wikiUser = await _userService.GetWikiUser(User, false, cancellationToken);
             if (wikiUser == null || !wikiUser.CanEdit)
@@ -458,22 +476,23 @@ namespace Pmad.Wiki.Controllers
                 return BadRequest("Invalid page name.");
             }
 
-            var pages = (await _pagePermissionHelper.GetAllAccessiblePages(wikiUser, cancellationToken))
-                .Select(p => new WikiPageLinkInfo
-                {
-                    PageName = p.PageName,
-                    Title = p.Title,
-                    RelativePath = WikiFilePathHelper.GetRelativePath(currentPageName, p.PageName)
-                })
-                .OrderBy(p => p.PageName)
+            var pages = CreatePageLinks(await _pagePermissionHelper.GetAllAccessiblePages(wikiUser, cancellationToken), currentPageName)
+                .Where(p => string.IsNullOrEmpty(query)
+                    || p.PageName.Contains(query, StringComparison.OrdinalIgnoreCase)
+                    || (p.Title?.Contains(query, StringComparison.OrdinalIgnoreCase) ?? false))
+                // Pages starting with the query come first
+                .OrderBy(p => string.IsNullOrEmpty(query)
+                    || p.PageName.StartsWith(query, StringComparison.OrdinalIgnoreCase)
+                    || (p.Title?.StartsWith(query, StringComparison.OrdinalIgnoreCase) ?? false) ? 0 : 1)
+                .ThenBy(p => p.PageName)
                 .ToList();
 
-            return PartialView("_PageLinkList", pages);
+            return Ok(CreatePagedResponse(pages, page, pageSize));
         }
 
         [HttpGet]
         [Authorize]
-        public async Task<IActionResult> GetMediaGallery(string currentPageName, CancellationToken cancellationToken)
+        public async Task<IActionResult> GetMediaGallery(string currentPageName, string? query, int? page, int? pageSize, Models.MediaType? type, string? folder, string? sort, CancellationToken cancellationToken)
         {
             var wikiUser = await _userService.GetWikiUser(User, false, cancellationToken);
             if (wikiUser == null || !wikiUser.CanEdit)
@@ -481,25 +500,134 @@ namespace Pmad.Wiki.Controllers
                 return Forbid();
             }
 
-            var mediaFiles = await _pageService.GetAllMediaFilesAsync(cancellationToken);
+            var folderPrefix = string.IsNullOrEmpty(folder) ? null : folder.Trim('/') + "/";
+
+            var mediaFiles = (await _pageService.GetAllMediaFilesAsync(true, cancellationToken))
+                .Where(m => string.IsNullOrEmpty(query) || m.AbsolutePath.Contains(query, StringComparison.OrdinalIgnoreCase))
+                .Where(m => type == null || m.MediaType == type)
+                .Where(m => folderPrefix == null || m.AbsolutePath.StartsWith(folderPrefix, StringComparison.OrdinalIgnoreCase));
 
-            var accessibleMedia = new List<Models.MediaGalleryItem>();
+            var accessibleMedia = new List<(Models.MediaFileInfo File, Models.MediaGalleryItem Item)>();
             foreach (var mediaFile in mediaFiles)
             {
                 if (await _pagePermissionHelper.CanView(wikiUser, mediaFile.AbsolutePath, cancellationToken))
                 {
-                    accessibleMedia.Add(new Models.MediaGalleryItem
+                    var item = CreateMediaGalleryItem(mediaFile.AbsolutePath, currentPageName);
+                    item.LastModified = mediaFile.LastModified;
+                    accessibleMedia.Add((mediaFile, item));
+                }
+            }
+
+            if (sort == "size")
+            {
+                // Git trees do not record the size of files: with a cold cache, sorting by size reads every media file once
+                foreach (var (mediaFile, item) in accessibleMedia)
+                {
+                    await SetMediaGalleryItemMetadataAsync(item, mediaFile, cancellationToken);
+                }
+            }
+
+            accessibleMedia = (sort switch
+            {
+                "name" => accessibleMedia.OrderBy(m => m.Item.FileName, StringComparer.OrdinalIgnoreCase),
+                "date" => accessibleMedia.OrderByDescending(m => m.Item.LastModified),
+                "size" => accessibleMedia.OrderByDescending(m => m.Item.Size),
+                _ => accessibleMedia.OrderBy(m => m.Item.AbsolutePath)
+            })
+                .ThenBy(m => m.Item.AbsolutePath)
+                .ToList();
+
+            var response = CreatePagedResponse(accessibleMedia, page, pageSize);
+
+            // Metadata is only needed for the requested page
+            foreach (var (mediaFile, item) in response.Items.Where(m => m.Item.Size == null))
+            {
+                await SetMediaGalleryItemMetadataAsync(item, mediaFile, cancellationToken);
+            }
+
+            return Ok(new PagedResponse<Models.MediaGalleryItem>
+            {
+                Items = response.Items.Select(m => m.Item).ToList(),
+                TotalCount = response.TotalCount,
+                Page = response.Page,
+                PageSize = response.PageSize
+            });
+        }
+
+        [HttpGet]
+        [Authorize]
+        public async Task<IActionResult> GetMediaFolders(CancellationToken cancellationToken)
+        {
+            var wikiUser = await _userService.GetWikiUser(User, false, cancellationToken);
+            if (wikiUser == null || !wikiUser.CanEdit)
+            {
+                return Forbid();
+            }
+
+            var folders = new SortedSet<string>(StringComparer.OrdinalIgnoreCase);
+            foreach (var mediaFile in await _pageService.GetAllMediaFilesAsync(false, cancellationToken))
+            {
+                if (await _pagePermissionHelper.CanView(wikiUser, mediaFile.AbsolutePath, cancellationToken))
+                {
+                    // Parent folders are listed too, as filtering on a folder includes its sub-folders
+                    var directory = WikiFilePathHelper.GetDirectoryName(mediaFile.AbsolutePath);
+                    while (!string.IsNullOrEmpty(directory) && folders.Add(directory))
                     {
-                        AbsolutePath = mediaFile.AbsolutePath,
-                        FileName = mediaFile.FileName,
-                        MediaType = mediaFile.MediaType,
-                        Url = Url.Action("Media", "Wiki", new { id = mediaFile.AbsolutePath }) ?? string.Empty,
-                        Path = WikiFilePathHelper.GetRelativePath(currentPageName, mediaFile.AbsolutePath)
-                    });
+                        directory = WikiFilePathHelper.GetDirectoryName(directory);
+                    }
                 }
             }
 
-            return PartialView("_MediaGalleryList", accessibleMedia);
+            return Ok(folders.ToList());
+        }
+
+        private Models.MediaGalleryItem CreateMediaGalleryItem(string mediaPath, string currentPageName)
+        {
+            return new Models.MediaGalleryItem
+            {
+                AbsolutePath = mediaPath,
+                FileName = Path.GetFileName(mediaPath),
+                MediaType = ContentTypeHelper.GetMediaType(Path.GetExtension(mediaPath).ToLowerInvariant()),
+                Url = Url.Action("Media", "Wiki", new { id = mediaPath }) ?? string.Empty,
+                ThumbnailUrl = IsThumbnailSupported(mediaPath) ? Url.Action("MediaThumbnail", "Wiki", new { id = mediaPath }) : null,
+                Path = WikiFilePathHelper.GetRelativePath(currentPageName, mediaPath)
+            };
+        }
+
+        private static bool IsThumbnailSupported(string mediaPath)
+        {
+            var extension = Path.GetExtension(mediaPath).ToLowerInvariant();
+            return ContentTypeHelper.GetMediaType(extension) == Models.MediaType.Image && extension != ".svg";
+        }
+
+        private async Task SetMediaGalleryItemMetadataAsync(Models.MediaGalleryItem item, Models.MediaFileInfo mediaFile, CancellationToken cancellationToken)
+        {
+            var metadata = await _metadataService.GetMetadataAsync(mediaFile, cancellationToken);
+            if (metadata != null)
+            {
+                SetMediaGalleryItemMetadata(item, metadata);
+            }
+        }
+
+        private static void SetMediaGalleryItemMetadata(Models.MediaGalleryItem item, Models.MediaFileMetadata metadata)
+        {
+            item.Size = metadata.Size;
+            item.Width = metadata.Width;
+            item.Height = metadata.Height;
+        }
+
+        private static PagedResponse<T> CreatePagedResponse<T>(List<T> items, int? page, int? pageSize)
+        {
+            var effectivePageSize = Math.Clamp(pageSize ?? DefaultPickerPageSize, 1, MaxPickerPageSize);
+            var effectivePage = Math.Max(page ?? 1, 1);
+
+            return new PagedResponse<T>
+            {
+                Items = items.Skip((effectivePage - 1) * effectivePageSize).Take(effectivePageSize).ToList(),
+                TotalCount = items.Count,
+                Page = effectivePage,
+                PageSize = effectivePageSize
+            };
         }
 
         [HttpPost]
@@ -518,7 +646,9 @@ namespace Pmad.Wiki.Controllers
                 return Content(string.Empty);
             }
 
-            var html = _markdownRenderService.ToHtml(request.Markdown, request.Culture, request.PageName);
+            var html = request.IncludeSourceLines
+                ? _markdownRenderService.ToHtml(request.Markdown, request.Culture, request.PageName, true)
+                : _markdownRenderService.ToHtml(request.Markdown, request.Culture, request.PageName);
             return Content(html);
         }
 
@@ -526,6 +656,62 @@ namespace Pmad.Wiki.Controllers
         [Authorize]
         [ValidateAntiForgeryToken]
         public async Task<IActionResult> Edit(WikiPageEditViewModel model, CancellationToken cancellationToken)
+        {
+            var result = await SaveEditAsync(model, cancellationToken);
+            if (result == EditSaveResult.Forbidden)
+            {
+                return Forbid();
+            }
+
+            if (result == EditSaveResult.Invalid)
+            {
+                await GenerateBreadcrumbAsync(model.PageName, model.Culture, model.Breadcrumb, cancellationToken);
+                return View(model);
+            }
+
+            return RedirectToAction(nameof(View), new { id = model.PageName, culture = model.Culture });
+        }
+
+        [HttpPost]
+        [Authorize]
+        [ValidateAntiForgeryToken]
+        public async Task<IActionResult> SaveEdit(WikiPageEditViewModel model, CancellationToken cancellationToken)
+        {
+            var result = await SaveEditAsync(model, cancellationToken);
+            if (result == EditSaveResult.Forbidden)
+            {
+                return Forbid();
+            }
+
+            if (result == EditSaveResult.Invalid)
+            {
+                return BadRequest(new SavePageErrorResponse
+                {
+                    Errors = ModelState
+                        .Where(entry => entry.Value!.Errors.Count > 0)
+                        .ToDictionary(entry => entry.Key, entry => entry.Value!.Errors.Select(error => error.ErrorMessage).ToArray()),
+                    OriginalContentHash = model.OriginalContentHash,
+                    Conflict = model.Conflict
+                });
+            }
+
+            return Ok(new SavePageResponse
+            {
+                RedirectUrl = Url.Action(nameof(View), new { id = model.PageName, culture = model.Culture }) ?? string.Empty
+            });
+        }
+
+        private enum EditSaveResult
+        {
+            Saved,
+            Invalid,
+            Forbidden
+        }
+
+        /// <summary>
+        /// Validates and saves a page edit. Validation errors and conflicts are reported through the <see cref="ControllerBase.ModelState"/>.
+        /// </summary>
+        private async Task<EditSaveResult> SaveEditAsync(WikiPageEditViewModel model, CancellationToken cancellationToken)
         {
             if (!WikiInputValidator.IsValidPageName(model.PageName))
             {
@@ -537,18 +723,25 @@ namespace Pmad.Wiki.Controllers
                 ModelState.AddModelError(nameof(model.Culture), _localizer["Invalid culture identifier."]);
             }
 
+            // A section can only be put back into the version of the page it was taken from
+            if (model.Section.HasValue && (model.IsNew || string.IsNullOrEmpty(model.OriginalContentHash)))
+            {
+                ModelState.AddModelError(string.Empty, _localizer["The section was not found in the page. Edit the whole page instead."]);
+            }
+
             if (!ModelState.IsValid)
             {
-                await GenerateBreadcrumbAsync(model.PageName, model.Culture, model.Breadcrumb, cancellationToken);
-                return View(model);
+                return EditSaveResult.Invalid;
             }
 
             var wikiUser = await _userService.GetWikiUser(User, true, cancellationToken);
             if (!await _pagePermissionHelper.CanEdit(wikiUser, model.PageName, cancellationToken))
             {
-                return Forbid();
+                return EditSaveResult.Forbidden;
             }
 
+            var content = model.Content;
+
             // Check if the page has been modified since the user started editing
             if (!model.IsNew && !string.IsNullOrEmpty(model.OriginalContentHash))
             {
@@ -558,17 +751,59 @@ namespace Pmad.Wiki.Controllers
                     if (currentPage.ContentHash != model.OriginalContentHash)
                     {
                         ModelState.AddModelError(string.Empty,
-                            _localizer["Warning: This page has been modified by {0} since you started editing. Your changes will overwrite those changes. Please review the current version before saving.", currentPage.LastModifiedBy ?? _localizer["another user"]]);
+                            _localizer["This page has been modified by {0} since you started editing. Review their changes and merge them into yours before saving again.", currentPage.LastModifiedBy ?? _localizer["another user"]]);
+
+                        var basePage = await _pageService.GetPageByContentHashAsync(model.PageName, model.Culture, model.OriginalContentHash, cancellationToken);
+                        model.Conflict = new WikiPageEditConflict
+                        {
+                            BaseContent = basePage?.Content,
+                            TheirContent = currentPage.Content,
+                            TheirAuthor = currentPage.LastModifiedBy
+                        };
+
+                        // The changes are merged into the whole page: the section is put back into the version it was taken from
+                        if (model.Section.HasValue)
+                        {
+                            if (!MarkdownSectionHelper.TryReplaceSection(basePage?.Content ?? currentPage.Content, model.Section.Value, model.Content, out var pageContent))
+                            {
+                                model.Conflict = null;
+                                ModelState.AddModelError(string.Empty, _localizer["The section was not found in the page. Edit the whole page instead."]);
+                                return EditSaveResult.Invalid;
+                            }
+
+                            model.Content = pageContent;
+                            model.Section = null;
+                            model.Conflict.YourContent = pageContent;
+                            ModelState.Remove(nameof(model.Content));
+                            ModelState.Remove(nameof(model.Section));
+                        }
+
+                        // The next save is based on the current version; the posted value would otherwise take precedence in the form
                         model.OriginalContentHash = currentPage.ContentHash;
-                        await GenerateBreadcrumbAsync(model.PageName, model.Culture, model.Breadcrumb, cancellationToken);
-                        return View(model);
+                        ModelState.Remove(nameof(model.OriginalContentHash));
+                        return EditSaveResult.Invalid;
+                    }
+                    if (model.Section.HasValue)
+                    {
+                        if (!MarkdownSectionHelper.TryReplaceSection(currentPage.Content, model.Section.Value, model.Content, out var pageContent))
+                        {
+                            ModelState.AddModelError(string.Empty, _localizer["The section was not found in the page. Edit the whole page instead."]);
+                            return EditSaveResult.Invalid;
+                        }
+                        content = pageContent;
                     }
-                    if (currentPage.Content == model.Content)
+                    if (currentPage.Content == content)
                     {
                         // No-op if content is unchanged. Commit would fail due to identical content.
-                        return RedirectToAction(nameof(View), new { id = model.PageName, culture = model.Culture });
+                        return EditSaveResult.Saved;
                     }
                 }
+                else if (model.Section.HasValue)
+                {
+                    // The page was deleted, the section alone must not replace it
+                    ModelState.AddModelError(string.Empty, _localizer["The section was not found in the page. Edit the whole page instead."]);
+                    return EditSaveResult.Invalid;
+                }
             }
 
             try
@@ -576,7 +811,7 @@ namespace Pmad.Wiki.Controllers
                 await _wikiPageEditService.SavePageAsync(
                     model.PageName,
                     model.Culture,
-                    model.Content,
+                    content,
                     model.CommitMessage,
                     wikiUser!.User,
                     cancellationToken);
@@ -591,46 +826,102 @@ namespace Pmad.Wiki.Controllers
                 _logger.LogError(ex, "Error saving page {PageName} (culture: {Culture}) by user {UserName}", 
                     model.PageName, model.Culture, wikiUser!.User);
                 ModelState.AddModelError(string.Empty, _localizer["An error occurred while saving the page. Please try again."]); 
-                await GenerateBreadcrumbAsync(model.PageName, model.Culture, model.Breadcrumb, cancellationToken);
-                return View(model);
+                return EditSaveResult.Invalid;
             }
 
             if (!string.IsNullOrEmpty(model.TemporaryMediaIds))
             {                
-                // Cleanup temporary files
+                // Cleanup temporary files, including the uploads no longer referenced by the page which were not committed
                 var tempMediaIds = model.TemporaryMediaIds.Split(',', StringSplitOptions.RemoveEmptyEntries);
                 await _temporaryMediaStorage.CleanupUserTemporaryMediaAsync(wikiUser.User, tempMediaIds, cancellationToken);
             }
 
-            return RedirectToAction(nameof(View), new { id = model.PageName, culture = model.Culture });
+            return EditSaveResult.Saved;
         }
 
         [HttpPost]
         [Authorize]
         [ValidateAntiForgeryToken]
-        public async Task<IActionResult> UploadMedia(IFormFile file, CancellationToken cancellationToken)
+        public async Task<IActionResult> ToggleTask(string id, string? culture, int line, bool isChecked, string contentHash, CancellationToken cancellationToken)
         {
-            var wikiUser = await _userService.GetWikiUser(User, false, cancellationToken);
-            if (wikiUser == null || !wikiUser.CanEdit)
+            if (!WikiInputValidator.IsValidPageName(id))
+            {
+                return BadRequest("Invalid page name.");
+            }
+
+            if (!string.IsNullOrEmpty(culture) && !WikiInputValidator.IsValidCulture(culture))
+            {
+                return BadRequest("Invalid culture identifier.");
+            }
+
+            var wikiUser = await _userService.GetWikiUser(User, true, cancellationToken);
+            if (!await _pagePermissionHelper.CanEdit(wikiUser, id, cancellationToken))
             {
                 return Forbid();
             }
 
-            if (file == null || file.Length == 0)
+            var page = await _pageService.GetPageAsync(id, culture, cancellationToken);
+            if (page == null)
             {
-                return BadRequest(new UploadMediaErrorResponse { Error = _localizer["No file uploaded."] });
+                return NotFound();
             }
 
-            var extension = Path.GetExtension(file.FileName).ToLowerInvariant();
-            if (!_options.AllowedMediaExtensions.Contains(extension))
+            // The line of the task is only valid for the version displayed to the user
+            if (page.ContentHash != contentHash)
+            {
+                return Conflict(new ToggleTaskErrorResponse
+                {
+                    Error = _localizer["This page has been modified by {0}. Reload the page and try again.", page.LastModifiedBy ?? _localizer["another user"]]
+                });
+            }
+
+            if (!MarkdownTaskListHelper.TrySetTaskChecked(page.Content, line, isChecked, out var content, out var taskText))
+            {
+                return BadRequest(new ToggleTaskErrorResponse { Error = _localizer["Task not found."] });
+            }
+
+            if (content == page.Content)
+            {
+                return Ok(new ToggleTaskResponse { ContentHash = page.ContentHash });
+            }
+
+            string commitMessage = isChecked
+                ? _localizer["Check task: {0}", taskText]
+                : _localizer["Uncheck task: {0}", taskText];
+
+            try
+            {
+                await _wikiPageEditService.SavePageAsync(id, culture, content, commitMessage, wikiUser!.User, cancellationToken);
+            }
+            catch (TaskCanceledException)
+            {
+                throw;
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error updating a task of page {PageName} (culture: {Culture}) by user {UserName}", id, culture, wikiUser!.User);
+                return BadRequest(new ToggleTaskErrorResponse { Error = _localizer["An error occurred while saving the page. Please try again."] });
+            }
+
+            var updatedPage = await _pageService.GetPageAsync(id, culture, cancellationToken);
+            return Ok(new ToggleTaskResponse { ContentHash = updatedPage?.ContentHash ?? string.Empty });
+        }
+
+        [HttpPost]
+        [Authorize]
+        [ValidateAntiForgeryToken]
+        public async Task<IActionResult> UploadMedia(IFormFile file, CancellationToken cancellationToken)
+        {
+            var wikiUser = await _userService.GetWikiUser(User, false, cancellationToken);
+            if (wikiUser == null || !wikiUser.CanEdit)
             {
-                return BadRequest(new UploadMediaErrorResponse { Error = _localizer["File type {0} is not allowed.", extension] });
+                return Forbid();
             }
 
-            // Check file size (limit to 10MB)
-            if (file.Length > 10 * 1024 * 1024)
+            var uploadError = GetUploadedFileError(file);
+            if (uploadError != null)
             {
-                return BadRequest(new UploadMediaErrorResponse { Error = _localizer["File size exceeds 10MB limit."] });
+                return BadRequest(new UploadMediaErrorResponse { Error = uploadError });
             }
 
             using var memoryStream = new MemoryStream();
@@ -648,6 +939,27 @@ namespace Pmad.Wiki.Controllers
             });
         }
 
+        private string? GetUploadedFileError(IFormFile? file)
+        {
+            if (file == null || file.Length == 0)
+            {
+                return _localizer["No file uploaded."];
+            }
+
+            var extension = Path.GetExtension(file.FileName).ToLowerInvariant();
+            if (!_options.AllowedMediaExtensions.Contains(extension))
+            {
+                return _localizer["File type {0} is not allowed.", extension];
+            }
+
+            if (file.Length > _options.MaxMediaFileSize)
+            {
+                return _localizer["File size exceeds the {0} MB limit.", (_options.MaxMediaFileSize / (1024d * 1024d)).ToString("0.##")];
+            }
+
+            return null;
+        }
+
         [HttpGet]
         [Authorize]
         [ResponseCache(Duration = CacheDurationSeconds, Location = ResponseCacheLocation.Client)]
@@ -679,6 +991,293 @@ namespace Pmad.Wiki.Controllers
             return File(fileContent, "application/octet-stream");
         }
 
+        [HttpGet]
+        [Authorize]
+        public async Task<IActionResult> GetTemporaryMedia(CancellationToken cancellationToken)
+        {
+            var wikiUser = await _userService.GetWikiUser(User, false, cancellationToken);
+            if (wikiUser == null || !wikiUser.CanEdit)
+            {
+                return Forbid();
+            }
+
+            var tempMedia = await _temporaryMediaStorage.GetUserTemporaryMediaAsync(wikiUser.User, cancellationToken);
+
+            var items = tempMedia.Values
+                .OrderByDescending(media => media.CreatedAt)
+                .Select(media => new TemporaryMediaItem
+                {
+                    TemporaryId = media.TemporaryId,
+                    FileName = media.OriginalFileName,
+                    Url = Url.Action("TempMedia", "Wiki", new { id = media.TemporaryId }) ?? string.Empty,
+                    MediaType = ContentTypeHelper.GetMediaType(Path.GetExtension(media.OriginalFileName)),
+                    CreatedAt = media.CreatedAt
+                })
+                .ToList();
+
+            return Ok(items);
+        }
+
+        [HttpPost]
+        [Authorize]
+        [ValidateAntiForgeryToken]
+        public async Task<IActionResult> DiscardTemporaryMedia(string id, CancellationToken cancellationToken)
+        {
+            if (!WikiInputValidator.IsValidTempMediaId(id))
+            {
+                return BadRequest("Invalid temporary media ID.");
+            }
+
+            var wikiUser = await _userService.GetWikiUser(User, false, cancellationToken);
+            if (wikiUser == null || !wikiUser.CanEdit)
+            {
+                return Forbid();
+            }
+
+            await _temporaryMediaStorage.CleanupUserTemporaryMediaAsync(wikiUser.User, [id], cancellationToken);
+
+            return Ok();
+        }
+
+        [HttpPost]
+        [Authorize]
+        [ValidateAntiForgeryToken]
+        public async Task<IActionResult> UploadMediaFile(IFormFile file, string? folder, string currentPageName, CancellationToken cancellationToken)
+        {
+            var wikiUser = await _userService.GetWikiUser(User, false, cancellationToken);
+            if (wikiUser == null || !wikiUser.CanEdit)
+            {
+                return Forbid();
+            }
+
+            if (!WikiInputValidator.IsValidPageName(currentPageName))
+            {
+                return BadRequest("Invalid page name.");
+            }
+
+            folder = folder?.Trim().Trim('/');
+            if (!string.IsNullOrEmpty(folder) && !WikiInputValidator.IsValidPageName(folder))
+            {
+                return BadRequest(new MediaErrorResponse { Error = _localizer["Invalid folder name."] });
+            }
+
+            var uploadError = GetUploadedFileError(file);
+            if (uploadError != null)
+            {
+                return BadRequest(new MediaErrorResponse { Error = uploadError });
+            }
+
+            var fileName = WikiFilePathHelper.SanitizeFileName(Path.GetFileNameWithoutExtension(file.FileName)) + Path.GetExtension(file.FileName).ToLowerInvariant();
+            var mediaPath = string.IsNullOrEmpty(folder) ? fileName : $"{folder}/{fileName}";
+
+            if (!await _pagePermissionHelper.CanEdit(wikiUser, mediaPath, cancellationToken))
+            {
+                return Forbid();
+            }
+
+            using var memoryStream = new MemoryStream();
+            await file.CopyToAsync(memoryStream, cancellationToken);
+            var fileContent = memoryStream.ToArray();
+
+            try
+            {
+                mediaPath = await _pageService.AddMediaFileAsync(mediaPath, fileContent, wikiUser.User, cancellationToken);
+            }
+            catch (TaskCanceledException)
+            {
+                throw;
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error uploading media file {MediaPath} by user {UserName}", mediaPath, wikiUser.User);
+                return BadRequest(new MediaErrorResponse { Error = _localizer["An error occurred while saving the media file. Please try again."] });
+            }
+
+            var item = CreateMediaGalleryItem(mediaPath, currentPageName);
+            SetMediaGalleryItemMetadata(item, MediaMetadataReader.Read(fileContent, item.MediaType));
+            return Ok(item);
+        }
+
+        [HttpGet]
+        [Authorize]
+        public async Task<IActionResult> GetMediaReferences(string id, string currentPageName, CancellationToken cancellationToken)
+        {
+            var wikiUser = await _userService.GetWikiUser(User, false, cancellationToken);
+            if (wikiUser == null || !wikiUser.CanEdit)
+            {
+                return Forbid();
+            }
+
+            if (!WikiInputValidator.IsValidMediaPath(id) || !IsAllowedMediaExtension(id))
+            {
+                return BadRequest("Invalid media path.");
+            }
+
+            if (!WikiInputValidator.IsValidPageName(currentPageName))
+            {
+                return BadRequest("Invalid page name.");
+            }
+
+            if (!await _pagePermissionHelper.CanView(wikiUser, id, cancellationToken))
+            {
+                return Forbid();
+            }
+
+            var pages = new List<WikiPageInfo>();
+            foreach (var page in await _pageService.GetMediaReferencesAsync(id, cancellationToken))
+            {
+                if (await _pagePermissionHelper.CanView(wikiUser, page.PageName, cancellationToken))
+                {
+                    pages.Add(page);
+                }
+            }
+
+            return Ok(CreatePageLinks(pages, currentPageName));
+        }
+
+        [HttpPost]
+        [Authorize]
+        [ValidateAntiForgeryToken]
+        public async Task<IActionResult> MoveMedia(string id, string newPath, string currentPageName, CancellationToken cancellationToken)
+        {
+            var wikiUser = await _userService.GetWikiUser(User, false, cancellationToken);
+            if (wikiUser == null || !wikiUser.CanEdit)
+            {
+                return Forbid();
+            }
+
+            if (!WikiInputValidator.IsValidPageName(currentPageName))
+            {
+                return BadRequest("Invalid page name.");
+            }
+
+            if (!WikiInputValidator.IsValidMediaPath(id) || !WikiInputValidator.IsValidMediaPath(newPath) || !IsAllowedMediaExtension(id))
+            {
+                return BadRequest(new MediaErrorResponse { Error = _localizer["Invalid media path."] });
+            }
+
+            if (!string.Equals(Path.GetExtension(id), Path.GetExtension(newPath), StringComparison.OrdinalIgnoreCase))
+            {
+                return BadRequest(new MediaErrorResponse { Error = _localizer["The file extension cannot be changed."] });
+            }
+
+            if (!await _pagePermissionHelper.CanEdit(wikiUser, id, cancellationToken)
+                || !await _pagePermissionHelper.CanEdit(wikiUser, newPath, cancellationToken))
+            {
+                return Forbid();
+            }
+
+            if (!await _pageService.MediaFileExistsAsync(id, cancellationToken))
+            {
+                return NotFound();
+            }
+
+            if (await _pageService.MediaFileExistsAsync(newPath, cancellationToken))
+            {
+                return BadRequest(new MediaErrorResponse { Error = _localizer["A file already exists at this path."] });
+            }
+
+            // Pages linking to the file are updated, the user must be allowed to edit all of them
+            foreach (var page in await _pageService.GetMediaReferencesAsync(id, cancellationToken))
+            {
+                if (!await _pagePermissionHelper.CanEdit(wikiUser, page.PageName, cancellationToken))
+                {
+                    return BadRequest(new MediaErrorResponse { Error = _localizer["This file is linked from pages you are not allowed to edit."] });
+                }
+            }
+
+            List<WikiPageInfo> updatedPages;
+            try
+            {
+                updatedPages = await _pageService.MoveMediaFileAsync(id, newPath, wikiUser.User, cancellationToken);
+            }
+            catch (TaskCanceledException)
+            {
+                throw;
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error moving media file {MediaPath} to {NewMediaPath} by user {UserName}", id, newPath, wikiUser.User);
+                return BadRequest(new MediaErrorResponse { Error = _localizer["An error occurred while saving the media file. Please try again."] });
+            }
+
+            return Ok(new MoveMediaResponse
+            {
+                Media = CreateMediaGalleryItem(newPath, currentPageName),
+                UpdatedPages = CreatePageLinks(updatedPages, currentPageName)
+            });
+        }
+
+        [HttpPost]
+        [Authorize]
+        [ValidateAntiForgeryToken]
+        public async Task<IActionResult> DeleteMedia(string id, CancellationToken cancellationToken)
+        {
+            var wikiUser = await _userService.GetWikiUser(User, false, cancellationToken);
+            if (wikiUser == null || !wikiUser.CanEdit)
+            {
+                return Forbid();
+            }
+
+            if (!WikiInputValidator.IsValidMediaPath(id) || !IsAllowedMediaExtension(id))
+            {
+                return BadRequest(new MediaErrorResponse { Error = _localizer["Invalid media path."] });
+            }
+
+            if (!await _pagePermissionHelper.CanEdit(wikiUser, id, cancellationToken))
+            {
+                return Forbid();
+            }
+
+            if (!await _pageService.MediaFileExistsAsync(id, cancellationToken))
+            {
+                return NotFound();
+            }
+
+            try
+            {
+                await _pageService.DeleteMediaFileAsync(id, wikiUser.User, cancellationToken);
+            }
+            catch (TaskCanceledException)
+            {
+                throw;
+            }
+            catch (InvalidOperationException)
+            {
+                // The page service refuses to delete a file that is linked from a page
+                return BadRequest(new MediaErrorResponse { Error = _localizer["This file cannot be deleted because it is linked from some pages."] });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error deleting media file {MediaPath} by user {UserName}", id, wikiUser.User);
+                return BadRequest(new MediaErrorResponse { Error = _localizer["An error occurred while saving the media file. Please try again."] });
+            }
+
+            return Ok();
+        }
+
+        private bool IsAllowedMediaExtension(string mediaPath)
+        {
+            return _options.AllowedMediaExtensions.Contains(Path.GetExtension(mediaPath).ToLowerInvariant());
+        }
+
+        private static List<WikiPageLinkInfo> CreatePageLinks(List<WikiPageInfo> pages, string currentPageName)
+        {
+            // Each culture of a page is listed separately by the page service
+            return pages
+                .GroupBy(p => p.PageName)
+                .Select(g => new WikiPageLinkInfo
+                {
+                    PageName = g.Key,
+                    Title = (g.FirstOrDefault(p => p.Culture == null) ?? g.First()).Title,
+                    RelativePath = WikiFilePathHelper.GetRelativePath(currentPageName, g.Key),
+                    Cultures = g.Where(p => p.Culture != null).Select(p => p.Culture!).Order().ToList(),
+                    LastModified = g.Max(p => p.LastModified)
+                })
+                .OrderBy(p => p.PageName)
+                .ToList();
+        }
+
         [HttpGet]
         [Authorize]
         public async Task<IActionResult> AccessControl(CancellationToken cancellationToken)
@@ -925,5 +1524,46 @@ namespace Pmad.Wiki.Controllers
             return File(fileContent, ContentTypeHelper.GetContentType(id));
         }
 
+        [HttpGet]
+        [ResponseCache(Duration = CacheDurationSeconds, Location = ResponseCacheLocation.Client)]
+        public async Task<IActionResult> MediaThumbnail(string id, CancellationToken cancellationToken)
+        {
+            if (!WikiInputValidator.IsValidMediaPath(id))
+            {
+                return BadRequest("Invalid media path.");
+            }
+
+            if (!IsAllowedMediaExtension(id) || !IsThumbnailSupported(id))
+            {
+                return BadRequest("Unsupported media file type.");
+            }
+
+            if (!_options.AllowAnonymousViewing && User.Identity?.IsAuthenticated != true)
+            {
+                return Challenge();
+            }
+
+            var wikiUser = await _userService.GetWikiUser(User, false, cancellationToken);
+
+            if (!await _pagePermissionHelper.CanView(wikiUser, id, cancellationToken))
+            {
+                if (User.Identity?.IsAuthenticated != true)
+                {
+                    return Challenge();
+                }
+                return Forbid();
+            }
+
+            var thumbnail = await _thumbnailService.GetThumbnailAsync(id, cancellationToken);
+
+            if (thumbnail == null)
+            {
+                // The original file is served when no thumbnail can be generated
+                return RedirectToAction(nameof(Media), new { id });
+            }
+
+            return File(thumbnail, "image/webp");
+        }
+
     }
 }
@@ -0,0 +1,126 @@
+using System.Text;
+using Markdig;
+using Markdig.Syntax;
+using Markdig.Syntax.Inlines;
+
+namespace Pmad.Wiki.Helpers;
+
+/// <summary>
+/// Finds and rewrites the links and images of a markdown page that target a media file of the repository.
+/// </summary>
+internal static class MarkdownMediaReferenceHelper
+{
+    internal static bool ReferencesMedia(string markdown, string pageName, string mediaPath)
+    {
+        return FindMediaReferences(markdown, pageName, mediaPath).Count > 0;
+    }
+
+    internal static string ReplaceMediaReferences(string markdown, string pageName, string mediaPath, string newMediaPath)
+    {
+        var references = FindMediaReferences(markdown, pageName, mediaPath);
+        if (references.Count == 0)
+        {
+            return markdown;
+        }
+
+        var newRelativePath = WikiFilePathHelper.GetRelativePath(pageName, newMediaPath);
+        var builder = new StringBuilder(markdown);
+
+        // Replace from the end so that the positions of the previous references are still valid
+        foreach (var (start, length) in references.OrderByDescending(r => r.Start))
+        {
+            builder.Remove(start, length).Insert(start, newRelativePath);
+        }
+
+        return builder.ToString();
+    }
+
+    /// <summary>
+    /// Replaces a link written as is in the page, such as the url of a temporary upload, except in code blocks and code spans.
+    /// </summary>
+    internal static string ReplaceLink(string markdown, string link, string newLink)
+    {
+        var codeRanges = FindCodeRanges(markdown);
+        var positions = new List<int>();
+
+        var index = markdown.IndexOf(link, StringComparison.OrdinalIgnoreCase);
+        while (index >= 0)
+        {
+            // The link must not be the start of a longer url
+            var end = index + link.Length;
+            if ((end == markdown.Length || !char.IsAsciiLetterOrDigit(markdown[end]))
+                && !codeRanges.Any(range => index >= range.Start && index <= range.End))
+            {
+                positions.Add(index);
+            }
+            index = markdown.IndexOf(link, end, StringComparison.OrdinalIgnoreCase);
+        }
+
+        var builder = new StringBuilder(markdown);
+
+        // Replace from the end so that the positions of the previous links are still valid
+        foreach (var position in Enumerable.Reverse(positions))
+        {
+            builder.Remove(position, link.Length).Insert(position, newLink);
+        }
+
+        return builder.ToString();
+    }
+
+    /// <summary>
+    /// Lists the ranges of the code blocks and code spans of a markdown page. Their content is displayed as text, so the urls they contain are not references.
+    /// </summary>
+    internal static List<(int Start, int End)> FindCodeRanges(string markdown)
+    {
+        var document = Markdown.Parse(markdown, MarkdownSourceHelper.Pipeline);
+
+        return document.Descendants<CodeBlock>().Select(block => block.Span)
+            .Concat(document.Descendants<CodeInline>().Select(inline => inline.Span))
+            .Select(span => (span.Start, span.End))
+            .ToList();
+    }
+
+    private static List<(int Start, int Length)> FindMediaReferences(string markdown, string pageName, string mediaPath)
+    {
+        var references = new List<(int Start, int Length)>();
+        var document = Markdown.Parse(markdown, MarkdownSourceHelper.Pipeline);
+
+        foreach (var link in document.Descendants<LinkInline>())
+        {
+            AddReference(references, markdown, pageName, mediaPath, link.Url, link.UrlSpan);
+        }
+
+        // Reference-style links only hold their url in the definition
+        foreach (var definition in document.Descendants<LinkReferenceDefinition>())
+        {
+            AddReference(references, markdown, pageName, mediaPath, definition.Url, definition.UrlSpan);
+        }
+
+        return references;
+    }
+
+    private static void AddReference(List<(int Start, int Length)> references, string markdown, string pageName, string mediaPath, string? url, SourceSpan span)
+    {
+        if (string.IsNullOrEmpty(url) || url.StartsWith('/') || !WikiInputValidator.MediaPathMarkdownRegex().IsMatch(url))
+        {
+            return;
+        }
+
+        if (span.Start < 0 || span.End >= markdown.Length || span.Length < url.Length)
+        {
+            return;
+        }
+
+        // The span may include the angle brackets of "<path>" urls
+        var start = markdown.IndexOf(url, span.Start, span.Length, StringComparison.Ordinal);
+        if (start < 0 || references.Any(r => r.Start == start))
+        {
+            return;
+        }
+
+        if (WikiFilePathHelper.ResolveRelativePath(pageName, url) == mediaPath)
+        {
+            references.Add((start, url.Length));
+        }
+    }
+}
@@ -0,0 +1,99 @@
+using System.Diagnostics.CodeAnalysis;
+using System.Text.RegularExpressions;
+using Markdig;
+using Markdig.Syntax;
+
+namespace Pmad.Wiki.Helpers;
+
+/// <summary>
+/// Extracts and replaces the sections of a markdown page. A section starts at a heading and ends before the next heading
+/// of the same or a higher level.
+/// </summary>
+internal static partial class MarkdownSectionHelper
+{
+    /// <summary>
+    /// Gets the section whose heading is at the specified zero-based line of the markdown.
+    /// </summary>
+    /// <returns>false if there is no heading at this line.</returns>
+    internal static bool TryGetSection(string markdown, int lineIndex, [NotNullWhen(true)] out string? section, [NotNullWhen(true)] out string? title)
+    {
+        section = null;
+        title = null;
+
+        if (!TryGetSectionRange(markdown, lineIndex, out var start, out var end))
+        {
+            return false;
+        }
+
+        section = markdown[start..end];
+
+        var lineEnd = markdown.IndexOf('\n', start);
+        var headingLine = markdown[start..(lineEnd < 0 || lineEnd > end ? end : lineEnd)].TrimEnd();
+        var match = AtxHeadingRegex().Match(headingLine);
+        title = (match.Success ? match.Groups["title"].Value : headingLine).Trim();
+        return true;
+    }
+
+    /// <summary>
+    /// Replaces the section whose heading is at the specified zero-based line of the markdown.
+    /// </summary>
+    /// <returns>false if there is no heading at this line.</returns>
+    internal static bool TryReplaceSection(string markdown, int lineIndex, string section, [NotNullWhen(true)] out string? updatedMarkdown)
+    {
+        updatedMarkdown = null;
+
+        if (!TryGetSectionRange(markdown, lineIndex, out var start, out var end))
+        {
+            return false;
+        }
+
+        // The line breaks separating the section from the next one are kept
+        updatedMarkdown = string.Concat(markdown.AsSpan(0, start), section.TrimEnd(), markdown.AsSpan(end));
+        return true;
+    }
+
+    private static bool TryGetSectionRange(string markdown, int lineIndex, out int start, out int end)
+    {
+        start = 0;
+        end = 0;
+
+        if (lineIndex < 0)
+        {
+            return false;
+        }
+
+        // Only the headings at the root of the document delimit sections, not those in lists or block quotes
+        var document = Markdown.Parse(markdown, MarkdownSourceHelper.Pipeline);
+        var headings = document.OfType<HeadingBlock>().ToList();
+        var index = headings.FindIndex(heading => heading.Line == lineIndex);
+        if (index < 0)
+        {
+            return false;
+        }
+
+        start = MarkdownSourceHelper.GetLineStart(markdown, lineIndex);
+        if (start < 0)
+        {
+            return false;
+        }
+
+        end = markdown.Length;
+        var next = headings.Skip(index + 1).FirstOrDefault(heading => heading.Level <= headings[index].Level);
+        if (next != null)
+        {
+            var nextStart = MarkdownSourceHelper.GetLineStart(markdown, next.Line);
+            if (nextStart >= 0)
+            {
+                end = nextStart;
+            }
+        }
+
+        // Trailing blank lines belong to the separation with the next section
+        end = start + markdown[start..end].TrimEnd().Length;
+        return true;
+    }
+
+    // ATX heading, with its optional closing sequence
+    [GeneratedRegex(@"^ {0,3}#{1,6}(?:[ \t]+(?<title>.*?))?(?:[ \t]+#+)?[ \t]*$", RegexOptions.CultureInvariant)]
+    private static partial Regex AtxHeadingRegex();
+}
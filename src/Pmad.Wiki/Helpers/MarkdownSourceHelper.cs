@@ -0,0 +1,46 @@
+using Markdig;
+
+namespace Pmad.Wiki.Helpers;
+
+/// <summary>
+/// Parses the source of markdown pages to locate and edit their elements.
+/// </summary>
+internal static class MarkdownSourceHelper
+{
+    /// <summary>
+    /// Pipeline to parse the source of a page. Its blocks are on the same lines as in the rendered page, and its elements
+    /// have the exact span of their url.
+    /// </summary>
+    internal static readonly MarkdownPipeline Pipeline = CreatePipelineBuilder()
+        .UsePreciseSourceLocation()
+        .Build();
+
+    /// <summary>
+    /// Creates a pipeline builder with the extensions used to render the pages.
+    /// </summary>
+    internal static MarkdownPipelineBuilder CreatePipelineBuilder()
+    {
+        return new MarkdownPipelineBuilder()
+            .UseAdvancedExtensions()
+            .UseYamlFrontMatter()
+            .DisableHtml();
+    }
+
+    /// <summary>
+    /// Gets the position of the start of the specified zero-based line of the markdown.
+    /// </summary>
+    /// <returns>-1 if the markdown has less lines.</returns>
+    internal static int GetLineStart(string markdown, int lineIndex)
+    {
+        var position = 0;
+        for (var i = 0; i < lineIndex; i++)
+        {
+            position = markdown.IndexOf('\n', position) + 1;
+            if (position == 0)
+            {
+                return -1;
+            }
+        }
+        return position;
+    }
+}
@@ -0,0 +1,53 @@
+using System.Diagnostics.CodeAnalysis;
+using System.Text.RegularExpressions;
+using Markdig;
+using Markdig.Extensions.TaskLists;
+using Markdig.Syntax;
+
+namespace Pmad.Wiki.Helpers;
+
+/// <summary>
+/// Checks and unchecks the items of the task lists of a markdown page.
+/// </summary>
+internal static partial class MarkdownTaskListHelper
+{
+    /// <summary>
+    /// Sets the state of the task at the specified zero-based line of the markdown.
+    /// </summary>
+    /// <returns>false if there is no task at this line.</returns>
+    internal static bool TrySetTaskChecked(string markdown, int lineIndex, bool isChecked, [NotNullWhen(true)] out string? updatedMarkdown, [NotNullWhen(true)] out string? taskText)
+    {
+        updatedMarkdown = null;
+        taskText = null;
+
+        // The line must hold a task for Markdig, so that "[ ]" in code blocks or paragraphs are never changed
+        var document = Markdown.Parse(markdown, MarkdownSourceHelper.Pipeline);
+        if (lineIndex < 0 || !document.Descendants<TaskList>().Any(task => task.Line == lineIndex))
+        {
+            return false;
+        }
+
+        var lineStart = MarkdownSourceHelper.GetLineStart(markdown, lineIndex);
+        if (lineStart < 0)
+        {
+            return false;
+        }
+
+        var lineEnd = markdown.IndexOf('\n', lineStart);
+        var line = markdown.Substring(lineStart, (lineEnd < 0 ? markdown.Length : lineEnd) - lineStart);
+        var match = TaskItemRegex().Match(line);
+        if (!match.Success)
+        {
+            return false;
+        }
+
+        var statePosition = lineStart + match.Groups["state"].Index;
+        updatedMarkdown = string.Concat(markdown.AsSpan(0, statePosition), isChecked ? "x" : " ", markdown.AsSpan(statePosition + 1));
+        taskText = line.Substring(match.Length).Trim();
+        return true;
+    }
+
+    // List item marker, possibly inside block quotes, followed by "[ ]" or "[x]"
+    [GeneratedRegex(@"^[ \t]*(?:>[ \t]*)*(?:[-*+]|\d{1,9}[.)])[ \t]+\[(?<state>[ xX])\]", RegexOptions.CultureInvariant)]
+    private static partial Regex TaskItemRegex();
+}
@@ -0,0 +1,32 @@
+using Pmad.Wiki.Models;
+using SixLabors.ImageSharp;
+
+namespace Pmad.Wiki.Helpers;
+
+/// <summary>
+/// Reads the size of media files, and the dimensions of images from their headers without decoding them.
+/// </summary>
+internal static class MediaMetadataReader
+{
+    internal static MediaFileMetadata Read(byte[] content, MediaType mediaType)
+    {
+        var metadata = new MediaFileMetadata { Size = content.Length };
+
+        if (mediaType == MediaType.Image)
+        {
+            try
+            {
+                using var stream = new MemoryStream(content, false);
+                var info = Image.Identify(stream);
+                metadata.Width = info.Width;
+                metadata.Height = info.Height;
+            }
+            catch (ImageFormatException)
+            {
+                // Not a bitmap image (e.g. an SVG), or a corrupted one
+            }
+        }
+
+        return metadata;
+    }
+}
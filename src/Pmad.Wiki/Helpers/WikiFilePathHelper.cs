@@ -43,6 +43,18 @@ public static class WikiFilePathHelper
         return sanitized;
     }
 
+    /// <summary>
+    /// Appends a number to a file name, before its extension, to make it unique (e.g. "medias/logo.png" becomes "medias/logo-2.png").
+    /// </summary>
+    /// <param name="filePath">The file name or path.</param>
+    /// <param name="number">The number to append.</param>
+    /// <returns>The numbered file name or path.</returns>
+    public static string GetNumberedFileName(string filePath, int number)
+    {
+        var extension = Path.GetExtension(filePath);
+        return $"{filePath[..^extension.Length]}-{number}{extension}";
+    }
+
     public static bool IsTemplatePageName(string pageName)
     {
         return pageName.StartsWith("_templates/", StringComparison.OrdinalIgnoreCase) ||
@@ -179,6 +191,34 @@ public static class WikiFilePathHelper
         return string.Join("/", relativeParts);
     }
 
+    /// <summary>
+    /// Resolves a path relative to a page into a path from the repository root. This is the reverse of <see cref="GetRelativePath"/>.
+    /// </summary>
+    /// <param name="fromPage">The page name the path is relative to.</param>
+    /// <param name="relativePath">The relative path, may contain "." and ".." parts.</param>
+    /// <returns>The path from the repository root.</returns>
+    public static string ResolveRelativePath(string fromPage, string relativePath)
+    {
+        var resultParts = GetDirectoryName(fromPage).Split('/', StringSplitOptions.RemoveEmptyEntries).ToList();
+
+        foreach (var part in relativePath.Split('/', StringSplitOptions.RemoveEmptyEntries))
+        {
+            if (part == "..")
+            {
+                if (resultParts.Count > 0)
+                {
+                    resultParts.RemoveAt(resultParts.Count - 1);
+                }
+            }
+            else if (part != ".")
+            {
+                resultParts.Add(part);
+            }
+        }
+
+        return string.Join("/", resultParts);
+    }
+
     private static bool IsValidCulture(string culture)
     {
         if (!WikiInputValidator.IsValidCulture(culture))
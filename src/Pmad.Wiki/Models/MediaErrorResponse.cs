@@ -0,0 +1,6 @@
+namespace Pmad.Wiki.Models;
+
+public class MediaErrorResponse
+{
+    public required string Error { get; set; }
+}
@@ -5,4 +5,10 @@ public class MediaFileInfo
     public required string AbsolutePath { get; set; }
     public required string FileName { get; set; }
     public required MediaType MediaType { get; set; }
+    public DateTimeOffset? LastModified { get; set; }
+
+    /// <summary>
+    /// Git object id of the content of the file, which changes with the content.
+    /// </summary>
+    public string? BlobId { get; set; }
 }
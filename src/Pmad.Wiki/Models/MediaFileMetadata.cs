@@ -0,0 +1,8 @@
+namespace Pmad.Wiki.Models;
+
+public class MediaFileMetadata
+{
+    public required long Size { get; set; }
+    public int? Width { get; set; }
+    public int? Height { get; set; }
+}
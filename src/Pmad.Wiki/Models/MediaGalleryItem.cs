@@ -7,4 +7,9 @@ public class MediaGalleryItem
     public required MediaType MediaType { get; set; }
     public required string Path { get; set; }
     public required string Url { get; set; }
+    public string? ThumbnailUrl { get; set; }
+    public long? Size { get; set; }
+    public int? Width { get; set; }
+    public int? Height { get; set; }
+    public DateTimeOffset? LastModified { get; set; }
 }
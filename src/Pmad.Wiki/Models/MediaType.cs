@@ -1,5 +1,8 @@
+using System.Text.Json.Serialization;
+
 namespace Pmad.Wiki.Models;
 
+[JsonConverter(typeof(JsonStringEnumConverter))]
 public enum MediaType
 {
     Image,
@@ -0,0 +1,7 @@
+namespace Pmad.Wiki.Models;
+
+public class MoveMediaResponse
+{
+    public required MediaGalleryItem Media { get; set; }
+    public required List<WikiPageLinkInfo> UpdatedPages { get; set; }
+}
@@ -0,0 +1,9 @@
+namespace Pmad.Wiki.Models;
+
+public class PagedResponse<T>
+{
+    public required List<T> Items { get; set; }
+    public int TotalCount { get; set; }
+    public int Page { get; set; }
+    public int PageSize { get; set; }
+}
@@ -5,4 +5,5 @@ public class PreviewMarkdownRequest
     public string Markdown { get; set; } = string.Empty;
     public string? PageName { get; set; }
     public string? Culture { get; set; }
+    public bool IncludeSourceLines { get; set; }
 }
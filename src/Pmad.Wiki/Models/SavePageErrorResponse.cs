@@ -0,0 +1,13 @@
+namespace Pmad.Wiki.Models;
+
+public class SavePageErrorResponse
+{
+    /// <summary>
+    /// Error messages by field name. Errors that do not relate to a specific field use an empty key.
+    /// </summary>
+    public required Dictionary<string, string[]> Errors { get; set; }
+
+    public string? OriginalContentHash { get; set; }
+
+    public WikiPageEditConflict? Conflict { get; set; }
+}
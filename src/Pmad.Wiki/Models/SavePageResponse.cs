@@ -0,0 +1,6 @@
+namespace Pmad.Wiki.Models;
+
+public class SavePageResponse
+{
+    public required string RedirectUrl { get; set; }
+}
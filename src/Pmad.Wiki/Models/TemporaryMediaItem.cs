@@ -0,0 +1,10 @@
+namespace Pmad.Wiki.Models;
+
+public class TemporaryMediaItem
+{
+    public required string TemporaryId { get; set; }
+    public required string FileName { get; set; }
+    public required string Url { get; set; }
+    public required MediaType MediaType { get; set; }
+    public required DateTimeOffset CreatedAt { get; set; }
+}
@@ -0,0 +1,6 @@
+namespace Pmad.Wiki.Models;
+
+public class ToggleTaskErrorResponse
+{
+    public required string Error { get; set; }
+}
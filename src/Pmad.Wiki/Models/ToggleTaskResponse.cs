@@ -0,0 +1,6 @@
+namespace Pmad.Wiki.Models;
+
+public class ToggleTaskResponse
+{
+    public required string ContentHash { get; set; }
+}
@@ -0,0 +1,25 @@
+namespace Pmad.Wiki.Models;
+
+/// <summary>
+/// Versions of a page involved in a concurrent edit, used to let the user merge changes before saving.
+/// </summary>
+public class WikiPageEditConflict
+{
+    /// <summary>
+    /// Content the user started editing from, or <c>null</c> if that revision could not be found.
+    /// </summary>
+    public string? BaseContent { get; set; }
+
+    /// <summary>
+    /// Current content of the page, as saved by another user.
+    /// </summary>
+    public required string TheirContent { get; set; }
+
+    public string? TheirAuthor { get; set; }
+
+    /// <summary>
+    /// Whole page with the changes of the user, set when only a section was being edited.
+    /// It replaces the section in the editor, so that the whole page is merged.
+    /// </summary>
+    public string? YourContent { get; set; }
+}
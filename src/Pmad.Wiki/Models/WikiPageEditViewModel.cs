@@ -1,4 +1,5 @@
 using System.ComponentModel.DataAnnotations;
+using Microsoft.AspNetCore.Mvc.ModelBinding;
 
 namespace Pmad.Wiki.Models;
 
@@ -19,6 +20,12 @@ public class WikiPageEditViewModel
     public bool IsNew { get; set; }
     
     public string? OriginalContentHash { get; set; }
+
+    /// <summary>
+    /// Zero-based line of the heading of the section being edited, or <c>null</c> when the whole page is edited.
+    /// The content then holds only this section, which is put back into the page when saving.
+    /// </summary>
+    public int? Section { get; set; }
         
     /// <summary>
     /// Comma-separated list of temporary media IDs that were uploaded during editing.
@@ -26,4 +33,10 @@ public class WikiPageEditViewModel
     /// any media files that are still referenced in the content will be moved to permanent storage.
     /// </summary>
     public string? TemporaryMediaIds { get; set; }
+
+    /// <summary>
+    /// Set when the page was modified by someone else since the user started editing.
+    /// </summary>
+    [BindNever]
+    public WikiPageEditConflict? Conflict { get; set; }
 }
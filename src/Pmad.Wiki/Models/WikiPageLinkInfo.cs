@@ -7,4 +7,8 @@ public class WikiPageLinkInfo
     public string? Title { get; set; }
     
     public required string RelativePath { get; set; }
+
+    public List<string> Cultures { get; set; } = new();
+
+    public DateTimeOffset? LastModified { get; set; }
 }
@@ -0,0 +1,20 @@
+namespace Pmad.Wiki.Models;
+
+/// <summary>
+/// Media file committed with a page.
+/// </summary>
+public class WikiPageMediaFile
+{
+    /// <summary>
+    /// Path of the file from the repository root. The file is numbered if this path is already used.
+    /// </summary>
+    public required string Path { get; init; }
+
+    public required byte[] Content { get; init; }
+
+    /// <summary>
+    /// Link written in the page for this file, such as the url of a temporary upload, replaced by the relative path of the committed file.
+    /// If <c>null</c>, the page links to the file with its relative path.
+    /// </summary>
+    public string? Link { get; init; }
+}
@@ -3,4 +3,9 @@
 public interface IMarkdownRenderService
 {
     string ToHtml(string markdown, string? culture = null, string? currentPageName = null);
+
+    /// <summary>
+    /// Renders markdown to HTML, optionally adding a <c>data-source-line</c> attribute (zero-based line number in <paramref name="markdown"/>) to each block element.
+    /// </summary>
+    string ToHtml(string markdown, string? culture, string? currentPageName, bool includeSourceLines);
 }
\ No newline at end of file
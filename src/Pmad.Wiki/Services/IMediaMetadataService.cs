@@ -0,0 +1,10 @@
+namespace Pmad.Wiki.Services;
+
+public interface IMediaMetadataService
+{
+    /// <summary>
+    /// Gets the size of a media file of the repository, and the dimensions of an image.
+    /// </summary>
+    /// <returns>The metadata, or null if the file does not exist.</returns>
+    Task<Models.MediaFileMetadata?> GetMetadataAsync(Models.MediaFileInfo mediaFile, CancellationToken cancellationToken = default);
+}
@@ -0,0 +1,10 @@
+namespace Pmad.Wiki.Services;
+
+public interface IMediaThumbnailService
+{
+    /// <summary>
+    /// Gets a WebP thumbnail of an image of the repository.
+    /// </summary>
+    /// <returns>The thumbnail, or null if the file does not exist or is not a bitmap image (e.g. an SVG).</returns>
+    Task<byte[]?> GetThumbnailAsync(string filePath, CancellationToken cancellationToken = default);
+}
@@ -10,17 +10,31 @@ public interface IWikiPageService
     
     Task<WikiPage?> GetPageAtRevisionAsync(string pageName, string? culture, string commitId, CancellationToken cancellationToken = default);
     
+    Task<WikiPage?> GetPageByContentHashAsync(string pageName, string? culture, string contentHash, CancellationToken cancellationToken = default);
+    
     Task<bool> PageExistsAsync(string pageName, string? culture, CancellationToken cancellationToken = default);
     
     Task<List<string>> GetAvailableCulturesForPageAsync(string pageName, CancellationToken cancellationToken = default);
     
     Task<List<WikiPageInfo>> GetAllPagesAsync(CancellationToken cancellationToken = default);
     
-    Task SavePageWithMediaAsync(string pageName, string? culture, string content, string commitMessage, Services.IWikiUser author, Dictionary<string, byte[]> mediaFiles, CancellationToken cancellationToken = default);
+    Task SavePageWithMediaAsync(string pageName, string? culture, string content, string commitMessage, Services.IWikiUser author, IReadOnlyList<Models.WikiPageMediaFile> mediaFiles, CancellationToken cancellationToken = default);
 
     Task<string?> GetPageTitleAsync(string pageName, string? culture, CancellationToken cancellationToken = default);
 
     Task<byte[]?> GetMediaFileAsync(string filePath, CancellationToken cancellationToken = default);
 
-    Task<List<Models.MediaFileInfo>> GetAllMediaFilesAsync(CancellationToken cancellationToken = default);
+    Task<bool> MediaFileExistsAsync(string filePath, CancellationToken cancellationToken = default);
+
+    Task<string?> GetMediaFileBlobIdAsync(string filePath, CancellationToken cancellationToken = default);
+
+    Task<List<Models.MediaFileInfo>> GetAllMediaFilesAsync(bool includeLastModified, CancellationToken cancellationToken = default);
+
+    Task<string> AddMediaFileAsync(string filePath, byte[] content, Services.IWikiUser author, CancellationToken cancellationToken = default);
+
+    Task<List<WikiPageInfo>> GetMediaReferencesAsync(string filePath, CancellationToken cancellationToken = default);
+
+    Task<List<WikiPageInfo>> MoveMediaFileAsync(string filePath, string newFilePath, Services.IWikiUser author, CancellationToken cancellationToken = default);
+
+    Task DeleteMediaFileAsync(string filePath, Services.IWikiUser author, CancellationToken cancellationToken = default);
 }
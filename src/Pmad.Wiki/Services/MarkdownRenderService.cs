@@ -1,6 +1,13 @@
 ﻿using System.Collections.Concurrent;
+using System.Globalization;
+using System.Net;
+using System.Text;
+using System.Text.RegularExpressions;
 using Markdig;
+using Markdig.Extensions.Figures;
+using Markdig.Extensions.TaskLists;
 using Markdig.Parsers;
+using Markdig.Renderers.Html;
 using Markdig.Syntax;
 using Markdig.Syntax.Inlines;
 using Microsoft.AspNetCore.Routing;
@@ -9,8 +16,16 @@ using Pmad.Wiki.Helpers;
 
 namespace Pmad.Wiki.Services;
 
-public sealed class MarkdownRenderService : IMarkdownRenderService
+public sealed partial class MarkdownRenderService : IMarkdownRenderService
 {
+    private static readonly string[] AlignmentClasses = ["wiki-media-left", "wiki-media-center", "wiki-media-right"];
+
+    // Attributes that can run scripts or change the target of an element, generic attributes must not set them
+    private static readonly HashSet<string> UnsafeAttributes = new(StringComparer.OrdinalIgnoreCase)
+    {
+        "style", "src", "srcset", "srcdoc", "href", "action", "formaction", "data", "xlink:href"
+    };
+
     private readonly ConcurrentDictionary<string, MarkdownPipeline> _pipelineCache = new();
     private readonly WikiOptions _options;
     private readonly LinkGenerator _linkGenerator;
@@ -22,21 +37,94 @@ public sealed class MarkdownRenderService : IMarkdownRenderService
     }
 
     public string ToHtml(string markdown, string? culture = null, string? currentPageName = null)
+    {
+        return ToHtml(markdown, culture, currentPageName, false);
+    }
+
+    public string ToHtml(string markdown, string? culture, string? currentPageName, bool includeSourceLines)
     {
         var pipeline = GetOrCreatePipeline(culture); 
 
         var document = MarkdownParser.Parse(markdown, pipeline);
 
+        SanitizeAttributes(document);
+        AlignFigures(document);
+        AddTaskLineAttributes(document);
+        AddSectionLineAttributes(document);
+
         // Process wiki links to make them relative to the current page
         ProcessWikiLinks(document, currentPageName ?? string.Empty, culture);
 
+        if (includeSourceLines)
+        {
+            AddSourceLineAttributes(document);
+        }
+
         return Markdown.ToHtml(document, pipeline);
     }
 
+    private static void AddSourceLineAttributes(MarkdownDocument document)
+    {
+        foreach (var block in document.Descendants<Block>())
+        {
+            block.GetAttributes().AddProperty("data-source-line", block.Line.ToString(CultureInfo.InvariantCulture));
+        }
+    }
+
+    private static void AddTaskLineAttributes(MarkdownDocument document)
+    {
+        // The source line of each task lets the page view check and uncheck it
+        foreach (var listItem in document.Descendants<ListItemBlock>())
+        {
+            if (listItem.FirstOrDefault() is ParagraphBlock { Inline.FirstChild: TaskList task })
+            {
+                listItem.GetAttributes().AddProperty("data-task-line", task.Line.ToString(CultureInfo.InvariantCulture));
+            }
+        }
+    }
+
+    private static void AddSectionLineAttributes(MarkdownDocument document)
+    {
+        // The source line of the headings delimiting sections lets the page view link to the edition of a single section
+        foreach (var heading in document.OfType<HeadingBlock>())
+        {
+            heading.GetAttributes().AddProperty("data-section-line", heading.Line.ToString(CultureInfo.InvariantCulture));
+        }
+    }
+
+    private static void SanitizeAttributes(MarkdownDocument document)
+    {
+        foreach (var markdownObject in document.Descendants())
+        {
+            var properties = markdownObject.TryGetAttributes()?.Properties;
+            properties?.RemoveAll(property => UnsafeAttributes.Contains(property.Key) || property.Key.StartsWith("on", StringComparison.OrdinalIgnoreCase));
+        }
+    }
+
+    private static void AlignFigures(MarkdownDocument document)
+    {
+        // The alignment set on the image of a figure applies to the whole figure, so that the caption follows the image
+        foreach (var figure in document.Descendants<Figure>())
+        {
+            foreach (var linkInline in figure.Descendants<LinkInline>().Where(link => link.IsImage))
+            {
+                var classes = linkInline.TryGetAttributes()?.Classes;
+                var alignment = classes?.FirstOrDefault(c => AlignmentClasses.Contains(c));
+                if (alignment != null)
+                {
+                    classes!.Remove(alignment);
+                    figure.GetAttributes().AddClass(alignment);
+                    break;
+                }
+            }
+        }
+    }
+
     private void ProcessWikiLinks(Markdig.Syntax.MarkdownDocument document, string currentPageName, string? culture)
     {
         // Pre-compute current page directory parts to avoid repeated splitting
         var currentPageDirectoryParts = GetDirectoryParts(currentPageName);
+        var embeddedMedia = new List<LinkInline>();
 
         foreach (var linkInline in document.Descendants<LinkInline>())
         {
@@ -49,12 +137,91 @@ public sealed class MarkdownRenderService : IMarkdownRenderService
                 }
                 else if (IsMedia(linkInline.Url))
                 {
+                    if (linkInline.IsImage && ContentTypeHelper.GetMediaType(Path.GetExtension(linkInline.Url)) is Models.MediaType.Video or Models.MediaType.Document)
+                    {
+                        embeddedMedia.Add(linkInline);
+                    }
                     linkInline.Url = ProcessMediaLink(linkInline.Url, currentPageDirectoryParts);
                 }
             }
         }
+
+        // The document cannot be modified while it is enumerated
+        foreach (var linkInline in embeddedMedia)
+        {
+            linkInline.ReplaceBy(new HtmlInline(CreateMediaEmbedHtml(linkInline)), copyChildren: false);
+        }
+    }
+
+    /// <summary>
+    /// Creates the player of a video, or the viewer of a PDF document, for an image syntax that targets them (e.g. <c>![Demo](demo.mp4){width=640}</c>).
+    /// Raw HTML is disabled, so the markup is generated here with encoded values only.
+    /// </summary>
+    private static string CreateMediaEmbedHtml(LinkInline linkInline)
+    {
+        var url = WebUtility.HtmlEncode(linkInline.Url);
+        var title = GetPlainText(linkInline);
+        var fallbackText = WebUtility.HtmlEncode(string.IsNullOrWhiteSpace(title) ? Path.GetFileName(linkInline.Url) : title);
+        var isVideo = ContentTypeHelper.GetMediaType(Path.GetExtension(linkInline.Url)) == Models.MediaType.Video;
+        var attributes = linkInline.TryGetAttributes();
+
+        var html = new StringBuilder();
+        html.Append(isVideo
+            ? $"<video src=\"{url}\" controls preload=\"metadata\""
+            : $"<object data=\"{url}\" type=\"application/pdf\"");
+
+        if (!string.IsNullOrEmpty(attributes?.Id))
+        {
+            html.Append($" id=\"{WebUtility.HtmlEncode(attributes.Id)}\"");
+        }
+
+        var classes = new List<string> { "wiki-media", isVideo ? "wiki-media-video" : "wiki-media-pdf" };
+        if (attributes?.Classes != null)
+        {
+            classes.AddRange(attributes.Classes);
+        }
+        html.Append($" class=\"{WebUtility.HtmlEncode(string.Join(' ', classes))}\"");
+
+        foreach (var name in new[] { "width", "height" })
+        {
+            var value = attributes?.Properties?.FirstOrDefault(p => string.Equals(p.Key, name, StringComparison.OrdinalIgnoreCase)).Value;
+            if (value != null && DimensionRegex().IsMatch(value))
+            {
+                html.Append($" {name}=\"{value}\"");
+            }
+        }
+
+        if (!string.IsNullOrWhiteSpace(title))
+        {
+            html.Append($" title=\"{WebUtility.HtmlEncode(title)}\"");
+        }
+
+        // The link is displayed by browsers that cannot play the video or display the document inline
+        html.Append($"><a href=\"{url}\">{fallbackText}</a>");
+        html.Append(isVideo ? "</video>" : "</object>");
+        return html.ToString();
+    }
+
+    private static string GetPlainText(ContainerInline container)
+    {
+        var text = new StringBuilder();
+        foreach (var inline in container.Descendants<Inline>())
+        {
+            if (inline is LiteralInline literal)
+            {
+                text.Append(literal.Content);
+            }
+            else if (inline is CodeInline code)
+            {
+                text.Append(code.Content);
+            }
+        }
+        return text.ToString();
     }
 
+    [GeneratedRegex(@"^\d{1,5}%?$")]
+    private static partial Regex DimensionRegex();
+
     private bool IsMedia(string url)
     {
         return WikiInputValidator.MediaPathMarkdownRegex().IsMatch(url)
@@ -153,10 +320,7 @@ public sealed class MarkdownRenderService : IMarkdownRenderService
         
         return _pipelineCache.GetOrAdd(cacheKey, key =>
         {
-            var builder = new MarkdownPipelineBuilder()
-                .UseAdvancedExtensions()
-                .UseYamlFrontMatter()
-                .DisableHtml();
+            var builder = MarkdownSourceHelper.CreatePipelineBuilder();
 
             if (_options.ConfigureMarkdown != null)
             {
@@ -0,0 +1,47 @@
+using Microsoft.Extensions.Caching.Memory;
+using Pmad.Wiki.Helpers;
+
+namespace Pmad.Wiki.Services;
+
+/// <summary>
+/// Gets the size and dimensions of the media files of the gallery. Git trees do not record the size of files, so the
+/// content of a file is read once and its metadata is cached by path and blob id: a blob never changes.
+/// </summary>
+public sealed class MediaMetadataService : IMediaMetadataService
+{
+    private const string CacheKeyPrefix = "WikiMediaMetadata:";
+    private static readonly TimeSpan CacheDuration = TimeSpan.FromHours(1);
+
+    private readonly IWikiPageService _pageService;
+    private readonly IMemoryCache _cache;
+
+    public MediaMetadataService(
+        IWikiPageService pageService,
+        IMemoryCache cache)
+    {
+        _pageService = pageService;
+        _cache = cache;
+    }
+
+    public async Task<Models.MediaFileMetadata?> GetMetadataAsync(Models.MediaFileInfo mediaFile, CancellationToken cancellationToken = default)
+    {
+        var cacheKey = mediaFile.BlobId != null ? $"{CacheKeyPrefix}{mediaFile.AbsolutePath}:{mediaFile.BlobId}" : null;
+        if (cacheKey != null && _cache.TryGetValue<Models.MediaFileMetadata>(cacheKey, out var cachedMetadata) && cachedMetadata != null)
+        {
+            return cachedMetadata;
+        }
+
+        var content = await _pageService.GetMediaFileAsync(mediaFile.AbsolutePath, cancellationToken);
+        if (content == null)
+        {
+            return null;
+        }
+
+        var metadata = MediaMetadataReader.Read(content, mediaFile.MediaType);
+        if (cacheKey != null)
+        {
+            _cache.Set(cacheKey, metadata, new MemoryCacheEntryOptions { SlidingExpiration = CacheDuration });
+        }
+        return metadata;
+    }
+}
@@ -0,0 +1,90 @@
+using Microsoft.Extensions.Caching.Memory;
+using Microsoft.Extensions.Options;
+using SixLabors.ImageSharp;
+using SixLabors.ImageSharp.Formats;
+using SixLabors.ImageSharp.Formats.Webp;
+using SixLabors.ImageSharp.Processing;
+
+namespace Pmad.Wiki.Services;
+
+/// <summary>
+/// Generates the thumbnails of the media gallery. Thumbnails are cached by path and blob id, so a file replaced by a new commit gets a new
+/// thumbnail, and the content of a file is only read when its thumbnail is not cached.
+/// </summary>
+public sealed class MediaThumbnailService : IMediaThumbnailService
+{
+    private const string CacheKeyPrefix = "WikiMediaThumbnail:";
+    private static readonly TimeSpan CacheDuration = TimeSpan.FromHours(1);
+
+    private readonly IWikiPageService _pageService;
+    private readonly IMemoryCache _cache;
+    private readonly WikiOptions _options;
+
+    public MediaThumbnailService(
+        IWikiPageService pageService,
+        IMemoryCache cache,
+        IOptions<WikiOptions> options)
+    {
+        _pageService = pageService;
+        _cache = cache;
+        _options = options.Value;
+    }
+
+    public async Task<byte[]?> GetThumbnailAsync(string filePath, CancellationToken cancellationToken = default)
+    {
+        var blobId = await _pageService.GetMediaFileBlobIdAsync(filePath, cancellationToken);
+        if (blobId == null)
+        {
+            return null;
+        }
+
+        var cacheKey = $"{CacheKeyPrefix}{filePath}:{blobId}";
+        if (_cache.TryGetValue<byte[]>(cacheKey, out var cachedThumbnail) && cachedThumbnail != null)
+        {
+            return cachedThumbnail;
+        }
+
+        var content = await _pageService.GetMediaFileAsync(filePath, cancellationToken);
+        if (content == null)
+        {
+            return null;
+        }
+
+        var thumbnail = await CreateThumbnailAsync(content, cancellationToken);
+        if (thumbnail != null)
+        {
+            _cache.Set(cacheKey, thumbnail, new MemoryCacheEntryOptions { SlidingExpiration = CacheDuration });
+        }
+        return thumbnail;
+    }
+
+    private async Task<byte[]?> CreateThumbnailAsync(byte[] content, CancellationToken cancellationToken)
+    {
+        var size = new Size(_options.MediaThumbnailSize, _options.MediaThumbnailSize);
+
+        try
+        {
+            // Only the first frame of animations is kept, and JPEG images are downscaled while decoding
+            using var image = Image.Load(new DecoderOptions { TargetSize = size, MaxFrames = 1 }, content);
+
+            image.Mutate(x =>
+            {
+                x.AutoOrient();
+                var currentSize = x.GetCurrentSize();
+                if (currentSize.Width > size.Width || currentSize.Height > size.Height)
+                {
+                    x.Resize(new ResizeOptions { Size = size, Mode = ResizeMode.Max });
+                }
+            });
+
+            using var output = new MemoryStream();
+            await image.SaveAsWebpAsync(output, new WebpEncoder { Quality = 75 }, cancellationToken);
+            return output.ToArray();
+        }
+        catch (ImageFormatException)
+        {
+            // Not a bitmap image, or a corrupted one
+            return null;
+        }
+    }
+}
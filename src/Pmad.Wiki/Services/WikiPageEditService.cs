@@ -21,8 +21,7 @@ internal class WikiPageEditService : IWikiPageEditService
 
     public async Task SavePageAsync(string pageName, string? culture, string content, string commitMessage, IWikiUser author, CancellationToken cancellationToken = default)
     {
-        var mediaFiles = new Dictionary<string, byte[]>();
-        var updatedContent = content;
+        var mediaFiles = new List<Models.WikiPageMediaFile>();
 
         var wikiBaseUrl = _linkGenerator.GetPathByAction("TempMedia", "Wiki", new { id = IdPlaceholder })!;
 
@@ -30,7 +29,11 @@ internal class WikiPageEditService : IWikiPageEditService
         var pattern = escapedWikiBaseUrl.Replace(Regex.Escape(IdPlaceholder), "([a-f0-9]+)");
         var usedTempIdRegex = new Regex(pattern, RegexOptions.IgnoreCase);
 
-        var usedTempIds = usedTempIdRegex.Matches(updatedContent)
+        // Only the temporary media still referenced by the page are committed: an upload whose link was removed,
+        // or that only appears in a code block, is not committed and is deleted with the other uploads once the page is saved
+        var codeRanges = MarkdownMediaReferenceHelper.FindCodeRanges(content);
+        var usedTempIds = usedTempIdRegex.Matches(content)
+            .Where(m => !codeRanges.Any(range => m.Index >= range.Start && m.Index <= range.End))
             .Select(m => m.Groups[1].Value)
             .Distinct()
             .ToList();
@@ -51,16 +54,15 @@ internal class WikiPageEditService : IWikiPageEditService
                         var extension = Path.GetExtension(mediaInfo.OriginalFileName);
                         var originalFileNameWithoutExtension = Path.GetFileNameWithoutExtension(mediaInfo.OriginalFileName);
                         var sanitizedFileName = WikiFilePathHelper.SanitizeFileName(originalFileNameWithoutExtension);
-                        var finalFileName = $"{sanitizedFileName}_{tempId}{extension}";
-                        var markdownRelativePath = $"medias/{finalFileName}";
-                        var mediaPath =  string.IsNullOrEmpty(pageDirectory) ? markdownRelativePath : $"{pageDirectory}/{markdownRelativePath}";
+                        var markdownRelativePath = $"medias/{sanitizedFileName}{extension}";
 
-                        mediaFiles[mediaPath] = mediaContent;
-
-                        var tempMediaUrl = wikiBaseUrl.Replace(IdPlaceholder, tempId);
-
-                        // Update content to replace temporary URLs with permanent relative paths
-                        updatedContent = updatedContent.Replace(tempMediaUrl, markdownRelativePath);
+                        // The page service numbers the files whose name is already used, and replaces the temporary urls with the final paths
+                        mediaFiles.Add(new Models.WikiPageMediaFile
+                        {
+                            Path = string.IsNullOrEmpty(pageDirectory) ? markdownRelativePath : $"{pageDirectory}/{markdownRelativePath}",
+                            Content = mediaContent,
+                            Link = wikiBaseUrl.Replace(IdPlaceholder, tempId)
+                        });
                     }
                 }
             }
@@ -69,7 +71,7 @@ internal class WikiPageEditService : IWikiPageEditService
         await _pageService.SavePageWithMediaAsync(
             pageName,
             culture,
-            updatedContent,
+            content,
             commitMessage,
             author,
             mediaFiles,
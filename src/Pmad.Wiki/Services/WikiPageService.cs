@@ -146,6 +146,52 @@ public sealed class WikiPageService : IWikiPageService
         }
     }
 
+    public async Task<WikiPage?> GetPageByContentHashAsync(string pageName, string? culture, string contentHash, CancellationToken cancellationToken = default)
+    {
+        var repository = GetRepository();
+        var filePath = WikiFilePathHelper.GetFilePath(pageName, culture, _options.NeutralMarkdownPageCulture);
+
+        try
+        {
+            await foreach (var commit in repository.GetFileHistoryAsync(filePath, _options.BranchName, cancellationToken))
+            {
+                GitFileContentAndHash gitFile;
+                try
+                {
+                    gitFile = await repository.ReadFileAndHashAsync(filePath, commit.Id.Value, cancellationToken);
+                }
+                catch (FileNotFoundException)
+                {
+                    // File was deleted in this commit
+                    continue;
+                }
+
+                if (gitFile.Hash.Value != contentHash)
+                {
+                    continue;
+                }
+
+                var contentText = Encoding.UTF8.GetString(gitFile.Content);
+
+                return new WikiPage
+                {
+                    PageName = pageName,
+                    Content = contentText,
+                    ContentHash = gitFile.Hash.Value,
+                    Title = MarkdownTitleExtractor.ExtractFirstTitle(contentText, pageName),
+                    Culture = culture,
+                    LastModifiedBy = commit.Metadata.AuthorName,
+                    LastModified = commit.Metadata.AuthorDate
+                };
+            }
+        }
+        catch (FileNotFoundException)
+        {
+        }
+
+        return null;
+    }
+
     public async Task<bool> PageExistsAsync(string pageName, string? culture, CancellationToken cancellationToken = default)
     {
         var repository = GetRepository();
@@ -232,11 +278,10 @@ public sealed class WikiPageService : IWikiPageService
         return pages.Values.OrderBy(p => p.PageName).ToList();
     }
 
-    public async Task SavePageWithMediaAsync(string pageName, string? culture, string content, string commitMessage, IWikiUser author, Dictionary<string, byte[]> mediaFiles, CancellationToken cancellationToken = default)
+    public async Task SavePageWithMediaAsync(string pageName, string? culture, string content, string commitMessage, IWikiUser author, IReadOnlyList<Models.WikiPageMediaFile> mediaFiles, CancellationToken cancellationToken = default)
     {
         var repository = GetRepository();
         var filePath = WikiFilePathHelper.GetFilePath(pageName, culture, _options.NeutralMarkdownPageCulture);
-        var contentBytes = Encoding.UTF8.GetBytes(content);
 
         var type = await repository.GetPathTypeAsync(filePath, _options.BranchName, cancellationToken);
 
@@ -247,18 +292,36 @@ public sealed class WikiPageService : IWikiPageService
 
         var operations = new List<GitCommitOperation>();
 
+        // Add media file operations, numbering the files that would replace an existing one or another file of the commit
+        var requestedMediaPaths = new HashSet<string>(mediaFiles.Select(m => m.Path), StringComparer.OrdinalIgnoreCase);
+        var usedMediaPaths = new HashSet<string>(StringComparer.OrdinalIgnoreCase);
+        foreach (var mediaFile in mediaFiles)
+        {
+            WikiInputValidator.ValidateMediaPath(mediaFile.Path);
+
+            var mediaPath = await GetAvailableMediaPathAsync(repository, mediaFile.Path,
+                path => usedMediaPaths.Contains(path) || (!string.Equals(path, mediaFile.Path, StringComparison.OrdinalIgnoreCase) && requestedMediaPaths.Contains(path)),
+                cancellationToken);
+            usedMediaPaths.Add(mediaPath);
+
+            if (mediaFile.Link != null)
+            {
+                content = MarkdownMediaReferenceHelper.ReplaceLink(content, mediaFile.Link, WikiFilePathHelper.GetRelativePath(pageName, mediaPath));
+            }
+            else if (mediaPath != mediaFile.Path)
+            {
+                content = MarkdownMediaReferenceHelper.ReplaceMediaReferences(content, pageName, mediaFile.Path, mediaPath);
+            }
+
+            operations.Add(new AddFileOperation(mediaPath, mediaFile.Content));
+        }
+
         // Add the main page operation
+        var contentBytes = Encoding.UTF8.GetBytes(content);
         GitCommitOperation pageOperation = type == GitTreeEntryKind.Blob
             ? new UpdateFileOperation(filePath, contentBytes)
             : new AddFileOperation(filePath, contentBytes);
-        operations.Add(pageOperation);
-
-        // Add media file operations
-        foreach (var (mediaPath, mediaContent) in mediaFiles)
-        {
-            WikiInputValidator.ValidateMediaPath(mediaPath);
-            operations.Add(new AddFileOperation(mediaPath, mediaContent));
-        }
+        operations.Insert(0, pageOperation);
 
         var authorSignature = WikiUserHelper.CreateGitCommitSignature(author);
         var metadata = new GitCommitMetadata(commitMessage, authorSignature);
@@ -269,6 +332,18 @@ public sealed class WikiPageService : IWikiPageService
         _titleCache.ExtractAndCacheTitle(pageName, culture, content);
     }
 
+    private async Task<string> GetAvailableMediaPathAsync(IGitRepository repository, string mediaPath, Func<string, bool> isReserved, CancellationToken cancellationToken)
+    {
+        // Never replace an existing file
+        var availablePath = mediaPath;
+        var number = 2;
+        while (isReserved(availablePath) || await repository.GetPathTypeAsync(availablePath, _options.BranchName, cancellationToken) != null)
+        {
+            availablePath = WikiFilePathHelper.GetNumberedFileName(mediaPath, number++);
+        }
+        return availablePath;
+    }
+
     private IGitRepository GetRepository()
     {
         var repositoryPath = GetRepositoryPath();
@@ -301,13 +376,49 @@ public sealed class WikiPageService : IWikiPageService
         }
     }
 
-    public async Task<List<Models.MediaFileInfo>> GetAllMediaFilesAsync(CancellationToken cancellationToken = default)
+    public async Task<bool> MediaFileExistsAsync(string filePath, CancellationToken cancellationToken = default)
+    {
+        WikiInputValidator.ValidateMediaPath(filePath);
+
+        var repository = GetRepository();
+
+        return await repository.GetPathTypeAsync(filePath, _options.BranchName, cancellationToken) == GitTreeEntryKind.Blob;
+    }
+
+    public async Task<string?> GetMediaFileBlobIdAsync(string filePath, CancellationToken cancellationToken = default)
+    {
+        WikiInputValidator.ValidateMediaPath(filePath);
+
+        var repository = GetRepository();
+        var directory = Path.GetDirectoryName(filePath) ?? string.Empty;
+        var fileName = Path.GetFileName(filePath);
+
+        try
+        {
+            await foreach (var item in repository.EnumerateCommitTreeAsync(_options.BranchName, string.IsNullOrEmpty(directory) ? null : directory, SearchOption.TopDirectoryOnly, cancellationToken))
+            {
+                if (item.Entry.Kind == GitTreeEntryKind.Blob && string.Equals(Path.GetFileName(item.Path), fileName, StringComparison.Ordinal))
+                {
+                    return item.Entry.Hash.Value;
+                }
+            }
+        }
+        catch (DirectoryNotFoundException)
+        {
+            // Directory doesn't exist
+        }
+
+        return null;
+    }
+
+    public async Task<List<Models.MediaFileInfo>> GetAllMediaFilesAsync(bool includeLastModified, CancellationToken cancellationToken = default)
     {
         var repository = GetRepository();
         var mediaFiles = new List<Models.MediaFileInfo>();
 
         try
         {
+            // The tree gives the blob of each file, without reading the content of the files
             await foreach (var item in repository.EnumerateCommitTreeAsync(_options.BranchName, null, SearchOption.AllDirectories, cancellationToken))
             {
                 if (item.Entry.Kind == GitTreeEntryKind.Blob)
@@ -319,11 +430,28 @@ public sealed class WikiPageService : IWikiPageService
                         {
                             AbsolutePath = item.Path,
                             FileName = Path.GetFileName(item.Path),
-                            MediaType = ContentTypeHelper.GetMediaType(extension)
+                            MediaType = ContentTypeHelper.GetMediaType(extension),
+                            BlobId = item.Entry.Hash.Value
                         });
                     }
                 }
             }
+
+            // The date of the last change requires walking the history of the branch
+            if (includeLastModified && mediaFiles.Count > 0)
+            {
+                var files = await repository.ListFilesWithLastChangeAsync(_options.BranchName, null,
+                    path => _options.AllowedMediaExtensions.Contains(Path.GetExtension(path).ToLowerInvariant()), SearchOption.AllDirectories, cancellationToken);
+
+                var lastChanges = files.ToDictionary(file => file.Path, file => file.Commit.Metadata.AuthorDate, StringComparer.Ordinal);
+                foreach (var mediaFile in mediaFiles)
+                {
+                    if (lastChanges.TryGetValue(mediaFile.AbsolutePath, out var lastModified))
+                    {
+                        mediaFile.LastModified = lastModified;
+                    }
+                }
+            }
         }
         catch (Exception)
         {
@@ -332,4 +460,128 @@ public sealed class WikiPageService : IWikiPageService
 
         return mediaFiles.OrderBy(m => m.AbsolutePath).ToList();
     }
+
+    public async Task<string> AddMediaFileAsync(string filePath, byte[] content, IWikiUser author, CancellationToken cancellationToken = default)
+    {
+        WikiInputValidator.ValidateMediaPath(filePath);
+
+        var repository = GetRepository();
+
+        var finalFilePath = await GetAvailableMediaPathAsync(repository, filePath, _ => false, cancellationToken);
+
+        var metadata = new GitCommitMetadata($"Upload {finalFilePath}", WikiUserHelper.CreateGitCommitSignature(author));
+
+        await repository.CreateCommitAsync(_options.BranchName, [new AddFileOperation(finalFilePath, content)], metadata, cancellationToken);
+
+        return finalFilePath;
+    }
+
+    public async Task<List<WikiPageInfo>> GetMediaReferencesAsync(string filePath, CancellationToken cancellationToken = default)
+    {
+        WikiInputValidator.ValidateMediaPath(filePath);
+
+        var pages = await GetPagesReferencingMediaAsync(GetRepository(), filePath, cancellationToken);
+
+        return pages
+            .Select(p => new WikiPageInfo
+            {
+                PageName = p.PageName,
+                Culture = p.Culture,
+                Title = _titleCache.ExtractAndCacheTitle(p.PageName, p.Culture, p.Content)
+            })
+            .OrderBy(p => p.PageName)
+            .ThenBy(p => p.Culture)
+            .ToList();
+    }
+
+    public async Task<List<WikiPageInfo>> MoveMediaFileAsync(string filePath, string newFilePath, IWikiUser author, CancellationToken cancellationToken = default)
+    {
+        WikiInputValidator.ValidateMediaPath(filePath);
+        WikiInputValidator.ValidateMediaPath(newFilePath);
+
+        var repository = GetRepository();
+
+        if (await repository.GetPathTypeAsync(filePath, _options.BranchName, cancellationToken) != GitTreeEntryKind.Blob)
+        {
+            throw new InvalidOperationException("Cannot move a media file that does not exist.");
+        }
+
+        if (await repository.GetPathTypeAsync(newFilePath, _options.BranchName, cancellationToken) != null)
+        {
+            throw new InvalidOperationException("Cannot move a media file where a file or a directory already exists.");
+        }
+
+        var content = await repository.ReadFileAsync(filePath, _options.BranchName, cancellationToken);
+
+        var operations = new List<GitCommitOperation>
+        {
+            new RemoveFileOperation(filePath),
+            new AddFileOperation(newFilePath, content)
+        };
+
+        // Update the pages that link to the file, in the same commit
+        var pages = await GetPagesReferencingMediaAsync(repository, filePath, cancellationToken);
+        var updatedPages = new List<WikiPageInfo>();
+        foreach (var page in pages)
+        {
+            var newContent = MarkdownMediaReferenceHelper.ReplaceMediaReferences(page.Content, page.PageName, filePath, newFilePath);
+            operations.Add(new UpdateFileOperation(page.FilePath, Encoding.UTF8.GetBytes(newContent)));
+            updatedPages.Add(new WikiPageInfo
+            {
+                PageName = page.PageName,
+                Culture = page.Culture,
+                Title = _titleCache.ExtractAndCacheTitle(page.PageName, page.Culture, newContent)
+            });
+        }
+
+        var metadata = new GitCommitMetadata($"Move {filePath} to {newFilePath}", WikiUserHelper.CreateGitCommitSignature(author));
+
+        await repository.CreateCommitAsync(_options.BranchName, operations, metadata, cancellationToken);
+
+        return updatedPages;
+    }
+
+    public async Task DeleteMediaFileAsync(string filePath, IWikiUser author, CancellationToken cancellationToken = default)
+    {
+        WikiInputValidator.ValidateMediaPath(filePath);
+
+        var repository = GetRepository();
+
+        if (await repository.GetPathTypeAsync(filePath, _options.BranchName, cancellationToken) != GitTreeEntryKind.Blob)
+        {
+            throw new InvalidOperationException("Cannot delete a media file that does not exist.");
+        }
+
+        if ((await GetPagesReferencingMediaAsync(repository, filePath, cancellationToken)).Count > 0)
+        {
+            throw new InvalidOperationException("Cannot delete a media file that is referenced by a page.");
+        }
+
+        var metadata = new GitCommitMetadata($"Delete {filePath}", WikiUserHelper.CreateGitCommitSignature(author));
+
+        await repository.CreateCommitAsync(_options.BranchName, [new RemoveFileOperation(filePath)], metadata, cancellationToken);
+    }
+
+    private async Task<List<(string FilePath, string PageName, string? Culture, string Content)>> GetPagesReferencingMediaAsync(IGitRepository repository, string mediaPath, CancellationToken cancellationToken)
+    {
+        var pages = new List<(string FilePath, string PageName, string? Culture, string Content)>();
+
+        await foreach (var item in repository.EnumerateCommitTreeAsync(_options.BranchName, null, SearchOption.AllDirectories, cancellationToken))
+        {
+            if (item.Entry.Kind != GitTreeEntryKind.Blob || !item.Path.EndsWith(".md", StringComparison.OrdinalIgnoreCase))
+            {
+                continue;
+            }
+
+            var (pageName, culture) = WikiFilePathHelper.ParsePagePath(item.Path);
+            var content = Encoding.UTF8.GetString(await repository.ReadFileAsync(item.Path, _options.BranchName, cancellationToken));
+
+            if (MarkdownMediaReferenceHelper.ReferencesMedia(content, pageName, mediaPath))
+            {
+                pages.Add((item.Path, pageName, culture, content));
+            }
+        }
+
+        return pages;
+    }
 }
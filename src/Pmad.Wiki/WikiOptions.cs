@@ -62,4 +62,39 @@ public class WikiOptions
         ".mp4", ".webm", ".ogg", 
         ".pdf"
     };
+
+    /// <summary>
+    /// Gets or sets the maximum size, in bytes, of an uploaded media file.
+    /// </summary>
+    /// <remarks>The request size limits of the server still apply: above 28.6 MB, also raise <c>KestrelServerOptions.Limits.MaxRequestBodySize</c>
+    /// (or <c>maxAllowedContentLength</c> with IIS), and above 128 MB <c>FormOptions.MultipartBodyLengthLimit</c>.</remarks>
+    public long MaxMediaFileSize { get; set; } = 10 * 1024 * 1024;
+
+    /// <summary>
+    /// Gets or sets the maximum width or height, in pixels, of uploaded images.
+    /// </summary>
+    /// <remarks>Larger PNG, JPEG and WebP images are downscaled by the editor before being uploaded. If not set, images are uploaded at their original size.</remarks>
+    public int? UploadImageMaxDimension { get; set; }
+
+    /// <summary>
+    /// Gets or sets the MIME type images are converted to by the editor before being uploaded (e.g. "image/webp" or "image/jpeg").
+    /// </summary>
+    /// <remarks>If not set, images keep their original format. The matching extension must be allowed by <see cref="AllowedMediaExtensions"/>.</remarks>
+    public string? UploadImageFormat { get; set; }
+
+    /// <summary>
+    /// Gets or sets the quality, between 0 and 1, used when the editor encodes images as JPEG or WebP.
+    /// </summary>
+    public double UploadImageQuality { get; set; } = 0.85;
+
+    /// <summary>
+    /// Gets or sets the maximum width and height, in pixels, of the image thumbnails displayed by the media gallery.
+    /// </summary>
+    public int MediaThumbnailSize { get; set; } = 320;
+
+    /// <summary>
+    /// Gets or sets the url of the PlantUML server that renders the plantuml code blocks (e.g. "https://plantuml.example.com/plantuml").
+    /// </summary>
+    /// <remarks>Diagrams are sent to this server by the browser of the reader. If not set, plantuml code blocks are displayed as code.</remarks>
+    public string? PlantUmlServerUrl { get; set; }
 }
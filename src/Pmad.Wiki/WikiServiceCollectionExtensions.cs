@@ -21,6 +21,8 @@ public static class WikiServiceCollectionExtensions
         services.AddScoped<IWikiPageEditService, WikiPageEditService>();
         services.AddScoped<IWikiTemplateService, WikiTemplateService>();
         services.AddScoped<IWikiPagePermissionHelper, WikiPagePermissionHelper>();
+        services.AddScoped<IMediaThumbnailService, MediaThumbnailService>();
+        services.AddScoped<IMediaMetadataService, MediaMetadataService>();
 
         services.AddMemoryCache();
         services.AddGitRepositoryService();
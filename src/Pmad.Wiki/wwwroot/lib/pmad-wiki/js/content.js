@@ -0,0 +1,487 @@
+/*
+ * Enhancements of the rendered wiki content, shared by the page views and the preview of the editor.
+ *
+ * The content of the page views is enhanced once loaded, the preview of the editor calls PmadWikiContent.enhance()
+ * each time it is rendered.
+ */
+(function () {
+    'use strict';
+
+    let config = {
+        labels: {
+            copyCode: 'Copy',
+            codeCopied: 'Copied!',
+            diagramFailed: 'Failed to render the diagram:',
+            copyLink: 'Copy link to this section',
+            linkCopied: 'Link copied!',
+            taskUpdateFailed: 'Failed to update the task. Please try again.',
+            editSection: 'Edit section',
+            close: 'Close'
+        },
+        mermaid: {
+            script: '/lib/mermaid/js/mermaid.min.js'
+        },
+        plantUml: {
+            serverUrl: null
+        },
+        katex: {
+            script: '/lib/katex/js/katex.min.js',
+            style: '/lib/katex/css/katex.min.css'
+        }
+    };
+
+    // Diagrams: mermaid is rendered in the browser, PlantUML by the server configured by the host application
+    let mermaidLoading = null;
+    let diagramCount = 0;
+
+    function loadMermaid() {
+        if (!mermaidLoading) {
+            mermaidLoading = new Promise((resolve, reject) => {
+                const script = document.createElement('script');
+                script.src = config.mermaid.script;
+                script.onload = () => {
+                    window.mermaid.initialize({ startOnLoad: false, securityLevel: 'strict' });
+                    resolve(window.mermaid);
+                };
+                script.onerror = () => {
+                    mermaidLoading = null;
+                    reject(new Error(`Failed to load ${config.mermaid.script}`));
+                };
+                document.head.appendChild(script);
+            });
+        }
+        return mermaidLoading;
+    }
+
+    async function renderDiagrams(container) {
+        // Markdig renders mermaid blocks as <div class="mermaid">, other renderers may keep them as code blocks
+        const mermaidBlocks = Array.from(container.querySelectorAll('div.mermaid:not([data-diagram-rendered]), pre > code.language-mermaid'))
+            .map(element => element.tagName === 'CODE' ? replaceCodeBlock(element, 'mermaid') : element);
+
+        if (config.plantUml.serverUrl) {
+            container.querySelectorAll('pre > code.language-plantuml, pre > code.language-puml').forEach(code => {
+                renderPlantUml(replaceCodeBlock(code, 'plantuml'));
+            });
+        }
+
+        if (mermaidBlocks.length === 0) return;
+
+        let mermaid;
+        try {
+            mermaid = await loadMermaid();
+        } catch (error) {
+            console.error('Failed to load mermaid:', error);
+            return;
+        }
+
+        for (const block of mermaidBlocks) {
+            const source = block.textContent;
+            block.dataset.diagramRendered = 'true';
+            try {
+                const { svg } = await mermaid.render(`wiki-diagram-${++diagramCount}`, source);
+                block.innerHTML = svg;
+            } catch (error) {
+                showDiagramError(block, source, error);
+            }
+        }
+    }
+
+    function replaceCodeBlock(code, className) {
+        const pre = code.parentElement;
+        const block = document.createElement('div');
+        block.className = className;
+        Array.from(pre.attributes).filter(attribute => attribute.name.startsWith('data-'))
+            .forEach(attribute => block.setAttribute(attribute.name, attribute.value));
+        block.textContent = code.textContent;
+        pre.replaceWith(block);
+        return block;
+    }
+
+    function renderPlantUml(block) {
+        // The "~h" prefix tells the PlantUML server that the diagram is hex encoded
+        const bytes = new TextEncoder().encode(block.textContent);
+        const hex = Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+        const source = block.textContent;
+
+        const image = document.createElement('img');
+        image.src = `${config.plantUml.serverUrl.replace(/\/$/, '')}/svg/~h${hex}`;
+        image.alt = '';
+        image.className = 'img-fluid';
+        image.addEventListener('error', () => showDiagramError(block, source, new Error(image.src)));
+
+        block.dataset.diagramRendered = 'true';
+        block.textContent = '';
+        block.appendChild(image);
+    }
+
+    function showDiagramError(block, source, error) {
+        console.error('Failed to render diagram:', error);
+
+        const alert = document.createElement('div');
+        alert.className = 'alert alert-warning small';
+        alert.textContent = `${config.labels.diagramFailed} ${error.message || error}`;
+        const pre = document.createElement('pre');
+        pre.textContent = source;
+
+        block.innerHTML = '';
+        block.appendChild(alert);
+        block.appendChild(pre);
+    }
+
+    // Math: Markdig renders $...$ as <span class="math">\(...\)</span> and $$...$$ as <div class="math">\[...\]</div>
+    let katexLoading = null;
+
+    function loadKatex() {
+        if (!katexLoading) {
+            katexLoading = new Promise((resolve, reject) => {
+                const style = document.createElement('link');
+                style.rel = 'stylesheet';
+                style.href = config.katex.style;
+                document.head.appendChild(style);
+
+                const script = document.createElement('script');
+                script.src = config.katex.script;
+                script.onload = () => resolve(window.katex);
+                script.onerror = () => {
+                    katexLoading = null;
+                    reject(new Error(`Failed to load ${config.katex.script}`));
+                };
+                document.head.appendChild(script);
+            });
+        }
+        return katexLoading;
+    }
+
+    async function renderMath(container) {
+        const elements = Array.from(container.querySelectorAll('.math:not([data-math-rendered])'));
+        if (elements.length === 0) return;
+
+        let katex;
+        try {
+            katex = await loadKatex();
+        } catch (error) {
+            console.error('Failed to load KaTeX:', error);
+            return;
+        }
+
+        elements.forEach(element => {
+            const tex = element.textContent.trim().replace(/^\\[([]/, '').replace(/\\[)\]]$/, '');
+            element.dataset.mathRendered = 'true';
+            // Invalid expressions are displayed in red with the error as tooltip, instead of throwing
+            katex.render(tex, element, { displayMode: element.tagName === 'DIV', throwOnError: false });
+        });
+    }
+
+    // Code blocks: syntax highlighting, copy button and optional line numbers
+    function enhanceCodeBlocks(container) {
+        container.querySelectorAll('pre > code').forEach(code => {
+            const pre = code.parentElement;
+            if (pre.parentElement.classList.contains('wiki-code-block')) return;
+
+            const language = Array.from(code.classList).find(name => name.startsWith('language-'))?.substring(9);
+            if (language && window.hljs && window.hljs.getLanguage(language)) {
+                window.hljs.highlightElement(code);
+            }
+
+            const block = document.createElement('div');
+            block.className = 'wiki-code-block';
+            pre.parentElement.insertBefore(block, pre);
+            block.appendChild(pre);
+
+            // Line numbers are enabled per block with an attribute, e.g. ```bash {.line-numbers}
+            if (code.classList.contains('line-numbers') || pre.classList.contains('line-numbers')) {
+                const lineCount = code.textContent.replace(/\n$/, '').split('\n').length;
+                const lineNumbers = document.createElement('span');
+                lineNumbers.className = 'wiki-code-line-numbers';
+                lineNumbers.setAttribute('aria-hidden', 'true');
+                lineNumbers.textContent = Array.from({ length: lineCount }, (_, i) => i + 1).join('\n');
+                pre.insertBefore(lineNumbers, code);
+                pre.classList.add('has-line-numbers');
+            }
+
+            if (navigator.clipboard) {
+                block.appendChild(createCopyButton(code));
+            }
+        });
+    }
+
+    function createCopyButton(code) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'btn btn-sm btn-light wiki-code-copy';
+        button.title = config.labels.copyCode;
+        button.setAttribute('aria-label', config.labels.copyCode);
+        button.innerHTML = '<i class="bi bi-clipboard"></i>';
+
+        let resetTimer = null;
+        button.addEventListener('click', async function () {
+            try {
+                await navigator.clipboard.writeText(code.textContent);
+                button.innerHTML = '<i class="bi bi-clipboard-check"></i>';
+                button.title = config.labels.codeCopied;
+                clearTimeout(resetTimer);
+                resetTimer = setTimeout(() => {
+                    button.innerHTML = '<i class="bi bi-clipboard"></i>';
+                    button.title = config.labels.copyCode;
+                }, 2000);
+            } catch (error) {
+                console.error('Failed to copy code:', error);
+            }
+        });
+
+        return button;
+    }
+
+    // Table of contents, built from the headings and the identifiers generated by Markdig
+    function getTocHeadings(container) {
+        const headings = Array.from(container.querySelectorAll('h1[id], h2[id], h3[id], h4[id]'));
+
+        // A single level 1 heading is the title of the page
+        const titles = headings.filter(heading => heading.tagName === 'H1');
+        return titles.length === 1 ? headings.filter(heading => heading !== titles[0]) : headings;
+    }
+
+    function createTocList(headings) {
+        const root = document.createElement('ul');
+        root.className = 'wiki-toc-list';
+        const stack = [];
+
+        headings.forEach(heading => {
+            const level = Number(heading.tagName.substring(1));
+            while (stack.length > 0 && stack[stack.length - 1].level >= level) {
+                stack.pop();
+            }
+
+            let list = root;
+            const parent = stack[stack.length - 1];
+            if (parent) {
+                if (!parent.children) {
+                    parent.children = document.createElement('ul');
+                    parent.item.appendChild(parent.children);
+                }
+                list = parent.children;
+            }
+
+            const item = document.createElement('li');
+            const link = document.createElement('a');
+            link.href = `#${heading.id}`;
+            link.textContent = heading.textContent.trim();
+            item.appendChild(link);
+            list.appendChild(item);
+
+            stack.push({ level: level, item: item, children: null });
+        });
+
+        return root;
+    }
+
+    // A paragraph containing only [TOC] is replaced by the table of contents
+    function renderTocMarkers(container) {
+        const markers = Array.from(container.querySelectorAll('p')).filter(p => p.textContent.trim().toUpperCase() === '[TOC]');
+        if (markers.length === 0) return;
+
+        const headings = getTocHeadings(container);
+        markers.forEach(marker => {
+            const toc = document.createElement('nav');
+            toc.className = 'wiki-toc-inline';
+            Array.from(marker.attributes).filter(attribute => attribute.name.startsWith('data-'))
+                .forEach(attribute => toc.setAttribute(attribute.name, attribute.value));
+            if (headings.length > 0) {
+                toc.appendChild(createTocList(headings));
+            }
+            marker.replaceWith(toc);
+        });
+    }
+
+    function addHeadingAnchors(container) {
+        container.querySelectorAll('h1[id], h2[id], h3[id], h4[id], h5[id], h6[id]').forEach(heading => {
+            if (heading.querySelector('.wiki-heading-anchor')) return;
+
+            const anchor = document.createElement('a');
+            anchor.className = 'wiki-heading-anchor';
+            anchor.href = `#${heading.id}`;
+            anchor.title = config.labels.copyLink;
+            anchor.setAttribute('aria-label', config.labels.copyLink);
+            anchor.innerHTML = '<i class="bi bi-link-45deg"></i>';
+
+            anchor.addEventListener('click', async function (e) {
+                e.preventDefault();
+                history.replaceState(null, '', anchor.hash);
+                heading.scrollIntoView();
+                try {
+                    await navigator.clipboard.writeText(anchor.href);
+                    anchor.title = config.labels.linkCopied;
+                    setTimeout(() => anchor.title = config.labels.copyLink, 2000);
+                } catch (error) {
+                    console.error('Failed to copy link:', error);
+                }
+            });
+
+            heading.appendChild(anchor);
+        });
+    }
+
+    // Sticky table of contents of the page view, highlighting the section being read
+    function initTocSidebar(toc, container) {
+        const headings = getTocHeadings(container);
+        if (headings.length < 2) return;
+
+        const body = toc.querySelector('.wiki-toc-body');
+        body.appendChild(createTocList(headings));
+        toc.closest('.wiki-toc-column')?.classList.remove('d-none');
+
+        const links = new Map(Array.from(body.querySelectorAll('a'), link => [decodeURIComponent(link.hash.substring(1)), link]));
+        let activeLink = null;
+        let scrollRequest = null;
+
+        function updateActiveLink() {
+            scrollRequest = null;
+
+            // The current section is the last one whose heading is above the top quarter of the window
+            const limit = window.innerHeight / 4;
+            let current = headings[0];
+            for (const heading of headings) {
+                if (heading.getBoundingClientRect().top > limit) break;
+                current = heading;
+            }
+
+            const link = links.get(current.id);
+            if (link !== activeLink) {
+                activeLink?.classList.remove('active');
+                link?.classList.add('active');
+                activeLink = link;
+            }
+        }
+
+        window.addEventListener('scroll', () => {
+            if (!scrollRequest) {
+                scrollRequest = requestAnimationFrame(updateActiveLink);
+            }
+        }, { passive: true });
+        updateActiveLink();
+    }
+
+    // Links of the page view to edit the section of each heading, for the users allowed to edit the page
+    function addSectionEditLinks(container) {
+        const url = container.dataset.editSectionUrl;
+        if (!url) return;
+
+        container.querySelectorAll('[data-section-line]').forEach(heading => {
+            const link = document.createElement('a');
+            link.className = 'wiki-section-edit';
+            const href = new URL(url, window.location.href);
+            href.searchParams.set('section', heading.dataset.sectionLine);
+            link.href = href;
+            link.title = config.labels.editSection;
+            link.setAttribute('aria-label', config.labels.editSection);
+            link.innerHTML = '<i class="bi bi-pencil"></i>';
+            heading.appendChild(link);
+        });
+    }
+
+    // Task lists of the page view, checked and unchecked by the users allowed to edit the page
+    function initTaskToggles(container) {
+        const url = container.dataset.toggleTaskUrl;
+        const tokenInput = document.querySelector('input[name="__RequestVerificationToken"]');
+        if (!url || !tokenInput) return;
+
+        // Updates are sent one at a time, each one needs the version saved by the previous one
+        let updates = Promise.resolve();
+
+        container.querySelectorAll('li[data-task-line]').forEach(item => {
+            const checkbox = item.querySelector('input[type="checkbox"]');
+            if (!checkbox || checkbox.closest('li') !== item) return;
+
+            checkbox.disabled = false;
+            checkbox.classList.add('wiki-task-checkbox');
+            checkbox.addEventListener('change', function () {
+                const isChecked = checkbox.checked;
+                checkbox.disabled = true;
+                updates = updates.then(async () => {
+                    try {
+                        const formData = new FormData();
+                        formData.append('line', item.dataset.taskLine);
+                        formData.append('isChecked', isChecked);
+                        formData.append('contentHash', container.dataset.contentHash);
+
+                        const response = await fetch(url, {
+                            method: 'POST',
+                            headers: { 'RequestVerificationToken': tokenInput.value },
+                            body: formData
+                        });
+                        const result = await response.json().catch(() => null);
+                        if (!response.ok) {
+                            throw new Error(result?.error || config.labels.taskUpdateFailed);
+                        }
+                        container.dataset.contentHash = result.contentHash;
+                    } catch (error) {
+                        console.error('Task update error:', error);
+                        checkbox.checked = !isChecked;
+                        showTaskError(container, error.message);
+                    } finally {
+                        checkbox.disabled = false;
+                    }
+                });
+            });
+        });
+    }
+
+    function showTaskError(container, message) {
+        container.parentElement.querySelector('.wiki-task-error')?.remove();
+
+        const alert = document.createElement('div');
+        alert.className = 'alert alert-danger alert-dismissible wiki-task-error';
+        alert.setAttribute('role', 'alert');
+        alert.textContent = message;
+        const closeButton = document.createElement('button');
+        closeButton.type = 'button';
+        closeButton.className = 'btn-close';
+        closeButton.setAttribute('data-bs-dismiss', 'alert');
+        closeButton.setAttribute('aria-label', config.labels.close);
+        alert.appendChild(closeButton);
+
+        container.parentElement.insertBefore(alert, container);
+        alert.scrollIntoView({ block: 'nearest' });
+    }
+
+    /**
+     * Enhances the rendered markdown of an element.
+     * @param {HTMLElement} container The element containing the rendered markdown
+     * @returns {Promise} Resolved once the diagrams and the math are rendered
+     */
+    async function enhance(container) {
+        // The tables of contents use the text of the headings, before the math is typeset
+        renderTocMarkers(container);
+        addHeadingAnchors(container);
+
+        const diagrams = renderDiagrams(container);
+        const math = renderMath(container);
+        enhanceCodeBlocks(container);
+        await Promise.all([diagrams, math]);
+    }
+
+    window.PmadWikiContent = { enhance: enhance };
+
+    document.addEventListener('DOMContentLoaded', function () {
+        const configElement = document.getElementById('wiki-content-config');
+        if (configElement) {
+            try {
+                config = JSON.parse(configElement.textContent);
+            } catch (e) {
+                console.error('Failed to parse wiki content config:', e);
+            }
+        }
+
+        const contents = document.querySelectorAll('.wiki-content[data-wiki-content]');
+        const toc = document.getElementById('wiki-toc');
+        if (toc && contents.length > 0) {
+            initTocSidebar(toc, contents[0]);
+        }
+
+        contents.forEach(content => {
+            enhance(content);
+            addSectionEditLinks(content);
+            initTaskToggles(content);
+        });
+    });
+})();
@@ -5,13 +5,36 @@ document.addEventListener('DOMContentLoaded', function () {
     // Get configuration from the JSON script tag
     let config = {
         apiEndpoints: {
+            saveEdit: '/Wiki/SaveEdit',
             previewMarkdown: '/Wiki/PreviewMarkdown',
             uploadMedia: '/Wiki/UploadMedia',
-            getAccessiblePages: '/Wiki/GetAccessiblePages'
+            temporaryMedia: '/Wiki/TempMedia/__id__',
+            getTemporaryMedia: '/Wiki/GetTemporaryMedia',
+            discardTemporaryMedia: '/Wiki/DiscardTemporaryMedia',
+            getAccessiblePages: '/Wiki/GetAccessiblePages',
+            getMediaGallery: '/Wiki/GetMediaGallery',
+            getMediaFolders: '/Wiki/GetMediaFolders',
+            uploadMediaFile: '/Wiki/UploadMediaFile',
+            getMediaReferences: '/Wiki/GetMediaReferences',
+            moveMedia: '/Wiki/MoveMedia',
+            deleteMedia: '/Wiki/DeleteMedia'
         },
         currentPage: {
             pageName: '',
-            culture: ''
+            culture: '',
+            originalContentHash: null,
+            section: null
+        },
+        conflict: null,
+        mergely: {
+            script: '/lib/mergely/js/mergely.min.js',
+            style: '/lib/mergely/css/mergely.css'
+        },
+        upload: {
+            maxFileSize: 10 * 1024 * 1024,
+            imageMaxDimension: null,
+            imageFormat: null,
+            imageQuality: 0.85
         },
         labels: {
             edit: 'Edit', 
@@ -20,8 +43,34 @@ document.addEventListener('DOMContentLoaded', function () {
             failedToRenderPreview: 'Failed to render preview. Please try again.',
             uploading: 'Uploading...',
             uploadFailed: 'Upload failed:',
+            cancelUpload: 'Cancel upload',
+            fileTooLarge: 'File size exceeds the 10 MB limit.',
+            nameUploadedImage: 'Name the pasted image',
+            fileName: 'File name',
+            imageDescription: 'Image description',
+            upload: 'Upload',
+            cancel: 'Cancel',
+            uploadsInProgress: 'Wait for the uploads to complete before saving.',
+            discardUpload: 'Discard',
+            uploadedOn: 'Uploaded {0}',
+            unusedUploads: '{0} uploaded file(s) are no longer used in the page and will be deleted. Save anyway?',
             close: 'Close',
             failedToLoadPages: 'Failed to load pages. Please try again.',
+            failedToLoadMedia: 'Failed to load media gallery. Please try again.',
+            noPagesFound: 'No pages found.',
+            noMediaFound: 'No media files found.',
+            insert: 'Insert',
+            mediaReferences: 'Pages linking to this file',
+            mediaNotReferenced: 'This file is not linked from any page.',
+            moveMedia: 'Rename or move',
+            deleteMedia: 'Delete',
+            confirmDeleteMedia: 'Delete {0}?',
+            save: 'Save',
+            loading: 'Loading...',
+            mediaUploaded: '{0} file(s) uploaded.',
+            mediaMoved: 'File moved, {0} page(s) updated.',
+            mediaDeleted: 'File deleted.',
+            mediaOperationFailed: 'The operation failed. Please try again.',
             boldText: 'bold text',
             italicText: 'italic text',
             strikethroughText: 'strikethrough text',
@@ -32,7 +81,23 @@ document.addEventListener('DOMContentLoaded', function () {
             listItem: 'List item',
             quote: 'Quote',
             linkText: 'link text',
-            altText: 'alt text'
+            altText: 'alt text',
+            draftFound: 'An unsaved draft of this page from {0} was found.',
+            draftOutdated: 'The page has been modified since this draft was saved.',
+            restoreDraft: 'Restore draft',
+            discardDraft: 'Discard draft',
+            mergedContentApplied: 'Merged content has been copied to the editor. Review it and save again.',
+            currentVersionBy: 'Current version by {0}',
+            changesSinceBase: 'Changes by {0} since the version you started from',
+            insertTable: 'Insert table',
+            updateTable: 'Update table',
+            alignDefault: 'Default alignment',
+            alignLeft: 'Align left',
+            alignCenter: 'Align center',
+            alignRight: 'Align right',
+            columnAlignment: 'Column alignment',
+            anotherUser: 'another user',
+            failedToSave: 'Failed to save the page. Please try again.'
         }
     };
 
@@ -45,6 +110,10 @@ document.addEventListener('DOMContentLoaded', function () {
         }
     }
 
+    // Optional syntax highlighting and line numbers, wrapping the textarea before any edit
+    const markdownHighlighter = window.MarkdownHighlighter ? new window.MarkdownHighlighter(textarea) : null;
+    const editorElement = markdownHighlighter ? markdownHighlighter.element : textarea;
+
     // Track uploaded media files
     const uploadedMedia = new Set();
     const temporaryMediaIdsInput = document.getElementById('temporary-media-ids');
@@ -69,13 +138,6 @@ document.addEventListener('DOMContentLoaded', function () {
         commitMessageInput.addEventListener('input', checkForChanges);
     }
 
-    // Track when form is being submitted
-    if (form) {
-        form.addEventListener('submit', function () {
-            isFormSubmitting = true;
-        });
-    }
-
     // Warn before leaving page with unsaved changes
     window.addEventListener('beforeunload', function (e) {
         if (hasUnsavedChanges && !isFormSubmitting) {
@@ -86,14 +148,452 @@ document.addEventListener('DOMContentLoaded', function () {
         }
     });
 
+    // Local draft autosave and recovery
+    // A section has its own draft, it cannot be restored in place of the whole page
+    function getDraftStorageKey() {
+        const key = `pmad-wiki-draft:${config.currentPage.pageName}:${config.currentPage.culture || ''}`;
+        return config.currentPage.section != null ? `${key}:${config.currentPage.section}` : key;
+    }
+
+    let draftStorageKey = getDraftStorageKey();
+    const draftSaveInterval = 5000;
+    let isDraftDirty = false;
+
+    function readDraft() {
+        try {
+            const json = window.localStorage.getItem(draftStorageKey);
+            return json ? JSON.parse(json) : null;
+        } catch (e) {
+            console.error('Failed to read draft:', e);
+            return null;
+        }
+    }
+
+    function writeDraft(submitted) {
+        try {
+            window.localStorage.setItem(draftStorageKey, JSON.stringify({
+                content: textarea.value,
+                commitMessage: commitMessageInput ? commitMessageInput.value : '',
+                temporaryMediaIds: Array.from(uploadedMedia),
+                originalContentHash: config.currentPage.originalContentHash || null,
+                savedAt: Date.now(),
+                submitted: submitted
+            }));
+            isDraftDirty = false;
+        } catch (e) {
+            console.error('Failed to save draft:', e);
+        }
+    }
+
+    function clearDraft() {
+        try {
+            window.localStorage.removeItem(draftStorageKey);
+        } catch (e) {
+            console.error('Failed to clear draft:', e);
+        }
+        isDraftDirty = false;
+    }
+
+    function saveDraftIfNeeded() {
+        if (!isDraftDirty) return;
+
+        if (hasUnsavedChanges) {
+            writeDraft(false);
+        } else {
+            clearDraft();
+        }
+    }
+
+    function markDraftDirty() {
+        isDraftDirty = true;
+    }
+
+    function showDraftBanner(draft) {
+        const banner = document.createElement('div');
+        banner.id = 'draft-recovery-banner';
+        banner.className = 'alert alert-warning';
+        banner.setAttribute('role', 'alert');
+
+        const message = document.createElement('div');
+        message.textContent = config.labels.draftFound.replace('{0}', new Date(draft.savedAt).toLocaleString());
+        banner.appendChild(message);
+
+        if ((draft.originalContentHash || null) !== (config.currentPage.originalContentHash || null)) {
+            const outdated = document.createElement('div');
+            outdated.className = 'small';
+            outdated.textContent = config.labels.draftOutdated;
+            banner.appendChild(outdated);
+        }
+
+        const actions = document.createElement('div');
+        actions.className = 'mt-2';
+
+        const restoreButton = document.createElement('button');
+        restoreButton.type = 'button';
+        restoreButton.className = 'btn btn-sm btn-warning me-2';
+        restoreButton.textContent = config.labels.restoreDraft;
+        restoreButton.addEventListener('click', function () {
+            banner.remove();
+            restoreDraft(draft);
+        });
+
+        const discardButton = document.createElement('button');
+        discardButton.type = 'button';
+        discardButton.className = 'btn btn-sm btn-outline-secondary';
+        discardButton.textContent = config.labels.discardDraft;
+        discardButton.addEventListener('click', function () {
+            banner.remove();
+            clearDraft();
+        });
+
+        actions.appendChild(restoreButton);
+        actions.appendChild(discardButton);
+        banner.appendChild(actions);
+
+        form.parentElement.insertBefore(banner, form);
+    }
+
+    function restoreDraft(draft) {
+        insertTextWithUndo(textarea, 0, textarea.value.length, draft.content, 0);
+
+        if (commitMessageInput && draft.commitMessage) {
+            commitMessageInput.value = draft.commitMessage;
+        }
+
+        (draft.temporaryMediaIds || []).forEach(id => uploadedMedia.add(id));
+        updateTemporaryMediaIds();
+        if (recentUploadsPanel) {
+            renderRecentUploads();
+        }
+
+        checkForChanges();
+        writeDraft(false);
+    }
+
+    if (form) {
+        const existingDraft = readDraft();
+        if (existingDraft) {
+            // A submitted draft whose base version changed has been saved successfully
+            const isSaved = existingDraft.submitted
+                && (existingDraft.originalContentHash || null) !== (config.currentPage.originalContentHash || null);
+
+            if (isSaved || existingDraft.content === textarea.value) {
+                clearDraft();
+            } else {
+                showDraftBanner(existingDraft);
+            }
+        }
+
+        textarea.addEventListener('input', markDraftDirty);
+        if (commitMessageInput) {
+            commitMessageInput.addEventListener('input', markDraftDirty);
+        }
+
+        setInterval(saveDraftIfNeeded, draftSaveInterval);
+        window.addEventListener('pagehide', saveDraftIfNeeded);
+    }
+
+    // Conflict resolution, when the page was modified by someone else while editing
+    const mergePanel = document.getElementById('merge-panel');
+    const mergeBase = document.getElementById('merge-base');
+    const mergeBaseBody = document.getElementById('merge-base-body');
+    let merge = null;
+    let baseMerge = null;
+    let mergelyLoading = null;
+    let mergeAppliedAlert = null;
+
+    function loadMergely() {
+        if (typeof Mergely !== 'undefined') {
+            return Promise.resolve();
+        }
+
+        if (!mergelyLoading) {
+            mergelyLoading = new Promise((resolve, reject) => {
+                const style = document.createElement('link');
+                style.rel = 'stylesheet';
+                style.href = config.mergely.style;
+                document.head.appendChild(style);
+
+                const script = document.createElement('script');
+                script.src = config.mergely.script;
+                script.onload = resolve;
+                script.onerror = reject;
+                document.head.appendChild(script);
+            });
+        }
+        return mergelyLoading;
+    }
+
+    function showBaseChanges() {
+        // The changes of the other user, from the version the user started from to the current one
+        if (baseMerge) {
+            baseMerge.lhs(config.conflict.baseContent);
+            baseMerge.rhs(config.conflict.theirContent);
+        } else {
+            baseMerge = new Mergely('#merge-base-compare', {
+                lhs: config.conflict.baseContent,
+                rhs: config.conflict.theirContent,
+                license: 'mpl-separate-notice',
+                lhs_cmsettings: { readOnly: true },
+                rhs_cmsettings: { readOnly: true }
+            });
+        }
+    }
+
+    async function showConflict(conflict) {
+        if (!mergePanel) return;
+
+        config.conflict = conflict;
+
+        // When only a section was edited, the changes are merged into the whole page from now on
+        if (conflict.yourContent != null && config.currentPage.section != null) {
+            clearDraft();
+            config.currentPage.section = null;
+            draftStorageKey = getDraftStorageKey();
+            form.querySelector('input[name="Section"]').value = '';
+            document.getElementById('section-edit-alert')?.remove();
+            insertTextWithUndo(textarea, 0, textarea.value.length, conflict.yourContent, 0);
+        }
+
+        // The content in the editor is not saved until the conflict is resolved
+        initialContent = conflict.theirContent;
+        checkForChanges();
+        markDraftDirty();
+
+        const theirAuthor = conflict.theirAuthor || config.labels.anotherUser;
+        document.getElementById('merge-their-label').textContent = config.labels.currentVersionBy.replace('{0}', theirAuthor);
+        document.getElementById('merge-base-label').textContent = config.labels.changesSinceBase.replace('{0}', theirAuthor);
+        mergeBase.classList.toggle('d-none', conflict.baseContent == null);
+
+        if (mergeAppliedAlert) {
+            mergeAppliedAlert.remove();
+            mergeAppliedAlert = null;
+        }
+        mergePanel.classList.remove('d-none');
+
+        try {
+            await loadMergely();
+        } catch (e) {
+            console.error('Failed to load merge view:', e);
+            return;
+        }
+
+        if (merge) {
+            merge.lhs(textarea.value);
+            merge.rhs(conflict.theirContent);
+        } else {
+            merge = new Mergely('#merge-compare', {
+                lhs: textarea.value,
+                rhs: conflict.theirContent,
+                license: 'mpl-separate-notice',
+                rhs_cmsettings: { readOnly: true }
+            });
+        }
+        if (conflict.baseContent != null && mergeBaseBody.classList.contains('show')) {
+            showBaseChanges();
+        }
+        mergePanel.scrollIntoView({ block: 'start' });
+    }
+
+    if (mergePanel) {
+        // The view is created once expanded, so that it gets the size of its container
+        mergeBaseBody.addEventListener('shown.bs.collapse', function () {
+            if (merge && config.conflict.baseContent != null) {
+                showBaseChanges();
+            }
+        });
+
+        document.getElementById('merge-prev').addEventListener('click', function () {
+            if (merge) merge.scrollToDiff('prev');
+        });
+
+        document.getElementById('merge-next').addEventListener('click', function () {
+            if (merge) merge.scrollToDiff('next');
+        });
+
+        document.getElementById('merge-accept').addEventListener('click', function () {
+            if (merge) merge.mergeCurrentChange('lhs');
+        });
+
+        document.getElementById('merge-apply').addEventListener('click', function () {
+            if (!merge) return;
+
+            insertTextWithUndo(textarea, 0, textarea.value.length, merge.get('lhs'), 0);
+            checkForChanges();
+            markDraftDirty();
+
+            mergePanel.classList.add('d-none');
+            mergeAppliedAlert = createAlert(config.labels.mergedContentApplied, 'info');
+            mergePanel.parentElement.insertBefore(mergeAppliedAlert, mergePanel);
+            textarea.focus();
+        });
+
+        if (config.conflict) {
+            showConflict(config.conflict);
+        }
+    }
+
+    // Asynchronous save, keeping the editor state and undo history when the save fails
+    const saveButton = form ? form.querySelector('button[type="submit"]') : null;
+    const validationSummary = document.getElementById('validation-summary');
+    const originalContentHashInput = form ? form.querySelector('input[name="OriginalContentHash"]') : null;
+    let isSaving = false;
+
+    function setFieldValidationMessage(element, message) {
+        element.textContent = message;
+        element.classList.toggle('field-validation-error', !!message);
+        element.classList.toggle('field-validation-valid', !message);
+    }
+
+    function showValidationErrors(errors) {
+        form.querySelectorAll('[data-valmsg-for]').forEach(element => setFieldValidationMessage(element, ''));
+
+        const summaryMessages = [];
+        Object.entries(errors).forEach(([key, messages]) => {
+            const fieldMessage = key ? form.querySelector(`[data-valmsg-for="${CSS.escape(key)}"]`) : null;
+            if (fieldMessage) {
+                setFieldValidationMessage(fieldMessage, messages.join(' '));
+            } else {
+                summaryMessages.push(...messages);
+            }
+        });
+
+        if (!validationSummary) return;
+
+        let list = validationSummary.querySelector('ul');
+        if (!list) {
+            list = document.createElement('ul');
+            validationSummary.appendChild(list);
+        }
+        list.replaceChildren(...summaryMessages.map(message => {
+            const item = document.createElement('li');
+            item.textContent = message;
+            return item;
+        }));
+
+        validationSummary.classList.toggle('validation-summary-errors', summaryMessages.length > 0);
+        validationSummary.classList.toggle('validation-summary-valid', summaryMessages.length === 0);
+        if (summaryMessages.length > 0) {
+            validationSummary.scrollIntoView({ block: 'nearest' });
+        }
+    }
+
+    function setSavingState(saving) {
+        if (!saveButton) return;
+
+        saveButton.disabled = saving;
+        saveButton.setAttribute('aria-busy', saving ? 'true' : 'false');
+
+        const icon = saveButton.querySelector('i');
+        if (icon) {
+            icon.className = saving ? 'spinner-border spinner-border-sm' : 'bi bi-save';
+        }
+    }
+
+    function submitFormNatively() {
+        // Keep the draft until the server confirms the save, in case the session expired
+        if (hasUnsavedChanges) {
+            writeDraft(true);
+        } else {
+            clearDraft();
+        }
+
+        isFormSubmitting = true;
+        form.submit();
+    }
+
+    async function saveEdit() {
+        if (isSaving) return;
+
+        // Honor client-side validation when it is enabled on the form
+        if (window.jQuery && typeof window.jQuery(form).valid === 'function' && !window.jQuery(form).valid()) {
+            return;
+        }
+
+        // The content still holds placeholders for the files being uploaded
+        if (activeUploads.size > 0 || pendingUploads.length > 0 || namingUploads.size > 0) {
+            showValidationErrors({ '': [config.labels.uploadsInProgress] });
+            return;
+        }
+
+        // Only the uploads still linked from the page are saved and the others are deleted, the user may have removed a link by mistake
+        const unusedMedia = getUnusedTemporaryMedia();
+        if (unusedMedia.length > 0 && !window.confirm(config.labels.unusedUploads.replace('{0}', unusedMedia.length))) {
+            return;
+        }
+
+        isSaving = true;
+        setSavingState(true);
+
+        try {
+            const response = await fetch(config.apiEndpoints.saveEdit, {
+                method: 'POST',
+                headers: {
+                    'X-Requested-With': 'XMLHttpRequest'
+                },
+                body: new FormData(form)
+            });
+
+            const contentType = response.headers.get('Content-Type') || '';
+            if (!contentType.includes('application/json')) {
+                // Not handled by the save endpoint (e.g. expired session), let the server handle a regular post
+                submitFormNatively();
+                return;
+            }
+
+            const result = await response.json();
+            if (response.ok) {
+                clearDraft();
+                isFormSubmitting = true;
+                window.location.href = result.redirectUrl;
+                return;
+            }
+
+            if (result.originalContentHash && originalContentHashInput) {
+                originalContentHashInput.value = result.originalContentHash;
+                config.currentPage.originalContentHash = result.originalContentHash;
+            }
+
+            showValidationErrors(result.errors || {});
+
+            if (result.conflict) {
+                await showConflict(result.conflict);
+            }
+        } catch (error) {
+            console.error('Save error:', error);
+            showValidationErrors({ '': [config.labels.failedToSave] });
+        } finally {
+            isSaving = false;
+            setSavingState(false);
+        }
+    }
+
+    if (form) {
+        form.addEventListener('submit', function (e) {
+            e.preventDefault();
+            saveEdit();
+        });
+
+        // Ctrl+S saves the page instead of saving the HTML document
+        document.addEventListener('keydown', function (e) {
+            if ((e.ctrlKey || e.metaKey) && !e.altKey && !e.shiftKey && e.key.toLowerCase() === 's') {
+                e.preventDefault();
+                form.requestSubmit();
+            }
+        });
+    }
+
     // Preview toggle functionality
     const togglePreviewBtn = document.getElementById('togglePreview');
+    const toggleSplitViewBtn = document.getElementById('toggleSplitView');
+    const editorPanes = document.getElementById('editor-panes');
     const previewContainer = document.getElementById('preview-container');
     const previewContent = document.getElementById('preview-content');
     const previewLoading = document.getElementById('preview-loading');
     const previewButtonText = document.getElementById('previewButtonText');
     const markdownToolbarButtons = document.querySelectorAll('[data-markdown-action]');
     let isPreviewMode = false;
+    let isSplitMode = false;
     let previewDebounceTimer = null;
 
     function toggleEditingButtons(hide) {
@@ -110,17 +610,21 @@ document.addEventListener('DOMContentLoaded', function () {
 
     if (togglePreviewBtn && previewContainer && previewContent) {
         togglePreviewBtn.addEventListener('click', function () {
+            if (isSplitMode) {
+                setSplitMode(false);
+            }
+
             isPreviewMode = !isPreviewMode;
 
             if (isPreviewMode) {
-                textarea.classList.add("d-none");
+                editorElement.classList.add("d-none");
                 previewContainer.classList.remove("d-none");
                 previewButtonText.textContent = config.labels.edit;
                 togglePreviewBtn.querySelector('i').className = 'bi bi-pencil';
                 toggleEditingButtons(true);
                 updatePreview();
             } else {
-                textarea.classList.remove("d-none");
+                editorElement.classList.remove("d-none");
                 previewContainer.classList.add("d-none");
                 previewButtonText.textContent = config.labels.preview;
                 togglePreviewBtn.querySelector('i').className = 'bi bi-eye';
@@ -128,60 +632,18 @@ document.addEventListener('DOMContentLoaded', function () {
             }
         });
 
-        async function updatePreview() {
-            if (!isPreviewMode) return;
-
-            const markdown = textarea.value;
-
-            if (!markdown.trim()) {
-                const emptyMessage = document.createElement('p');
-                emptyMessage.className = 'text-muted';
-                emptyMessage.textContent = config.labels.noContentToPreview;
-                previewContent.innerHTML = '';
-                previewContent.appendChild(emptyMessage);
-                return;
-            }
-
-            previewLoading.classList.remove("d-none");
-            previewContent.classList.add("d-none");
-
-            try {
-                const token = document.querySelector('input[name="__RequestVerificationToken"]').value;
-
-                const request = {
-                    markdown: markdown,
-                    pageName: config.currentPage.pageName || null,
-                    culture: config.currentPage.culture || null
-                };
-
-                const response = await fetch(config.apiEndpoints.previewMarkdown, {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'RequestVerificationToken': token
-                    },
-                    body: JSON.stringify(request)
-                });
-
-                if (!response.ok) {
-                    throw new Error('Failed to render preview');
+        if (toggleSplitViewBtn && editorPanes) {
+            toggleSplitViewBtn.addEventListener('click', function () {
+                if (isPreviewMode) {
+                    togglePreviewBtn.click();
                 }
-
-                const html = await response.text();
-                previewContent.innerHTML = html;
-            } catch (error) {
-                console.error('Error rendering preview:', error);
-                previewContent.innerHTML = '';
-                previewContent.appendChild(createAlert(config.labels.failedToRenderPreview));
-            } finally {
-                previewLoading.classList.add("d-none");
-                previewContent.classList.remove("d-none");
-            }
+                setSplitMode(!isSplitMode);
+            });
         }
 
         // Auto-update preview on content change (debounced)
         textarea.addEventListener('input', function () {
-            if (isPreviewMode) {
+            if (isPreviewMode || isSplitMode) {
                 if (previewDebounceTimer) {
                     clearTimeout(previewDebounceTimer);
                 }
@@ -192,489 +654,2656 @@ document.addEventListener('DOMContentLoaded', function () {
         });
     }
 
-    // Drag and drop support for media upload
-    textarea.addEventListener('dragover', function (e) {
-        e.preventDefault();
-        e.stopPropagation();
-        textarea.classList.add('drag-over');
-    });
-
-    textarea.addEventListener('dragleave', function (e) {
-        e.preventDefault();
-        e.stopPropagation();
-        textarea.classList.remove('drag-over');
-    });
-
-    textarea.addEventListener('drop', async function (e) {
-        e.preventDefault();
-        e.stopPropagation();
-        textarea.classList.remove('drag-over');
-
-        const files = e.dataTransfer.files;
-        if (files.length > 0) {
-            await handleFileUploads(files);
-        }
-    });
-
-    // Paste support for media upload
-    textarea.addEventListener('paste', async function (e) {
-        const items = e.clipboardData?.items;
-        if (!items) return;
+    async function updatePreview() {
+        if (!isPreviewMode && !isSplitMode) return;
 
-        const files = [];
-        for (let i = 0; i < items.length; i++) {
-            if (items[i].kind === 'file') {
-                const file = items[i].getAsFile();
-                if (file) {
-                    files.push(file);
-                }
-            }
-        }
+        const markdown = textarea.value;
 
-        if (files.length > 0) {
-            e.preventDefault();
-            await handleFileUploads(files);
+        if (!markdown.trim()) {
+            const emptyMessage = document.createElement('p');
+            emptyMessage.className = 'text-muted';
+            emptyMessage.textContent = config.labels.noContentToPreview;
+            previewContent.innerHTML = '';
+            previewContent.appendChild(emptyMessage);
+            return;
         }
-    });
 
-    async function handleFileUploads(files) {
-        for (const file of files) {
-            await uploadFile(file);
+        // In split view, keep the previous rendering visible to avoid flickering while typing
+        if (!isSplitMode) {
+            previewLoading.classList.remove("d-none");
+            previewContent.classList.add("d-none");
         }
-    }
-
-    async function uploadFile(file) {
-        const formData = new FormData();
-        formData.append('file', file);
 
         try {
-            showUploadIndicator(file.name);
+            const token = document.querySelector('input[name="__RequestVerificationToken"]').value;
+
+            const request = {
+                markdown: markdown,
+                pageName: config.currentPage.pageName || null,
+                culture: config.currentPage.culture || null,
+                includeSourceLines: isSplitMode
+            };
 
-            const response = await fetch(config.apiEndpoints.uploadMedia, {
+            const response = await fetch(config.apiEndpoints.previewMarkdown, {
                 method: 'POST',
-                body: formData,
                 headers: {
-                    'RequestVerificationToken': document.querySelector('input[name="__RequestVerificationToken"]').value
-                }
+                    'Content-Type': 'application/json',
+                    'RequestVerificationToken': token
+                },
+                body: JSON.stringify(request)
             });
 
             if (!response.ok) {
-                const error = await response.json();
-                throw new Error(error.error || 'Upload failed');
+                throw new Error('Failed to render preview');
             }
 
-            const result = await response.json();
+            const html = await response.text();
+            previewContent.innerHTML = html;
+            await window.PmadWikiContent?.enhance(previewContent);
+        } catch (error) {
+            console.error('Error rendering preview:', error);
+            previewContent.innerHTML = '';
+            previewContent.appendChild(createAlert(config.labels.failedToRenderPreview));
+        } finally {
+            previewLoading.classList.add("d-none");
+            previewContent.classList.remove("d-none");
+        }
 
-            // Track the uploaded media
-            uploadedMedia.add(result.temporaryId);
-            updateTemporaryMediaIds();
+        if (isSplitMode) {
+            computeLineTops();
+            syncPreviewToTextarea();
+        }
+    }
 
-            // Insert markdown reference at cursor position
-            const markdownRef = isImageFile(file.name)
-                ? `![${file.name}](${result.url})`
-                : `[${file.name}](${result.url})`;
+    // Syntax highlighting toggle, the choice of the user is kept in the local storage
+    const toggleHighlightingBtn = document.getElementById('toggleHighlighting');
+    const highlightingStorageKey = 'pmad-wiki-editor-highlighting';
 
-            insertTextWithUndo(textarea, textarea.selectionStart, textarea.selectionEnd, markdownRef, markdownRef.length);
+    function setHighlighting(enabled) {
+        if (enabled) {
+            markdownHighlighter.enable();
+        } else {
+            markdownHighlighter.disable();
+        }
 
-            hideUploadIndicator();
-        } catch (error) {
-            console.error('Upload error:', error);
-            showUploadError(file.name, error.message);
-            hideUploadIndicator();
+        toggleHighlightingBtn.classList.toggle('active', enabled);
+        toggleHighlightingBtn.setAttribute('aria-pressed', enabled ? 'true' : 'false');
+
+        if (isSplitMode) {
+            computeLineTops();
+            syncPreviewToTextarea();
         }
     }
 
-    function updateTemporaryMediaIds() {
-        if (temporaryMediaIdsInput) {
-            temporaryMediaIdsInput.value = Array.from(uploadedMedia).join(',');
+    if (toggleHighlightingBtn) {
+        if (markdownHighlighter) {
+            let highlightingEnabled = false;
+            try {
+                highlightingEnabled = window.localStorage.getItem(highlightingStorageKey) === 'true';
+            } catch (e) {
+                console.error('Failed to read editor settings:', e);
+            }
+            setHighlighting(highlightingEnabled);
+
+            toggleHighlightingBtn.addEventListener('click', function () {
+                const enabled = !markdownHighlighter.enabled;
+                setHighlighting(enabled);
+                try {
+                    window.localStorage.setItem(highlightingStorageKey, enabled ? 'true' : 'false');
+                } catch (e) {
+                    console.error('Failed to save editor settings:', e);
+                }
+            });
+        } else {
+            toggleHighlightingBtn.classList.add('d-none');
         }
     }
 
-    function isImageFile(fileName) {
-        const ext = fileName.toLowerCase().split('.').pop();
-        return ['png', 'jpg', 'jpeg', 'gif', 'svg', 'webp'].includes(ext);
+    // Side-by-side preview with scroll synchronization
+    let lineTops = [];
+    let ignoreScrollOf = null;
+    const splitResizeObserver = window.ResizeObserver ? new ResizeObserver(onSplitResize) : null;
+
+    function setSplitMode(enabled) {
+        isSplitMode = enabled;
+
+        if (isSplitMode) {
+            editorPanes.classList.add('split-view');
+            previewContainer.classList.remove('d-none');
+            toggleSplitViewBtn.classList.add('active');
+            toggleSplitViewBtn.setAttribute('aria-pressed', 'true');
+            previewContainer.style.height = textarea.offsetHeight + 'px';
+            splitResizeObserver?.observe(textarea);
+            updatePreview();
+        } else {
+            editorPanes.classList.remove('split-view');
+            previewContainer.classList.add('d-none');
+            toggleSplitViewBtn.classList.remove('active');
+            toggleSplitViewBtn.setAttribute('aria-pressed', 'false');
+            previewContainer.style.height = '';
+            splitResizeObserver?.disconnect();
+        }
     }
 
-    function createAlert(message, type = 'danger') {
-        const alert = document.createElement('div');
-        alert.className = `alert alert-${type}`;
-        alert.textContent = message;
-        return alert;
+    function onSplitResize() {
+        if (!isSplitMode) return;
+        previewContainer.style.height = textarea.offsetHeight + 'px';
+        computeLineTops();
     }
 
-    function showUploadIndicator(fileName) {
-        const indicator = document.createElement('div');
-        indicator.id = 'upload-indicator';
-        indicator.className = 'alert alert-info';
+    // Measures the vertical offset of each source line, taking line wrapping into account
+    // Creates a hidden element laying out text exactly like the textarea
+    function createTextareaMirror() {
+        const style = window.getComputedStyle(textarea);
+        const mirror = document.createElement('div');
+
+        ['fontFamily', 'fontSize', 'fontWeight', 'fontStyle', 'lineHeight', 'letterSpacing', 'wordSpacing', 'tabSize',
+            'paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft', 'whiteSpace'].forEach(property => {
+            mirror.style[property] = style[property];
+        });
+        mirror.style.position = 'absolute';
+        mirror.style.visibility = 'hidden';
+        mirror.style.top = '0';
+        mirror.style.left = '-9999px';
+        mirror.style.boxSizing = 'border-box';
+        mirror.style.border = '0';
+        mirror.style.overflowWrap = 'break-word';
+        mirror.style.width = textarea.clientWidth + 'px';
+        return mirror;
+    }
 
-        const wrapper = document.createElement('div');
-        wrapper.className = 'd-flex align-items-center';
+    function computeLineTops() {
+        const style = window.getComputedStyle(textarea);
+        const mirror = createTextareaMirror();
 
-        const spinner = document.createElement('div');
-        spinner.className = 'spinner-border spinner-border-sm me-2';
-        spinner.setAttribute('role', 'status');
+        textarea.value.split('\n').forEach(line => {
+            const lineElement = document.createElement('div');
+            lineElement.textContent = line || '\u200b';
+            mirror.appendChild(lineElement);
+        });
 
-        const visuallyHidden = document.createElement('span');
-        visuallyHidden.className = 'visually-hidden';
-        visuallyHidden.textContent = config.labels.uploading;
+        document.body.appendChild(mirror);
+        lineTops = Array.from(mirror.children, child => child.offsetTop);
+        lineTops.push(mirror.scrollHeight - parseFloat(style.paddingBottom));
+        mirror.remove();
+    }
 
-        spinner.appendChild(visuallyHidden);
+    function getPreviewAnchors() {
+        const containerTop = previewContainer.getBoundingClientRect().top - previewContainer.scrollTop;
+        const anchors = [];
 
-        const textDiv = document.createElement('div');
-        textDiv.textContent = config.labels.uploading + ' ' + fileName;
+        previewContent.querySelectorAll('[data-source-line]').forEach(element => {
+            const line = parseInt(element.getAttribute('data-source-line'), 10);
+            const top = element.getBoundingClientRect().top - containerTop;
+            const last = anchors[anchors.length - 1];
 
-        wrapper.appendChild(spinner);
-        wrapper.appendChild(textDiv);
+            // Keep anchors strictly increasing on both axes (nested blocks may share a line)
+            if (!isNaN(line) && (!last || (line > last.line && top > last.top))) {
+                anchors.push({ line: line, top: top });
+            }
+        });
 
-        indicator.appendChild(wrapper);
-        textarea.parentElement.insertBefore(indicator, textarea);
+        return anchors;
     }
 
-    function hideUploadIndicator() {
-        const indicator = document.getElementById('upload-indicator');
-        if (indicator) {
-            indicator.remove();
-        }
+    function interpolate(value, fromStart, fromEnd, toStart, toEnd) {
+        if (fromEnd <= fromStart) return toStart;
+        return toStart + (value - fromStart) / (fromEnd - fromStart) * (toEnd - toStart);
     }
 
-    function showUploadError(fileName, errorMessage) {
-        const existingError = document.getElementById('upload-error');
-        if (existingError) {
-            existingError.remove();
+    function getTextareaTopLine() {
+        const position = textarea.scrollTop + parseFloat(window.getComputedStyle(textarea).paddingTop);
+        let index = 0;
+        while (index < lineTops.length - 2 && lineTops[index + 1] <= position) {
+            index++;
         }
+        return index + Math.min(1, Math.max(0, interpolate(position, lineTops[index], lineTops[index + 1], 0, 1)));
+    }
 
-        const errorAlert = document.createElement('div');
-        errorAlert.id = 'upload-error';
-        errorAlert.className = 'alert alert-danger alert-dismissible fade show';
-        errorAlert.setAttribute('role', 'alert');
-
-        const errorText = document.createElement('div');
-        const strongLabel = document.createElement('strong');
-        strongLabel.textContent = config.labels.uploadFailed;
-        errorText.appendChild(strongLabel);
-        errorText.appendChild(document.createTextNode(` ${fileName} - ${errorMessage}`));
+    function getLineTop(line) {
+        const index = Math.min(Math.floor(line), lineTops.length - 2);
+        return interpolate(line, index, index + 1, lineTops[index], lineTops[index + 1]);
+    }
 
-        const closeButton = document.createElement('button');
-        closeButton.type = 'button';
-        closeButton.className = 'btn-close';
-        closeButton.setAttribute('data-bs-dismiss', 'alert');
-        closeButton.setAttribute('aria-label', config.labels.close);
+    function setScrollTop(element, value) {
+        const maxScrollTop = element.scrollHeight - element.clientHeight;
+        const scrollTop = Math.max(0, Math.min(maxScrollTop, value));
+        if (Math.abs(element.scrollTop - scrollTop) >= 1) {
+            ignoreScrollOf = element;
+            element.scrollTop = scrollTop;
+        }
+    }
 
-        errorAlert.appendChild(errorText);
-        errorAlert.appendChild(closeButton);
+    function syncPreviewToTextarea() {
+        if (!isSplitMode || lineTops.length < 2) return;
 
-        textarea.parentElement.insertBefore(errorAlert, textarea);
+        if (textarea.scrollTop + textarea.clientHeight >= textarea.scrollHeight - 1) {
+            setScrollTop(previewContainer, previewContainer.scrollHeight);
+            return;
+        }
 
-        setTimeout(() => {
-            if (errorAlert.parentElement) {
-                errorAlert.classList.remove('show');
-                setTimeout(() => errorAlert.remove(), 150);
-            }
-        }, 5000);
-    }
+        const line = getTextareaTopLine();
+        const anchors = getPreviewAnchors();
+        let previous = { line: 0, top: 0 };
+        let next = { line: lineTops.length - 1, top: previewContainer.scrollHeight };
 
-    // Markdown formatting toolbar handlers
-    document.querySelectorAll('[data-markdown-action]').forEach(button => {
-        button.addEventListener('click', function (e) {
-            e.preventDefault();
-            const action = this.getAttribute('data-markdown-action');
-            if (action !== 'page-link') {
-                applyMarkdown(textarea, action);
+        for (const anchor of anchors) {
+            if (anchor.line <= line) {
+                previous = anchor;
+            } else {
+                next = anchor;
+                break;
             }
-        });
-    });
+        }
 
-    // Page link modal search
-    const pageSearchInput = document.getElementById('pageSearchInput');
-    const pageList = document.getElementById('pageList');
-    const pageListContainer = document.getElementById('pageListContainer');
-    const pageLinkModal = document.getElementById('pageLinkModal');
+        setScrollTop(previewContainer, interpolate(line, previous.line, next.line, previous.top, next.top));
+    }
 
-    let pagesLoaded = false;
+    function syncTextareaToPreview() {
+        if (!isSplitMode || lineTops.length < 2) return;
 
-    if (pageLinkModal) {
-        // Load pages when modal is shown
-        pageLinkModal.addEventListener('show.bs.modal', async function () {
-            if (!pagesLoaded) {
-                try {
-                    const currentPageName = config.currentPage.pageName;
-                    const response = await fetch(`${config.apiEndpoints.getAccessiblePages}?currentPageName=${encodeURIComponent(currentPageName)}`);
+        if (previewContainer.scrollTop + previewContainer.clientHeight >= previewContainer.scrollHeight - 1) {
+            setScrollTop(textarea, textarea.scrollHeight);
+            return;
+        }
 
-                    if (!response.ok) {
-                        throw new Error('Failed to load pages');
-                    }
+        const top = previewContainer.scrollTop;
+        const anchors = getPreviewAnchors();
+        let previous = { line: 0, top: 0 };
+        let next = { line: lineTops.length - 1, top: previewContainer.scrollHeight };
 
-                    const html = await response.text();
+        for (const anchor of anchors) {
+            if (anchor.top <= top) {
+                previous = anchor;
+            } else {
+                next = anchor;
+                break;
+            }
+        }
 
-                    if (pageList) {
-                        pageList.innerHTML = html;
-                        attachPageLinkHandlers();
-                    }
+        const line = interpolate(top, previous.top, next.top, previous.line, next.line);
+        setScrollTop(textarea, getLineTop(line) - parseFloat(window.getComputedStyle(textarea).paddingTop));
+    }
 
-                    pagesLoaded = true;
+    if (editorPanes && previewContainer) {
+        textarea.addEventListener('scroll', function () {
+            if (ignoreScrollOf === textarea) {
+                ignoreScrollOf = null;
+                return;
+            }
+            syncPreviewToTextarea();
+        });
 
-                    if (pageListContainer) {
-                        pageListContainer.style.display = 'none';
-                    }
-                    if (pageList) {
-                        pageList.style.display = '';
-                    }
-                } catch (error) {
-                    console.error('Error loading pages:', error);
-                    if (pageListContainer) {
-                        pageListContainer.innerHTML = '';
-                        pageListContainer.appendChild(createAlert(config.labels.failedToLoadPages));
-                    }
-                }
+        previewContainer.addEventListener('scroll', function () {
+            if (ignoreScrollOf === previewContainer) {
+                ignoreScrollOf = null;
+                return;
             }
+            syncTextareaToPreview();
         });
     }
 
-    function attachPageLinkHandlers() {
-        if (!pageList) return;
+    // Drag and drop support for media upload
+    textarea.addEventListener('dragover', function (e) {
+        e.preventDefault();
+        e.stopPropagation();
+        textarea.classList.add('drag-over');
+    });
 
-        const pageItems = pageList.querySelectorAll('.page-link-item');
+    textarea.addEventListener('dragleave', function (e) {
+        e.preventDefault();
+        e.stopPropagation();
+        textarea.classList.remove('drag-over');
+    });
 
-        pageItems.forEach(item => {
-            item.addEventListener('click', function () {
-                const relativePath = this.getAttribute('data-relative-path');
-                const pageTitle = this.getAttribute('data-page-title');
-                handlePageSelection(relativePath, pageTitle);
-            });
-        });
-    }
+    textarea.addEventListener('drop', function (e) {
+        e.preventDefault();
+        e.stopPropagation();
+        textarea.classList.remove('drag-over');
 
-    if (pageSearchInput && pageList) {
-        pageSearchInput.addEventListener('input', function () {
-            const searchTerm = this.value.toLowerCase();
-            const items = pageList.querySelectorAll('.page-link-item');
+        const files = e.dataTransfer.files;
+        if (files.length > 0) {
+            handleFileUploads(files);
+        }
+    });
+
+    // Paste support for media upload
+    textarea.addEventListener('paste', function (e) {
+        const items = e.clipboardData?.items;
+        if (!items) return;
 
-            items.forEach(item => {
-                const pageName = item.getAttribute('data-page-name').toLowerCase();
-                const pageTitle = (item.getAttribute('data-page-title') || '').toLowerCase();
+        const files = [];
+        for (let i = 0; i < items.length; i++) {
+            if (items[i].kind === 'file') {
+                const file = items[i].getAsFile();
+                if (file) {
+                    files.push(file);
+                }
+            }
+        }
 
-                if (pageName.includes(searchTerm) || pageTitle.includes(searchTerm)) {
-                    item.style.display = '';
+        if (files.length > 0) {
+            e.preventDefault();
+            // Clipboard images are all named "image.png" by the browser, let the user pick a meaningful name
+            insertUploadPlaceholders(files).forEach(upload => {
+                if (upload.file.type.startsWith('image/')) {
+                    promptPastedImageName(upload);
                 } else {
-                    item.style.display = 'none';
+                    enqueueUpload(upload);
                 }
             });
-        });
+        }
+    });
 
-        function handlePageSelection(relativePath, pageTitle) {
-            const modalElement = document.getElementById('pageLinkModal');
+    const maxParallelUploads = 3;
+    const pendingUploads = [];
+    const activeUploads = new Set();
+    const namingUploads = new Set();
+    let nextUploadId = 1;
 
-            modalElement.addEventListener('hidden.bs.modal', () => {
-                pageSearchInput.value = '';
-                const items = pageList.querySelectorAll('.page-link-item');
-                items.forEach(i => i.style.display = '');
-                insertWikiLink(textarea, relativePath, pageTitle);
-            }, { once: true });
+    function handleFileUploads(files) {
+        insertUploadPlaceholders(files).forEach(enqueueUpload);
+    }
 
-            const modal = bootstrap.Modal.getInstance(modalElement);
-            modal?.hide();
-        }
+    function insertUploadPlaceholders(files) {
+        const uploads = Array.from(files).map((file, index, all) => {
+            const id = nextUploadId++;
+            return {
+                id: id,
+                file: file,
+                altText: '',
+                // Unique token that stays in the content until the upload completes
+                placeholder: `[${config.labels.uploading} ${file.name}](upload:${id})`,
+                lineBreak: index < all.length - 1,
+                xhr: null,
+                element: null
+            };
+        });
+        if (uploads.length === 0) return uploads;
+
+        const placeholders = uploads.map(upload => upload.placeholder).join('\n');
+        insertTextWithUndo(textarea, textarea.selectionStart, textarea.selectionEnd, placeholders, placeholders.length);
+        return uploads;
     }
 
-    function applyMarkdown(textarea, action) {
-        const start = textarea.selectionStart;
-        const end = textarea.selectionEnd;
-        const selectedText = textarea.value.substring(start, end);
+    function enqueueUpload(upload) {
+        upload.element = createUploadQueueItem(upload);
+        pendingUploads.push(upload);
+        startPendingUploads();
+    }
 
-        let newText = '';
-        let cursorOffset = 0;
+    function getDefaultPastedImageName(file) {
+        const pageName = config.currentPage.pageName.split('/').pop() || 'image';
+        const now = new Date();
+        const pad = value => value.toString().padStart(2, '0');
+        const timestamp = `${now.getFullYear()}${pad(now.getMonth() + 1)}${pad(now.getDate())}-${pad(now.getHours())}${pad(now.getMinutes())}${pad(now.getSeconds())}`;
+        const extension = imageTypeExtensions[file.type] || file.name.match(/\.[^.]+$/)?.[0] || '.png';
+        return `${pageName}-${timestamp}${extension}`;
+    }
 
-        switch (action) {
-            case 'bold':
-                newText = `**${selectedText || config.labels.boldText}**`;
-                cursorOffset = selectedText ? newText.length : 2;
-                break;
-            case 'italic':
-                newText = `*${selectedText || config.labels.italicText}*`;
-                cursorOffset = selectedText ? newText.length : 1;
-                break;
-            case 'strikethrough':
-                newText = `~~${selectedText || config.labels.strikethroughText}~~`;
-                cursorOffset = selectedText ? newText.length : 2;
-                break;
-            case 'code':
-                newText = `\`${selectedText || config.labels.code}\``;
-                cursorOffset = selectedText ? newText.length : 1;
-                break;
-            case 'h1':
-                newText = `# ${selectedText || config.labels.heading1}`;
-                cursorOffset = selectedText ? newText.length : 2;
-                break;
-            case 'h2':
-                newText = `## ${selectedText || config.labels.heading2}`;
-                cursorOffset = selectedText ? newText.length : 3;
-                break;
-            case 'h3':
-                newText = `### ${selectedText || config.labels.heading3}`;
-                cursorOffset = selectedText ? newText.length : 4;
-                break;
-            case 'ul':
-                newText = selectedText ? selectedText.split('\n').map(line => `- ${line}`).join('\n') : `- ${config.labels.listItem}`;
-                cursorOffset = newText.length;
-                break;
-            case 'ol':
-                newText = selectedText ? selectedText.split('\n').map((line, i) => `${i + 1}. ${line}`).join('\n') : `1. ${config.labels.listItem}`;
-                cursorOffset = newText.length;
-                break;
-            case 'quote':
-                newText = selectedText ? selectedText.split('\n').map(line => `> ${line}`).join('\n') : `> ${config.labels.quote}`;
-                cursorOffset = newText.length;
-                break;
-            case 'link':
-                newText = `[${selectedText || config.labels.linkText}](url)`;
-                cursorOffset = selectedText ? newText.length - 4 : 1;
-                break;
-            case 'image':
-                newText = `![${selectedText || config.labels.altText}](image-url)`;
-                cursorOffset = selectedText ? newText.length - 11 : 2;
-                break;
-            case 'codeblock':
-                newText = `\`\`\`\n${selectedText || config.labels.code}\n\`\`\``;
-                cursorOffset = selectedText ? 4 + selectedText.length : 4;
-                break;
-            case 'hr':
-                newText = '\n---\n';
-                cursorOffset = newText.length;
-                break;
-            case 'table':
-                newText = '| Header 1 | Header 2 |\n| --- | --- |\n| Cell 1 | Cell 2 |';
-                cursorOffset = 2;
-                break;
-            default:
-                return;
+    function promptPastedImageName(upload) {
+        namingUploads.add(upload);
+
+        const defaultName = getDefaultPastedImageName(upload.file);
+        const extension = defaultName.match(/\.[^.]+$/)[0];
+
+        const prompt = document.createElement('div');
+        prompt.className = 'upload-name-prompt alert alert-secondary';
+        prompt.setAttribute('role', 'group');
+        prompt.setAttribute('aria-label', config.labels.nameUploadedImage);
+
+        const row = document.createElement('div');
+        row.className = 'row g-2 align-items-end';
+
+        function addField(id, labelText, value) {
+            const column = document.createElement('div');
+            column.className = 'col-sm';
+            const label = document.createElement('label');
+            label.className = 'form-label small mb-1';
+            label.htmlFor = id;
+            label.textContent = labelText;
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.id = id;
+            input.className = 'form-control form-control-sm';
+            input.value = value;
+            column.appendChild(label);
+            column.appendChild(input);
+            row.appendChild(column);
+            return input;
         }
 
-        insertTextWithUndo(textarea, start, end, newText, cursorOffset);
-    }
+        const nameInput = addField(`upload-name-${upload.id}`, config.labels.fileName, defaultName);
+        const altInput = addField(`upload-alt-${upload.id}`, config.labels.imageDescription, '');
+
+        const buttons = document.createElement('div');
+        buttons.className = 'col-sm-auto';
+        const uploadButton = document.createElement('button');
+        uploadButton.type = 'button';
+        uploadButton.className = 'btn btn-sm btn-primary me-1';
+        uploadButton.textContent = config.labels.upload;
+        const cancelButton = document.createElement('button');
+        cancelButton.type = 'button';
+        cancelButton.className = 'btn btn-sm btn-outline-secondary';
+        cancelButton.textContent = config.labels.cancel;
+        buttons.appendChild(uploadButton);
+        buttons.appendChild(cancelButton);
+        row.appendChild(buttons);
+        prompt.appendChild(row);
+
+        function close() {
+            namingUploads.delete(upload);
+            prompt.remove();
+            textarea.focus();
+        }
 
-    function insertWikiLink(textarea, relativePath, pageTitle) {
-        const start = textarea.selectionStart;
-        const end = textarea.selectionEnd;
-        const selectedText = textarea.value.substring(start, end);
+        function confirm() {
+            let fileName = nameInput.value.trim().replace(/[\\/]/g, '-') || defaultName;
+            if (!/\.[^.]+$/.test(fileName)) {
+                fileName += extension;
+            }
+            upload.file = new File([upload.file], fileName, { type: upload.file.type, lastModified: upload.file.lastModified });
+            upload.altText = altInput.value.trim();
+            close();
+            enqueueUpload(upload);
+        }
 
-        const linkText = selectedText || pageTitle;
-        const wikiLink = `[${linkText}](${relativePath}.md)`;
+        function cancel() {
+            close();
+            replaceUploadPlaceholder(upload, '');
+        }
 
-        insertTextWithUndo(textarea, start, end, wikiLink, wikiLink.length);
-    }
+        uploadButton.addEventListener('click', confirm);
+        cancelButton.addEventListener('click', cancel);
+        prompt.addEventListener('keydown', function (e) {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                confirm();
+            } else if (e.key === 'Escape') {
+                e.preventDefault();
+                cancel();
+            }
+        });
 
-    // Media Gallery modal functionality
-    const mediaGalleryModal = document.getElementById('mediaGalleryModal');
-    const mediaSearchInput = document.getElementById('mediaSearchInput');
-    const mediaGallery = document.getElementById('mediaGallery');
-    const mediaGalleryContainer = document.getElementById('mediaGalleryContainer');
-    
-    let mediaLoaded = false;
-    let allMediaItems = [];
+        textarea.parentElement.insertBefore(prompt, textarea);
+        nameInput.focus();
+        nameInput.setSelectionRange(0, defaultName.length - extension.length);
+    }
 
-    if (mediaGalleryModal) {
-        // Load media when modal is shown
-        mediaGalleryModal.addEventListener('show.bs.modal', async function () {
-            if (!mediaLoaded) {
-                try {
-                    const currentPageName = config.currentPage.pageName;
-                    const response = await fetch(`${config.apiEndpoints.getMediaGallery}?currentPageName=${encodeURIComponent(currentPageName)}`);
+    function startPendingUploads() {
+        while (activeUploads.size < maxParallelUploads && pendingUploads.length > 0) {
+            uploadFile(pendingUploads.shift());
+        }
+    }
 
-                    if (!response.ok) {
-                        throw new Error('Failed to load media');
-                    }
+    async function uploadFile(upload) {
+        activeUploads.add(upload);
 
-                    const html = await response.text();
+        try {
+            upload.file = await prepareUploadFile(upload.file);
+            if (upload.file.size > config.upload.maxFileSize) {
+                throw new Error(config.labels.fileTooLarge);
+            }
 
-                    if (mediaGallery) {
-                        mediaGallery.innerHTML = html;
-                        attachMediaGalleryHandlers();
-                        allMediaItems = Array.from(mediaGallery.querySelectorAll('.media-gallery-item'));
-                    }
+            const result = await sendUpload(upload);
 
-                    mediaLoaded = true;
+            // Track the uploaded media
+            uploadedMedia.add(result.temporaryId);
+            updateTemporaryMediaIds();
 
-                    if (mediaGalleryContainer) {
-                        mediaGalleryContainer.style.display = 'none';
-                    }
-                    if (mediaGallery) {
-                        mediaGallery.style.display = '';
-                    }
-                } catch (error) {
-                    console.error('Error loading media gallery:', error);
-                    if (mediaGalleryContainer) {
-                        mediaGalleryContainer.innerHTML = '';
-                        mediaGalleryContainer.appendChild(createAlert(config.labels.failedToLoadMedia));
-                    }
-                }
+            const fileName = upload.file.name;
+            const linkText = (upload.altText || fileName).replace(/[\[\]]/g, '\\$&');
+            const markdownRef = isImageFile(fileName)
+                ? `![${linkText}](${result.url})`
+                : `[${linkText}](${result.url})`;
+            replaceUploadPlaceholder(upload, markdownRef);
+        } catch (error) {
+            replaceUploadPlaceholder(upload, '');
+            if (error.name !== 'AbortError') {
+                console.error('Upload error:', error);
+                showUploadError(upload.file.name, error.message);
             }
-        });
+        } finally {
+            activeUploads.delete(upload);
+            removeUploadQueueItem(upload);
+            startPendingUploads();
+        }
     }
 
-    function attachMediaGalleryHandlers() {
-        if (!mediaGallery) return;
+    const resizableImageTypes = ['image/png', 'image/jpeg', 'image/webp'];
+    const imageTypeExtensions = { 'image/png': '.png', 'image/jpeg': '.jpg', 'image/webp': '.webp' };
 
-        const insertButtons = mediaGallery.querySelectorAll('.insert-media-btn');
+    async function prepareUploadFile(file) {
+        const settings = config.upload;
+        // Animated GIFs and SVGs would not survive a canvas round-trip
+        if ((!settings.imageMaxDimension && !settings.imageFormat) || !resizableImageTypes.includes(file.type)) {
+            return file;
+        }
 
-        insertButtons.forEach(button => {
-            button.addEventListener('click', function () {
-                const card = this.closest('.media-gallery-item');
-                const mediaPath = card.getAttribute('data-path');
-                const fileName = card.getAttribute('data-filename');
-                const mediaUrl = card.getAttribute('data-url');
-                const mediaType = card.getAttribute('data-media-type');
-                
-                handleMediaSelection(mediaPath, fileName, mediaUrl, mediaType);
-            });
-        });
-    }
+        let bitmap;
+        try {
+            bitmap = await createImageBitmap(file);
+        } catch {
+            // Images that the browser cannot decode are uploaded as is
+            return file;
+        }
 
-    if (mediaSearchInput && mediaGallery) {
-        mediaSearchInput.addEventListener('input', function () {
-            const searchTerm = this.value.toLowerCase();
+        const scale = settings.imageMaxDimension
+            ? Math.min(1, settings.imageMaxDimension / Math.max(bitmap.width, bitmap.height))
+            : 1;
+        const type = settings.imageFormat || file.type;
+        if (scale === 1 && type === file.type) {
+            bitmap.close();
+            return file;
+        }
+
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(bitmap.width * scale));
+        canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+        const context = canvas.getContext('2d');
+        if (type === 'image/jpeg') {
+            // JPEG has no transparency, use a white background instead of black
+            context.fillStyle = '#fff';
+            context.fillRect(0, 0, canvas.width, canvas.height);
+        }
+        context.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+        bitmap.close();
 
-            allMediaItems.forEach(item => {
-                const path = item.getAttribute('data-path').toLowerCase();
-                const fileName = item.getAttribute('data-filename').toLowerCase();
+        const blob = await new Promise(resolve => canvas.toBlob(resolve, type, settings.imageQuality));
 
-                if (path.includes(searchTerm) || fileName.includes(searchTerm)) {
-                    item.closest('.col-md-4').style.display = '';
+        // Browsers silently fall back to PNG for formats they cannot encode
+        const extension = blob ? imageTypeExtensions[blob.type] : null;
+        if (!extension || (scale === 1 && blob.size >= file.size)) {
+            return file;
+        }
+
+        const baseName = file.name.replace(/\.[^.]*$/, '') || 'image';
+        return new File([blob], baseName + extension, { type: blob.type, lastModified: file.lastModified });
+    }
+
+    function sendUpload(upload) {
+        return new Promise((resolve, reject) => {
+            const formData = new FormData();
+            formData.append('file', upload.file);
+
+            // XMLHttpRequest is used instead of fetch to get upload progress events
+            const xhr = new XMLHttpRequest();
+            upload.xhr = xhr;
+            xhr.open('POST', config.apiEndpoints.uploadMedia);
+            xhr.setRequestHeader('RequestVerificationToken', document.querySelector('input[name="__RequestVerificationToken"]').value);
+            xhr.responseType = 'json';
+
+            xhr.upload.addEventListener('progress', function (e) {
+                if (e.lengthComputable) {
+                    setUploadProgress(upload, e.loaded / e.total);
+                }
+            });
+            xhr.addEventListener('load', function () {
+                if (xhr.status >= 200 && xhr.status < 300 && xhr.response) {
+                    resolve(xhr.response);
                 } else {
-                    item.closest('.col-md-4').style.display = 'none';
+                    reject(new Error(xhr.response?.error || 'Upload failed'));
                 }
             });
+            xhr.addEventListener('error', () => reject(new Error('Upload failed')));
+            xhr.addEventListener('abort', () => reject(new DOMException('Upload cancelled', 'AbortError')));
+
+            xhr.send(formData);
         });
     }
 
-    function handleMediaSelection(mediaPath, fileName, mediaUrl, mediaType) {
-        const modalElement = document.getElementById('mediaGalleryModal');
-
-        modalElement.addEventListener('hidden.bs.modal', () => {
-            if (mediaSearchInput) {
-                mediaSearchInput.value = '';
-                allMediaItems.forEach(item => {
-                    item.closest('.col-md-4').style.display = '';
-                });
-            }
-            insertMediaReference(textarea, mediaPath, fileName, mediaType);
-        }, { once: true });
-
-        const modal = bootstrap.Modal.getInstance(modalElement);
-        modal?.hide();
+    function cancelUpload(upload) {
+        const index = pendingUploads.indexOf(upload);
+        if (index !== -1) {
+            pendingUploads.splice(index, 1);
+            replaceUploadPlaceholder(upload, '');
+            removeUploadQueueItem(upload);
+        } else {
+            upload.xhr?.abort();
+        }
     }
 
-    function insertMediaReference(textarea, mediaPath, fileName, mediaType) {
-        const start = textarea.selectionStart;
-        const end = textarea.selectionEnd;
+    function replaceUploadPlaceholder(upload, text) {
+        const start = textarea.value.indexOf(upload.placeholder);
+        if (start === -1) return;
 
-        let markdownRef;
-        if (mediaType === 'image') {
-            markdownRef = `![${fileName}](${mediaPath})`;
-        } else {
-            markdownRef = `[${fileName}](${mediaPath})`;
+        let end = start + upload.placeholder.length;
+        if (!text && upload.lineBreak && textarea.value[end] === '\n') {
+            // Remove the line break added between placeholders of a multi-file drop
+            end++;
         }
 
-        insertTextWithUndo(textarea, start, end, markdownRef, markdownRef.length);
+        if (document.activeElement !== textarea) {
+            // Don't steal the focus from another field
+            textarea.setRangeText(text, start, end, 'preserve');
+            textarea.dispatchEvent(new InputEvent('input', { bubbles: true, cancelable: true }));
+            return;
+        }
+
+        // Keep the user's selection where it was, shifted by the length difference
+        const delta = text.length - (end - start);
+        const shift = position => position >= end ? position + delta : Math.min(position, start);
+        const selectionStart = shift(textarea.selectionStart);
+        const selectionEnd = shift(textarea.selectionEnd);
+
+        insertTextWithUndo(textarea, start, end, text, text.length);
+        textarea.setSelectionRange(selectionStart, selectionEnd);
+    }
+
+    function updateTemporaryMediaIds() {
+        // Every upload of the session is listed, so that the server removes the unused ones once the page is saved
+        if (temporaryMediaIdsInput) {
+            temporaryMediaIdsInput.value = Array.from(uploadedMedia).join(',');
+        }
+    }
+
+    function createMarkdownLinkPattern(url) {
+        // Matches the url of inline links and images, and of link reference definitions
+        const escapedUrl = url.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        return new RegExp(`(\\]\\(\\s*<?|^\\s*\\[[^\\]]+\\]:\\s*<?)${escapedUrl}(?=[\\s)>]|$)`, 'gm');
+    }
+
+    function isTemporaryMediaReferenced(id) {
+        return createMarkdownLinkPattern(config.apiEndpoints.temporaryMedia.replace('__id__', id)).test(textarea.value);
+    }
+
+    function getUnusedTemporaryMedia() {
+        return Array.from(uploadedMedia).filter(id => !isTemporaryMediaReferenced(id));
+    }
+
+    // Recent uploads: files uploaded in a previous session (before a reload or a crash) and not saved yet
+    const recentUploadsPanel = document.getElementById('recent-uploads');
+    const recentUploadsList = document.getElementById('recent-uploads-list');
+    const recentUploadsCount = document.getElementById('recent-uploads-count');
+    let recentUploads = [];
+
+    async function loadRecentUploads() {
+        try {
+            const response = await fetch(config.apiEndpoints.getTemporaryMedia);
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            recentUploads = await response.json();
+        } catch (error) {
+            console.error('Failed to load recent uploads:', error);
+            recentUploads = [];
+        }
+
+        renderRecentUploads();
+    }
+
+    function renderRecentUploads() {
+        // Uploads that are still linked from the page (restored draft or redisplayed form) are saved with it
+        recentUploads.filter(media => isTemporaryMediaReferenced(media.temporaryId))
+            .forEach(media => uploadedMedia.add(media.temporaryId));
+        updateTemporaryMediaIds();
+
+        recentUploads = recentUploads.filter(media => !uploadedMedia.has(media.temporaryId));
+
+        recentUploadsList.innerHTML = '';
+        recentUploads.forEach(media => recentUploadsList.appendChild(createRecentUploadItem(media)));
+        recentUploadsCount.textContent = recentUploads.length;
+        recentUploadsPanel.classList.toggle('d-none', recentUploads.length === 0);
+    }
+
+    function createRecentUploadItem(media) {
+        const item = document.createElement('li');
+        item.className = 'list-group-item d-flex align-items-center gap-2 px-0';
+
+        if (media.mediaType.toLowerCase() === 'image') {
+            const image = document.createElement('img');
+            image.src = media.url;
+            image.alt = media.fileName;
+            image.loading = 'lazy';
+            image.className = 'rounded recent-upload-thumbnail';
+            item.appendChild(image);
+        } else {
+            const icon = document.createElement('i');
+            icon.className = 'bi bi-file-earmark fs-4';
+            item.appendChild(icon);
+        }
+
+        const details = document.createElement('div');
+        details.className = 'flex-grow-1 text-truncate';
+        const name = document.createElement('div');
+        name.className = 'text-truncate';
+        name.title = media.fileName;
+        name.textContent = media.fileName;
+        const date = document.createElement('small');
+        date.className = 'text-muted';
+        date.textContent = config.labels.uploadedOn.replace('{0}', new Date(media.createdAt).toLocaleString());
+        details.appendChild(name);
+        details.appendChild(date);
+        item.appendChild(details);
+
+        const insertButton = document.createElement('button');
+        insertButton.type = 'button';
+        insertButton.className = 'btn btn-sm btn-outline-primary';
+        insertButton.innerHTML = '<i class="bi bi-box-arrow-in-down-left"></i> ';
+        insertButton.appendChild(document.createTextNode(config.labels.insert));
+        insertButton.addEventListener('click', function () {
+            const linkText = media.fileName.replace(/[\[\]]/g, '\\$&');
+            const markdownRef = isImageFile(media.fileName)
+                ? `![${linkText}](${media.url})`
+                : `[${linkText}](${media.url})`;
+            const start = textarea.selectionStart;
+            insertTextWithUndo(textarea, start, textarea.selectionEnd, markdownRef, markdownRef.length);
+
+            uploadedMedia.add(media.temporaryId);
+            renderRecentUploads();
+        });
+        item.appendChild(insertButton);
+
+        const discardButton = document.createElement('button');
+        discardButton.type = 'button';
+        discardButton.className = 'btn btn-sm btn-outline-danger';
+        discardButton.title = config.labels.discardUpload;
+        discardButton.setAttribute('aria-label', config.labels.discardUpload);
+        discardButton.innerHTML = '<i class="bi bi-trash"></i>';
+        discardButton.addEventListener('click', async function () {
+            discardButton.disabled = true;
+            try {
+                await postMediaRequest(config.apiEndpoints.discardTemporaryMedia, { id: media.temporaryId });
+                recentUploads = recentUploads.filter(m => m.temporaryId !== media.temporaryId);
+                renderRecentUploads();
+            } catch (error) {
+                console.error('Discard error:', error);
+                discardButton.disabled = false;
+                recentUploadsList.parentElement.insertBefore(createAlert(error.message), recentUploadsList);
+            }
+        });
+        item.appendChild(discardButton);
+
+        return item;
+    }
+
+    if (recentUploadsPanel) {
+        loadRecentUploads();
+    }
+
+    function isImageFile(fileName) {
+        const ext = fileName.toLowerCase().split('.').pop();
+        return ['png', 'jpg', 'jpeg', 'gif', 'svg', 'webp'].includes(ext);
+    }
+
+    function createAlert(message, type = 'danger') {
+        const alert = document.createElement('div');
+        alert.className = `alert alert-${type}`;
+        alert.textContent = message;
+        return alert;
+    }
+
+    function createUploadQueueItem(upload) {
+        let queue = document.getElementById('upload-queue');
+        if (!queue) {
+            queue = document.createElement('div');
+            queue.id = 'upload-queue';
+            queue.className = 'alert alert-info';
+            queue.setAttribute('role', 'status');
+            textarea.parentElement.insertBefore(queue, textarea);
+        }
+
+        const item = document.createElement('div');
+        item.className = 'upload-queue-item d-flex align-items-center';
+
+        const name = document.createElement('div');
+        name.className = 'upload-queue-name text-truncate me-2';
+        name.title = upload.file.name;
+        name.textContent = upload.file.name;
+
+        const progress = document.createElement('div');
+        progress.className = 'progress flex-grow-1 me-2';
+        progress.setAttribute('role', 'progressbar');
+        progress.setAttribute('aria-label', `${config.labels.uploading} ${upload.file.name}`);
+        progress.setAttribute('aria-valuemin', '0');
+        progress.setAttribute('aria-valuemax', '100');
+        progress.setAttribute('aria-valuenow', '0');
+
+        const bar = document.createElement('div');
+        bar.className = 'progress-bar progress-bar-striped progress-bar-animated';
+        bar.style.width = '0%';
+        progress.appendChild(bar);
+
+        const cancelButton = document.createElement('button');
+        cancelButton.type = 'button';
+        cancelButton.className = 'btn-close';
+        cancelButton.setAttribute('aria-label', config.labels.cancelUpload);
+        cancelButton.title = config.labels.cancelUpload;
+        cancelButton.addEventListener('click', () => cancelUpload(upload));
+
+        item.appendChild(name);
+        item.appendChild(progress);
+        item.appendChild(cancelButton);
+        queue.appendChild(item);
+        return item;
+    }
+
+    function setUploadProgress(upload, ratio) {
+        const percent = Math.round(ratio * 100);
+        const progress = upload.element?.querySelector('.progress');
+        if (!progress) return;
+
+        progress.setAttribute('aria-valuenow', percent.toString());
+        progress.querySelector('.progress-bar').style.width = `${percent}%`;
+    }
+
+    function removeUploadQueueItem(upload) {
+        upload.element?.remove();
+        upload.element = null;
+
+        const queue = document.getElementById('upload-queue');
+        if (queue && queue.children.length === 0) {
+            queue.remove();
+        }
+    }
+
+    function showUploadError(fileName, errorMessage) {
+        const existingError = document.getElementById('upload-error');
+        if (existingError) {
+            existingError.remove();
+        }
+
+        const errorAlert = document.createElement('div');
+        errorAlert.id = 'upload-error';
+        errorAlert.className = 'alert alert-danger alert-dismissible fade show';
+        errorAlert.setAttribute('role', 'alert');
+
+        const errorText = document.createElement('div');
+        const strongLabel = document.createElement('strong');
+        strongLabel.textContent = config.labels.uploadFailed;
+        errorText.appendChild(strongLabel);
+        errorText.appendChild(document.createTextNode(` ${fileName} - ${errorMessage}`));
+
+        const closeButton = document.createElement('button');
+        closeButton.type = 'button';
+        closeButton.className = 'btn-close';
+        closeButton.setAttribute('data-bs-dismiss', 'alert');
+        closeButton.setAttribute('aria-label', config.labels.close);
+
+        errorAlert.appendChild(errorText);
+        errorAlert.appendChild(closeButton);
+
+        textarea.parentElement.insertBefore(errorAlert, textarea);
+
+        setTimeout(() => {
+            if (errorAlert.parentElement) {
+                errorAlert.classList.remove('show');
+                setTimeout(() => errorAlert.remove(), 150);
+            }
+        }, 5000);
+    }
+
+    // Markdown formatting toolbar handlers
+    document.querySelectorAll('[data-markdown-action]').forEach(button => {
+        button.addEventListener('click', function (e) {
+            e.preventDefault();
+            const action = this.getAttribute('data-markdown-action');
+            // These actions open a dialog through their data-bs-toggle attribute
+            if (action !== 'page-link' && action !== 'table') {
+                applyMarkdown(textarea, action);
+            }
+        });
+    });
+
+    // Keyboard shortcuts for the toolbar buttons
+    const shortcutButtons = new Map();
+    const shortcutsList = document.getElementById('shortcutsList');
+    const shortcutsModal = document.getElementById('shortcutsModal');
+
+    // Formats a key event the same way as the data-markdown-shortcut attributes (e.g. Ctrl+Shift+K)
+    function getShortcutFromEvent(e) {
+        let key;
+        if (/^[a-z]$/i.test(e.key)) {
+            key = e.key.toUpperCase();
+        } else if (/^Digit\d$/.test(e.code)) {
+            // Shift and Alt change the produced character, use the physical key instead
+            key = e.code.substring(5);
+        } else if (e.code === 'Period') {
+            key = '.';
+        } else if (e.code === 'Slash') {
+            key = '/';
+        } else {
+            return null;
+        }
+
+        const parts = [];
+        if (e.ctrlKey || e.metaKey) parts.push('Ctrl');
+        if (e.altKey) parts.push('Alt');
+        if (e.shiftKey) parts.push('Shift');
+        parts.push(key);
+        return parts.join('+');
+    }
+
+    function createShortcutKeys(shortcut) {
+        const cell = document.createElement('td');
+        cell.className = 'text-end';
+        shortcut.split(/\+(?=.)/).forEach((key, index) => {
+            if (index > 0) {
+                cell.appendChild(document.createTextNode('+'));
+            }
+            const kbd = document.createElement('kbd');
+            kbd.textContent = key;
+            cell.appendChild(kbd);
+        });
+        return cell;
+    }
+
+    markdownToolbarButtons.forEach(button => {
+        const shortcut = button.getAttribute('data-markdown-shortcut');
+        if (!shortcut) return;
+
+        shortcutButtons.set(shortcut, button);
+        button.setAttribute('aria-keyshortcuts', shortcut.replace('Ctrl', 'Control'));
+
+        const label = button.title;
+        button.title = `${label} (${shortcut})`;
+
+        if (shortcutsList) {
+            const row = document.createElement('tr');
+            const labelCell = document.createElement('td');
+            labelCell.textContent = label;
+            row.appendChild(labelCell);
+            row.appendChild(createShortcutKeys(shortcut));
+            shortcutsList.appendChild(row);
+        }
+    });
+
+    function showShortcutsDialog() {
+        if (shortcutsModal) {
+            bootstrap.Modal.getOrCreateInstance(shortcutsModal).show();
+        }
+    }
+
+    textarea.addEventListener('keydown', function (e) {
+        if (!e.ctrlKey && !e.metaKey) return;
+
+        const shortcut = getShortcutFromEvent(e);
+        if (shortcut === 'Ctrl+/') {
+            e.preventDefault();
+            showShortcutsDialog();
+            return;
+        }
+
+        const button = shortcutButtons.get(shortcut);
+        if (button) {
+            e.preventDefault();
+            // Buttons are disabled in preview mode, click() is then a no-op
+            button.click();
+        }
+    });
+
+    document.addEventListener('keydown', function (e) {
+        if (e.key !== '?' || e.ctrlKey || e.metaKey || e.altKey) return;
+
+        const target = e.target;
+        if (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)) return;
+
+        e.preventDefault();
+        showShortcutsDialog();
+    });
+
+    // Page link autocomplete, opened by typing [[ or ](
+    // Registered before the list continuation so that Enter and Tab select a page while the list is open
+    const pageAutocompleteLimit = 10;
+    const pageAutocompleteTriggerPattern = /(\[\[|\]\()([^[\]()\s]*)$/;
+    const pageAutocomplete = document.createElement('div');
+    pageAutocomplete.className = 'dropdown-menu page-autocomplete';
+    pageAutocomplete.setAttribute('role', 'listbox');
+    document.body.appendChild(pageAutocomplete);
+
+    let pageAutocompleteTrigger = null;
+    let pageAutocompleteItems = [];
+    let pageAutocompleteIndex = 0;
+    let pageAutocompleteRequest = 0;
+    let pageAutocompleteTimer = null;
+
+    function getCaretCoordinates(position) {
+        const mirror = createTextareaMirror();
+        mirror.textContent = textarea.value.substring(0, position);
+        const marker = document.createElement('span');
+        marker.textContent = '\u200b';
+        mirror.appendChild(marker);
+
+        document.body.appendChild(mirror);
+        const coordinates = {
+            top: marker.offsetTop - textarea.scrollTop,
+            left: marker.offsetLeft - textarea.scrollLeft,
+            height: marker.offsetHeight
+        };
+        mirror.remove();
+        return coordinates;
+    }
+
+    function closePageAutocomplete() {
+        pageAutocompleteTrigger = null;
+        pageAutocompleteItems = [];
+        pageAutocompleteRequest++;
+        clearTimeout(pageAutocompleteTimer);
+        pageAutocomplete.classList.remove('show');
+    }
+
+    function highlightPageAutocompleteItem(index) {
+        pageAutocompleteIndex = index;
+        Array.from(pageAutocomplete.children).forEach((item, i) => {
+            item.classList.toggle('active', i === index);
+            item.setAttribute('aria-selected', i === index ? 'true' : 'false');
+            if (i === index) {
+                item.scrollIntoView({ block: 'nearest' });
+            }
+        });
+    }
+
+    function showPageAutocomplete(pages) {
+        pageAutocompleteItems = pages;
+        pageAutocomplete.replaceChildren();
+
+        if (pages.length === 0) {
+            pageAutocomplete.classList.remove('show');
+            return;
+        }
+
+        pages.forEach((page, index) => {
+            const item = document.createElement('button');
+            item.type = 'button';
+            item.className = 'dropdown-item';
+            item.setAttribute('role', 'option');
+
+            const title = document.createElement('div');
+            title.textContent = page.title || page.pageName;
+            const name = document.createElement('small');
+            name.className = 'text-muted';
+            name.textContent = page.pageName;
+            item.appendChild(title);
+            item.appendChild(name);
+
+            // Keep the focus in the textarea
+            item.addEventListener('mousedown', function (e) {
+                e.preventDefault();
+                selectPageAutocompleteItem(index);
+            });
+            pageAutocomplete.appendChild(item);
+        });
+
+        const caret = getCaretCoordinates(pageAutocompleteTrigger.start);
+        const textareaRect = textarea.getBoundingClientRect();
+        pageAutocomplete.style.top = `${window.scrollY + textareaRect.top + textarea.clientTop + caret.top + caret.height}px`;
+        pageAutocomplete.style.left = `${window.scrollX + textareaRect.left + textarea.clientLeft + Math.min(caret.left, textarea.clientWidth - 200)}px`;
+        pageAutocomplete.classList.add('show');
+        highlightPageAutocompleteItem(0);
+    }
+
+    function selectPageAutocompleteItem(index) {
+        const page = pageAutocompleteItems[index];
+        const trigger = pageAutocompleteTrigger;
+        closePageAutocomplete();
+        if (!page || !trigger) return;
+
+        const end = textarea.selectionStart;
+        let link;
+        let start;
+        if (trigger.kind === '[[') {
+            start = trigger.start;
+            link = formatWikiLink(page.title || page.pageName, page.relativePath);
+        } else {
+            // The link text is already typed, only complete the target
+            start = trigger.start + 2;
+            link = `${page.relativePath}.md` + (textarea.value.charAt(end) === ')' ? '' : ')');
+        }
+
+        insertTextWithUndo(textarea, start, end, link, link.length);
+    }
+
+    async function updatePageAutocomplete() {
+        const caret = textarea.selectionStart;
+        const textBefore = textarea.value.substring(textarea.value.lastIndexOf('\n', caret - 1) + 1, caret);
+        const match = textarea.selectionStart === textarea.selectionEnd ? textBefore.match(pageAutocompleteTriggerPattern) : null;
+        if (!match) {
+            closePageAutocomplete();
+            return;
+        }
+
+        pageAutocompleteTrigger = { kind: match[1], start: caret - match[0].length };
+        const request = ++pageAutocompleteRequest;
+
+        try {
+            const params = new URLSearchParams({
+                currentPageName: config.currentPage.pageName,
+                query: match[2],
+                pageSize: pageAutocompleteLimit
+            });
+            const response = await fetch(`${config.apiEndpoints.getAccessiblePages}?${params}`);
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            const pages = await response.json();
+            if (request === pageAutocompleteRequest) {
+                showPageAutocomplete(pages.items);
+            }
+        } catch (error) {
+            console.error('Error loading pages:', error);
+            closePageAutocomplete();
+        }
+    }
+
+    textarea.addEventListener('input', function () {
+        clearTimeout(pageAutocompleteTimer);
+        pageAutocompleteTimer = setTimeout(updatePageAutocomplete, 150);
+    });
+
+    textarea.addEventListener('keydown', function (e) {
+        if (!pageAutocomplete.classList.contains('show')) return;
+
+        switch (e.key) {
+            case 'ArrowDown':
+                highlightPageAutocompleteItem((pageAutocompleteIndex + 1) % pageAutocompleteItems.length);
+                break;
+            case 'ArrowUp':
+                highlightPageAutocompleteItem((pageAutocompleteIndex - 1 + pageAutocompleteItems.length) % pageAutocompleteItems.length);
+                break;
+            case 'Enter':
+            case 'Tab':
+                selectPageAutocompleteItem(pageAutocompleteIndex);
+                break;
+            case 'Escape':
+                closePageAutocomplete();
+                break;
+            default:
+                return;
+        }
+
+        e.preventDefault();
+        e.stopImmediatePropagation();
+    });
+
+    textarea.addEventListener('blur', closePageAutocomplete);
+    textarea.addEventListener('scroll', closePageAutocomplete);
+    textarea.addEventListener('click', closePageAutocomplete);
+
+    // Smart list and blockquote continuation, list indentation
+    const listLinePattern = /^((?:[ \t]*>[ \t]?)*)([ \t]*)(?:[-*+]|(\d+)([.)]))([ \t]+)(\[[ xX]\][ \t]+)?/;
+    const quoteLinePattern = /^(?:[ \t]*>[ \t]?)+/;
+
+    function getCurrentLine(textarea) {
+        const value = textarea.value;
+        const start = value.lastIndexOf('\n', textarea.selectionStart - 1) + 1;
+        let end = value.indexOf('\n', textarea.selectionStart);
+        if (end === -1) {
+            end = value.length;
+        }
+        return { start: start, end: end, text: value.substring(start, end) };
+    }
+
+    function continueListOnEnter(textarea) {
+        const cursor = textarea.selectionStart;
+        const line = getCurrentLine(textarea);
+        const item = line.text.match(listLinePattern);
+        const prefix = item ? item[0] : (line.text.match(quoteLinePattern) || [''])[0];
+
+        // Nothing to continue, or the cursor is inside the markup
+        if (!prefix || cursor - line.start < prefix.length) {
+            return false;
+        }
+
+        if (line.text.substring(prefix.length).trim() === '') {
+            // An empty item ends the list, an empty quote line ends the quote
+            const keptPrefix = item ? item[1] : '';
+            insertTextWithUndo(textarea, line.start, line.end, keptPrefix, keptPrefix.length);
+            return true;
+        }
+
+        let continuation;
+        if (item) {
+            const marker = item[3] !== undefined ? `${parseInt(item[3], 10) + 1}${item[4]}` : line.text.substring(item[1].length + item[2].length).charAt(0);
+            continuation = item[1] + item[2] + marker + item[5] + (item[6] ? '[ ] ' : '');
+        } else {
+            continuation = /\s$/.test(prefix) ? prefix : prefix + ' ';
+        }
+
+        insertTextWithUndo(textarea, cursor, textarea.selectionEnd, '\n' + continuation, continuation.length + 1);
+
+        if (item && item[3] !== undefined) {
+            renumberOrderedList(textarea, line.start);
+        }
+        return true;
+    }
+
+    function indentListItems(textarea, outdent) {
+        const block = getSelectedLines(textarea);
+        const isList = block.lines.some(line => listLinePattern.test(line) && !quoteLinePattern.test(line));
+        if (!isList) {
+            return false;
+        }
+
+        const newLines = block.lines.map(line => {
+            if (isBlankLine(line)) return line;
+
+            // Nested items must be indented to the content of their parent item
+            const item = line.match(listLinePattern);
+            const unit = item ? item[0].length - item[1].length - item[2].length - (item[6] || '').length : 2;
+            if (!outdent) {
+                return ' '.repeat(unit) + line;
+            }
+            const indent = line.match(/^[ \t]*/)[0];
+            return line.substring(indent[0] === '\t' ? 1 : Math.min(unit, indent.length));
+        });
+
+        const firstLineDelta = newLines[0].length - block.lines[0].length;
+        const totalDelta = newLines.join('\n').length - (block.end - block.start);
+        const selectionStart = Math.max(block.start, textarea.selectionStart + firstLineDelta);
+        const selectionEnd = Math.max(selectionStart, textarea.selectionEnd + totalDelta);
+
+        insertTextWithUndo(textarea, block.start, block.end, newLines.join('\n'), 0);
+        textarea.setSelectionRange(selectionStart, selectionEnd);
+
+        if (block.lines.some(line => orderedItemPattern.test(line))) {
+            renumberOrderedList(textarea, block.start);
+        }
+        return true;
+    }
+
+    textarea.addEventListener('keydown', function (e) {
+        if (e.isComposing || e.ctrlKey || e.metaKey || e.altKey) return;
+
+        if (e.key === 'Enter' && !e.shiftKey && textarea.selectionStart === textarea.selectionEnd) {
+            if (continueListOnEnter(textarea)) {
+                e.preventDefault();
+            }
+        } else if (e.key === 'Tab') {
+            // Outside of lists, Tab keeps moving the focus
+            if (indentListItems(textarea, e.shiftKey)) {
+                e.preventDefault();
+            }
+        }
+    });
+
+    // Page link modal search
+    const pageSearchInput = document.getElementById('pageSearchInput');
+    const pageList = document.getElementById('pageList');
+    const pageListContainer = document.getElementById('pageListContainer');
+    const pageListMore = document.getElementById('pageListMore');
+    const pageLinkModal = document.getElementById('pageLinkModal');
+    const pickerPageSize = 50;
+    const pickerSearchDelay = 250;
+
+    async function fetchPickerPage(endpoint, query, page, filters = {}) {
+        const params = new URLSearchParams({
+            currentPageName: config.currentPage.pageName,
+            page: page,
+            pageSize: pickerPageSize
+        });
+        if (query) {
+            params.set('query', query);
+        }
+        Object.entries(filters).forEach(([name, value]) => {
+            if (value) {
+                params.set(name, value);
+            }
+        });
+
+        const response = await fetch(`${endpoint}?${params}`);
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        return await response.json();
+    }
+
+    function createPickerEmptyMessage(iconClass, text) {
+        const empty = document.createElement('div');
+        empty.className = 'text-center text-muted py-3';
+        const icon = document.createElement('i');
+        icon.className = `bi ${iconClass}`;
+        const message = document.createElement('p');
+        message.textContent = text;
+        empty.appendChild(icon);
+        empty.appendChild(message);
+        return empty;
+    }
+
+    let pagesLoaded = false;
+    let pageListPage = 0;
+    let pageListRequest = 0;
+    let pageSearchTimer = null;
+
+    async function loadPageList(append) {
+        if (!pageList) return;
+
+        const request = ++pageListRequest;
+        const page = append ? pageListPage + 1 : 1;
+
+        try {
+            const result = await fetchPickerPage(config.apiEndpoints.getAccessiblePages, pageSearchInput?.value.trim(), page);
+            if (request !== pageListRequest) return;
+
+            if (!append) {
+                pageList.replaceChildren();
+            }
+            result.items.forEach(pageInfo => pageList.appendChild(createPageLinkItem(pageInfo)));
+            if (result.totalCount === 0) {
+                pageList.appendChild(createPickerEmptyMessage('bi-file-earmark-text', config.labels.noPagesFound));
+            }
+
+            pageListPage = result.page;
+            pagesLoaded = true;
+            pageListMore?.classList.toggle('d-none', result.page * result.pageSize >= result.totalCount);
+
+            if (pageListContainer) {
+                pageListContainer.style.display = 'none';
+            }
+            pageList.style.display = '';
+        } catch (error) {
+            console.error('Error loading pages:', error);
+            if (pageListContainer) {
+                pageListContainer.innerHTML = '';
+                pageListContainer.appendChild(createAlert(config.labels.failedToLoadPages));
+                pageListContainer.style.display = '';
+            }
+        }
+    }
+
+    function createPageLinkItem(pageInfo) {
+        const title = pageInfo.title || pageInfo.pageName;
+
+        const item = document.createElement('button');
+        item.type = 'button';
+        item.className = 'list-group-item list-group-item-action page-link-item';
+
+        const header = document.createElement('div');
+        header.className = 'd-flex w-100 justify-content-between';
+        const heading = document.createElement('h6');
+        heading.className = 'mb-1';
+        heading.textContent = title;
+        header.appendChild(heading);
+        if (pageInfo.lastModified) {
+            const modified = document.createElement('small');
+            modified.className = 'text-muted';
+            modified.textContent = new Date(pageInfo.lastModified).toLocaleDateString();
+            header.appendChild(modified);
+        }
+        item.appendChild(header);
+
+        const name = document.createElement('small');
+        name.className = 'text-muted';
+        name.textContent = pageInfo.pageName;
+        item.appendChild(name);
+
+        pageInfo.cultures.forEach(culture => {
+            const badge = document.createElement('span');
+            badge.className = 'badge text-bg-light border ms-1';
+            badge.textContent = culture;
+            item.appendChild(badge);
+        });
+
+        item.addEventListener('click', function () {
+            handlePageSelection(pageInfo.relativePath, title);
+        });
+        return item;
+    }
+
+    if (pageLinkModal) {
+        // Load pages when modal is shown
+        pageLinkModal.addEventListener('show.bs.modal', function () {
+            if (!pagesLoaded) {
+                loadPageList(false);
+            }
+        });
+    }
+
+    pageListMore?.addEventListener('click', function () {
+        loadPageList(true);
+    });
+
+    if (pageSearchInput && pageList) {
+        pageSearchInput.addEventListener('input', function () {
+            clearTimeout(pageSearchTimer);
+            pageSearchTimer = setTimeout(() => loadPageList(false), pickerSearchDelay);
+        });
+    }
+
+    function handlePageSelection(relativePath, pageTitle) {
+        const modalElement = document.getElementById('pageLinkModal');
+
+        modalElement.addEventListener('hidden.bs.modal', () => {
+            if (pageSearchInput && pageSearchInput.value) {
+                pageSearchInput.value = '';
+                loadPageList(false);
+            }
+            insertWikiLink(textarea, relativePath, pageTitle);
+        }, { once: true });
+
+        const modal = bootstrap.Modal.getInstance(modalElement);
+        modal?.hide();
+    }
+
+    function applyMarkdown(textarea, action) {
+        switch (action) {
+            case 'bold':
+                toggleInlineMarkup(textarea, '**', config.labels.boldText);
+                return;
+            case 'italic':
+                toggleInlineMarkup(textarea, '*', config.labels.italicText);
+                return;
+            case 'strikethrough':
+                toggleInlineMarkup(textarea, '~~', config.labels.strikethroughText);
+                return;
+            case 'code':
+                toggleInlineMarkup(textarea, '`', config.labels.code);
+                return;
+            case 'h1':
+                toggleHeading(textarea, 1, config.labels.heading1);
+                return;
+            case 'h2':
+                toggleHeading(textarea, 2, config.labels.heading2);
+                return;
+            case 'h3':
+                toggleHeading(textarea, 3, config.labels.heading3);
+                return;
+            case 'ul':
+                toggleList(textarea, false);
+                return;
+            case 'ol':
+                toggleList(textarea, true);
+                return;
+            case 'quote':
+                toggleQuote(textarea);
+                return;
+            case 'codeblock':
+                toggleCodeBlock(textarea);
+                return;
+        }
+
+        const start = textarea.selectionStart;
+        const end = textarea.selectionEnd;
+        const selectedText = textarea.value.substring(start, end);
+
+        let newText = '';
+        let cursorOffset = 0;
+
+        switch (action) {
+            case 'link': {
+                // Selecting an existing link removes it, keeping its text
+                const link = selectedText.match(/^\[([^\]]*)\]\([^)]*\)$/);
+                if (link) {
+                    newText = link[1];
+                    cursorOffset = newText.length;
+                    break;
+                }
+                newText = `[${selectedText || config.labels.linkText}](url)`;
+                cursorOffset = selectedText ? newText.length - 4 : 1;
+                break;
+            }
+            case 'image':
+                newText = `![${selectedText || config.labels.altText}](image-url)`;
+                cursorOffset = selectedText ? newText.length - 11 : 2;
+                break;
+            case 'hr':
+                newText = '\n---\n';
+                cursorOffset = newText.length;
+                break;
+            case 'math': {
+                // An equation alone on its line is displayed as a block, otherwise it is inline
+                const value = textarea.value;
+                const lineStart = value.lastIndexOf('\n', start - 1) + 1;
+                const lineEnd = value.indexOf('\n', end) < 0 ? value.length : value.indexOf('\n', end);
+                const equation = selectedText || 'E = mc^2';
+                if (!value.substring(lineStart, start).trim() && !value.substring(end, lineEnd).trim()) {
+                    const block = `$$\n${equation}\n$$`;
+                    newText = separateBlock(block, start, end);
+                    cursorOffset = newText.indexOf(block) + 3 + (selectedText ? equation.length : 0);
+                } else {
+                    newText = `$${equation}$`;
+                    cursorOffset = selectedText ? newText.length : 1;
+                }
+                break;
+            }
+            default:
+                return;
+        }
+
+        insertTextWithUndo(textarea, start, end, newText, cursorOffset);
+    }
+
+    // Counts consecutive occurrences of a character, forward from index or backward before index
+    function countCharRun(text, index, char, backward) {
+        let count = 0;
+        if (backward) {
+            while (index - count - 1 >= 0 && text[index - count - 1] === char) count++;
+        } else {
+            while (index + count < text.length && text[index + count] === char) count++;
+        }
+        return count;
+    }
+
+    // A run of '*' holds italic markup when odd (* or ***), bold markup when at least two
+    function hasInlineMarker(run, marker) {
+        return marker === '*' ? run % 2 === 1 : run >= marker.length;
+    }
+
+    function toggleInlineMarkup(textarea, marker, placeholder) {
+        const value = textarea.value;
+        const start = textarea.selectionStart;
+        const end = textarea.selectionEnd;
+        const selectedText = value.substring(start, end);
+        const markerChar = marker[0];
+
+        // Markup included in the selection, e.g. **text** selected
+        const leadingRun = countCharRun(selectedText, 0, markerChar, false);
+        const trailingRun = countCharRun(selectedText, selectedText.length, markerChar, true);
+        if (leadingRun < selectedText.length
+            && hasInlineMarker(leadingRun, marker)
+            && hasInlineMarker(trailingRun, marker)) {
+            // Remove the markers closest to the text, so that other markup sharing the run is kept
+            const newText = selectedText.substring(0, leadingRun - marker.length)
+                + selectedText.substring(leadingRun, selectedText.length - trailingRun)
+                + selectedText.substring(selectedText.length - trailingRun + marker.length);
+            insertTextWithUndo(textarea, start, end, newText, 0);
+            textarea.setSelectionRange(start, start + newText.length);
+            return;
+        }
+
+        // Markup around the selection, e.g. text selected in **text**
+        const beforeRun = countCharRun(value, start, markerChar, true);
+        const afterRun = countCharRun(value, end, markerChar, false);
+        if (hasInlineMarker(beforeRun, marker) && hasInlineMarker(afterRun, marker)) {
+            insertTextWithUndo(textarea, start - marker.length, end + marker.length, selectedText, 0);
+            textarea.setSelectionRange(start - marker.length, end - marker.length);
+            return;
+        }
+
+        const newText = `${marker}${selectedText || placeholder}${marker}`;
+        insertTextWithUndo(textarea, start, end, newText, 0);
+        textarea.setSelectionRange(start + marker.length, start + newText.length - marker.length);
+    }
+
+    // Gets the full lines covered by the selection
+    function getSelectedLines(textarea) {
+        const value = textarea.value;
+        const start = textarea.selectionStart;
+        let end = textarea.selectionEnd;
+
+        // A selection ending at the start of a line does not include that line
+        if (end > start && value[end - 1] === '\n') {
+            end--;
+        }
+
+        const lineStart = value.lastIndexOf('\n', start - 1) + 1;
+        let lineEnd = value.indexOf('\n', end);
+        if (lineEnd === -1) {
+            lineEnd = value.length;
+        }
+
+        return {
+            start: lineStart,
+            end: lineEnd,
+            lines: value.substring(lineStart, lineEnd).split('\n')
+        };
+    }
+
+    // Replaces the selected lines, keeping the selection on the block or the cursor at the same place in its line
+    function replaceSelectedLines(textarea, block, newLines) {
+        const hadSelection = textarea.selectionStart !== textarea.selectionEnd;
+        const distanceToLineEnd = block.end - textarea.selectionEnd;
+        const newText = newLines.join('\n');
+
+        insertTextWithUndo(textarea, block.start, block.end, newText, 0);
+
+        if (hadSelection) {
+            textarea.setSelectionRange(block.start, block.start + newText.length);
+        } else {
+            // Never leave the cursor inside the line markup
+            const lineText = newLines[newLines.length - 1].replace(/^\s*(#{1,6}|>|[-*+]|\d+[.)])[ \t]*/, '');
+            const position = block.start + newText.length - Math.min(distanceToLineEnd, lineText.length);
+            textarea.setSelectionRange(position, position);
+        }
+    }
+
+    function insertLinePlaceholder(textarea, prefix, placeholder) {
+        const start = textarea.selectionStart;
+        insertTextWithUndo(textarea, start, textarea.selectionEnd, prefix + placeholder, 0);
+        textarea.setSelectionRange(start + prefix.length, start + prefix.length + placeholder.length);
+    }
+
+    function isBlankLine(line) {
+        return line.trim() === '';
+    }
+
+    const headingPattern = /^(#{1,6})[ \t]+/;
+
+    function toggleHeading(textarea, level, placeholder) {
+        const block = getSelectedLines(textarea);
+        if (block.lines.every(isBlankLine)) {
+            insertLinePlaceholder(textarea, '#'.repeat(level) + ' ', placeholder);
+            return;
+        }
+
+        const contentLines = block.lines.filter(line => !isBlankLine(line));
+        const isSameLevel = contentLines.every(line => {
+            const heading = line.match(headingPattern);
+            return heading && heading[1].length === level;
+        });
+
+        replaceSelectedLines(textarea, block, block.lines.map(line => {
+            if (isBlankLine(line)) return line;
+            const text = line.replace(headingPattern, '');
+            return isSameLevel ? text : `${'#'.repeat(level)} ${text}`;
+        }));
+    }
+
+    function toggleQuote(textarea) {
+        const block = getSelectedLines(textarea);
+        if (block.lines.every(isBlankLine)) {
+            insertLinePlaceholder(textarea, '> ', config.labels.quote);
+            return;
+        }
+
+        const isQuoted = block.lines.filter(line => !isBlankLine(line)).every(line => /^>/.test(line));
+
+        replaceSelectedLines(textarea, block, block.lines.map(line => {
+            if (isQuoted) return line.replace(/^> ?/, '');
+            return isBlankLine(line) ? '>' : `> ${line}`;
+        }));
+    }
+
+    const unorderedItemPattern = /^(\s*)[-*+][ \t]+/;
+    const orderedItemPattern = /^(\s*)(\d+)[.)][ \t]+/;
+
+    function toggleList(textarea, ordered) {
+        const block = getSelectedLines(textarea);
+        if (block.lines.every(isBlankLine)) {
+            insertLinePlaceholder(textarea, ordered ? '1. ' : '- ', config.labels.listItem);
+            if (ordered) {
+                renumberOrderedList(textarea, getSelectedLines(textarea).start);
+            }
+            return;
+        }
+
+        const itemPattern = ordered ? orderedItemPattern : unorderedItemPattern;
+        const isListed = block.lines.filter(line => !isBlankLine(line)).every(line => itemPattern.test(line));
+
+        replaceSelectedLines(textarea, block, block.lines.map(line => {
+            if (isBlankLine(line)) return line;
+
+            const item = line.match(orderedItemPattern) || line.match(unorderedItemPattern);
+            const indent = item ? item[1] : '';
+            const text = item ? line.substring(item[0].length) : line;
+            if (isListed) {
+                return indent + text;
+            }
+            // Numbers are fixed by renumberOrderedList
+            return indent + (ordered ? '1. ' : '- ') + text;
+        }));
+
+        // Converting or removing items changes the numbering of the surrounding ordered list
+        renumberOrderedList(textarea, block.start);
+    }
+
+    // Renumbers the ordered list items around the line starting at the specified position
+    function renumberOrderedList(textarea, position) {
+        const value = textarea.value;
+        const lines = value.split('\n');
+        const isListLine = line => orderedItemPattern.test(line) || unorderedItemPattern.test(line) || /^\s+\S/.test(line);
+
+        let firstLine = value.substring(0, position).split('\n').length - 1;
+        while (firstLine > 0 && isListLine(lines[firstLine - 1])) {
+            firstLine--;
+        }
+        let endLine = firstLine;
+        while (endLine < lines.length && !isBlankLine(lines[endLine])) {
+            endLine++;
+        }
+
+        // Items are numbered per indentation level from the number of the first item, a less indented line ends the deeper levels
+        const counters = new Map();
+        const newLines = lines.slice(firstLine, endLine).map(line => {
+            const indent = line.match(/^\s*/)[0].length;
+            for (const level of Array.from(counters.keys())) {
+                if (level > indent) counters.delete(level);
+            }
+
+            const item = line.match(orderedItemPattern);
+            if (!item) {
+                if (unorderedItemPattern.test(line)) {
+                    counters.delete(indent);
+                }
+                return line;
+            }
+
+            const number = counters.has(indent) ? counters.get(indent) + 1 : parseInt(item[2], 10);
+            counters.set(indent, number);
+            return item[1] + number + line.substring(item[1].length + item[2].length);
+        });
+
+        const oldList = lines.slice(firstLine, endLine).join('\n');
+        const newList = newLines.join('\n');
+        if (oldList === newList) return;
+
+        // Keep the selection on the same text, numbers before it may have changed length
+        const listStart = lines.slice(0, firstLine).reduce((length, line) => length + line.length + 1, 0);
+        const mapPosition = pos => {
+            let offset = listStart;
+            let delta = 0;
+            for (let i = 0; i < newLines.length; i++) {
+                const oldLine = lines[firstLine + i];
+                if (pos < offset + oldLine.length + 1) {
+                    const prefixLength = (oldLine.match(orderedItemPattern) || [''])[0].length;
+                    return pos + delta + (pos - offset >= prefixLength ? newLines[i].length - oldLine.length : 0);
+                }
+                delta += newLines[i].length - oldLine.length;
+                offset += oldLine.length + 1;
+            }
+            return pos + delta;
+        };
+
+        const selectionStart = mapPosition(textarea.selectionStart);
+        const selectionEnd = mapPosition(textarea.selectionEnd);
+        insertTextWithUndo(textarea, listStart, listStart + oldList.length, newList, 0);
+        textarea.setSelectionRange(selectionStart, selectionEnd);
+    }
+
+    function toggleCodeBlock(textarea) {
+        const block = getSelectedLines(textarea);
+        const isFence = line => /^\s*```/.test(line);
+
+        // Fences included in the selection
+        if (block.lines.length >= 2 && isFence(block.lines[0]) && isFence(block.lines[block.lines.length - 1])) {
+            replaceSelectedLines(textarea, block, block.lines.slice(1, -1));
+            return;
+        }
+
+        // Fences around the selection
+        const value = textarea.value;
+        if (block.start > 0 && block.end < value.length) {
+            const previousLineStart = value.lastIndexOf('\n', block.start - 2) + 1;
+            let nextLineEnd = value.indexOf('\n', block.end + 1);
+            if (nextLineEnd === -1) {
+                nextLineEnd = value.length;
+            }
+
+            if (isFence(value.substring(previousLineStart, block.start - 1)) && isFence(value.substring(block.end + 1, nextLineEnd))) {
+                const shift = block.start - previousLineStart;
+                const selectionStart = textarea.selectionStart - shift;
+                const selectionEnd = Math.min(textarea.selectionEnd, block.end) - shift;
+                insertTextWithUndo(textarea, previousLineStart, nextLineEnd, block.lines.join('\n'), 0);
+                textarea.setSelectionRange(selectionStart, selectionEnd);
+                return;
+            }
+        }
+
+        const start = textarea.selectionStart;
+        const end = textarea.selectionEnd;
+        const selectedText = value.substring(start, end);
+        const newText = `\`\`\`\n${selectedText || config.labels.code}\n\`\`\``;
+        insertTextWithUndo(textarea, start, end, newText, selectedText ? 4 + selectedText.length : 4);
+    }
+
+    function formatWikiLink(linkText, relativePath) {
+        return `[${linkText}](${relativePath}.md)`;
+    }
+
+    function insertWikiLink(textarea, relativePath, pageTitle) {
+        const start = textarea.selectionStart;
+        const end = textarea.selectionEnd;
+        const selectedText = textarea.value.substring(start, end);
+
+        const linkText = selectedText || pageTitle;
+        const wikiLink = formatWikiLink(linkText, relativePath);
+
+        insertTextWithUndo(textarea, start, end, wikiLink, wikiLink.length);
+    }
+
+    // Table editor dialog
+    const tableModal = document.getElementById('tableModal');
+    const tableEditorGrid = document.getElementById('tableEditorGrid');
+    const tableEditorApply = document.getElementById('tableEditorApply');
+    const tableDelimiterRowPattern = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+    // The first row of the cells is the header row
+    let tableState = null;
+    let activeTableCell = { row: 0, column: 0 };
+
+    function parseTableRow(line) {
+        let text = line.trim();
+        if (text.startsWith('|')) text = text.substring(1);
+        if (text.endsWith('|') && !text.endsWith('\\|')) text = text.substring(0, text.length - 1);
+        return text.split(/(?<!\\)\|/).map(cell => cell.trim().replace(/\\\|/g, '|'));
+    }
+
+    function parseTableAlignment(cell) {
+        const left = cell.startsWith(':');
+        const right = cell.endsWith(':');
+        return left && right ? 'center' : left ? 'left' : right ? 'right' : '';
+    }
+
+    function createTableState(cells, alignments, start, end) {
+        const columnCount = Math.max(1, ...cells.map(row => row.length));
+        return {
+            cells: cells.map(row => Array.from({ length: columnCount }, (_, i) => row[i] || '')),
+            alignments: Array.from({ length: columnCount }, (_, i) => alignments[i] || ''),
+            start: start,
+            end: end,
+            isExisting: alignments.length > 0
+        };
+    }
+
+    // Finds the pipe table containing the cursor, if any
+    function findTableAtCursor() {
+        const value = textarea.value;
+        const lines = value.split('\n');
+        const cursorLine = value.substring(0, textarea.selectionStart).split('\n').length - 1;
+        const isTableLine = line => line !== undefined && line.includes('|') && line.trim() !== '';
+
+        if (!isTableLine(lines[cursorLine])) return null;
+
+        let first = cursorLine;
+        while (first > 0 && isTableLine(lines[first - 1])) first--;
+        let last = cursorLine;
+        while (last < lines.length - 1 && isTableLine(lines[last + 1])) last++;
+
+        if (last === first || !tableDelimiterRowPattern.test(lines[first + 1])) return null;
+
+        const start = lines.slice(0, first).reduce((length, line) => length + line.length + 1, 0);
+        const end = start + lines.slice(first, last + 1).join('\n').length;
+        const cells = [lines[first], ...lines.slice(first + 2, last + 1)].map(parseTableRow);
+        const alignments = parseTableRow(lines[first + 1]).map(parseTableAlignment);
+        return createTableState(cells, alignments, start, end);
+    }
+
+    function parseTabSeparatedValues(text) {
+        return text.replace(/\r?\n$/, '').split(/\r?\n/).map(line => line.split('\t').map(cell => cell.trim()));
+    }
+
+    function formatTable(state) {
+        const escape = cell => cell.replace(/\r?\n/g, ' ').replace(/\|/g, '\\|');
+        const cells = state.cells.map(row => row.map(escape));
+        const widths = state.alignments.map((_, i) => Math.max(3, ...cells.map(row => row[i].length)));
+
+        const formatRow = row => '| ' + row.map((cell, i) => {
+            const padding = widths[i] - cell.length;
+            switch (state.alignments[i]) {
+                case 'right':
+                    return ' '.repeat(padding) + cell;
+                case 'center':
+                    return ' '.repeat(Math.floor(padding / 2)) + cell + ' '.repeat(Math.ceil(padding / 2));
+                default:
+                    return cell + ' '.repeat(padding);
+            }
+        }).join(' | ') + ' |';
+
+        const delimiterRow = '| ' + state.alignments.map((alignment, i) => {
+            const dashes = '-'.repeat(widths[i] - (alignment === 'center' ? 2 : alignment ? 1 : 0));
+            switch (alignment) {
+                case 'left':
+                    return ':' + dashes;
+                case 'center':
+                    return ':' + dashes + ':';
+                case 'right':
+                    return dashes + ':';
+                default:
+                    return dashes;
+            }
+        }).join(' | ') + ' |';
+
+        return [formatRow(cells[0]), delimiterRow, ...cells.slice(1).map(formatRow)].join('\n');
+    }
+
+    function readTableGrid() {
+        tableEditorGrid.querySelectorAll('input[data-row]').forEach(input => {
+            tableState.cells[input.dataset.row][input.dataset.column] = input.value;
+        });
+        tableEditorGrid.querySelectorAll('select[data-column]').forEach(select => {
+            tableState.alignments[select.dataset.column] = select.value;
+        });
+    }
+
+    function renderTableGrid() {
+        tableEditorGrid.replaceChildren();
+
+        const head = document.createElement('thead');
+        const alignmentRow = document.createElement('tr');
+        tableState.alignments.forEach((alignment, column) => {
+            const cell = document.createElement('th');
+            const select = document.createElement('select');
+            select.className = 'form-select form-select-sm';
+            select.dataset.column = column;
+            select.setAttribute('aria-label', config.labels.columnAlignment);
+            [['', config.labels.alignDefault], ['left', config.labels.alignLeft], ['center', config.labels.alignCenter], ['right', config.labels.alignRight]]
+                .forEach(([value, label]) => select.add(new Option(label, value, false, value === alignment)));
+            cell.appendChild(select);
+            alignmentRow.appendChild(cell);
+        });
+        head.appendChild(alignmentRow);
+        tableEditorGrid.appendChild(head);
+
+        const body = document.createElement('tbody');
+        tableState.cells.forEach((rowCells, row) => {
+            const tableRow = document.createElement('tr');
+            rowCells.forEach((value, column) => {
+                const cell = document.createElement(row === 0 ? 'th' : 'td');
+                const input = document.createElement('input');
+                input.type = 'text';
+                input.className = 'form-control form-control-sm' + (row === 0 ? ' fw-bold' : '');
+                input.value = value;
+                input.dataset.row = row;
+                input.dataset.column = column;
+                cell.appendChild(input);
+                tableRow.appendChild(cell);
+            });
+            body.appendChild(tableRow);
+        });
+        tableEditorGrid.appendChild(body);
+    }
+
+    function focusTableCell(row, column) {
+        const input = tableEditorGrid.querySelector(`input[data-row="${row}"][data-column="${column}"]`);
+        if (input) input.focus();
+    }
+
+    function applyTableCommand(command) {
+        readTableGrid();
+
+        const { row, column } = activeTableCell;
+        const columnCount = tableState.alignments.length;
+        switch (command) {
+            case 'add-row':
+                tableState.cells.splice(row + 1, 0, new Array(columnCount).fill(''));
+                activeTableCell = { row: row + 1, column: column };
+                break;
+            case 'remove-row':
+                // The header row is required
+                if (row === 0 || tableState.cells.length <= 1) return;
+                tableState.cells.splice(row, 1);
+                activeTableCell = { row: Math.min(row, tableState.cells.length - 1), column: column };
+                break;
+            case 'add-column':
+                tableState.cells.forEach(rowCells => rowCells.splice(column + 1, 0, ''));
+                tableState.alignments.splice(column + 1, 0, '');
+                activeTableCell = { row: row, column: column + 1 };
+                break;
+            case 'remove-column':
+                if (columnCount <= 1) return;
+                tableState.cells.forEach(rowCells => rowCells.splice(column, 1));
+                tableState.alignments.splice(column, 1);
+                activeTableCell = { row: row, column: Math.min(column, columnCount - 2) };
+                break;
+        }
+
+        renderTableGrid();
+        focusTableCell(activeTableCell.row, activeTableCell.column);
+    }
+
+    if (tableModal && tableEditorGrid) {
+        tableModal.addEventListener('show.bs.modal', function () {
+            tableState = findTableAtCursor();
+
+            if (!tableState) {
+                // Selected cells copied from a spreadsheet are converted, otherwise start with an empty table
+                const start = textarea.selectionStart;
+                const end = textarea.selectionEnd;
+                const selectedText = textarea.value.substring(start, end);
+                const cells = selectedText.includes('\t')
+                    ? parseTabSeparatedValues(selectedText)
+                    : Array.from({ length: 3 }, () => new Array(3).fill(''));
+                tableState = createTableState(cells, [], start, end);
+            }
+
+            activeTableCell = { row: 0, column: 0 };
+            tableEditorApply.textContent = tableState.isExisting ? config.labels.updateTable : config.labels.insertTable;
+            renderTableGrid();
+        });
+
+        tableModal.addEventListener('shown.bs.modal', function () {
+            focusTableCell(0, 0);
+        });
+
+        tableEditorGrid.addEventListener('focusin', function (e) {
+            if (e.target.dataset.row !== undefined) {
+                activeTableCell = { row: parseInt(e.target.dataset.row, 10), column: parseInt(e.target.dataset.column, 10) };
+            }
+        });
+
+        // Spreadsheet cells are pasted as tab separated values, spread them from the focused cell
+        tableEditorGrid.addEventListener('paste', function (e) {
+            if (e.target.dataset.row === undefined) return;
+
+            const text = e.clipboardData.getData('text/plain');
+            if (!text.includes('\t') && !/\n./.test(text)) return;
+
+            e.preventDefault();
+            readTableGrid();
+
+            const values = parseTabSeparatedValues(text);
+            const { row, column } = activeTableCell;
+            values.forEach((rowValues, rowOffset) => {
+                while (tableState.cells.length <= row + rowOffset) {
+                    tableState.cells.push(new Array(tableState.alignments.length).fill(''));
+                }
+                rowValues.forEach((value, columnOffset) => {
+                    while (tableState.alignments.length <= column + columnOffset) {
+                        tableState.alignments.push('');
+                        tableState.cells.forEach(rowCells => rowCells.push(''));
+                    }
+                    tableState.cells[row + rowOffset][column + columnOffset] = value;
+                });
+            });
+
+            renderTableGrid();
+            focusTableCell(row, column);
+        });
+
+        tableModal.querySelectorAll('[data-table-command]').forEach(button => {
+            button.addEventListener('click', function () {
+                applyTableCommand(this.getAttribute('data-table-command'));
+            });
+        });
+
+        tableEditorApply.addEventListener('click', function () {
+            readTableGrid();
+
+            let table = formatTable(tableState);
+            if (!tableState.isExisting) {
+                table = separateBlock(table, tableState.start, tableState.end);
+            }
+
+            bootstrap.Modal.getInstance(tableModal).hide();
+            insertTextWithUndo(textarea, tableState.start, tableState.end, table, table.length);
+        });
+    }
+
+    // Media Gallery modal functionality
+    const mediaGalleryModal = document.getElementById('mediaGalleryModal');
+    const mediaSearchInput = document.getElementById('mediaSearchInput');
+    const mediaGallery = document.getElementById('mediaGallery');
+    const mediaGalleryContainer = document.getElementById('mediaGalleryContainer');
+    const mediaGalleryMore = document.getElementById('mediaGalleryMore');
+    const mediaGalleryAlerts = document.getElementById('mediaGalleryAlerts');
+    const mediaTypeFilter = document.getElementById('mediaTypeFilter');
+    const mediaFolderFilter = document.getElementById('mediaFolderFilter');
+    const mediaSortOrder = document.getElementById('mediaSortOrder');
+    const mediaUploadFolder = document.getElementById('mediaUploadFolder');
+    const mediaUploadButton = document.getElementById('mediaUploadButton');
+    const mediaUploadInput = document.getElementById('mediaUploadInput');
+    
+    let mediaLoaded = false;
+    let mediaGalleryPage = 0;
+    let mediaGalleryRequest = 0;
+    let mediaSearchTimer = null;
+    let mediaGalleryRow = null;
+    let mediaGalleryLoading = false;
+    let mediaFoldersLoaded = false;
+
+    async function loadMediaGallery(append) {
+        if (!mediaGallery) return;
+
+        const request = ++mediaGalleryRequest;
+        const page = append ? mediaGalleryPage + 1 : 1;
+        const filters = {
+            type: mediaTypeFilter?.value,
+            folder: mediaFolderFilter?.value,
+            sort: mediaSortOrder?.value
+        };
+
+        mediaGalleryLoading = true;
+        try {
+            const result = await fetchPickerPage(config.apiEndpoints.getMediaGallery, mediaSearchInput?.value.trim(), page, filters);
+            if (request !== mediaGalleryRequest) return;
+
+            if (!append || !mediaGalleryRow) {
+                mediaGallery.replaceChildren();
+                mediaGalleryRow = document.createElement('div');
+                mediaGalleryRow.className = 'row g-3';
+                mediaGallery.appendChild(mediaGalleryRow);
+            }
+            result.items.forEach(media => mediaGalleryRow.appendChild(createMediaGalleryItem(media)));
+            if (result.totalCount === 0) {
+                mediaGallery.appendChild(createPickerEmptyMessage('bi-image', config.labels.noMediaFound));
+            }
+
+            mediaGalleryPage = result.page;
+            mediaLoaded = true;
+            mediaGalleryMore?.classList.toggle('d-none', result.page * result.pageSize >= result.totalCount);
+
+            if (mediaGalleryContainer) {
+                mediaGalleryContainer.style.display = 'none';
+            }
+            mediaGallery.style.display = '';
+        } catch (error) {
+            console.error('Error loading media gallery:', error);
+            if (mediaGalleryContainer) {
+                mediaGalleryContainer.innerHTML = '';
+                mediaGalleryContainer.appendChild(createAlert(config.labels.failedToLoadMedia));
+                mediaGalleryContainer.style.display = '';
+            }
+        } finally {
+            if (request === mediaGalleryRequest) {
+                mediaGalleryLoading = false;
+            }
+        }
+    }
+
+    async function loadMediaFolders() {
+        if (!mediaFolderFilter) return;
+
+        try {
+            const response = await fetch(config.apiEndpoints.getMediaFolders);
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            const folders = await response.json();
+
+            // Keep the "All folders" option and the current selection, if the folder still exists
+            const selected = mediaFolderFilter.value;
+            mediaFolderFilter.replaceChildren(mediaFolderFilter.options[0]);
+            folders.forEach(folder => mediaFolderFilter.add(new Option(folder, folder)));
+            mediaFolderFilter.value = folders.includes(selected) ? selected : '';
+            mediaFoldersLoaded = true;
+        } catch (error) {
+            console.error('Error loading media folders:', error);
+        }
+    }
+
+    function formatFileSize(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+
+    function createMediaGalleryItem(media) {
+        const mediaType = media.mediaType.toLowerCase();
+
+        const column = document.createElement('div');
+        column.className = 'col-md-4 col-sm-6';
+        const card = document.createElement('div');
+        card.className = 'card h-100 media-gallery-item';
+        const body = document.createElement('div');
+        body.className = 'card-body d-flex flex-column';
+
+        const preview = document.createElement('div');
+        preview.className = 'text-center mb-2 flex-grow-1 d-flex align-items-center justify-content-center media-preview-container';
+        if (mediaType === 'image') {
+            const image = document.createElement('img');
+            image.src = media.thumbnailUrl || media.url;
+            image.alt = media.fileName;
+            image.loading = 'lazy';
+            image.className = 'img-fluid media-preview-image';
+            preview.appendChild(image);
+        } else {
+            const icon = document.createElement('i');
+            icon.className = mediaType === 'video' ? 'bi bi-camera-video media-icon-large'
+                : mediaType === 'document' ? 'bi bi-file-pdf media-icon-pdf'
+                : 'bi bi-file-earmark media-icon-large';
+            preview.appendChild(icon);
+        }
+        body.appendChild(preview);
+
+        const title = document.createElement('h6');
+        title.className = 'card-title text-truncate';
+        title.title = media.fileName;
+        title.textContent = media.fileName;
+        body.appendChild(title);
+
+        const details = document.createElement('p');
+        details.className = 'card-text small text-muted mb-2';
+        const path = document.createElement('span');
+        path.className = 'text-truncate d-block';
+        path.title = media.absolutePath;
+        path.textContent = media.absolutePath;
+        details.appendChild(path);
+        const info = [];
+        if (media.width && media.height) {
+            info.push(`${media.width} \u00d7 ${media.height}`);
+        }
+        if (media.size != null) {
+            info.push(formatFileSize(media.size));
+        }
+        if (media.lastModified) {
+            info.push(new Date(media.lastModified).toLocaleDateString());
+        }
+        if (info.length > 0) {
+            const infoLine = document.createElement('span');
+            infoLine.className = 'd-block';
+            infoLine.textContent = info.join(', ');
+            details.appendChild(infoLine);
+        }
+        body.appendChild(details);
+
+        const insertButton = document.createElement('button');
+        insertButton.type = 'button';
+        insertButton.className = 'btn btn-sm btn-primary w-100 insert-media-btn';
+        const insertIcon = document.createElement('i');
+        insertIcon.className = 'bi bi-plus-circle';
+        insertButton.appendChild(insertIcon);
+        insertButton.append(` ${config.labels.insert}`);
+        insertButton.addEventListener('click', function () {
+            handleMediaSelection(media.path, media.fileName, media.url, mediaType);
+        });
+        body.appendChild(insertButton);
+
+        const panel = document.createElement('div');
+        panel.className = 'media-gallery-panel small';
+        const actions = document.createElement('div');
+        actions.className = 'btn-group btn-group-sm w-100 mt-2';
+        actions.setAttribute('role', 'group');
+        actions.appendChild(createMediaActionButton('bi-link-45deg', config.labels.mediaReferences, () => toggleMediaReferences(media, panel)));
+        actions.appendChild(createMediaActionButton('bi-pencil', config.labels.moveMedia, () => showMoveMediaForm(media, panel)));
+        actions.appendChild(createMediaActionButton('bi-trash', config.labels.deleteMedia, () => deleteMedia(media, column)));
+        body.appendChild(actions);
+        body.appendChild(panel);
+
+        card.appendChild(body);
+        column.appendChild(card);
+        return column;
+    }
+
+    if (mediaGalleryModal) {
+        // Load media when modal is shown
+        mediaGalleryModal.addEventListener('show.bs.modal', function () {
+            if (!mediaLoaded) {
+                loadMediaGallery(false);
+            }
+            if (!mediaFoldersLoaded) {
+                loadMediaFolders();
+            }
+        });
+    }
+
+    mediaGalleryMore?.addEventListener('click', function () {
+        loadMediaGallery(true);
+    });
+
+    // Load the next page when the "Load more" button is scrolled into view
+    if (mediaGalleryMore && 'IntersectionObserver' in window) {
+        const mediaGalleryObserver = new IntersectionObserver(entries => {
+            if (entries.some(entry => entry.isIntersecting) && !mediaGalleryLoading && !mediaGalleryMore.classList.contains('d-none')) {
+                loadMediaGallery(true);
+            }
+        });
+        mediaGalleryObserver.observe(mediaGalleryMore);
+    }
+
+    [mediaTypeFilter, mediaFolderFilter, mediaSortOrder].forEach(filter => {
+        filter?.addEventListener('change', () => loadMediaGallery(false));
+    });
+
+    mediaUploadButton?.addEventListener('click', function () {
+        mediaUploadInput?.click();
+    });
+
+    mediaUploadInput?.addEventListener('change', function () {
+        const files = Array.from(mediaUploadInput.files);
+        mediaUploadInput.value = '';
+        if (files.length > 0) {
+            uploadMediaFiles(files);
+        }
+    });
+
+    if (mediaSearchInput && mediaGallery) {
+        mediaSearchInput.addEventListener('input', function () {
+            clearTimeout(mediaSearchTimer);
+            mediaSearchTimer = setTimeout(() => loadMediaGallery(false), pickerSearchDelay);
+        });
+    }
+
+    function showMediaGalleryMessage(message, type = 'danger') {
+        if (!mediaGalleryAlerts) return;
+
+        const alert = createAlert(message, type);
+        alert.classList.add('alert-dismissible');
+        alert.setAttribute('role', type === 'danger' ? 'alert' : 'status');
+        const closeButton = document.createElement('button');
+        closeButton.type = 'button';
+        closeButton.className = 'btn-close';
+        closeButton.setAttribute('data-bs-dismiss', 'alert');
+        closeButton.setAttribute('aria-label', config.labels.close);
+        alert.appendChild(closeButton);
+        mediaGalleryAlerts.replaceChildren(alert);
+    }
+
+    async function postMediaRequest(endpoint, data) {
+        const formData = new FormData();
+        Object.entries(data).forEach(([key, value]) => formData.append(key, value));
+
+        const response = await fetch(endpoint, {
+            method: 'POST',
+            headers: {
+                'RequestVerificationToken': document.querySelector('input[name="__RequestVerificationToken"]').value
+            },
+            body: formData
+        });
+        const result = await response.json().catch(() => null);
+        if (!response.ok) {
+            throw new Error(result?.error || config.labels.mediaOperationFailed);
+        }
+        return result;
+    }
+
+    async function uploadMediaFiles(files) {
+        mediaUploadButton.disabled = true;
+
+        const errors = [];
+        let uploaded = 0;
+        for (const file of files) {
+            try {
+                const uploadFile = await prepareUploadFile(file);
+                if (uploadFile.size > config.upload.maxFileSize) {
+                    throw new Error(config.labels.fileTooLarge);
+                }
+                await postMediaRequest(config.apiEndpoints.uploadMediaFile, {
+                    file: uploadFile,
+                    folder: mediaUploadFolder?.value.trim() || '',
+                    currentPageName: config.currentPage.pageName
+                });
+                uploaded++;
+            } catch (error) {
+                console.error('Error uploading media file:', error);
+                errors.push(`${file.name} - ${error.message}`);
+            }
+        }
+
+        mediaUploadButton.disabled = false;
+        if (errors.length > 0) {
+            showMediaGalleryMessage(`${config.labels.uploadFailed} ${errors.join(', ')}`);
+        } else {
+            showMediaGalleryMessage(config.labels.mediaUploaded.replace('{0}', uploaded), 'success');
+        }
+        if (uploaded > 0) {
+            loadMediaFolders();
+            loadMediaGallery(false);
+        }
+    }
+
+    function createMediaActionButton(iconClass, label, onClick) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'btn btn-outline-secondary';
+        button.title = label;
+        button.setAttribute('aria-label', label);
+        const icon = document.createElement('i');
+        icon.className = `bi ${iconClass}`;
+        button.appendChild(icon);
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    async function toggleMediaReferences(media, panel) {
+        if (panel.dataset.content === 'references') {
+            panel.replaceChildren();
+            delete panel.dataset.content;
+            return;
+        }
+
+        panel.dataset.content = 'references';
+        panel.textContent = config.labels.loading;
+
+        try {
+            const params = new URLSearchParams({
+                id: media.absolutePath,
+                currentPageName: config.currentPage.pageName
+            });
+            const response = await fetch(`${config.apiEndpoints.getMediaReferences}?${params}`);
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            const pages = await response.json();
+            if (panel.dataset.content !== 'references') return;
+
+            if (pages.length === 0) {
+                panel.textContent = config.labels.mediaNotReferenced;
+                return;
+            }
+
+            const list = document.createElement('ul');
+            list.className = 'list-unstyled mb-0';
+            pages.forEach(page => {
+                const item = document.createElement('li');
+                item.className = 'text-truncate';
+                item.title = page.pageName;
+                const icon = document.createElement('i');
+                icon.className = 'bi bi-file-earmark-text me-1';
+                item.appendChild(icon);
+                item.append(page.title || page.pageName);
+                list.appendChild(item);
+            });
+            panel.replaceChildren(list);
+        } catch (error) {
+            console.error('Error loading media references:', error);
+            if (panel.dataset.content === 'references') {
+                panel.replaceChildren(createAlert(config.labels.mediaOperationFailed));
+            }
+        }
+    }
+
+    function showMoveMediaForm(media, panel) {
+        if (panel.dataset.content === 'move') {
+            panel.replaceChildren();
+            delete panel.dataset.content;
+            return;
+        }
+
+        panel.dataset.content = 'move';
+
+        const form = document.createElement('form');
+        form.className = 'input-group input-group-sm';
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'form-control';
+        input.value = media.absolutePath;
+        input.setAttribute('aria-label', config.labels.moveMedia);
+        const saveButton = document.createElement('button');
+        saveButton.type = 'submit';
+        saveButton.className = 'btn btn-primary';
+        saveButton.textContent = config.labels.save;
+        form.appendChild(input);
+        form.appendChild(saveButton);
+
+        form.addEventListener('submit', async function (e) {
+            e.preventDefault();
+            const newPath = input.value.trim().replace(/^\/+/, '');
+            if (!newPath || newPath === media.absolutePath) {
+                panel.replaceChildren();
+                delete panel.dataset.content;
+                return;
+            }
+
+            saveButton.disabled = true;
+            try {
+                const result = await postMediaRequest(config.apiEndpoints.moveMedia, {
+                    id: media.absolutePath,
+                    newPath: newPath,
+                    currentPageName: config.currentPage.pageName
+                });
+                replaceMediaPathInEditor(media.path, result.media.path);
+                showMediaGalleryMessage(config.labels.mediaMoved.replace('{0}', result.updatedPages.length), 'success');
+                loadMediaFolders();
+                loadMediaGallery(false);
+            } catch (error) {
+                console.error('Error moving media file:', error);
+                showMediaGalleryMessage(error.message);
+                saveButton.disabled = false;
+            }
+        });
+
+        panel.replaceChildren(form);
+        input.focus();
+        input.setSelectionRange(input.value.lastIndexOf('/') + 1, input.value.lastIndexOf('.'));
+    }
+
+    function replaceMediaPathInEditor(oldPath, newPath) {
+        // The server only updates committed pages, links typed in the editor must follow the file too
+        const pattern = createMarkdownLinkPattern(oldPath);
+        const content = textarea.value;
+        const newContent = content.replace(pattern, (match, prefix) => prefix + newPath);
+        if (newContent !== content) {
+            // The modal keeps the focus, so the text can't be inserted with undo support
+            textarea.setRangeText(newContent, 0, content.length, 'preserve');
+            textarea.dispatchEvent(new InputEvent('input', { bubbles: true, cancelable: true }));
+        }
+    }
+
+    async function deleteMedia(media, column) {
+        if (!window.confirm(config.labels.confirmDeleteMedia.replace('{0}', media.absolutePath))) {
+            return;
+        }
+
+        try {
+            await postMediaRequest(config.apiEndpoints.deleteMedia, { id: media.absolutePath });
+            column.remove();
+            showMediaGalleryMessage(config.labels.mediaDeleted, 'success');
+        } catch (error) {
+            console.error('Error deleting media file:', error);
+            showMediaGalleryMessage(error.message);
+        }
+    }
+
+    function handleMediaSelection(mediaPath, fileName, mediaUrl, mediaType) {
+        const modalElement = document.getElementById('mediaGalleryModal');
+
+        modalElement.addEventListener('hidden.bs.modal', () => {
+            if (mediaSearchInput && mediaSearchInput.value) {
+                mediaSearchInput.value = '';
+                loadMediaGallery(false);
+            }
+            showMediaInsertDialog(mediaPath, fileName, mediaType);
+        }, { once: true });
+
+        const modal = bootstrap.Modal.getInstance(modalElement);
+        modal?.hide();
+    }
+
+    // Media insertion dialog: alternative text, caption, width, alignment and embedding options
+    const mediaInsertModal = document.getElementById('mediaInsertModal');
+    const mediaInsertPath = document.getElementById('mediaInsertPath');
+    const mediaInsertText = document.getElementById('mediaInsertText');
+    const mediaInsertCaption = document.getElementById('mediaInsertCaption');
+    const mediaInsertWidth = document.getElementById('mediaInsertWidth');
+    const mediaInsertAlignment = document.getElementById('mediaInsertAlignment');
+    const mediaInsertLink = document.getElementById('mediaInsertLink');
+    const mediaInsertEmbed = document.getElementById('mediaInsertEmbed');
+    const mediaInsertApply = document.getElementById('mediaInsertApply');
+    const mediaWidthPattern = /^(\d{1,5})(px)?$|^\d{1,3}%$/;
+    let mediaInsertState = null;
+
+    function showMediaInsertDialog(mediaPath, fileName, mediaType) {
+        const start = textarea.selectionStart;
+        const end = textarea.selectionEnd;
+        const selectedText = textarea.value.substring(start, end);
+
+        // Other files can only be linked
+        if (!mediaInsertModal || mediaType === 'file') {
+            const markdownRef = formatMediaMarkdown(mediaPath, mediaType, { text: selectedText || fileName });
+            insertTextWithUndo(textarea, start, end, markdownRef, markdownRef.length);
+            return;
+        }
+
+        mediaInsertState = { mediaPath, mediaType, start, end };
+        mediaInsertPath.textContent = mediaPath;
+        mediaInsertText.value = selectedText || fileName;
+        mediaInsertCaption.value = '';
+        mediaInsertWidth.value = '';
+        mediaInsertWidth.classList.remove('is-invalid');
+        mediaInsertAlignment.value = '';
+        mediaInsertLink.checked = false;
+        mediaInsertEmbed.checked = true;
+
+        mediaInsertModal.querySelectorAll('[data-media-insert-types]').forEach(element => {
+            element.classList.toggle('d-none', !element.dataset.mediaInsertTypes.split(' ').includes(mediaType));
+        });
+        updateMediaInsertOptions();
+
+        bootstrap.Modal.getOrCreateInstance(mediaInsertModal).show();
+    }
+
+    function updateMediaInsertOptions() {
+        // Width and alignment only apply to images and embedded media
+        const embedded = mediaInsertState?.mediaType === 'image' || mediaInsertEmbed.checked;
+        mediaInsertWidth.disabled = !embedded;
+        mediaInsertAlignment.disabled = !embedded;
+    }
+
+    function formatMediaMarkdown(mediaPath, mediaType, options) {
+        const text = options.text.replace(/[\[\]]/g, '\\$&');
+        if (mediaType === 'file' || (mediaType !== 'image' && !options.embed)) {
+            return `[${text}](${mediaPath})`;
+        }
+
+        const attributes = [];
+        if (options.width) {
+            attributes.push(`width=${options.width}`);
+        }
+        if (options.alignment) {
+            attributes.push(`.wiki-media-${options.alignment}`);
+        }
+
+        let markdown = `![${text}](${mediaPath})`;
+        if (attributes.length > 0) {
+            markdown += `{${attributes.join(' ')}}`;
+        }
+        if (mediaType === 'image' && options.link) {
+            markdown = `[${markdown}](${mediaPath})`;
+        }
+        if (mediaType === 'image' && options.caption) {
+            markdown = `^^^\n${markdown}\n^^^ ${options.caption}`;
+        }
+        return markdown;
+    }
+
+    function separateBlock(block, start, end) {
+        // A block must be separated from the surrounding paragraphs by blank lines
+        const before = textarea.value.substring(0, start);
+        const after = textarea.value.substring(end);
+        if (before && !before.endsWith('\n\n')) {
+            block = (before.endsWith('\n') ? '\n' : '\n\n') + block;
+        }
+        if (after && !after.startsWith('\n\n')) {
+            block += after.startsWith('\n') ? '\n' : '\n\n';
+        }
+        return block;
+    }
+
+    if (mediaInsertModal) {
+        mediaInsertModal.addEventListener('shown.bs.modal', function () {
+            mediaInsertText.focus();
+            mediaInsertText.select();
+        });
+
+        mediaInsertEmbed.addEventListener('change', updateMediaInsertOptions);
+
+        mediaInsertWidth.addEventListener('input', function () {
+            mediaInsertWidth.classList.remove('is-invalid');
+        });
+
+        mediaInsertApply.addEventListener('click', function () {
+            const width = mediaInsertWidth.value.trim();
+            if (!mediaInsertWidth.disabled && width && !mediaWidthPattern.test(width)) {
+                mediaInsertWidth.classList.add('is-invalid');
+                mediaInsertWidth.focus();
+                return;
+            }
+
+            const { mediaPath, mediaType, start, end } = mediaInsertState;
+            const options = {
+                text: mediaInsertText.value.trim(),
+                caption: mediaInsertCaption.value.trim(),
+                width: mediaInsertWidth.disabled ? '' : width.replace(/px$/, ''),
+                alignment: mediaInsertAlignment.disabled ? '' : mediaInsertAlignment.value,
+                link: mediaInsertLink.checked,
+                embed: mediaInsertEmbed.checked
+            };
+
+            let markdown = formatMediaMarkdown(mediaPath, mediaType, options);
+            if (mediaType === 'image' && options.caption) {
+                markdown = separateBlock(markdown, start, end);
+            }
+
+            bootstrap.Modal.getInstance(mediaInsertModal).hide();
+            insertTextWithUndo(textarea, start, end, markdown, markdown.length);
+        });
+
+        mediaInsertModal.addEventListener('keydown', function (e) {
+            if (e.key === 'Enter' && e.target.tagName === 'INPUT' && e.target.type !== 'checkbox') {
+                e.preventDefault();
+                mediaInsertApply.click();
+            }
+        });
     }
 
     function insertTextWithUndo(textarea, start, end, newText, cursorOffset) {
@@ -0,0 +1,220 @@
+/*
+ * Lightweight markdown highlighting for a textarea.
+ *
+ * The textarea keeps the text, the selection and the undo history: its text is made transparent and a highlighted
+ * copy of its content is laid out behind it, with a line number gutter. Lines are not wrapped while highlighting,
+ * so that each source line is exactly one line of the highlighted copy and of the gutter.
+ */
+(function () {
+    'use strict';
+
+    const frontMatterEndPattern = /^(---|\.\.\.)\s*$/;
+    const fencePattern = /^ {0,3}(`{3,}|~{3,})/;
+    const headingPattern = /^ {0,3}#{1,6}(?=\s|$)/;
+    const blockMarkerPattern = /^(\s*(?:>\s?)*)(\s*(?:[-*+]|\d{1,9}[.)])(?:\s+\[[ xX]\])?(?=\s))?/;
+    const inlinePattern = new RegExp([
+        '(?<code>(?<ticks>`+).*?\\k<ticks>)',
+        '(?<link>!?\\[[^\\]]*\\]\\([^)]*\\)|!?\\[[^\\]]*\\]\\[[^\\]]*\\]|\\[\\[[^\\]]+\\]\\]|<https?:\\/\\/[^>\\s]+>)',
+        '(?<strong>\\*\\*(?=\\S).*?\\S\\*\\*|(?<!\\w)__(?=\\S).*?\\S__(?!\\w))',
+        '(?<em>\\*(?=[^\\s*]).*?[^\\s\\\\]\\*|(?<!\\w)_(?=[^\\s_]).*?[^\\s\\\\]_(?!\\w))',
+        '(?<strike>~~(?=\\S).*?\\S~~)'
+    ].join('|'), 'g');
+
+    function escapeHtml(text) {
+        return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    }
+
+    function span(className, text) {
+        return text ? `<span class="md-${className}">${escapeHtml(text)}</span>` : '';
+    }
+
+    function highlightInline(text) {
+        let html = '';
+        let position = 0;
+
+        for (const match of text.matchAll(inlinePattern)) {
+            const className = ['code', 'link', 'strong', 'em', 'strike'].find(name => match.groups[name] !== undefined);
+            html += escapeHtml(text.substring(position, match.index)) + span(className, match[0]);
+            position = match.index + match[0].length;
+        }
+
+        return html + escapeHtml(text.substring(position));
+    }
+
+    function highlightLine(line) {
+        if (headingPattern.test(line)) {
+            return span('heading', line);
+        }
+
+        if (/^ {0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) {
+            return span('marker', line);
+        }
+
+        const markers = blockMarkerPattern.exec(line)[0];
+        return span('marker', markers) + highlightInline(line.substring(markers.length));
+    }
+
+    /**
+     * Converts markdown to the HTML of its highlighted copy, one line of HTML per line of markdown.
+     * @param {string} markdown The markdown text
+     * @returns {string} The highlighted HTML
+     */
+    function highlight(markdown) {
+        const lines = markdown.split('\n');
+        const html = [];
+        let index = 0;
+
+        // YAML front matter, only at the very beginning of the page
+        if (/^---\s*$/.test(lines[0])) {
+            const end = lines.findIndex((line, i) => i > 0 && frontMatterEndPattern.test(line));
+            if (end > 0) {
+                for (; index <= end; index++) {
+                    html.push(span('front-matter', lines[index]));
+                }
+            }
+        }
+
+        let fence = null;
+        for (; index < lines.length; index++) {
+            const line = lines[index];
+
+            if (fence) {
+                const closing = fencePattern.exec(line);
+                if (closing && closing[1][0] === fence[0] && closing[1].length >= fence.length && !line.substring(closing[0].length).trim()) {
+                    fence = null;
+                    html.push(span('fence', line));
+                } else {
+                    html.push(span('code-block', line));
+                }
+                continue;
+            }
+
+            const opening = fencePattern.exec(line);
+            if (opening && !(opening[1][0] === '`' && line.substring(opening[0].length).includes('`'))) {
+                fence = opening[1];
+                html.push(span('fence', line));
+                continue;
+            }
+
+            html.push(highlightLine(line));
+        }
+
+        return html.join('\n');
+    }
+
+    class MarkdownHighlighter {
+        /**
+         * Wraps the textarea in the elements of the highlighter. Highlighting is disabled until enable() is called.
+         * @param {HTMLTextAreaElement} textarea The textarea holding the markdown
+         */
+        constructor(textarea) {
+            this.textarea = textarea;
+            this.enabled = false;
+            this.lineCount = 0;
+            this.refreshRequest = null;
+
+            this.element = document.createElement('div');
+            this.element.className = 'markdown-editor';
+
+            this.gutter = document.createElement('div');
+            this.gutter.className = 'markdown-editor-gutter';
+            this.gutter.setAttribute('aria-hidden', 'true');
+            this.lineNumbers = document.createElement('div');
+            this.lineNumbers.className = 'markdown-editor-line-numbers';
+            this.gutter.appendChild(this.lineNumbers);
+
+            const main = document.createElement('div');
+            main.className = 'markdown-editor-main';
+            this.backdrop = document.createElement('pre');
+            this.backdrop.className = 'markdown-editor-highlight';
+            this.backdrop.setAttribute('aria-hidden', 'true');
+            this.code = document.createElement('code');
+            this.backdrop.appendChild(this.code);
+
+            // The textarea is moved only once, before any edit, as moving it may clear its undo history
+            textarea.parentElement.insertBefore(this.element, textarea);
+            main.appendChild(this.backdrop);
+            main.appendChild(textarea);
+            this.element.appendChild(this.gutter);
+            this.element.appendChild(main);
+
+            this.onInput = () => this.scheduleRefresh();
+            this.onScroll = () => this.syncScroll();
+        }
+
+        enable() {
+            if (this.enabled) return;
+            this.enabled = true;
+
+            this.element.classList.add('highlighting');
+            this.copyTextareaStyle();
+            this.textarea.addEventListener('input', this.onInput);
+            this.textarea.addEventListener('scroll', this.onScroll);
+            this.refresh();
+        }
+
+        disable() {
+            if (!this.enabled) return;
+            this.enabled = false;
+
+            this.element.classList.remove('highlighting');
+            this.textarea.removeEventListener('input', this.onInput);
+            this.textarea.removeEventListener('scroll', this.onScroll);
+            cancelAnimationFrame(this.refreshRequest);
+            this.code.innerHTML = '';
+            this.lineNumbers.textContent = '';
+            this.lineCount = 0;
+        }
+
+        /**
+         * Updates the highlighted copy. Called on input events, and to be called after setting the value of the textarea directly.
+         */
+        refresh() {
+            if (!this.enabled) return;
+
+            const value = this.textarea.value;
+
+            // The extra line keeps a trailing line break visible and leaves room for the horizontal scrollbar of the textarea
+            this.code.innerHTML = highlight(value) + '\n\n';
+
+            const lineCount = value.split('\n').length;
+            if (lineCount !== this.lineCount) {
+                this.lineCount = lineCount;
+                this.lineNumbers.textContent = Array.from({ length: lineCount }, (_, i) => i + 1).join('\n');
+            }
+
+            this.syncScroll();
+        }
+
+        scheduleRefresh() {
+            cancelAnimationFrame(this.refreshRequest);
+            this.refreshRequest = requestAnimationFrame(() => this.refresh());
+        }
+
+        syncScroll() {
+            this.backdrop.scrollTop = this.textarea.scrollTop;
+            this.backdrop.scrollLeft = this.textarea.scrollLeft;
+            this.lineNumbers.style.transform = `translateY(${-this.textarea.scrollTop}px)`;
+        }
+
+        // Lays out the highlighted copy and the gutter exactly like the text of the textarea
+        copyTextareaStyle() {
+            const style = window.getComputedStyle(this.textarea);
+
+            ['fontFamily', 'fontSize', 'fontWeight', 'lineHeight', 'letterSpacing', 'tabSize',
+                'paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft',
+                'borderTopWidth', 'borderRightWidth', 'borderBottomWidth', 'borderLeftWidth'].forEach(property => {
+                this.backdrop.style[property] = style[property];
+            });
+
+            ['fontFamily', 'fontSize', 'lineHeight'].forEach(property => {
+                this.lineNumbers.style[property] = style[property];
+            });
+            this.lineNumbers.style.paddingTop = `${parseFloat(style.paddingTop) + parseFloat(style.borderTopWidth)}px`;
+        }
+    }
+
+    MarkdownHighlighter.highlight = highlight;
+
+    window.MarkdownHighlighter = MarkdownHighlighter;
+})();
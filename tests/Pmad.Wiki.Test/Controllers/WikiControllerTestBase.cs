@@ -23,6 +23,8 @@ public abstract class WikiControllerTestBase
     protected readonly Mock<ITemporaryMediaStorageService> _mockTemporaryMediaStorage;
     protected readonly Mock<IWikiPageEditService> _mockWikiPageEditService;
     protected readonly Mock<IWikiTemplateService> _mockTemplateService;
+    protected readonly Mock<IMediaThumbnailService> _mockThumbnailService;
+    protected readonly Mock<IMediaMetadataService> _mockMetadataService;
     protected readonly Mock<ILogger<WikiController>> _mockLogger;
     protected readonly Mock<IStringLocalizer<WikiResources>> _mockLocalizer;
     protected readonly WikiOptions _options;
@@ -38,6 +40,8 @@ public abstract class WikiControllerTestBase
         _mockTemporaryMediaStorage = new Mock<ITemporaryMediaStorageService>();
         _mockWikiPageEditService = new Mock<IWikiPageEditService>();
         _mockTemplateService = new Mock<IWikiTemplateService>();
+        _mockThumbnailService = new Mock<IMediaThumbnailService>();
+        _mockMetadataService = new Mock<IMediaMetadataService>();
         _mockLogger = new Mock<ILogger<WikiController>>();
         _mockLocalizer = new Mock<IStringLocalizer<WikiResources>>();
         _linkGenerator = new TestLinkGenerator();
@@ -75,7 +79,9 @@ public abstract class WikiControllerTestBase
             optionsWrapper,
             _mockLogger.Object,
             _mockLocalizer.Object,
-            new WikiPagePermissionHelper(_mockPageService.Object, _mockAccessControlService.Object, optionsWrapper));
+            new WikiPagePermissionHelper(_mockPageService.Object, _mockAccessControlService.Object, optionsWrapper),
+            _mockThumbnailService.Object,
+            _mockMetadataService.Object);
 
         // Setup default HTTP context
         var actionContext = new ActionContext(new DefaultHttpContext(), new RouteData(), new Microsoft.AspNetCore.Mvc.Controllers.ControllerActionDescriptor());
@@ -111,4 +117,20 @@ public abstract class WikiControllerTestBase
         var actionContext = new ActionContext(httpContext, new RouteData(), new Microsoft.AspNetCore.Mvc.Controllers.ControllerActionDescriptor());
         _controller.ControllerContext = new ControllerContext(actionContext);
     }
+
+    protected IWikiUser SetupEditor(bool shouldCreate = false)
+    {
+        var mockUser = new Mock<IWikiUserWithPermissions>();
+        var wikiUser = Mock.Of<IWikiUser>();
+        mockUser.Setup(x => x.CanEdit).Returns(true);
+        mockUser.Setup(x => x.User).Returns(wikiUser);
+        mockUser.Setup(x => x.Groups).Returns(Array.Empty<string>());
+
+        _mockUserService
+            .Setup(x => x.GetWikiUser(It.IsAny<ClaimsPrincipal>(), shouldCreate, It.IsAny<CancellationToken>()))
+            .ReturnsAsync(mockUser.Object);
+
+        SetupUserContext("testuser");
+        return wikiUser;
+    }
 }
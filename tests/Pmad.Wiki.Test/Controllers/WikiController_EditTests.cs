@@ -38,7 +38,7 @@ public class WikiController_EditTests : WikiControllerTestBase
         SetupUserContext("testuser");
 
         // Act
-        var result = await _controller.Edit("TestPage", null, null, null, CancellationToken.None);
+        var result = await _controller.Edit("TestPage", null, null, null, null, CancellationToken.None);
 
         // Assert
         var viewResult = Assert.IsType<ViewResult>(result);
@@ -71,7 +71,7 @@ public class WikiController_EditTests : WikiControllerTestBase
         SetupUserContext("testuser");
 
         // Act
-        var result = await _controller.Edit("NewPage", null, null, null, CancellationToken.None);
+        var result = await _controller.Edit("NewPage", null, null, null, null, CancellationToken.None);
 
         // Assert
         var viewResult = Assert.IsType<ViewResult>(result);
@@ -112,7 +112,7 @@ public class WikiController_EditTests : WikiControllerTestBase
         SetupUserContext("testuser");
 
         // Act
-        var result = await _controller.Edit("TestPage", "fr", null, null, CancellationToken.None);
+        var result = await _controller.Edit("TestPage", "fr", null, null, null, CancellationToken.None);
 
         // Assert
         var viewResult = Assert.IsType<ViewResult>(result);
@@ -151,7 +151,7 @@ public class WikiController_EditTests : WikiControllerTestBase
         SetupUserContext("testuser");
 
         // Act
-        var result = await _controller.Edit("TestPage", null, commitId, null, CancellationToken.None);
+        var result = await _controller.Edit("TestPage", null, commitId, null, null, CancellationToken.None);
 
         // Assert
         var viewResult = Assert.IsType<ViewResult>(result);
@@ -199,7 +199,7 @@ public class WikiController_EditTests : WikiControllerTestBase
         SetupUserContext("testuser");
 
         // Act
-        var result = await _controller.Edit("TestPage", null, commitId, null, CancellationToken.None);
+        var result = await _controller.Edit("TestPage", null, commitId, null, null, CancellationToken.None);
 
         // Assert
         var viewResult = Assert.IsType<ViewResult>(result);
@@ -217,7 +217,7 @@ public class WikiController_EditTests : WikiControllerTestBase
             .ReturnsAsync((IWikiUserWithPermissions?)null);
 
         // Act
-        var result = await _controller.Edit("TestPage", null, null, null, CancellationToken.None);
+        var result = await _controller.Edit("TestPage", null, null, null, null, CancellationToken.None);
 
         // Assert
         Assert.IsType<ForbidResult>(result);
@@ -237,7 +237,7 @@ public class WikiController_EditTests : WikiControllerTestBase
         SetupUserContext("testuser");
 
         // Act
-        var result = await _controller.Edit("TestPage", null, null, null, CancellationToken.None);
+        var result = await _controller.Edit("TestPage", null, null, null, null, CancellationToken.None);
 
         // Assert
         Assert.IsType<ForbidResult>(result);
@@ -257,7 +257,7 @@ public class WikiController_EditTests : WikiControllerTestBase
         SetupUserContext("testuser");
 
         // Act
-        var result = await _controller.Edit("", null, null, null, CancellationToken.None);
+        var result = await _controller.Edit("", null, null, null, null, CancellationToken.None);
 
         // Assert
         var badRequestResult = Assert.IsType<BadRequestObjectResult>(result);
@@ -278,7 +278,7 @@ public class WikiController_EditTests : WikiControllerTestBase
         SetupUserContext("testuser");
 
         // Act
-        var result = await _controller.Edit("../../../etc/passwd", null, null, null, CancellationToken.None);
+        var result = await _controller.Edit("../../../etc/passwd", null, null, null, null, CancellationToken.None);
 
         // Assert
         Assert.IsType<BadRequestObjectResult>(result);
@@ -298,7 +298,7 @@ public class WikiController_EditTests : WikiControllerTestBase
         SetupUserContext("testuser");
 
         // Act
-        var result = await _controller.Edit("TestPage", "invalid-culture-code", null, null, CancellationToken.None);
+        var result = await _controller.Edit("TestPage", "invalid-culture-code", null, null, null, CancellationToken.None);
 
         // Assert
         Assert.IsType<BadRequestObjectResult>(result);
@@ -331,7 +331,7 @@ public class WikiController_EditTests : WikiControllerTestBase
         SetupUserContext("testuser");
 
         // Act
-        var result = await _controller.Edit("AdminPage", null, null, null, CancellationToken.None);
+        var result = await _controller.Edit("AdminPage", null, null, null, null, CancellationToken.None);
 
         // Assert
         Assert.IsType<ForbidResult>(result);
@@ -376,7 +376,7 @@ public class WikiController_EditTests : WikiControllerTestBase
         SetupUserContext("testuser");
 
         // Act
-        var result = await _controller.Edit("AdminPage", null, null, null, CancellationToken.None);
+        var result = await _controller.Edit("AdminPage", null, null, null, null, CancellationToken.None);
 
         // Assert
         var viewResult = Assert.IsType<ViewResult>(result);
@@ -403,7 +403,7 @@ public class WikiController_EditTests : WikiControllerTestBase
         SetupUserContext("testuser");
 
         // Act
-        var result = await _controller.Edit("docs/api/reference", null, null, null, CancellationToken.None);
+        var result = await _controller.Edit("docs/api/reference", null, null, null, null, CancellationToken.None);
 
         // Assert
         var viewResult = Assert.IsType<ViewResult>(result);
@@ -448,7 +448,7 @@ public class WikiController_EditTests : WikiControllerTestBase
         SetupUserContext("testuser");
 
         // Act
-        var result = await _controller.Edit("docs/guide", null, null, null, CancellationToken.None);
+        var result = await _controller.Edit("docs/guide", null, null, null, null, CancellationToken.None);
 
         // Assert
         var viewResult = Assert.IsType<ViewResult>(result);
@@ -488,7 +488,7 @@ public class WikiController_EditTests : WikiControllerTestBase
         SetupUserContext("testuser");
 
         // Act
-        var result = await _controller.Edit("TestPage", "fr", commitId, null, CancellationToken.None);
+        var result = await _controller.Edit("TestPage", "fr", commitId, null, null, CancellationToken.None);
 
         // Assert
         var viewResult = Assert.IsType<ViewResult>(result);
@@ -523,7 +523,7 @@ public class WikiController_EditTests : WikiControllerTestBase
         SetupUserContext("testuser");
 
         // Act
-        var result = await _controller.Edit("NewPage", "de", null, null, CancellationToken.None);
+        var result = await _controller.Edit("NewPage", "de", null, null, null, CancellationToken.None);
 
         // Assert
         var viewResult = Assert.IsType<ViewResult>(result);
@@ -535,6 +535,79 @@ public class WikiController_EditTests : WikiControllerTestBase
         Assert.True(model.IsNew);
     }
 
+    [Fact]
+    public async Task Edit_Get_WithSection_ReturnsViewWithSectionContent()
+    {
+        // Arrange
+        var mockUser = new Mock<IWikiUserWithPermissions>();
+        mockUser.Setup(x => x.CanEdit).Returns(true);
+        mockUser.Setup(x => x.Groups).Returns(Array.Empty<string>());
+
+        _mockUserService
+            .Setup(x => x.GetWikiUser(It.IsAny<ClaimsPrincipal>(), true, It.IsAny<CancellationToken>()))
+            .ReturnsAsync(mockUser.Object);
+
+        _mockPageService
+            .Setup(x => x.GetPageAsync("TestPage", null, It.IsAny<CancellationToken>()))
+            .ReturnsAsync(new WikiPage
+            {
+                PageName = "TestPage",
+                Content = "# Runbook\n\n## Deployment\n\nDeploy it.\n\n## Rollback\n\nRevert it.",
+                ContentHash = "hash123",
+                Title = "Runbook"
+            });
+
+        SetupUserContext("testuser");
+
+        // Act
+        var result = await _controller.Edit("TestPage", null, null, null, 2, CancellationToken.None);
+
+        // Assert
+        var viewResult = Assert.IsType<ViewResult>(result);
+        var model = Assert.IsType<WikiPageEditViewModel>(viewResult.Model);
+
+        Assert.Equal("## Deployment\n\nDeploy it.", model.Content);
+        Assert.Equal("Update section Deployment of page TestPage", model.CommitMessage);
+        Assert.Equal(2, model.Section);
+        Assert.Equal("hash123", model.OriginalContentHash);
+    }
+
+    [Fact]
+    public async Task Edit_Get_WithUnknownSection_ReturnsViewWithWholePage()
+    {
+        // Arrange
+        var mockUser = new Mock<IWikiUserWithPermissions>();
+        mockUser.Setup(x => x.CanEdit).Returns(true);
+        mockUser.Setup(x => x.Groups).Returns(Array.Empty<string>());
+
+        _mockUserService
+            .Setup(x => x.GetWikiUser(It.IsAny<ClaimsPrincipal>(), true, It.IsAny<CancellationToken>()))
+            .ReturnsAsync(mockUser.Object);
+
+        _mockPageService
+            .Setup(x => x.GetPageAsync("TestPage", null, It.IsAny<CancellationToken>()))
+            .ReturnsAsync(new WikiPage
+            {
+                PageName = "TestPage",
+                Content = "# Runbook\n\nIntro",
+                ContentHash = "hash123",
+                Title = "Runbook"
+            });
+
+        SetupUserContext("testuser");
+
+        // Act
+        var result = await _controller.Edit("TestPage", null, null, null, 2, CancellationToken.None);
+
+        // Assert
+        var viewResult = Assert.IsType<ViewResult>(result);
+        var model = Assert.IsType<WikiPageEditViewModel>(viewResult.Model);
+
+        Assert.Equal("# Runbook\n\nIntro", model.Content);
+        Assert.Equal("Update page TestPage", model.CommitMessage);
+        Assert.Null(model.Section);
+    }
+
     #endregion
 
     #region Edit POST Action Tests
@@ -886,6 +959,115 @@ public class WikiController_EditTests : WikiControllerTestBase
             Times.Never);
     }
 
+    [Fact]
+    public async Task Edit_Post_WithContentHashMismatch_ReturnsConflictVersions()
+    {
+        // Arrange
+        var mockUser = new Mock<IWikiUserWithPermissions>();
+        mockUser.Setup(x => x.CanEdit).Returns(true);
+        mockUser.Setup(x => x.Groups).Returns(Array.Empty<string>());
+
+        _mockUserService
+            .Setup(x => x.GetWikiUser(It.IsAny<ClaimsPrincipal>(), true, It.IsAny<CancellationToken>()))
+            .ReturnsAsync(mockUser.Object);
+
+        _mockPageService
+            .Setup(x => x.GetPageAsync("TestPage", null, It.IsAny<CancellationToken>()))
+            .ReturnsAsync(new WikiPage
+            {
+                PageName = "TestPage",
+                Content = "# Their Content",
+                ContentHash = "newhash123",
+                LastModifiedBy = "otheruser",
+                Title = "Test Page"
+            });
+
+        _mockPageService
+            .Setup(x => x.GetPageByContentHashAsync("TestPage", null, "oldhash456", It.IsAny<CancellationToken>()))
+            .ReturnsAsync(new WikiPage
+            {
+                PageName = "TestPage",
+                Content = "# Base Content",
+                ContentHash = "oldhash456",
+                Title = "Test Page"
+            });
+
+        var model = new WikiPageEditViewModel
+        {
+            PageName = "TestPage",
+            Content = "# My Content",
+            CommitMessage = "Update page",
+            IsNew = false,
+            OriginalContentHash = "oldhash456"
+        };
+
+        SetupUserContext("testuser");
+        _controller.ModelState.SetModelValue(nameof(model.OriginalContentHash), "oldhash456", "oldhash456");
+
+        // Act
+        var result = await _controller.Edit(model, CancellationToken.None);
+
+        // Assert
+        var viewResult = Assert.IsType<ViewResult>(result);
+        var resultModel = Assert.IsType<WikiPageEditViewModel>(viewResult.Model);
+        Assert.NotNull(resultModel.Conflict);
+        Assert.Equal("# Base Content", resultModel.Conflict.BaseContent);
+        Assert.Equal("# Their Content", resultModel.Conflict.TheirContent);
+        Assert.Equal("otheruser", resultModel.Conflict.TheirAuthor);
+        Assert.Equal("# My Content", resultModel.Content);
+
+        // The posted hash must not be rendered again, otherwise the next save would conflict again
+        Assert.False(_controller.ModelState.ContainsKey(nameof(model.OriginalContentHash)));
+    }
+
+    [Fact]
+    public async Task Edit_Post_WithContentHashMismatch_WhenBaseVersionNotFound_ReturnsConflictWithoutBase()
+    {
+        // Arrange
+        var mockUser = new Mock<IWikiUserWithPermissions>();
+        mockUser.Setup(x => x.CanEdit).Returns(true);
+        mockUser.Setup(x => x.Groups).Returns(Array.Empty<string>());
+
+        _mockUserService
+            .Setup(x => x.GetWikiUser(It.IsAny<ClaimsPrincipal>(), true, It.IsAny<CancellationToken>()))
+            .ReturnsAsync(mockUser.Object);
+
+        _mockPageService
+            .Setup(x => x.GetPageAsync("TestPage", null, It.IsAny<CancellationToken>()))
+            .ReturnsAsync(new WikiPage
+            {
+                PageName = "TestPage",
+                Content = "# Their Content",
+                ContentHash = "newhash123",
+                Title = "Test Page"
+            });
+
+        _mockPageService
+            .Setup(x => x.GetPageByContentHashAsync("TestPage", null, "unknownhash", It.IsAny<CancellationToken>()))
+            .ReturnsAsync((WikiPage?)null);
+
+        var model = new WikiPageEditViewModel
+        {
+            PageName = "TestPage",
+            Content = "# My Content",
+            CommitMessage = "Update page",
+            IsNew = false,
+            OriginalContentHash = "unknownhash"
+        };
+
+        SetupUserContext("testuser");
+
+        // Act
+        var result = await _controller.Edit(model, CancellationToken.None);
+
+        // Assert
+        var viewResult = Assert.IsType<ViewResult>(result);
+        var resultModel = Assert.IsType<WikiPageEditViewModel>(viewResult.Model);
+        Assert.NotNull(resultModel.Conflict);
+        Assert.Null(resultModel.Conflict.BaseContent);
+        Assert.Equal("# Their Content", resultModel.Conflict.TheirContent);
+    }
+
     [Fact]
     public async Task Edit_Post_WithUnchangedContent_RedirectsWithoutSaving()
     {
@@ -1028,6 +1210,46 @@ public class WikiController_EditTests : WikiControllerTestBase
             Times.Once);
     }
 
+    [Fact]
+    public async Task Edit_Post_WithUnreferencedTemporaryMedia_CleansUpAllUploads()
+    {
+        // Arrange
+        var mockUser = new Mock<IWikiUserWithPermissions>();
+        var mockWikiUser = Mock.Of<IWikiUser>();
+        mockUser.Setup(x => x.CanEdit).Returns(true);
+        mockUser.Setup(x => x.User).Returns(mockWikiUser);
+        mockUser.Setup(x => x.Groups).Returns(Array.Empty<string>());
+
+        _mockUserService
+            .Setup(x => x.GetWikiUser(It.IsAny<ClaimsPrincipal>(), true, It.IsAny<CancellationToken>()))
+            .ReturnsAsync(mockUser.Object);
+
+        var model = new WikiPageEditViewModel
+        {
+            PageName = "TestPage",
+            Content = "![Used](/wiki/tempmedia/abc123)",
+            CommitMessage = "Add page with media",
+            IsNew = true,
+            TemporaryMediaIds = "abc123,def456"
+        };
+
+        SetupUserContext("testuser");
+
+        // Act
+        var result = await _controller.Edit(model, CancellationToken.None);
+
+        // Assert
+        Assert.IsType<RedirectToActionResult>(result);
+
+        // The upload whose link was removed is not committed by the edit service, and is deleted too
+        _mockTemporaryMediaStorage.Verify(
+            x => x.CleanupUserTemporaryMediaAsync(
+                mockWikiUser,
+                It.Is<string[]>(ids => ids.SequenceEqual(new[] { "abc123", "def456" })),
+                It.IsAny<CancellationToken>()),
+            Times.Once);
+    }
+
     [Fact]
     public async Task Edit_Post_WithEmptyTemporaryMediaIds_DoesNotCleanup()
     {
@@ -10,7 +10,7 @@ namespace Pmad.Wiki.Test.Controllers;
 public class WikiController_GetAccessiblePagesTests : WikiControllerTestBase
 {
     [Fact]
-    public async Task GetAccessiblePages_WithValidUser_ReturnsPartialViewWithPages()
+    public async Task GetAccessiblePages_WithValidUser_ReturnsJsonWithPages()
     {
         // Arrange
         var mockUser = new Mock<IWikiUserWithPermissions>();
@@ -47,13 +47,12 @@ public class WikiController_GetAccessiblePagesTests : WikiControllerTestBase
         SetupUserContext("testuser");
 
         // Act
-        var result = await _controller.GetAccessiblePages("Home", CancellationToken.None);
+        var result = await _controller.GetAccessiblePages("Home", null, null, null, CancellationToken.None);
 
         // Assert
-        var partialViewResult = Assert.IsType<PartialViewResult>(result);
-        Assert.Equal("_PageLinkList", partialViewResult.ViewName);
+        var okResult = Assert.IsType<OkObjectResult>(result);
         
-        var model = Assert.IsType<List<WikiPageLinkInfo>>(partialViewResult.Model);
+        var model = Assert.IsType<PagedResponse<WikiPageLinkInfo>>(okResult.Value).Items;
         Assert.Equal(3, model.Count);
         Assert.Equal("About", model[0].PageName);
         Assert.Equal("docs/guide", model[1].PageName);
@@ -87,11 +86,11 @@ public class WikiController_GetAccessiblePagesTests : WikiControllerTestBase
         SetupUserContext("testuser");
 
         // Act
-        var result = await _controller.GetAccessiblePages("Home", CancellationToken.None);
+        var result = await _controller.GetAccessiblePages("Home", null, null, null, CancellationToken.None);
 
         // Assert
-        var partialViewResult = Assert.IsType<PartialViewResult>(result);
-        var model = Assert.IsType<List<WikiPageLinkInfo>>(partialViewResult.Model);
+        var okResult = Assert.IsType<OkObjectResult>(result);
+        var model = Assert.IsType<PagedResponse<WikiPageLinkInfo>>(okResult.Value).Items;
         
         Assert.Equal(4, model.Count);
         Assert.Equal("Alpha", model[0].PageName);
@@ -126,11 +125,11 @@ public class WikiController_GetAccessiblePagesTests : WikiControllerTestBase
         SetupUserContext("testuser");
 
         // Act
-        var result = await _controller.GetAccessiblePages("docs/guide", CancellationToken.None);
+        var result = await _controller.GetAccessiblePages("docs/guide", null, null, null, CancellationToken.None);
 
         // Assert
-        var partialViewResult = Assert.IsType<PartialViewResult>(result);
-        var model = Assert.IsType<List<WikiPageLinkInfo>>(partialViewResult.Model);
+        var okResult = Assert.IsType<OkObjectResult>(result);
+        var model = Assert.IsType<PagedResponse<WikiPageLinkInfo>>(okResult.Value).Items;
         
         Assert.Equal(3, model.Count);
         
@@ -169,11 +168,11 @@ public class WikiController_GetAccessiblePagesTests : WikiControllerTestBase
         SetupUserContext("testuser");
 
         // Act
-        var result = await _controller.GetAccessiblePages("Home", CancellationToken.None);
+        var result = await _controller.GetAccessiblePages("Home", null, null, null, CancellationToken.None);
 
         // Assert
-        var partialViewResult = Assert.IsType<PartialViewResult>(result);
-        var model = Assert.IsType<List<WikiPageLinkInfo>>(partialViewResult.Model);
+        var okResult = Assert.IsType<OkObjectResult>(result);
+        var model = Assert.IsType<PagedResponse<WikiPageLinkInfo>>(okResult.Value).Items;
         
         var homePage = model.First(p => p.PageName == "Home");
         Assert.Equal("Welcome Home", homePage.Title);
@@ -191,7 +190,7 @@ public class WikiController_GetAccessiblePagesTests : WikiControllerTestBase
             .ReturnsAsync((IWikiUserWithPermissions?)null);
 
         // Act
-        var result = await _controller.GetAccessiblePages("Home", CancellationToken.None);
+        var result = await _controller.GetAccessiblePages("Home", null, null, null, CancellationToken.None);
 
         // Assert
         Assert.IsType<ForbidResult>(result);
@@ -211,7 +210,7 @@ public class WikiController_GetAccessiblePagesTests : WikiControllerTestBase
         SetupUserContext("testuser");
 
         // Act
-        var result = await _controller.GetAccessiblePages("Home", CancellationToken.None);
+        var result = await _controller.GetAccessiblePages("Home", null, null, null, CancellationToken.None);
 
         // Assert
         Assert.IsType<ForbidResult>(result);
@@ -231,7 +230,7 @@ public class WikiController_GetAccessiblePagesTests : WikiControllerTestBase
         SetupUserContext("testuser");
 
         // Act
-        var result = await _controller.GetAccessiblePages("../../../etc/passwd", CancellationToken.None);
+        var result = await _controller.GetAccessiblePages("../../../etc/passwd", null, null, null, CancellationToken.None);
 
         // Assert
         Assert.IsType<BadRequestObjectResult>(result);
@@ -278,11 +277,11 @@ public class WikiController_GetAccessiblePagesTests : WikiControllerTestBase
         SetupUserContext("testuser");
 
         // Act
-        var result = await _controller.GetAccessiblePages("Home", CancellationToken.None);
+        var result = await _controller.GetAccessiblePages("Home", null, null, null, CancellationToken.None);
 
         // Assert
-        var partialViewResult = Assert.IsType<PartialViewResult>(result);
-        var model = Assert.IsType<List<WikiPageLinkInfo>>(partialViewResult.Model);
+        var okResult = Assert.IsType<OkObjectResult>(result);
+        var model = Assert.IsType<PagedResponse<WikiPageLinkInfo>>(okResult.Value).Items;
         
         Assert.Equal(2, model.Count);
         Assert.Contains(model, p => p.PageName == "Home");
@@ -318,11 +317,11 @@ public class WikiController_GetAccessiblePagesTests : WikiControllerTestBase
         SetupUserContext("testuser");
 
         // Act
-        var result = await _controller.GetAccessiblePages("Home", CancellationToken.None);
+        var result = await _controller.GetAccessiblePages("Home", null, null, null, CancellationToken.None);
 
         // Assert
-        var partialViewResult = Assert.IsType<PartialViewResult>(result);
-        var model = Assert.IsType<List<WikiPageLinkInfo>>(partialViewResult.Model);
+        var okResult = Assert.IsType<OkObjectResult>(result);
+        var model = Assert.IsType<PagedResponse<WikiPageLinkInfo>>(okResult.Value).Items;
         
         Assert.Equal(3, model.Count);
         Assert.Contains(model, p => p.PageName == "Home");
@@ -370,11 +369,11 @@ public class WikiController_GetAccessiblePagesTests : WikiControllerTestBase
         SetupUserContext("testuser");
 
         // Act
-        var result = await _controller.GetAccessiblePages("public", CancellationToken.None);
+        var result = await _controller.GetAccessiblePages("public", null, null, null, CancellationToken.None);
 
         // Assert
-        var partialViewResult = Assert.IsType<PartialViewResult>(result);
-        var model = Assert.IsType<List<WikiPageLinkInfo>>(partialViewResult.Model);
+        var okResult = Assert.IsType<OkObjectResult>(result);
+        var model = Assert.IsType<PagedResponse<WikiPageLinkInfo>>(okResult.Value).Items;
         
         Assert.Single(model);
         Assert.Equal("public", model[0].PageName);
@@ -399,11 +398,11 @@ public class WikiController_GetAccessiblePagesTests : WikiControllerTestBase
         SetupUserContext("testuser");
 
         // Act
-        var result = await _controller.GetAccessiblePages("Home", CancellationToken.None);
+        var result = await _controller.GetAccessiblePages("Home", null, null, null, CancellationToken.None);
 
         // Assert
-        var partialViewResult = Assert.IsType<PartialViewResult>(result);
-        var model = Assert.IsType<List<WikiPageLinkInfo>>(partialViewResult.Model);
+        var okResult = Assert.IsType<OkObjectResult>(result);
+        var model = Assert.IsType<PagedResponse<WikiPageLinkInfo>>(okResult.Value).Items;
         
         Assert.Empty(model);
     }
@@ -438,11 +437,11 @@ public class WikiController_GetAccessiblePagesTests : WikiControllerTestBase
         SetupUserContext("testuser");
 
         // Act
-        var result = await _controller.GetAccessiblePages("Home", CancellationToken.None);
+        var result = await _controller.GetAccessiblePages("Home", null, null, null, CancellationToken.None);
 
         // Assert
-        var partialViewResult = Assert.IsType<PartialViewResult>(result);
-        var model = Assert.IsType<List<WikiPageLinkInfo>>(partialViewResult.Model);
+        var okResult = Assert.IsType<OkObjectResult>(result);
+        var model = Assert.IsType<PagedResponse<WikiPageLinkInfo>>(okResult.Value).Items;
         
         Assert.Single(model);
         Assert.Equal("admin/page", model[0].PageName);
@@ -477,11 +476,11 @@ public class WikiController_GetAccessiblePagesTests : WikiControllerTestBase
         SetupUserContext("testuser");
 
         // Act
-        var result = await _controller.GetAccessiblePages("Home", CancellationToken.None);
+        var result = await _controller.GetAccessiblePages("Home", null, null, null, CancellationToken.None);
 
         // Assert
-        var partialViewResult = Assert.IsType<PartialViewResult>(result);
-        var model = Assert.IsType<List<WikiPageLinkInfo>>(partialViewResult.Model);
+        var okResult = Assert.IsType<OkObjectResult>(result);
+        var model = Assert.IsType<PagedResponse<WikiPageLinkInfo>>(okResult.Value).Items;
         
         var homePage = model.First(p => p.PageName == "Home");
         Assert.Equal("Home", homePage.RelativePath);
@@ -516,11 +515,11 @@ public class WikiController_GetAccessiblePagesTests : WikiControllerTestBase
         SetupUserContext("testuser");
 
         // Act
-        var result = await _controller.GetAccessiblePages("admin/settings", CancellationToken.None);
+        var result = await _controller.GetAccessiblePages("admin/settings", null, null, null, CancellationToken.None);
 
         // Assert
-        var partialViewResult = Assert.IsType<PartialViewResult>(result);
-        var model = Assert.IsType<List<WikiPageLinkInfo>>(partialViewResult.Model);
+        var okResult = Assert.IsType<OkObjectResult>(result);
+        var model = Assert.IsType<PagedResponse<WikiPageLinkInfo>>(okResult.Value).Items;
         
         var homePage = model.First(p => p.PageName == "Home");
         Assert.Equal("../Home", homePage.RelativePath);
@@ -558,11 +557,11 @@ public class WikiController_GetAccessiblePagesTests : WikiControllerTestBase
         SetupUserContext("testuser");
 
         // Act
-        var result = await _controller.GetAccessiblePages("docs/api/v1/reference", CancellationToken.None);
+        var result = await _controller.GetAccessiblePages("docs/api/v1/reference", null, null, null, CancellationToken.None);
 
         // Assert
-        var partialViewResult = Assert.IsType<PartialViewResult>(result);
-        var model = Assert.IsType<List<WikiPageLinkInfo>>(partialViewResult.Model);
+        var okResult = Assert.IsType<OkObjectResult>(result);
+        var model = Assert.IsType<PagedResponse<WikiPageLinkInfo>>(okResult.Value).Items;
         
         var homePage = model.First(p => p.PageName == "Home");
         Assert.Equal("../../../Home", homePage.RelativePath);
@@ -599,11 +598,11 @@ public class WikiController_GetAccessiblePagesTests : WikiControllerTestBase
         SetupUserContext("testuser");
 
         // Act
-        var result = await _controller.GetAccessiblePages("Home", CancellationToken.None);
+        var result = await _controller.GetAccessiblePages("Home", null, null, null, CancellationToken.None);
 
         // Assert
-        var partialViewResult = Assert.IsType<PartialViewResult>(result);
-        var model = Assert.IsType<List<WikiPageLinkInfo>>(partialViewResult.Model);
+        var okResult = Assert.IsType<OkObjectResult>(result);
+        var model = Assert.IsType<PagedResponse<WikiPageLinkInfo>>(okResult.Value).Items;
         
         Assert.Equal(2, model.Count);
         Assert.Contains(model, p => p.PageName == "Page-With-Dashes");
@@ -653,11 +652,11 @@ public class WikiController_GetAccessiblePagesTests : WikiControllerTestBase
         SetupUserContext("testuser");
 
         // Act
-        var result = await _controller.GetAccessiblePages("Home", CancellationToken.None);
+        var result = await _controller.GetAccessiblePages("Home", null, null, null, CancellationToken.None);
 
         // Assert
-        var partialViewResult = Assert.IsType<PartialViewResult>(result);
-        var model = Assert.IsType<List<WikiPageLinkInfo>>(partialViewResult.Model);
+        var okResult = Assert.IsType<OkObjectResult>(result);
+        var model = Assert.IsType<PagedResponse<WikiPageLinkInfo>>(okResult.Value).Items;
         
         Assert.Equal(2, model.Count);
         Assert.Contains(model, p => p.PageName == "page1");
@@ -691,11 +690,11 @@ public class WikiController_GetAccessiblePagesTests : WikiControllerTestBase
         SetupUserContext("testuser");
 
         // Act
-        var result = await _controller.GetAccessiblePages("docs/guide2", CancellationToken.None);
+        var result = await _controller.GetAccessiblePages("docs/guide2", null, null, null, CancellationToken.None);
 
         // Assert
-        var partialViewResult = Assert.IsType<PartialViewResult>(result);
-        var model = Assert.IsType<List<WikiPageLinkInfo>>(partialViewResult.Model);
+        var okResult = Assert.IsType<OkObjectResult>(result);
+        var model = Assert.IsType<PagedResponse<WikiPageLinkInfo>>(okResult.Value).Items;
         
         Assert.Equal(3, model.Count);
         Assert.All(model, p => Assert.DoesNotContain("..", p.RelativePath));
@@ -704,4 +703,110 @@ public class WikiController_GetAccessiblePagesTests : WikiControllerTestBase
         Assert.Equal("guide2", model.First(p => p.PageName == "docs/guide2").RelativePath);
         Assert.Equal("guide3", model.First(p => p.PageName == "docs/guide3").RelativePath);
     }
+
+    private void SetupEditorWithPages(params WikiPageInfo[] pages)
+    {
+        SetupEditor();
+
+        _mockPageService
+            .Setup(x => x.GetAllPagesAsync(It.IsAny<CancellationToken>()))
+            .ReturnsAsync(pages.ToList());
+    }
+
+    [Fact]
+    public async Task GetAccessiblePages_WithQuery_FiltersByNameAndTitle()
+    {
+        // Arrange
+        SetupEditorWithPages(
+            new WikiPageInfo { PageName = "Home", Title = "Home Page" },
+            new WikiPageInfo { PageName = "About", Title = "About Us" },
+            new WikiPageInfo { PageName = "docs/guide", Title = "User Guide" },
+            new WikiPageInfo { PageName = "docs/install", Title = "Installation" });
+
+        // Act
+        var result = await _controller.GetAccessiblePages("Home", "GUIDE", null, null, CancellationToken.None);
+
+        // Assert
+        var okResult = Assert.IsType<OkObjectResult>(result);
+        var pages = Assert.IsType<PagedResponse<WikiPageLinkInfo>>(okResult.Value).Items;
+        var page = Assert.Single(pages);
+        Assert.Equal("docs/guide", page.PageName);
+        Assert.Equal("User Guide", page.Title);
+    }
+
+    [Fact]
+    public async Task GetAccessiblePages_ListsPagesStartingWithQueryFirst()
+    {
+        // Arrange
+        SetupEditorWithPages(
+            new WikiPageInfo { PageName = "docs/setup", Title = "Setup" },
+            new WikiPageInfo { PageName = "setup", Title = "Quick Setup" },
+            new WikiPageInfo { PageName = "network", Title = "Network Setup" });
+
+        // Act
+        var result = await _controller.GetAccessiblePages("Home", "setup", null, null, CancellationToken.None);
+
+        // Assert
+        var okResult = Assert.IsType<OkObjectResult>(result);
+        var pages = Assert.IsType<PagedResponse<WikiPageLinkInfo>>(okResult.Value).Items;
+        Assert.Equal(new[] { "docs/setup", "setup", "network" }, pages.Select(p => p.PageName));
+    }
+
+    [Fact]
+    public async Task GetAccessiblePages_WithPageSize_ReturnsAtMostPageSizePages()
+    {
+        // Arrange
+        SetupEditorWithPages(Enumerable.Range(1, 20)
+            .Select(i => new WikiPageInfo { PageName = $"Page{i:D2}", Title = $"Page {i}" })
+            .ToArray());
+
+        // Act
+        var result = await _controller.GetAccessiblePages("Home", "page", null, 5, CancellationToken.None);
+
+        // Assert
+        var okResult = Assert.IsType<OkObjectResult>(result);
+        var pages = Assert.IsType<PagedResponse<WikiPageLinkInfo>>(okResult.Value).Items;
+        Assert.Equal(5, pages.Count);
+        Assert.Equal("Page01", pages[0].PageName);
+    }
+
+    [Fact]
+    public async Task GetAccessiblePages_WithPage_ReturnsRequestedPageAndTotalCount()
+    {
+        // Arrange
+        SetupEditorWithPages(Enumerable.Range(1, 12)
+            .Select(i => new WikiPageInfo { PageName = $"Page{i:D2}", Title = $"Page {i}" })
+            .ToArray());
+
+        // Act
+        var result = await _controller.GetAccessiblePages("Home", null, 3, 5, CancellationToken.None);
+
+        // Assert
+        var okResult = Assert.IsType<OkObjectResult>(result);
+        var response = Assert.IsType<PagedResponse<WikiPageLinkInfo>>(okResult.Value);
+        Assert.Equal(12, response.TotalCount);
+        Assert.Equal(3, response.Page);
+        Assert.Equal(5, response.PageSize);
+        Assert.Equal(new[] { "Page11", "Page12" }, response.Items.Select(p => p.PageName));
+    }
+
+    [Fact]
+    public async Task GetAccessiblePages_WithSeveralCultures_ReturnsOneEntryPerPage()
+    {
+        // Arrange
+        SetupEditorWithPages(
+            new WikiPageInfo { PageName = "Home", Title = "Accueil", Culture = "fr", LastModified = new DateTimeOffset(2024, 3, 1, 0, 0, 0, TimeSpan.Zero) },
+            new WikiPageInfo { PageName = "Home", Title = "Home Page", LastModified = new DateTimeOffset(2024, 1, 1, 0, 0, 0, TimeSpan.Zero) },
+            new WikiPageInfo { PageName = "Home", Title = "Inicio", Culture = "es", LastModified = new DateTimeOffset(2024, 2, 1, 0, 0, 0, TimeSpan.Zero) });
+
+        // Act
+        var result = await _controller.GetAccessiblePages("Home", null, null, null, CancellationToken.None);
+
+        // Assert
+        var okResult = Assert.IsType<OkObjectResult>(result);
+        var page = Assert.Single(Assert.IsType<PagedResponse<WikiPageLinkInfo>>(okResult.Value).Items);
+        Assert.Equal("Home Page", page.Title);
+        Assert.Equal(new[] { "es", "fr" }, page.Cultures);
+        Assert.Equal(new DateTimeOffset(2024, 3, 1, 0, 0, 0, TimeSpan.Zero), page.LastModified);
+    }
 }
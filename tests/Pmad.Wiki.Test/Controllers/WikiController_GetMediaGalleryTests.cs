@@ -10,7 +10,7 @@ namespace Pmad.Wiki.Test.Controllers;
 public class WikiController_GetMediaGalleryTests : WikiControllerTestBase
 {
     [Fact]
-    public async Task GetMediaGallery_WithValidUser_ReturnsPartialViewWithMedia()
+    public async Task GetMediaGallery_WithValidUser_ReturnsJsonWithMedia()
     {
         // Arrange
         var mockUser = new Mock<IWikiUserWithPermissions>();
@@ -38,7 +38,7 @@ public class WikiController_GetMediaGalleryTests : WikiControllerTestBase
         };
 
         _mockPageService
-            .Setup(x => x.GetAllMediaFilesAsync(It.IsAny<CancellationToken>()))
+            .Setup(x => x.GetAllMediaFilesAsync(It.IsAny<bool>(), It.IsAny<CancellationToken>()))
             .ReturnsAsync(allMedia);
 
         _mockAccessControlService
@@ -48,13 +48,12 @@ public class WikiController_GetMediaGalleryTests : WikiControllerTestBase
         SetupUserContext("testuser");
 
         // Act
-        var result = await _controller.GetMediaGallery(string.Empty, CancellationToken.None);
+        var result = await _controller.GetMediaGallery(string.Empty, null, null, null, null, null, null, CancellationToken.None);
 
         // Assert
-        var partialViewResult = Assert.IsType<PartialViewResult>(result);
-        Assert.Equal("_MediaGalleryList", partialViewResult.ViewName);
+        var okResult = Assert.IsType<OkObjectResult>(result);
 
-        var model = Assert.IsType<List<MediaGalleryItem>>(partialViewResult.Model);
+        var model = Assert.IsType<PagedResponse<MediaGalleryItem>>(okResult.Value).Items;
         Assert.Equal(2, model.Count);
         Assert.Contains(model, m => m.AbsolutePath == "images/logo.png");
         Assert.Contains(model, m => m.AbsolutePath == "documents/manual.pdf");
@@ -93,7 +92,7 @@ public class WikiController_GetMediaGalleryTests : WikiControllerTestBase
         };
 
         _mockPageService
-            .Setup(x => x.GetAllMediaFilesAsync(It.IsAny<CancellationToken>()))
+            .Setup(x => x.GetAllMediaFilesAsync(It.IsAny<bool>(), It.IsAny<CancellationToken>()))
             .ReturnsAsync(allMedia);
 
         _mockAccessControlService
@@ -107,11 +106,11 @@ public class WikiController_GetMediaGalleryTests : WikiControllerTestBase
         SetupUserContext("testuser");
 
         // Act
-        var result = await _controller.GetMediaGallery(string.Empty, CancellationToken.None);
+        var result = await _controller.GetMediaGallery(string.Empty, null, null, null, null, null, null, CancellationToken.None);
 
         // Assert
-        var partialViewResult = Assert.IsType<PartialViewResult>(result);
-        var model = Assert.IsType<List<MediaGalleryItem>>(partialViewResult.Model);
+        var okResult = Assert.IsType<OkObjectResult>(result);
+        var model = Assert.IsType<PagedResponse<MediaGalleryItem>>(okResult.Value).Items;
 
         Assert.Single(model);
         Assert.Equal("images/logo.png", model[0].AbsolutePath);
@@ -126,7 +125,7 @@ public class WikiController_GetMediaGalleryTests : WikiControllerTestBase
             .ReturnsAsync((IWikiUserWithPermissions?)null);
 
         // Act
-        var result = await _controller.GetMediaGallery(string.Empty, CancellationToken.None);
+        var result = await _controller.GetMediaGallery(string.Empty, null, null, null, null, null, null, CancellationToken.None);
 
         // Assert
         Assert.IsType<ForbidResult>(result);
@@ -146,10 +145,240 @@ public class WikiController_GetMediaGalleryTests : WikiControllerTestBase
         SetupUserContext("testuser");
 
         // Act
-        var result = await _controller.GetMediaGallery(string.Empty, CancellationToken.None);
+        var result = await _controller.GetMediaGallery(string.Empty, null, null, null, null, null, null, CancellationToken.None);
 
         // Assert
         Assert.IsType<ForbidResult>(result);
     }
-}
 
+    [Fact]
+    public async Task GetMediaGallery_WithQueryAndPaging_ReturnsMatchingPage()
+    {
+        // Arrange
+        var mockUser = new Mock<IWikiUserWithPermissions>();
+        mockUser.Setup(x => x.CanEdit).Returns(true);
+        mockUser.Setup(x => x.Groups).Returns(Array.Empty<string>());
+
+        _mockUserService
+            .Setup(x => x.GetWikiUser(It.IsAny<ClaimsPrincipal>(), false, It.IsAny<CancellationToken>()))
+            .ReturnsAsync(mockUser.Object);
+
+        var allMedia = Enumerable.Range(1, 5)
+            .Select(i => new MediaFileInfo { AbsolutePath = $"images/photo{i}.jpg", FileName = $"photo{i}.jpg", MediaType = MediaType.Image })
+            .Append(new MediaFileInfo { AbsolutePath = "documents/manual.pdf", FileName = "manual.pdf", MediaType = MediaType.Document })
+            .ToList();
+
+        _mockPageService
+            .Setup(x => x.GetAllMediaFilesAsync(It.IsAny<bool>(), It.IsAny<CancellationToken>()))
+            .ReturnsAsync(allMedia);
+
+        SetupUserContext("testuser");
+
+        // Act
+        var result = await _controller.GetMediaGallery("docs/page", "PHOTO", 2, 2, null, null, null, CancellationToken.None);
+
+        // Assert
+        var okResult = Assert.IsType<OkObjectResult>(result);
+        var response = Assert.IsType<PagedResponse<MediaGalleryItem>>(okResult.Value);
+        Assert.Equal(5, response.TotalCount);
+        Assert.Equal(new[] { "images/photo3.jpg", "images/photo4.jpg" }, response.Items.Select(m => m.AbsolutePath));
+        Assert.Equal("../images/photo3.jpg", response.Items[0].Path);
+    }
+
+    [Fact]
+    public async Task GetMediaGallery_ReturnsSizeAndImageDimensions()
+    {
+        // Arrange
+        var mockUser = new Mock<IWikiUserWithPermissions>();
+        mockUser.Setup(x => x.CanEdit).Returns(true);
+        mockUser.Setup(x => x.Groups).Returns(Array.Empty<string>());
+
+        _mockUserService
+            .Setup(x => x.GetWikiUser(It.IsAny<ClaimsPrincipal>(), false, It.IsAny<CancellationToken>()))
+            .ReturnsAsync(mockUser.Object);
+
+        _mockPageService
+            .Setup(x => x.GetAllMediaFilesAsync(It.IsAny<bool>(), It.IsAny<CancellationToken>()))
+            .ReturnsAsync(new List<MediaFileInfo>
+            {
+                new MediaFileInfo { AbsolutePath = "documents/manual.pdf", FileName = "manual.pdf", MediaType = MediaType.Document },
+                new MediaFileInfo { AbsolutePath = "images/logo.png", FileName = "logo.png", MediaType = MediaType.Image }
+            });
+
+        _mockMetadataService
+            .Setup(x => x.GetMetadataAsync(It.Is<MediaFileInfo>(m => m.AbsolutePath == "images/logo.png"), It.IsAny<CancellationToken>()))
+            .ReturnsAsync(new MediaFileMetadata { Size = 5678, Width = 320, Height = 240 });
+        _mockMetadataService
+            .Setup(x => x.GetMetadataAsync(It.Is<MediaFileInfo>(m => m.AbsolutePath == "documents/manual.pdf"), It.IsAny<CancellationToken>()))
+            .ReturnsAsync(new MediaFileMetadata { Size = 1234 });
+
+        SetupUserContext("testuser");
+
+        // Act
+        var result = await _controller.GetMediaGallery(string.Empty, null, null, null, null, null, null, CancellationToken.None);
+
+        // Assert
+        var okResult = Assert.IsType<OkObjectResult>(result);
+        var model = Assert.IsType<PagedResponse<MediaGalleryItem>>(okResult.Value).Items;
+
+        var pdf = model.Single(m => m.AbsolutePath == "documents/manual.pdf");
+        Assert.Equal(1234, pdf.Size);
+        Assert.Null(pdf.Width);
+
+        var logo = model.Single(m => m.AbsolutePath == "images/logo.png");
+        Assert.Equal(5678, logo.Size);
+        Assert.Equal(320, logo.Width);
+        Assert.Equal(240, logo.Height);
+    }
+
+    [Fact]
+    public async Task GetMediaGallery_WithTypeAndFolder_FiltersMedia()
+    {
+        // Arrange
+        SetupEditorWithMedia(new List<MediaFileInfo>
+        {
+            new MediaFileInfo { AbsolutePath = "docs/images/logo.png", FileName = "logo.png", MediaType = MediaType.Image },
+            new MediaFileInfo { AbsolutePath = "docs/manual.pdf", FileName = "manual.pdf", MediaType = MediaType.Document },
+            new MediaFileInfo { AbsolutePath = "docsets/banner.png", FileName = "banner.png", MediaType = MediaType.Image },
+            new MediaFileInfo { AbsolutePath = "images/photo.jpg", FileName = "photo.jpg", MediaType = MediaType.Image }
+        });
+
+        // Act
+        var result = await _controller.GetMediaGallery(string.Empty, null, null, null, MediaType.Image, "docs", null, CancellationToken.None);
+
+        // Assert
+        var okResult = Assert.IsType<OkObjectResult>(result);
+        var model = Assert.IsType<PagedResponse<MediaGalleryItem>>(okResult.Value).Items;
+        Assert.Equal(new[] { "docs/images/logo.png" }, model.Select(m => m.AbsolutePath));
+    }
+
+    [Fact]
+    public async Task GetMediaGallery_SortedByDate_ReturnsMostRecentFirst()
+    {
+        // Arrange
+        SetupEditorWithMedia(new List<MediaFileInfo>
+        {
+            new MediaFileInfo { AbsolutePath = "a.png", FileName = "a.png", MediaType = MediaType.Image, LastModified = new DateTimeOffset(2024, 1, 1, 0, 0, 0, TimeSpan.Zero) },
+            new MediaFileInfo { AbsolutePath = "b.png", FileName = "b.png", MediaType = MediaType.Image, LastModified = new DateTimeOffset(2024, 3, 1, 0, 0, 0, TimeSpan.Zero) },
+            new MediaFileInfo { AbsolutePath = "c.png", FileName = "c.png", MediaType = MediaType.Image, LastModified = new DateTimeOffset(2024, 2, 1, 0, 0, 0, TimeSpan.Zero) }
+        });
+
+        // Act
+        var result = await _controller.GetMediaGallery(string.Empty, null, null, null, null, null, "date", CancellationToken.None);
+
+        // Assert
+        var okResult = Assert.IsType<OkObjectResult>(result);
+        var model = Assert.IsType<PagedResponse<MediaGalleryItem>>(okResult.Value).Items;
+        Assert.Equal(new[] { "b.png", "c.png", "a.png" }, model.Select(m => m.AbsolutePath));
+        Assert.Equal(new DateTimeOffset(2024, 3, 1, 0, 0, 0, TimeSpan.Zero), model[0].LastModified);
+    }
+
+    [Fact]
+    public async Task GetMediaGallery_SortedBySize_ReturnsLargestFirstAcrossPages()
+    {
+        // Arrange
+        SetupEditorWithMedia(new List<MediaFileInfo>
+        {
+            new MediaFileInfo { AbsolutePath = "a.pdf", FileName = "a.pdf", MediaType = MediaType.Document },
+            new MediaFileInfo { AbsolutePath = "b.pdf", FileName = "b.pdf", MediaType = MediaType.Document },
+            new MediaFileInfo { AbsolutePath = "c.pdf", FileName = "c.pdf", MediaType = MediaType.Document }
+        });
+        _mockMetadataService.Setup(x => x.GetMetadataAsync(It.Is<MediaFileInfo>(m => m.AbsolutePath == "a.pdf"), It.IsAny<CancellationToken>())).ReturnsAsync(new MediaFileMetadata { Size = 10 });
+        _mockMetadataService.Setup(x => x.GetMetadataAsync(It.Is<MediaFileInfo>(m => m.AbsolutePath == "b.pdf"), It.IsAny<CancellationToken>())).ReturnsAsync(new MediaFileMetadata { Size = 30 });
+        _mockMetadataService.Setup(x => x.GetMetadataAsync(It.Is<MediaFileInfo>(m => m.AbsolutePath == "c.pdf"), It.IsAny<CancellationToken>())).ReturnsAsync(new MediaFileMetadata { Size = 20 });
+
+        // Act
+        var result = await _controller.GetMediaGallery(string.Empty, null, 1, 2, null, null, "size", CancellationToken.None);
+
+        // Assert
+        var okResult = Assert.IsType<OkObjectResult>(result);
+        var response = Assert.IsType<PagedResponse<MediaGalleryItem>>(okResult.Value);
+        Assert.Equal(3, response.TotalCount);
+        Assert.Equal(new[] { "b.pdf", "c.pdf" }, response.Items.Select(m => m.AbsolutePath));
+    }
+
+    [Fact]
+    public async Task GetMediaGallery_ReturnsThumbnailUrlForRasterImagesOnly()
+    {
+        // Arrange
+        SetupEditorWithMedia(new List<MediaFileInfo>
+        {
+            new MediaFileInfo { AbsolutePath = "images/logo.png", FileName = "logo.png", MediaType = MediaType.Image },
+            new MediaFileInfo { AbsolutePath = "images/icon.svg", FileName = "icon.svg", MediaType = MediaType.Image },
+            new MediaFileInfo { AbsolutePath = "documents/manual.pdf", FileName = "manual.pdf", MediaType = MediaType.Document }
+        });
+
+        // Act
+        var result = await _controller.GetMediaGallery(string.Empty, null, null, null, null, null, null, CancellationToken.None);
+
+        // Assert
+        var okResult = Assert.IsType<OkObjectResult>(result);
+        var model = Assert.IsType<PagedResponse<MediaGalleryItem>>(okResult.Value).Items;
+        Assert.Equal("/Wiki/MediaThumbnail/images/logo.png", model.Single(m => m.AbsolutePath == "images/logo.png").ThumbnailUrl);
+        Assert.Null(model.Single(m => m.AbsolutePath == "images/icon.svg").ThumbnailUrl);
+        Assert.Null(model.Single(m => m.AbsolutePath == "documents/manual.pdf").ThumbnailUrl);
+    }
+
+    [Fact]
+    public async Task GetMediaFolders_ReturnsAccessibleFoldersWithTheirParents()
+    {
+        // Arrange
+        _options.UsePageLevelPermissions = true;
+
+        SetupEditorWithMedia(new List<MediaFileInfo>
+        {
+            new MediaFileInfo { AbsolutePath = "docs/guide/images/step1.png", FileName = "step1.png", MediaType = MediaType.Image },
+            new MediaFileInfo { AbsolutePath = "logo.png", FileName = "logo.png", MediaType = MediaType.Image },
+            new MediaFileInfo { AbsolutePath = "restricted/secret.pdf", FileName = "secret.pdf", MediaType = MediaType.Document }
+        });
+
+        _mockAccessControlService
+            .Setup(x => x.CheckPageAccessAsync("restricted/secret.pdf", It.IsAny<string[]>(), It.IsAny<CancellationToken>()))
+            .ReturnsAsync(new PageAccessPermissions { CanRead = false, CanEdit = false });
+
+        // Act
+        var result = await _controller.GetMediaFolders(CancellationToken.None);
+
+        // Assert
+        var okResult = Assert.IsType<OkObjectResult>(result);
+        var folders = Assert.IsType<List<string>>(okResult.Value);
+        Assert.Equal(new[] { "docs", "docs/guide", "docs/guide/images" }, folders);
+
+        // The folders only require the tree, not the history of the files
+        _mockPageService.Verify(x => x.GetAllMediaFilesAsync(false, It.IsAny<CancellationToken>()), Times.Once);
+        _mockPageService.Verify(x => x.GetAllMediaFilesAsync(true, It.IsAny<CancellationToken>()), Times.Never);
+    }
+
+    [Fact]
+    public async Task GetMediaFolders_WithNonEditor_ReturnsForbid()
+    {
+        // Arrange
+        var mockUser = new Mock<IWikiUserWithPermissions>();
+        mockUser.Setup(x => x.CanEdit).Returns(false);
+
+        _mockUserService
+            .Setup(x => x.GetWikiUser(It.IsAny<ClaimsPrincipal>(), false, It.IsAny<CancellationToken>()))
+            .ReturnsAsync(mockUser.Object);
+
+        SetupUserContext("testuser");
+
+        // Act
+        var result = await _controller.GetMediaFolders(CancellationToken.None);
+
+        // Assert
+        Assert.IsType<ForbidResult>(result);
+    }
+
+    private void SetupEditorWithMedia(List<MediaFileInfo> media)
+    {
+        SetupEditor();
+
+        _mockPageService
+            .Setup(x => x.GetAllMediaFilesAsync(It.IsAny<bool>(), It.IsAny<CancellationToken>()))
+            .ReturnsAsync(media);
+
+        _mockAccessControlService
+            .Setup(x => x.CheckPageAccessAsync(It.IsAny<string>(), It.IsAny<string[]>(), It.IsAny<CancellationToken>()))
+            .ReturnsAsync(new PageAccessPermissions { CanRead = true, CanEdit = true });
+    }
+}
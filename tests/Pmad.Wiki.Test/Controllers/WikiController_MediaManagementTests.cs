@@ -0,0 +1,273 @@
+﻿using System.Security.Claims;
+using Microsoft.AspNetCore.Mvc;
+using Moq;
+using Pmad.Wiki.Models;
+using Pmad.Wiki.Services;
+
+namespace Pmad.Wiki.Test.Controllers;
+
+public class WikiController_MediaManagementTests : WikiControllerTestBase
+{
+    #region UploadMediaFile Action Tests
+
+    [Fact]
+    public async Task UploadMediaFile_WithValidFile_CommitsFileInFolder()
+    {
+        // Arrange
+        SetupEditor();
+        var fileContent = new byte[] { 0x89, 0x50, 0x4E, 0x47 };
+        var formFile = CreateFormFile("My Logo.PNG", fileContent);
+
+        _mockPageService
+            .Setup(x => x.AddMediaFileAsync("docs/medias/My-Logo.png", It.Is<byte[]>(b => b.SequenceEqual(fileContent)), It.IsAny<IWikiUser>(), It.IsAny<CancellationToken>()))
+            .ReturnsAsync("docs/medias/My-Logo-2.png");
+
+        // Act
+        var result = await _controller.UploadMediaFile(formFile, "/docs/medias/", "docs/guide", CancellationToken.None);
+
+        // Assert
+        var okResult = Assert.IsType<OkObjectResult>(result);
+        var item = Assert.IsType<MediaGalleryItem>(okResult.Value);
+        Assert.Equal("docs/medias/My-Logo-2.png", item.AbsolutePath);
+        Assert.Equal("medias/My-Logo-2.png", item.Path);
+        Assert.Equal(MediaType.Image, item.MediaType);
+        Assert.Equal(fileContent.Length, item.Size);
+    }
+
+    [Fact]
+    public async Task UploadMediaFile_WithInvalidFolder_ReturnsBadRequest()
+    {
+        // Arrange
+        SetupEditor();
+        var formFile = CreateFormFile("logo.png", new byte[] { 0x89, 0x50, 0x4E, 0x47 });
+
+        // Act
+        var result = await _controller.UploadMediaFile(formFile, "../secret", "Home", CancellationToken.None);
+
+        // Assert
+        var badRequest = Assert.IsType<BadRequestObjectResult>(result);
+        var error = Assert.IsType<MediaErrorResponse>(badRequest.Value);
+        Assert.Equal("Invalid folder name.", error.Error);
+        _mockPageService.Verify(x => x.AddMediaFileAsync(It.IsAny<string>(), It.IsAny<byte[]>(), It.IsAny<IWikiUser>(), It.IsAny<CancellationToken>()), Times.Never);
+    }
+
+    [Fact]
+    public async Task UploadMediaFile_WithDisallowedExtension_ReturnsBadRequest()
+    {
+        // Arrange
+        SetupEditor();
+        var formFile = CreateFormFile("script.exe", new byte[] { 0x4D, 0x5A });
+
+        // Act
+        var result = await _controller.UploadMediaFile(formFile, "medias", "Home", CancellationToken.None);
+
+        // Assert
+        var badRequest = Assert.IsType<BadRequestObjectResult>(result);
+        var error = Assert.IsType<MediaErrorResponse>(badRequest.Value);
+        Assert.Equal("File type .exe is not allowed.", error.Error);
+    }
+
+    [Fact]
+    public async Task UploadMediaFile_WhenUserCannotEdit_ReturnsForbid()
+    {
+        // Arrange
+        var mockUser = new Mock<IWikiUserWithPermissions>();
+        mockUser.Setup(x => x.CanEdit).Returns(false);
+        _mockUserService
+            .Setup(x => x.GetWikiUser(It.IsAny<ClaimsPrincipal>(), false, It.IsAny<CancellationToken>()))
+            .ReturnsAsync(mockUser.Object);
+
+        var formFile = CreateFormFile("logo.png", new byte[] { 0x89, 0x50, 0x4E, 0x47 });
+
+        // Act
+        var result = await _controller.UploadMediaFile(formFile, "medias", "Home", CancellationToken.None);
+
+        // Assert
+        Assert.IsType<ForbidResult>(result);
+    }
+
+    #endregion
+
+    #region GetMediaReferences Action Tests
+
+    [Fact]
+    public async Task GetMediaReferences_ReturnsPagesGroupedByName()
+    {
+        // Arrange
+        SetupEditor();
+        _mockPageService
+            .Setup(x => x.GetMediaReferencesAsync("medias/logo.png", It.IsAny<CancellationToken>()))
+            .ReturnsAsync(new List<WikiPageInfo>
+            {
+                new() { PageName = "Home", Title = "Home" },
+                new() { PageName = "docs/guide", Title = "Guide" },
+                new() { PageName = "docs/guide", Title = "Guide FR", Culture = "fr" }
+            });
+
+        // Act
+        var result = await _controller.GetMediaReferences("medias/logo.png", "docs/guide", CancellationToken.None);
+
+        // Assert
+        var okResult = Assert.IsType<OkObjectResult>(result);
+        var pages = Assert.IsType<List<WikiPageLinkInfo>>(okResult.Value);
+        Assert.Equal(2, pages.Count);
+        var guide = pages.Single(p => p.PageName == "docs/guide");
+        Assert.Equal("Guide", guide.Title);
+        Assert.Equal(new[] { "fr" }, guide.Cultures);
+        Assert.Equal("../Home", pages.Single(p => p.PageName == "Home").RelativePath);
+    }
+
+    [Fact]
+    public async Task GetMediaReferences_WithPagePath_ReturnsBadRequest()
+    {
+        // Arrange
+        SetupEditor();
+
+        // Act
+        var result = await _controller.GetMediaReferences("Home.md", "Home", CancellationToken.None);
+
+        // Assert
+        Assert.IsType<BadRequestObjectResult>(result);
+    }
+
+    #endregion
+
+    #region MoveMedia Action Tests
+
+    [Fact]
+    public async Task MoveMedia_WithValidPaths_MovesFile()
+    {
+        // Arrange
+        SetupEditor();
+        _mockPageService
+            .Setup(x => x.MediaFileExistsAsync("medias/logo.png", It.IsAny<CancellationToken>()))
+            .ReturnsAsync(true);
+        _mockPageService
+            .Setup(x => x.MediaFileExistsAsync("images/brand.png", It.IsAny<CancellationToken>()))
+            .ReturnsAsync(false);
+        _mockPageService
+            .Setup(x => x.GetMediaReferencesAsync("medias/logo.png", It.IsAny<CancellationToken>()))
+            .ReturnsAsync(new List<WikiPageInfo> { new() { PageName = "Home" } });
+        _mockPageService
+            .Setup(x => x.MoveMediaFileAsync("medias/logo.png", "images/brand.png", It.IsAny<IWikiUser>(), It.IsAny<CancellationToken>()))
+            .ReturnsAsync(new List<WikiPageInfo> { new() { PageName = "Home", Title = "Home" } });
+
+        // Act
+        var result = await _controller.MoveMedia("medias/logo.png", "images/brand.png", "Home", CancellationToken.None);
+
+        // Assert
+        var okResult = Assert.IsType<OkObjectResult>(result);
+        var response = Assert.IsType<MoveMediaResponse>(okResult.Value);
+        Assert.Equal("images/brand.png", response.Media.AbsolutePath);
+        Assert.Equal("Home", Assert.Single(response.UpdatedPages).PageName);
+    }
+
+    [Fact]
+    public async Task MoveMedia_WithDifferentExtension_ReturnsBadRequest()
+    {
+        // Arrange
+        SetupEditor();
+
+        // Act
+        var result = await _controller.MoveMedia("medias/logo.png", "medias/logo.jpg", "Home", CancellationToken.None);
+
+        // Assert
+        var badRequest = Assert.IsType<BadRequestObjectResult>(result);
+        Assert.Equal("The file extension cannot be changed.", Assert.IsType<MediaErrorResponse>(badRequest.Value).Error);
+        _mockPageService.Verify(x => x.MoveMediaFileAsync(It.IsAny<string>(), It.IsAny<string>(), It.IsAny<IWikiUser>(), It.IsAny<CancellationToken>()), Times.Never);
+    }
+
+    [Fact]
+    public async Task MoveMedia_WhenDestinationExists_ReturnsBadRequest()
+    {
+        // Arrange
+        SetupEditor();
+        _mockPageService
+            .Setup(x => x.MediaFileExistsAsync(It.IsAny<string>(), It.IsAny<CancellationToken>()))
+            .ReturnsAsync(true);
+
+        // Act
+        var result = await _controller.MoveMedia("medias/logo.png", "medias/other.png", "Home", CancellationToken.None);
+
+        // Assert
+        var badRequest = Assert.IsType<BadRequestObjectResult>(result);
+        Assert.Equal("A file already exists at this path.", Assert.IsType<MediaErrorResponse>(badRequest.Value).Error);
+        _mockPageService.Verify(x => x.MoveMediaFileAsync(It.IsAny<string>(), It.IsAny<string>(), It.IsAny<IWikiUser>(), It.IsAny<CancellationToken>()), Times.Never);
+    }
+
+    [Fact]
+    public async Task MoveMedia_WhenFileDoesNotExist_ReturnsNotFound()
+    {
+        // Arrange
+        SetupEditor();
+        _mockPageService
+            .Setup(x => x.MediaFileExistsAsync(It.IsAny<string>(), It.IsAny<CancellationToken>()))
+            .ReturnsAsync(false);
+
+        // Act
+        var result = await _controller.MoveMedia("medias/missing.png", "medias/other.png", "Home", CancellationToken.None);
+
+        // Assert
+        Assert.IsType<NotFoundResult>(result);
+    }
+
+    #endregion
+
+    #region DeleteMedia Action Tests
+
+    [Fact]
+    public async Task DeleteMedia_WhenNotReferenced_DeletesFile()
+    {
+        // Arrange
+        SetupEditor();
+        _mockPageService
+            .Setup(x => x.MediaFileExistsAsync("medias/unused.png", It.IsAny<CancellationToken>()))
+            .ReturnsAsync(true);
+
+        // Act
+        var result = await _controller.DeleteMedia("medias/unused.png", CancellationToken.None);
+
+        // Assert
+        Assert.IsType<OkResult>(result);
+        _mockPageService.Verify(x => x.DeleteMediaFileAsync("medias/unused.png", It.IsAny<IWikiUser>(), It.IsAny<CancellationToken>()), Times.Once);
+    }
+
+    [Fact]
+    public async Task DeleteMedia_WhenReferenced_ReturnsBadRequest()
+    {
+        // Arrange
+        SetupEditor();
+        _mockPageService
+            .Setup(x => x.MediaFileExistsAsync("medias/logo.png", It.IsAny<CancellationToken>()))
+            .ReturnsAsync(true);
+        _mockPageService
+            .Setup(x => x.DeleteMediaFileAsync("medias/logo.png", It.IsAny<IWikiUser>(), It.IsAny<CancellationToken>()))
+            .ThrowsAsync(new InvalidOperationException("Cannot delete a media file that is referenced by a page."));
+
+        // Act
+        var result = await _controller.DeleteMedia("medias/logo.png", CancellationToken.None);
+
+        // Assert
+        var badRequest = Assert.IsType<BadRequestObjectResult>(result);
+        Assert.Equal("This file cannot be deleted because it is linked from some pages.", Assert.IsType<MediaErrorResponse>(badRequest.Value).Error);
+
+        // The references are only searched by the page service
+        _mockPageService.Verify(x => x.GetMediaReferencesAsync(It.IsAny<string>(), It.IsAny<CancellationToken>()), Times.Never);
+    }
+
+    [Fact]
+    public async Task DeleteMedia_WithPagePath_ReturnsBadRequest()
+    {
+        // Arrange
+        SetupEditor();
+
+        // Act
+        var result = await _controller.DeleteMedia("Home.md", CancellationToken.None);
+
+        // Assert
+        Assert.IsType<BadRequestObjectResult>(result);
+        _mockPageService.Verify(x => x.DeleteMediaFileAsync(It.IsAny<string>(), It.IsAny<IWikiUser>(), It.IsAny<CancellationToken>()), Times.Never);
+    }
+
+    #endregion
+}
@@ -596,4 +596,67 @@ public class WikiController_MediaTests : WikiControllerTestBase
     }
 
     #endregion
+
+    #region MediaThumbnail Action Tests
+
+    [Fact]
+    public async Task MediaThumbnail_WithImage_ReturnsWebpThumbnail()
+    {
+        // Arrange
+        var thumbnail = new byte[] { 0x52, 0x49, 0x46, 0x46 };
+        _mockThumbnailService
+            .Setup(x => x.GetThumbnailAsync("images/photo.jpg", It.IsAny<CancellationToken>()))
+            .ReturnsAsync(thumbnail);
+
+        // Act
+        var result = await _controller.MediaThumbnail("images/photo.jpg", CancellationToken.None);
+
+        // Assert
+        var fileResult = Assert.IsType<FileContentResult>(result);
+        Assert.Equal(thumbnail, fileResult.FileContents);
+        Assert.Equal("image/webp", fileResult.ContentType);
+    }
+
+    [Fact]
+    public async Task MediaThumbnail_WhenNoThumbnailCanBeGenerated_RedirectsToMedia()
+    {
+        // Arrange
+        _mockThumbnailService
+            .Setup(x => x.GetThumbnailAsync("images/photo.jpg", It.IsAny<CancellationToken>()))
+            .ReturnsAsync((byte[]?)null);
+
+        // Act
+        var result = await _controller.MediaThumbnail("images/photo.jpg", CancellationToken.None);
+
+        // Assert
+        var redirect = Assert.IsType<RedirectToActionResult>(result);
+        Assert.Equal("Media", redirect.ActionName);
+        Assert.Equal("images/photo.jpg", redirect.RouteValues?["id"]);
+    }
+
+    [Fact]
+    public async Task MediaThumbnail_WithDocument_ReturnsBadRequest()
+    {
+        // Act
+        var result = await _controller.MediaThumbnail("documents/manual.pdf", CancellationToken.None);
+
+        // Assert
+        Assert.IsType<BadRequestObjectResult>(result);
+        _mockThumbnailService.Verify(x => x.GetThumbnailAsync(It.IsAny<string>(), It.IsAny<CancellationToken>()), Times.Never);
+    }
+
+    [Fact]
+    public async Task MediaThumbnail_WhenAnonymousViewingDisabledAndUserNotAuthenticated_ReturnsChallenge()
+    {
+        // Arrange
+        _options.AllowAnonymousViewing = false;
+
+        // Act
+        var result = await _controller.MediaThumbnail("images/photo.jpg", CancellationToken.None);
+
+        // Assert
+        Assert.IsType<ChallengeResult>(result);
+    }
+
+    #endregion
 }
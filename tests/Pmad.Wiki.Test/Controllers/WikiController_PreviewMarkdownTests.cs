@@ -462,6 +462,45 @@ var code = ""example"";
             Times.Once);
     }
 
+    [Fact]
+    public async Task PreviewMarkdown_WithIncludeSourceLines_RequestsSourceLines()
+    {
+        // Arrange
+        var mockUser = new Mock<IWikiUserWithPermissions>();
+        mockUser.Setup(x => x.CanEdit).Returns(true);
+
+        _mockUserService
+            .Setup(x => x.GetWikiUser(It.IsAny<ClaimsPrincipal>(), false, It.IsAny<CancellationToken>()))
+            .ReturnsAsync(mockUser.Object);
+
+        var request = new PreviewMarkdownRequest
+        {
+            Markdown = "# Test",
+            PageName = "TestPage",
+            Culture = null,
+            IncludeSourceLines = true
+        };
+
+        var expectedHtml = "<h1 data-source-line=\"0\">Test</h1>";
+
+        _mockMarkdownRenderService
+            .Setup(x => x.ToHtml("# Test", null, "TestPage", true))
+            .Returns(expectedHtml);
+
+        SetupUserContext("testuser");
+
+        // Act
+        var result = await _controller.PreviewMarkdown(request, CancellationToken.None);
+
+        // Assert
+        var contentResult = Assert.IsType<ContentResult>(result);
+        Assert.Equal(expectedHtml, contentResult.Content);
+
+        _mockMarkdownRenderService.Verify(
+            x => x.ToHtml(It.IsAny<string>(), It.IsAny<string?>(), It.IsAny<string?>()),
+            Times.Never);
+    }
+
     #endregion
 
 }
@@ -0,0 +1,348 @@
+﻿using System.Security.Claims;
+using Microsoft.AspNetCore.Mvc;
+using Moq;
+using Pmad.Wiki.Models;
+using Pmad.Wiki.Services;
+
+namespace Pmad.Wiki.Test.Controllers;
+
+public class WikiController_SaveEditTests : WikiControllerTestBase
+{
+    #region SaveEdit Action Tests
+
+    [Fact]
+    public async Task SaveEdit_WithValidModel_SavesPageAndReturnsRedirectUrl()
+    {
+        // Arrange
+        var mockUser = new Mock<IWikiUserWithPermissions>();
+        var mockWikiUser = Mock.Of<IWikiUser>();
+        mockUser.Setup(x => x.CanEdit).Returns(true);
+        mockUser.Setup(x => x.User).Returns(mockWikiUser);
+        mockUser.Setup(x => x.Groups).Returns(Array.Empty<string>());
+
+        _mockUserService
+            .Setup(x => x.GetWikiUser(It.IsAny<ClaimsPrincipal>(), true, It.IsAny<CancellationToken>()))
+            .ReturnsAsync(mockUser.Object);
+
+        var model = new WikiPageEditViewModel
+        {
+            PageName = "TestPage",
+            Content = "# Test Content",
+            CommitMessage = "Create test page",
+            IsNew = true,
+            TemporaryMediaIds = "temp1,temp2"
+        };
+
+        SetupUserContext("testuser");
+
+        // Act
+        var result = await _controller.SaveEdit(model, CancellationToken.None);
+
+        // Assert
+        var okResult = Assert.IsType<OkObjectResult>(result);
+        var response = Assert.IsType<SavePageResponse>(okResult.Value);
+        Assert.StartsWith("/Wiki/View", response.RedirectUrl);
+
+        _mockWikiPageEditService.Verify(
+            x => x.SavePageAsync("TestPage", null, "# Test Content", "Create test page", mockWikiUser, It.IsAny<CancellationToken>()),
+            Times.Once);
+        _mockTemporaryMediaStorage.Verify(
+            x => x.CleanupUserTemporaryMediaAsync(mockWikiUser, It.Is<string[]>(ids => ids.SequenceEqual(new[] { "temp1", "temp2" })), It.IsAny<CancellationToken>()),
+            Times.Once);
+    }
+
+    [Fact]
+    public async Task SaveEdit_WithInvalidModelState_ReturnsFieldErrors()
+    {
+        // Arrange
+        var model = new WikiPageEditViewModel
+        {
+            PageName = "TestPage",
+            Content = "# Test Content",
+            CommitMessage = "",
+            IsNew = true
+        };
+
+        _controller.ModelState.AddModelError(nameof(model.CommitMessage), "The Commit Message field is required.");
+        SetupUserContext("testuser");
+
+        // Act
+        var result = await _controller.SaveEdit(model, CancellationToken.None);
+
+        // Assert
+        var badRequestResult = Assert.IsType<BadRequestObjectResult>(result);
+        var response = Assert.IsType<SavePageErrorResponse>(badRequestResult.Value);
+        Assert.Equal(new[] { "The Commit Message field is required." }, response.Errors[nameof(model.CommitMessage)]);
+        Assert.Null(response.Conflict);
+
+        _mockWikiPageEditService.Verify(
+            x => x.SavePageAsync(It.IsAny<string>(), It.IsAny<string?>(), It.IsAny<string>(), It.IsAny<string>(), It.IsAny<IWikiUser>(), It.IsAny<CancellationToken>()),
+            Times.Never);
+    }
+
+    [Fact]
+    public async Task SaveEdit_WithContentHashMismatch_ReturnsConflict()
+    {
+        // Arrange
+        var mockUser = new Mock<IWikiUserWithPermissions>();
+        mockUser.Setup(x => x.CanEdit).Returns(true);
+        mockUser.Setup(x => x.Groups).Returns(Array.Empty<string>());
+
+        _mockUserService
+            .Setup(x => x.GetWikiUser(It.IsAny<ClaimsPrincipal>(), true, It.IsAny<CancellationToken>()))
+            .ReturnsAsync(mockUser.Object);
+
+        _mockPageService
+            .Setup(x => x.GetPageAsync("TestPage", null, It.IsAny<CancellationToken>()))
+            .ReturnsAsync(new WikiPage
+            {
+                PageName = "TestPage",
+                Content = "# Their Content",
+                ContentHash = "newhash123",
+                LastModifiedBy = "otheruser",
+                Title = "Test Page"
+            });
+
+        _mockPageService
+            .Setup(x => x.GetPageByContentHashAsync("TestPage", null, "oldhash456", It.IsAny<CancellationToken>()))
+            .ReturnsAsync(new WikiPage
+            {
+                PageName = "TestPage",
+                Content = "# Base Content",
+                ContentHash = "oldhash456",
+                Title = "Test Page"
+            });
+
+        var model = new WikiPageEditViewModel
+        {
+            PageName = "TestPage",
+            Content = "# My Content",
+            CommitMessage = "Update page",
+            IsNew = false,
+            OriginalContentHash = "oldhash456"
+        };
+
+        SetupUserContext("testuser");
+
+        // Act
+        var result = await _controller.SaveEdit(model, CancellationToken.None);
+
+        // Assert
+        var badRequestResult = Assert.IsType<BadRequestObjectResult>(result);
+        var response = Assert.IsType<SavePageErrorResponse>(badRequestResult.Value);
+        Assert.Contains(response.Errors[string.Empty], e => e.Contains("modified by otheruser"));
+        Assert.Equal("newhash123", response.OriginalContentHash);
+        Assert.NotNull(response.Conflict);
+        Assert.Equal("# Base Content", response.Conflict.BaseContent);
+        Assert.Equal("# Their Content", response.Conflict.TheirContent);
+
+        _mockWikiPageEditService.Verify(
+            x => x.SavePageAsync(It.IsAny<string>(), It.IsAny<string?>(), It.IsAny<string>(), It.IsAny<string>(), It.IsAny<IWikiUser>(), It.IsAny<CancellationToken>()),
+            Times.Never);
+    }
+
+    [Fact]
+    public async Task SaveEdit_WhenUserCannotEdit_ReturnsForbid()
+    {
+        // Arrange
+        var mockUser = new Mock<IWikiUserWithPermissions>();
+        mockUser.Setup(x => x.CanEdit).Returns(false);
+        mockUser.Setup(x => x.Groups).Returns(Array.Empty<string>());
+
+        _mockUserService
+            .Setup(x => x.GetWikiUser(It.IsAny<ClaimsPrincipal>(), true, It.IsAny<CancellationToken>()))
+            .ReturnsAsync(mockUser.Object);
+
+        var model = new WikiPageEditViewModel
+        {
+            PageName = "TestPage",
+            Content = "# Test",
+            CommitMessage = "Test",
+            IsNew = true
+        };
+
+        SetupUserContext("testuser");
+
+        // Act
+        var result = await _controller.SaveEdit(model, CancellationToken.None);
+
+        // Assert
+        Assert.IsType<ForbidResult>(result);
+    }
+
+    [Fact]
+    public async Task SaveEdit_WhenSaveFails_ReturnsError()
+    {
+        // Arrange
+        var mockUser = new Mock<IWikiUserWithPermissions>();
+        mockUser.Setup(x => x.CanEdit).Returns(true);
+        mockUser.Setup(x => x.User).Returns(Mock.Of<IWikiUser>());
+        mockUser.Setup(x => x.Groups).Returns(Array.Empty<string>());
+
+        _mockUserService
+            .Setup(x => x.GetWikiUser(It.IsAny<ClaimsPrincipal>(), true, It.IsAny<CancellationToken>()))
+            .ReturnsAsync(mockUser.Object);
+
+        _mockWikiPageEditService
+            .Setup(x => x.SavePageAsync(It.IsAny<string>(), It.IsAny<string?>(), It.IsAny<string>(), It.IsAny<string>(), It.IsAny<IWikiUser>(), It.IsAny<CancellationToken>()))
+            .ThrowsAsync(new InvalidOperationException("Git error"));
+
+        var model = new WikiPageEditViewModel
+        {
+            PageName = "TestPage",
+            Content = "# Test",
+            CommitMessage = "Test",
+            IsNew = true
+        };
+
+        SetupUserContext("testuser");
+
+        // Act
+        var result = await _controller.SaveEdit(model, CancellationToken.None);
+
+        // Assert
+        var badRequestResult = Assert.IsType<BadRequestObjectResult>(result);
+        var response = Assert.IsType<SavePageErrorResponse>(badRequestResult.Value);
+        Assert.Contains("An error occurred while saving the page. Please try again.", response.Errors[string.Empty]);
+    }
+
+    [Fact]
+    public async Task SaveEdit_WithSection_SavesSectionIntoWholePage()
+    {
+        // Arrange
+        var mockUser = new Mock<IWikiUserWithPermissions>();
+        var mockWikiUser = Mock.Of<IWikiUser>();
+        mockUser.Setup(x => x.CanEdit).Returns(true);
+        mockUser.Setup(x => x.User).Returns(mockWikiUser);
+        mockUser.Setup(x => x.Groups).Returns(Array.Empty<string>());
+
+        _mockUserService
+            .Setup(x => x.GetWikiUser(It.IsAny<ClaimsPrincipal>(), true, It.IsAny<CancellationToken>()))
+            .ReturnsAsync(mockUser.Object);
+
+        _mockPageService
+            .Setup(x => x.GetPageAsync("TestPage", null, It.IsAny<CancellationToken>()))
+            .ReturnsAsync(new WikiPage
+            {
+                PageName = "TestPage",
+                Content = "# Runbook\n\n## Deployment\n\nDeploy it.\n\n## Rollback\n\nRevert it.",
+                ContentHash = "hash123",
+                Title = "Runbook"
+            });
+
+        var model = new WikiPageEditViewModel
+        {
+            PageName = "TestPage",
+            Content = "## Deployment\r\n\r\nDeploy it carefully.",
+            CommitMessage = "Update section Deployment of page TestPage",
+            IsNew = false,
+            OriginalContentHash = "hash123",
+            Section = 2
+        };
+
+        SetupUserContext("testuser");
+
+        // Act
+        var result = await _controller.SaveEdit(model, CancellationToken.None);
+
+        // Assert
+        Assert.IsType<OkObjectResult>(result);
+
+        _mockWikiPageEditService.Verify(
+            x => x.SavePageAsync("TestPage", null, "# Runbook\n\n## Deployment\r\n\r\nDeploy it carefully.\n\n## Rollback\n\nRevert it.", "Update section Deployment of page TestPage", mockWikiUser, It.IsAny<CancellationToken>()),
+            Times.Once);
+    }
+
+    [Fact]
+    public async Task SaveEdit_WithSectionAndContentHashMismatch_ReturnsConflictOnWholePage()
+    {
+        // Arrange
+        var mockUser = new Mock<IWikiUserWithPermissions>();
+        mockUser.Setup(x => x.CanEdit).Returns(true);
+        mockUser.Setup(x => x.Groups).Returns(Array.Empty<string>());
+
+        _mockUserService
+            .Setup(x => x.GetWikiUser(It.IsAny<ClaimsPrincipal>(), true, It.IsAny<CancellationToken>()))
+            .ReturnsAsync(mockUser.Object);
+
+        _mockPageService
+            .Setup(x => x.GetPageAsync("TestPage", null, It.IsAny<CancellationToken>()))
+            .ReturnsAsync(new WikiPage
+            {
+                PageName = "TestPage",
+                Content = "# Runbook\n\nIntro\n\n## Deployment\n\nDeploy it.",
+                ContentHash = "newhash123",
+                LastModifiedBy = "otheruser",
+                Title = "Runbook"
+            });
+
+        _mockPageService
+            .Setup(x => x.GetPageByContentHashAsync("TestPage", null, "oldhash456", It.IsAny<CancellationToken>()))
+            .ReturnsAsync(new WikiPage
+            {
+                PageName = "TestPage",
+                Content = "# Runbook\n\n## Deployment\n\nDeploy it.",
+                ContentHash = "oldhash456",
+                Title = "Runbook"
+            });
+
+        var model = new WikiPageEditViewModel
+        {
+            PageName = "TestPage",
+            Content = "## Deployment\n\nDeploy it carefully.",
+            CommitMessage = "Update section Deployment of page TestPage",
+            IsNew = false,
+            OriginalContentHash = "oldhash456",
+            Section = 2
+        };
+
+        SetupUserContext("testuser");
+
+        // Act
+        var result = await _controller.SaveEdit(model, CancellationToken.None);
+
+        // Assert
+        var badRequestResult = Assert.IsType<BadRequestObjectResult>(result);
+        var response = Assert.IsType<SavePageErrorResponse>(badRequestResult.Value);
+        Assert.Contains(response.Errors[string.Empty], e => e.Contains("modified by otheruser"));
+        Assert.Equal("newhash123", response.OriginalContentHash);
+        Assert.NotNull(response.Conflict);
+        Assert.Equal("# Runbook\n\n## Deployment\n\nDeploy it carefully.", response.Conflict.YourContent);
+        Assert.Equal("# Runbook\n\nIntro\n\n## Deployment\n\nDeploy it.", response.Conflict.TheirContent);
+        Assert.Null(model.Section);
+
+        _mockWikiPageEditService.Verify(
+            x => x.SavePageAsync(It.IsAny<string>(), It.IsAny<string?>(), It.IsAny<string>(), It.IsAny<string>(), It.IsAny<IWikiUser>(), It.IsAny<CancellationToken>()),
+            Times.Never);
+    }
+
+    [Fact]
+    public async Task SaveEdit_WithSectionOfNewPage_ReturnsError()
+    {
+        // Arrange
+        var model = new WikiPageEditViewModel
+        {
+            PageName = "TestPage",
+            Content = "## Deployment",
+            CommitMessage = "Create page",
+            IsNew = true,
+            Section = 2
+        };
+
+        SetupUserContext("testuser");
+
+        // Act
+        var result = await _controller.SaveEdit(model, CancellationToken.None);
+
+        // Assert
+        var badRequestResult = Assert.IsType<BadRequestObjectResult>(result);
+        var response = Assert.IsType<SavePageErrorResponse>(badRequestResult.Value);
+        Assert.Contains("The section was not found in the page. Edit the whole page instead.", response.Errors[string.Empty]);
+
+        _mockWikiPageEditService.Verify(
+            x => x.SavePageAsync(It.IsAny<string>(), It.IsAny<string?>(), It.IsAny<string>(), It.IsAny<string>(), It.IsAny<IWikiUser>(), It.IsAny<CancellationToken>()),
+            Times.Never);
+    }
+
+    #endregion
+}
@@ -2,6 +2,7 @@
 using Microsoft.AspNetCore.Http;
 using Microsoft.AspNetCore.Mvc;
 using Moq;
+using Pmad.Wiki.Models;
 using Pmad.Wiki.Services;
 
 namespace Pmad.Wiki.Test.Controllers;
@@ -313,4 +314,118 @@ public class WikiController_TempMediaTests : WikiControllerTestBase
 
 #endregion
 
+#region GetTemporaryMedia Action Tests
+
+    [Fact]
+    public async Task GetTemporaryMedia_ReturnsUserUploadsMostRecentFirst()
+    {
+        // Arrange
+        var mockWikiUser = SetupEditor();
+
+        var tempMedia = new Dictionary<string, TemporaryMediaInfo>
+        {
+            ["aaa111"] = new TemporaryMediaInfo
+            {
+                TemporaryId = "aaa111",
+                OriginalFileName = "old.png",
+                FilePath = "/temp/old",
+                CreatedAt = new DateTimeOffset(2024, 1, 1, 0, 0, 0, TimeSpan.Zero)
+            },
+            ["bbb222"] = new TemporaryMediaInfo
+            {
+                TemporaryId = "bbb222",
+                OriginalFileName = "manual.pdf",
+                FilePath = "/temp/manual",
+                CreatedAt = new DateTimeOffset(2024, 1, 2, 0, 0, 0, TimeSpan.Zero)
+            }
+        };
+
+        _mockTemporaryMediaStorage
+            .Setup(x => x.GetUserTemporaryMediaAsync(mockWikiUser, It.IsAny<CancellationToken>()))
+            .ReturnsAsync(tempMedia);
+
+        // Act
+        var result = await _controller.GetTemporaryMedia(CancellationToken.None);
+
+        // Assert
+        var okResult = Assert.IsType<OkObjectResult>(result);
+        var items = Assert.IsType<List<TemporaryMediaItem>>(okResult.Value);
+        Assert.Equal(new[] { "bbb222", "aaa111" }, items.Select(i => i.TemporaryId));
+        Assert.Equal("manual.pdf", items[0].FileName);
+        Assert.Equal(MediaType.Document, items[0].MediaType);
+        Assert.Equal("/Wiki/TempMedia/bbb222", items[0].Url);
+        Assert.Equal(MediaType.Image, items[1].MediaType);
+    }
+
+    [Fact]
+    public async Task GetTemporaryMedia_WhenUserCannotEdit_ReturnsForbid()
+    {
+        // Arrange
+        var mockUser = new Mock<IWikiUserWithPermissions>();
+        mockUser.Setup(x => x.CanEdit).Returns(false);
+
+        _mockUserService
+            .Setup(x => x.GetWikiUser(It.IsAny<ClaimsPrincipal>(), false, It.IsAny<CancellationToken>()))
+            .ReturnsAsync(mockUser.Object);
+
+        // Act
+        var result = await _controller.GetTemporaryMedia(CancellationToken.None);
+
+        // Assert
+        Assert.IsType<ForbidResult>(result);
+    }
+
+#endregion
+
+#region DiscardTemporaryMedia Action Tests
+
+    [Fact]
+    public async Task DiscardTemporaryMedia_WithValidId_RemovesUserTemporaryMedia()
+    {
+        // Arrange
+        var mockWikiUser = SetupEditor();
+
+        // Act
+        var result = await _controller.DiscardTemporaryMedia("abc123", CancellationToken.None);
+
+        // Assert
+        Assert.IsType<OkResult>(result);
+        _mockTemporaryMediaStorage.Verify(
+            x => x.CleanupUserTemporaryMediaAsync(mockWikiUser, It.Is<string[]>(ids => ids.SequenceEqual(new[] { "abc123" })), It.IsAny<CancellationToken>()),
+            Times.Once);
+    }
+
+    [Fact]
+    public async Task DiscardTemporaryMedia_WithInvalidId_ReturnsBadRequest()
+    {
+        // Arrange
+        SetupEditor();
+
+        // Act
+        var result = await _controller.DiscardTemporaryMedia("../secret", CancellationToken.None);
+
+        // Assert
+        Assert.IsType<BadRequestObjectResult>(result);
+        _mockTemporaryMediaStorage.Verify(
+            x => x.CleanupUserTemporaryMediaAsync(It.IsAny<IWikiUser>(), It.IsAny<string[]>(), It.IsAny<CancellationToken>()),
+            Times.Never);
+    }
+
+    [Fact]
+    public async Task DiscardTemporaryMedia_WhenUserNotAuthenticated_ReturnsForbid()
+    {
+        // Arrange
+        _mockUserService
+            .Setup(x => x.GetWikiUser(It.IsAny<ClaimsPrincipal>(), false, It.IsAny<CancellationToken>()))
+            .ReturnsAsync((IWikiUserWithPermissions?)null);
+
+        // Act
+        var result = await _controller.DiscardTemporaryMedia("abc123", CancellationToken.None);
+
+        // Assert
+        Assert.IsType<ForbidResult>(result);
+    }
+
+#endregion
+
 }
@@ -0,0 +1,143 @@
+﻿using System.Security.Claims;
+using Microsoft.AspNetCore.Mvc;
+using Moq;
+using Pmad.Wiki.Models;
+using Pmad.Wiki.Services;
+
+namespace Pmad.Wiki.Test.Controllers;
+
+public class WikiController_ToggleTaskTests : WikiControllerTestBase
+{
+    #region ToggleTask Action Tests
+
+    [Fact]
+    public async Task ToggleTask_WithUncheckedTask_SavesPageAndReturnsNewHash()
+    {
+        // Arrange
+        var mockWikiUser = SetupEditor(shouldCreate: true);
+
+        _mockPageService
+            .SetupSequence(x => x.GetPageAsync("TestPage", null, It.IsAny<CancellationToken>()))
+            .ReturnsAsync(new WikiPage
+            {
+                PageName = "TestPage",
+                Content = "# Actions\n\n- [ ] Send the report",
+                ContentHash = "hash1",
+                Title = "Actions"
+            })
+            .ReturnsAsync(new WikiPage
+            {
+                PageName = "TestPage",
+                Content = "# Actions\n\n- [x] Send the report",
+                ContentHash = "hash2",
+                Title = "Actions"
+            });
+
+        // Act
+        var result = await _controller.ToggleTask("TestPage", null, 2, true, "hash1", CancellationToken.None);
+
+        // Assert
+        var okResult = Assert.IsType<OkObjectResult>(result);
+        var response = Assert.IsType<ToggleTaskResponse>(okResult.Value);
+        Assert.Equal("hash2", response.ContentHash);
+
+        _mockWikiPageEditService.Verify(
+            x => x.SavePageAsync("TestPage", null, "# Actions\n\n- [x] Send the report", "Check task: Send the report", mockWikiUser, It.IsAny<CancellationToken>()),
+            Times.Once);
+    }
+
+    [Fact]
+    public async Task ToggleTask_WithContentHashMismatch_ReturnsConflict()
+    {
+        // Arrange
+        SetupEditor(shouldCreate: true);
+
+        _mockPageService
+            .Setup(x => x.GetPageAsync("TestPage", null, It.IsAny<CancellationToken>()))
+            .ReturnsAsync(new WikiPage
+            {
+                PageName = "TestPage",
+                Content = "- [ ] Send the report",
+                ContentHash = "newhash",
+                LastModifiedBy = "otheruser",
+                Title = "Actions"
+            });
+
+        // Act
+        var result = await _controller.ToggleTask("TestPage", null, 0, true, "oldhash", CancellationToken.None);
+
+        // Assert
+        var conflictResult = Assert.IsType<ConflictObjectResult>(result);
+        var response = Assert.IsType<ToggleTaskErrorResponse>(conflictResult.Value);
+        Assert.Contains("modified by otheruser", response.Error);
+
+        _mockWikiPageEditService.Verify(
+            x => x.SavePageAsync(It.IsAny<string>(), It.IsAny<string?>(), It.IsAny<string>(), It.IsAny<string>(), It.IsAny<IWikiUser>(), It.IsAny<CancellationToken>()),
+            Times.Never);
+    }
+
+    [Fact]
+    public async Task ToggleTask_WithoutTaskAtLine_ReturnsBadRequest()
+    {
+        // Arrange
+        SetupEditor(shouldCreate: true);
+
+        _mockPageService
+            .Setup(x => x.GetPageAsync("TestPage", null, It.IsAny<CancellationToken>()))
+            .ReturnsAsync(new WikiPage
+            {
+                PageName = "TestPage",
+                Content = "# Actions\n\n- [ ] Send the report",
+                ContentHash = "hash1",
+                Title = "Actions"
+            });
+
+        // Act
+        var result = await _controller.ToggleTask("TestPage", null, 0, true, "hash1", CancellationToken.None);
+
+        // Assert
+        var badRequestResult = Assert.IsType<BadRequestObjectResult>(result);
+        var response = Assert.IsType<ToggleTaskErrorResponse>(badRequestResult.Value);
+        Assert.Equal("Task not found.", response.Error);
+
+        _mockWikiPageEditService.Verify(
+            x => x.SavePageAsync(It.IsAny<string>(), It.IsAny<string?>(), It.IsAny<string>(), It.IsAny<string>(), It.IsAny<IWikiUser>(), It.IsAny<CancellationToken>()),
+            Times.Never);
+    }
+
+    [Fact]
+    public async Task ToggleTask_WhenUserCannotEdit_ReturnsForbid()
+    {
+        // Arrange
+        var mockUser = new Mock<IWikiUserWithPermissions>();
+        mockUser.Setup(x => x.CanEdit).Returns(false);
+
+        _mockUserService
+            .Setup(x => x.GetWikiUser(It.IsAny<ClaimsPrincipal>(), true, It.IsAny<CancellationToken>()))
+            .ReturnsAsync(mockUser.Object);
+
+        SetupUserContext("testuser");
+
+        // Act
+        var result = await _controller.ToggleTask("TestPage", null, 0, true, "hash1", CancellationToken.None);
+
+        // Assert
+        Assert.IsType<ForbidResult>(result);
+
+        _mockPageService.Verify(
+            x => x.GetPageAsync(It.IsAny<string>(), It.IsAny<string?>(), It.IsAny<CancellationToken>()),
+            Times.Never);
+    }
+
+    [Fact]
+    public async Task ToggleTask_WithInvalidPageName_ReturnsBadRequest()
+    {
+        // Act
+        var result = await _controller.ToggleTask("../../../etc/passwd", null, 0, true, "hash1", CancellationToken.None);
+
+        // Assert
+        Assert.IsType<BadRequestObjectResult>(result);
+    }
+
+    #endregion
+}
@@ -178,7 +178,36 @@ public class WikiController_UploadMediaTests : WikiControllerTestBase
         // Assert
         var badRequestResult = Assert.IsType<BadRequestObjectResult>(result);
         var errorResponse = Assert.IsType<UploadMediaErrorResponse>(badRequestResult.Value);
-        Assert.Equal("File size exceeds 10MB limit.", errorResponse.Error);
+        Assert.Equal("File size exceeds the 10 MB limit.", errorResponse.Error);
+    }
+
+    [Fact]
+    public async Task UploadMedia_WithFileLargerThanConfiguredLimit_ReturnsBadRequest()
+    {
+        // Arrange
+        _options.MaxMediaFileSize = 2 * 1024 * 1024;
+
+        var mockUser = new Mock<IWikiUserWithPermissions>();
+        mockUser.Setup(x => x.CanEdit).Returns(true);
+
+        _mockUserService
+            .Setup(x => x.GetWikiUser(It.IsAny<ClaimsPrincipal>(), false, It.IsAny<CancellationToken>()))
+            .ReturnsAsync(mockUser.Object);
+
+        var formFile = CreateFormFile("photo.png", new byte[3 * 1024 * 1024]);
+
+        SetupUserContext("testuser");
+
+        // Act
+        var result = await _controller.UploadMedia(formFile, CancellationToken.None);
+
+        // Assert
+        var badRequestResult = Assert.IsType<BadRequestObjectResult>(result);
+        var errorResponse = Assert.IsType<UploadMediaErrorResponse>(badRequestResult.Value);
+        Assert.Equal("File size exceeds the 2 MB limit.", errorResponse.Error);
+        _mockTemporaryMediaStorage.Verify(
+            x => x.StoreTemporaryMediaAsync(It.IsAny<IWikiUser>(), It.IsAny<string>(), It.IsAny<byte[]>(), It.IsAny<CancellationToken>()),
+            Times.Never);
     }
 
     [Theory]
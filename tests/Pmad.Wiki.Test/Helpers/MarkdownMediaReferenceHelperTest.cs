@@ -0,0 +1,127 @@
+using Pmad.Wiki.Helpers;
+
+namespace Pmad.Wiki.Test.Helpers;
+
+public class MarkdownMediaReferenceHelperTest
+{
+    [Fact]
+    public void ReferencesMedia_WithImage_ReturnsTrue()
+    {
+        // Act
+        var result = MarkdownMediaReferenceHelper.ReferencesMedia("![Logo](medias/logo.png)", "home", "medias/logo.png");
+
+        // Assert
+        Assert.True(result);
+    }
+
+    [Fact]
+    public void ReferencesMedia_WithRelativePathFromNestedPage_ReturnsTrue()
+    {
+        // Act
+        var result = MarkdownMediaReferenceHelper.ReferencesMedia("[Manual](../files/manual.pdf)", "docs/guide", "files/manual.pdf");
+
+        // Assert
+        Assert.True(result);
+    }
+
+    [Fact]
+    public void ReferencesMedia_WithReferenceDefinition_ReturnsTrue()
+    {
+        // Act
+        var result = MarkdownMediaReferenceHelper.ReferencesMedia("![Logo][logo]\n\n[logo]: medias/logo.png", "home", "medias/logo.png");
+
+        // Assert
+        Assert.True(result);
+    }
+
+    [Fact]
+    public void ReferencesMedia_WithSameFileInAnotherDirectory_ReturnsFalse()
+    {
+        // Act
+        var result = MarkdownMediaReferenceHelper.ReferencesMedia("![Logo](medias/logo.png)", "docs/guide", "medias/logo.png");
+
+        // Assert
+        Assert.False(result);
+    }
+
+    [Fact]
+    public void ReferencesMedia_WithPathInText_ReturnsFalse()
+    {
+        // Act
+        var result = MarkdownMediaReferenceHelper.ReferencesMedia("The logo is stored in medias/logo.png\n\n    ![Logo](medias/logo.png)", "home", "medias/logo.png");
+
+        // Assert
+        Assert.False(result);
+    }
+
+    [Fact]
+    public void ReferencesMedia_WithAbsoluteUrl_ReturnsFalse()
+    {
+        // Act
+        var result = MarkdownMediaReferenceHelper.ReferencesMedia("![Logo](/medias/logo.png)", "home", "medias/logo.png");
+
+        // Assert
+        Assert.False(result);
+    }
+
+    [Fact]
+    public void ReplaceMediaReferences_ReplacesAllLinksToFile()
+    {
+        // Arrange
+        var markdown = "# Guide\n\n![Logo](medias/logo.png \"Logo\")\n\nSee [the logo](./medias/logo.png) or [another](medias/logo-2.png).\n\n[logo]: medias/logo.png";
+
+        // Act
+        var result = MarkdownMediaReferenceHelper.ReplaceMediaReferences(markdown, "docs/guide", "docs/medias/logo.png", "images/brand.png");
+
+        // Assert
+        Assert.Equal("# Guide\n\n![Logo](../images/brand.png \"Logo\")\n\nSee [the logo](../images/brand.png) or [another](medias/logo-2.png).\n\n[logo]: ../images/brand.png", result);
+    }
+
+    [Fact]
+    public void ReplaceMediaReferences_WithAngleBrackets_KeepsBrackets()
+    {
+        // Act
+        var result = MarkdownMediaReferenceHelper.ReplaceMediaReferences("![Logo](<medias/logo.png>)", "home", "medias/logo.png", "medias/brand.png");
+
+        // Assert
+        Assert.Equal("![Logo](<medias/brand.png>)", result);
+    }
+
+    [Fact]
+    public void ReplaceMediaReferences_WithoutReferences_ReturnsSameContent()
+    {
+        // Arrange
+        var markdown = "# Home\n\nNo images here.";
+
+        // Act
+        var result = MarkdownMediaReferenceHelper.ReplaceMediaReferences(markdown, "home", "medias/logo.png", "medias/brand.png");
+
+        // Assert
+        Assert.Same(markdown, result);
+    }
+
+    [Fact]
+    public void FindCodeRanges_ReturnsCodeBlocksAndCodeSpans()
+    {
+        // Arrange
+        var markdown = "Text `code` text\n\n```\nblock\n```";
+
+        // Act
+        var ranges = MarkdownMediaReferenceHelper.FindCodeRanges(markdown);
+
+        // Assert
+        Assert.Equal(2, ranges.Count);
+        Assert.Contains(ranges, r => markdown.Substring(r.Start, r.End - r.Start + 1) == "```\nblock\n```");
+        Assert.Contains(ranges, r => markdown.Substring(r.Start, r.End - r.Start + 1) == "`code`");
+    }
+
+    [Fact]
+    public void FindCodeRanges_WithoutCode_ReturnsEmptyList()
+    {
+        // Act
+        var ranges = MarkdownMediaReferenceHelper.FindCodeRanges("# Home\n\n![Logo](medias/logo.png)");
+
+        // Assert
+        Assert.Empty(ranges);
+    }
+}
@@ -0,0 +1,94 @@
+using Pmad.Wiki.Helpers;
+
+namespace Pmad.Wiki.Test.Helpers;
+
+public class MarkdownSectionHelperTest
+{
+    private const string Page = "# Runbook\n\nIntro\n\n## Deployment\n\nDeploy it.\n\n### Checks\n\nCheck it.\n\n## Rollback ##\n\nRevert it.\n";
+
+    [Fact]
+    public void TryGetSection_WithHeadingLine_ReturnsSectionUntilNextHeadingOfSameLevel()
+    {
+        // Act
+        var result = MarkdownSectionHelper.TryGetSection(Page, 4, out var section, out var title);
+
+        // Assert
+        Assert.True(result);
+        Assert.Equal("## Deployment\n\nDeploy it.\n\n### Checks\n\nCheck it.", section);
+        Assert.Equal("Deployment", title);
+    }
+
+    [Fact]
+    public void TryGetSection_WithLastSection_ReturnsSectionUntilEndOfPage()
+    {
+        // Act
+        var result = MarkdownSectionHelper.TryGetSection(Page, 12, out var section, out var title);
+
+        // Assert
+        Assert.True(result);
+        Assert.Equal("## Rollback ##\n\nRevert it.", section);
+        Assert.Equal("Rollback", title);
+    }
+
+    [Fact]
+    public void TryGetSection_WithSetextHeading_ReturnsSection()
+    {
+        // Act
+        var result = MarkdownSectionHelper.TryGetSection("Intro\r\n=====\r\n\r\nText\r\n", 0, out var section, out var title);
+
+        // Assert
+        Assert.True(result);
+        Assert.Equal("Intro\r\n=====\r\n\r\nText", section);
+        Assert.Equal("Intro", title);
+    }
+
+    [Theory]
+    [InlineData("# Title\n\nText", 2)]
+    [InlineData("```\n# Not a heading\n```", 1)]
+    [InlineData("> # Quoted heading", 0)]
+    [InlineData("# Title", 3)]
+    [InlineData("# Title", -1)]
+    public void TryGetSection_WithoutHeadingAtLine_ReturnsFalse(string markdown, int lineIndex)
+    {
+        // Act
+        var result = MarkdownSectionHelper.TryGetSection(markdown, lineIndex, out var section, out var title);
+
+        // Assert
+        Assert.False(result);
+        Assert.Null(section);
+        Assert.Null(title);
+    }
+
+    [Fact]
+    public void TryReplaceSection_WithHeadingLine_ReplacesSectionAndKeepsSeparation()
+    {
+        // Act
+        var result = MarkdownSectionHelper.TryReplaceSection(Page, 8, "### Checks\n\nCheck it twice.\n", out var markdown);
+
+        // Assert
+        Assert.True(result);
+        Assert.Equal("# Runbook\n\nIntro\n\n## Deployment\n\nDeploy it.\n\n### Checks\n\nCheck it twice.\n\n## Rollback ##\n\nRevert it.\n", markdown);
+    }
+
+    [Fact]
+    public void TryReplaceSection_WithFrontMatter_UsesLinesOfOriginalSource()
+    {
+        // Act
+        var result = MarkdownSectionHelper.TryReplaceSection("---\ntitle: Notes\n---\n# Notes\n\nOld", 3, "# Notes\n\nNew", out var markdown);
+
+        // Assert
+        Assert.True(result);
+        Assert.Equal("---\ntitle: Notes\n---\n# Notes\n\nNew", markdown);
+    }
+
+    [Fact]
+    public void TryReplaceSection_WithoutHeadingAtLine_ReturnsFalse()
+    {
+        // Act
+        var result = MarkdownSectionHelper.TryReplaceSection(Page, 2, "New", out var markdown);
+
+        // Assert
+        Assert.False(result);
+        Assert.Null(markdown);
+    }
+}
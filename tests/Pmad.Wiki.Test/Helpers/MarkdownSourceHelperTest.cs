@@ -0,0 +1,34 @@
+using Markdig;
+using Markdig.Syntax;
+using Pmad.Wiki.Helpers;
+
+namespace Pmad.Wiki.Test.Helpers;
+
+public class MarkdownSourceHelperTest
+{
+    [Theory]
+    [InlineData("# Title\n\nText", 0, 0)]
+    [InlineData("# Title\n\nText", 2, 9)]
+    [InlineData("# Title\r\n\r\nText", 2, 11)]
+    [InlineData("# Title\n", 1, 8)]
+    [InlineData("# Title", 1, -1)]
+    public void GetLineStart_ReturnsPositionOfLine(string markdown, int lineIndex, int expected)
+    {
+        // Act
+        var result = MarkdownSourceHelper.GetLineStart(markdown, lineIndex);
+
+        // Assert
+        Assert.Equal(expected, result);
+    }
+
+    [Fact]
+    public void Pipeline_WithHtmlBlock_ParsesHeadingAsInRenderedPage()
+    {
+        // Act
+        var document = Markdown.Parse("<div>\n## Heading\n</div>", MarkdownSourceHelper.Pipeline);
+
+        // Assert
+        var heading = Assert.Single(document.OfType<HeadingBlock>());
+        Assert.Equal(1, heading.Line);
+    }
+}
@@ -0,0 +1,74 @@
+using Pmad.Wiki.Helpers;
+
+namespace Pmad.Wiki.Test.Helpers;
+
+public class MarkdownTaskListHelperTest
+{
+    [Fact]
+    public void TrySetTaskChecked_WithUncheckedTask_ChecksIt()
+    {
+        // Act
+        var result = MarkdownTaskListHelper.TrySetTaskChecked("# Actions\n\n- [ ] Send the report\n- [ ] Book a room", 2, true, out var markdown, out var taskText);
+
+        // Assert
+        Assert.True(result);
+        Assert.Equal("# Actions\n\n- [x] Send the report\n- [ ] Book a room", markdown);
+        Assert.Equal("Send the report", taskText);
+    }
+
+    [Fact]
+    public void TrySetTaskChecked_WithCheckedTask_UnchecksIt()
+    {
+        // Act
+        var result = MarkdownTaskListHelper.TrySetTaskChecked("- [ ] Send the report\r\n- [x] Book a room\r\n", 1, false, out var markdown, out var taskText);
+
+        // Assert
+        Assert.True(result);
+        Assert.Equal("- [ ] Send the report\r\n- [ ] Book a room\r\n", markdown);
+        Assert.Equal("Book a room", taskText);
+    }
+
+    [Theory]
+    [InlineData("1. [ ] Ordered task", "1. [x] Ordered task")]
+    [InlineData("> - [ ] Quoted task", "> - [x] Quoted task")]
+    [InlineData("- Parent\n  - [ ] Nested task", "- Parent\n  - [x] Nested task")]
+    public void TrySetTaskChecked_WithTaskInOtherBlocks_ChecksIt(string markdown, string expected)
+    {
+        // Arrange
+        var lineIndex = markdown.Split('\n').Length - 1;
+
+        // Act
+        var result = MarkdownTaskListHelper.TrySetTaskChecked(markdown, lineIndex, true, out var updatedMarkdown, out _);
+
+        // Assert
+        Assert.True(result);
+        Assert.Equal(expected, updatedMarkdown);
+    }
+
+    [Fact]
+    public void TrySetTaskChecked_WithFrontMatter_UsesLinesOfOriginalSource()
+    {
+        // Act
+        var result = MarkdownTaskListHelper.TrySetTaskChecked("---\ntitle: Notes\n---\n- [ ] Task", 3, true, out var markdown, out _);
+
+        // Assert
+        Assert.True(result);
+        Assert.Equal("---\ntitle: Notes\n---\n- [x] Task", markdown);
+    }
+
+    [Theory]
+    [InlineData("Some text\n- [ ] Task", 0)]
+    [InlineData("```\n- [ ] Not a task\n```", 1)]
+    [InlineData("- [ ] Task", 5)]
+    [InlineData("- [ ] Task", -1)]
+    public void TrySetTaskChecked_WithoutTaskAtLine_ReturnsFalse(string markdown, int lineIndex)
+    {
+        // Act
+        var result = MarkdownTaskListHelper.TrySetTaskChecked(markdown, lineIndex, true, out var updatedMarkdown, out var taskText);
+
+        // Assert
+        Assert.False(result);
+        Assert.Null(updatedMarkdown);
+        Assert.Null(taskText);
+    }
+}
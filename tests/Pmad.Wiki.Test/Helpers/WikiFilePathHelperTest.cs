@@ -289,6 +289,49 @@ public class WikiFilePathHelperTest
         Assert.Equal("../home", result);
     }
 
+    [Fact]
+    public void ResolveRelativePath_FromRootPage_ReturnsPath()
+    {
+        // Act
+        var result = WikiFilePathHelper.ResolveRelativePath("home", "medias/logo.png");
+
+        // Assert
+        Assert.Equal("medias/logo.png", result);
+    }
+
+    [Fact]
+    public void ResolveRelativePath_FromNestedPage_ReturnsPathFromRoot()
+    {
+        // Act
+        var result = WikiFilePathHelper.ResolveRelativePath("docs/guide", "./medias/logo.png");
+
+        // Assert
+        Assert.Equal("docs/medias/logo.png", result);
+    }
+
+    [Fact]
+    public void ResolveRelativePath_WithParentParts_ReturnsPathFromRoot()
+    {
+        // Act
+        var result = WikiFilePathHelper.ResolveRelativePath("docs/api/guide", "../../images/logo.png");
+
+        // Assert
+        Assert.Equal("images/logo.png", result);
+    }
+
+    [Fact]
+    public void ResolveRelativePath_IsReverseOfGetRelativePath()
+    {
+        // Arrange
+        var relativePath = WikiFilePathHelper.GetRelativePath("admin/settings", "docs/medias/logo.png");
+
+        // Act
+        var result = WikiFilePathHelper.ResolveRelativePath("admin/settings", relativePath);
+
+        // Assert
+        Assert.Equal("docs/medias/logo.png", result);
+    }
+
     [Fact]
     public void GetDirectoryName_WithNoSlash_ReturnsEmptyString()
     {
@@ -0,0 +1,18 @@
+using SixLabors.ImageSharp;
+using SixLabors.ImageSharp.PixelFormats;
+
+namespace Pmad.Wiki.Test.Infrastructure;
+
+/// <summary>
+/// Creates images to use as the content of media files in tests.
+/// </summary>
+internal static class TestImages
+{
+    public static byte[] CreatePng(int width, int height)
+    {
+        using var image = new Image<Rgba32>(width, height);
+        using var stream = new MemoryStream();
+        image.SaveAsPng(stream);
+        return stream.ToArray();
+    }
+}
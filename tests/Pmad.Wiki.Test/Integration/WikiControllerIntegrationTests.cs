@@ -82,6 +82,8 @@ public class WikiControllerIntegrationTests : IDisposable
 
         var logger = new Mock<ILogger<WikiController>>().Object;
         var templateService = _serviceProvider.GetRequiredService<IWikiTemplateService>();
+        var thumbnailService = _serviceProvider.GetRequiredService<IMediaThumbnailService>();
+        var metadataService = _serviceProvider.GetRequiredService<IMediaMetadataService>();
 
         var _controller = new WikiController(
             pageService,
@@ -94,7 +96,9 @@ public class WikiControllerIntegrationTests : IDisposable
             options,
             logger,
             _mockLocalizer.Object,
-            pagePermissionHelper);
+            pagePermissionHelper,
+            thumbnailService,
+            metadataService);
 
         SetupControllerContext(_controller);
 
@@ -542,7 +546,7 @@ public class WikiControllerIntegrationTests : IDisposable
         SetupAuthenticatedUser(controller, "Editor", "editor@example.com", canEdit: true);
 
         // Act
-        var result = await controller.Edit("test", null, null, null, CancellationToken.None);
+        var result = await controller.Edit("test", null, null, null, null, CancellationToken.None);
 
         // Assert
         var viewResult = Assert.IsType<ViewResult>(result);
@@ -562,7 +566,7 @@ public class WikiControllerIntegrationTests : IDisposable
         SetupAuthenticatedUser(controller, "Editor", "editor@example.com", canEdit: true);
 
         // Act
-        var result = await controller.Edit("newpage", null, null, null, CancellationToken.None);
+        var result = await controller.Edit("newpage", null, null, null, null, CancellationToken.None);
 
         // Assert
         var viewResult = Assert.IsType<ViewResult>(result);
@@ -584,7 +588,7 @@ public class WikiControllerIntegrationTests : IDisposable
         SetupAuthenticatedUser(controller, "Editor", "editor@example.com", canEdit: true);
 
         // Act
-        var result = await controller.Edit("page", null, oldCommit, null, CancellationToken.None);
+        var result = await controller.Edit("page", null, oldCommit, null, null, CancellationToken.None);
 
         // Assert
         var viewResult = Assert.IsType<ViewResult>(result);
@@ -603,7 +607,7 @@ public class WikiControllerIntegrationTests : IDisposable
         SetupAuthenticatedUser(controller, "Viewer", "viewer@example.com", canEdit: false);
 
         // Act
-        var result = await controller.Edit("test", null, null, null, CancellationToken.None);
+        var result = await controller.Edit("test", null, null, null, null, CancellationToken.None);
 
         // Assert
         Assert.IsType<ForbidResult>(result);
@@ -1272,7 +1276,7 @@ public class WikiControllerIntegrationTests : IDisposable
         // Step 4: Edit the page (simulating what happens after redirect)
         var editController = CreateController();
         SetupAuthenticatedUser(editController, "Editor", "editor@example.com", canEdit: true);
-        var editGetResult = await editController.Edit("projects/MyProject", null, null, template.TemplateName, CancellationToken.None);
+        var editGetResult = await editController.Edit("projects/MyProject", null, null, template.TemplateName, null, CancellationToken.None);
         var editView = Assert.IsType<ViewResult>(editGetResult);
         var editModel = Assert.IsType<WikiPageEditViewModel>(editView.Model);
         Assert.Equal("projects/MyProject", editModel.PageName);
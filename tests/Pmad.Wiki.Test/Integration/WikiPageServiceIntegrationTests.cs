@@ -4,6 +4,7 @@ using Microsoft.Extensions.DependencyInjection;
 using Microsoft.Extensions.Options;
 using Moq;
 using Pmad.Git.HttpServer;
+using Pmad.Wiki.Models;
 using Pmad.Wiki.Services;
 
 namespace Pmad.Wiki.Test.Integration;
@@ -417,7 +418,7 @@ public class WikiPageServiceIntegrationTests : IDisposable
         var content = "# New Page\n\nCreated via service.";
 
         // Act
-        await _service.SavePageWithMediaAsync("newpage", null, content, "Create new page", author, new(), CancellationToken.None);
+        await _service.SavePageWithMediaAsync("newpage", null, content, "Create new page", author, [], CancellationToken.None);
 
         // Assert - Verify with git CLI
         var gitContent = GetGitFileContent("newpage.md");
@@ -440,7 +441,7 @@ public class WikiPageServiceIntegrationTests : IDisposable
         var updatedContent = "# Updated\n\nUpdated content.";
 
         // Act
-        await _service.SavePageWithMediaAsync("page", null, updatedContent, "Update page", author, new(), CancellationToken.None);
+        await _service.SavePageWithMediaAsync("page", null, updatedContent, "Update page", author, [], CancellationToken.None);
 
         // Assert - Verify with git CLI
         var gitContent = GetGitFileContent("page.md");
@@ -460,9 +461,9 @@ public class WikiPageServiceIntegrationTests : IDisposable
         var author = CreateTestUser();
         var content = "# Page with Media\n\n![Image](images/pic.png)";
         var imageBytes = new byte[] { 0x89, 0x50, 0x4E, 0x47 };
-        var mediaFiles = new Dictionary<string, byte[]>
+        var mediaFiles = new List<WikiPageMediaFile>
         {
-            ["images/pic.png"] = imageBytes
+            new WikiPageMediaFile { Path = "images/pic.png", Content = imageBytes }
         };
 
         // Act
@@ -486,9 +487,9 @@ public class WikiPageServiceIntegrationTests : IDisposable
         var author = CreateTestUser();
 
         // Act - Make multiple edits
-        await _service.SavePageWithMediaAsync("test", null, "# Version 1", "Create v1", author, new(), CancellationToken.None);
-        await _service.SavePageWithMediaAsync("test", null, "# Version 2", "Update to v2", author, new(), CancellationToken.None);
-        await _service.SavePageWithMediaAsync("test", null, "# Version 3", "Update to v3", author, new(), CancellationToken.None);
+        await _service.SavePageWithMediaAsync("test", null, "# Version 1", "Create v1", author, [], CancellationToken.None);
+        await _service.SavePageWithMediaAsync("test", null, "# Version 2", "Update to v2", author, [], CancellationToken.None);
+        await _service.SavePageWithMediaAsync("test", null, "# Version 3", "Update to v3", author, [], CancellationToken.None);
 
         // Assert - Verify with git CLI
         var log = GetGitLog("test.md");
@@ -511,7 +512,7 @@ public class WikiPageServiceIntegrationTests : IDisposable
         var content = "# Deep Page\n\nNested content.";
 
         // Act
-        await _service.SavePageWithMediaAsync("level1/level2/level3/page", null, content, "Create nested page", author, new(), CancellationToken.None);
+        await _service.SavePageWithMediaAsync("level1/level2/level3/page", null, content, "Create nested page", author, [], CancellationToken.None);
 
         // Assert
         var gitContent = GetGitFileContent("level1/level2/level3/page.md");
@@ -533,7 +534,7 @@ public class WikiPageServiceIntegrationTests : IDisposable
         var frenchContent = "# Page Française\n\nContenu français.";
 
         // Act
-        await _service.SavePageWithMediaAsync("test", "fr", frenchContent, "Add French version", author, new(), CancellationToken.None);
+        await _service.SavePageWithMediaAsync("test", "fr", frenchContent, "Add French version", author, [], CancellationToken.None);
 
         // Assert
         var gitContent = GetGitFileContent("test.fr.md");
@@ -771,7 +772,7 @@ public class WikiPageServiceIntegrationTests : IDisposable
         for (int i = 1; i <= 20; i++)
         {
             var content = $"# Version {i}\n\nContent for version {i}.";
-            await _service.SavePageWithMediaAsync("evolving", null, content, $"Update to v{i}", author, new(), CancellationToken.None);
+            await _service.SavePageWithMediaAsync("evolving", null, content, $"Update to v{i}", author, [], CancellationToken.None);
         }
 
         // Assert
@@ -821,7 +822,7 @@ public class WikiPageServiceIntegrationTests : IDisposable
         var content = "# First Page\n\nFirst content.";
 
         // Act
-        await _service.SavePageWithMediaAsync("first", null, content, "Add first page", author, new(), CancellationToken.None);
+        await _service.SavePageWithMediaAsync("first", null, content, "Add first page", author, [], CancellationToken.None);
 
         // Assert
         var page = await _service.GetPageAsync("first", null, CancellationToken.None);
@@ -883,9 +884,9 @@ public class WikiPageServiceIntegrationTests : IDisposable
         }
 
         var content = "# Binary Test\n\nPage with binary media.";
-        var mediaFiles = new Dictionary<string, byte[]>
+        var mediaFiles = new List<WikiPageMediaFile>
         {
-            ["data/binary.bin"] = binaryData
+            new WikiPageMediaFile { Path = "data/binary.bin", Content = binaryData }
         };
 
         // Act
@@ -910,23 +911,25 @@ public class WikiPageServiceIntegrationTests : IDisposable
         var pdfData = new byte[] { 0x25, 0x50, 0x44, 0x46 };
 
         var content = "# Test Page\n\nPage with multiple media files.";
-        var mediaFiles = new Dictionary<string, byte[]>
+        var mediaFiles = new List<WikiPageMediaFile>
         {
-            ["images/logo.png"] = pngData,
-            ["photos/picture.jpg"] = jpgData,
-            ["documents/guide.pdf"] = pdfData
+            new WikiPageMediaFile { Path = "images/logo.png", Content = pngData },
+            new WikiPageMediaFile { Path = "photos/picture.jpg", Content = jpgData },
+            new WikiPageMediaFile { Path = "documents/guide.pdf", Content = pdfData }
         };
 
         await _service.SavePageWithMediaAsync("mediatest", null, content, "Add media files", author, mediaFiles, CancellationToken.None);
 
         // Act
-        var result = await _service.GetAllMediaFilesAsync(CancellationToken.None);
+        var result = await _service.GetAllMediaFilesAsync(true, CancellationToken.None);
 
         // Assert
         Assert.NotEmpty(result);
         Assert.Contains(result, m => m.AbsolutePath == "images/logo.png" && m.MediaType == Models.MediaType.Image);
         Assert.Contains(result, m => m.AbsolutePath == "photos/picture.jpg" && m.MediaType == Models.MediaType.Image);
         Assert.Contains(result, m => m.AbsolutePath == "documents/guide.pdf" && m.MediaType == Models.MediaType.Document);
+        Assert.All(result, m => Assert.NotNull(m.LastModified));
+        Assert.All(result, m => Assert.NotNull(m.BlobId));
     }
 
     [Fact]
@@ -937,7 +940,7 @@ public class WikiPageServiceIntegrationTests : IDisposable
         CommitFile(".gitkeep", "", "Initialize repository");
 
         // Act
-        var result = await _service.GetAllMediaFilesAsync(CancellationToken.None);
+        var result = await _service.GetAllMediaFilesAsync(true, CancellationToken.None);
 
         // Assert
         Assert.Empty(result);
@@ -954,9 +957,9 @@ public class WikiPageServiceIntegrationTests : IDisposable
         var imageData = new byte[] { 0x89, 0x50, 0x4E, 0x47 };
         var content = "# Test Page";
 
-        var mediaFiles = new Dictionary<string, byte[]>
+        var mediaFiles = new List<WikiPageMediaFile>
         {
-            ["images/valid.png"] = imageData
+            new WikiPageMediaFile { Path = "images/valid.png", Content = imageData }
         };
 
         await _service.SavePageWithMediaAsync("test", null, content, "Add media", author, mediaFiles, CancellationToken.None);
@@ -968,12 +971,13 @@ public class WikiPageServiceIntegrationTests : IDisposable
         CommitFile("data/text.txt", "This is text", "Add text file");
 
         // Act
-        var result = await _service.GetAllMediaFilesAsync(CancellationToken.None);
+        var result = await _service.GetAllMediaFilesAsync(false, CancellationToken.None);
 
         // Assert
         Assert.Single(result);
         Assert.Equal("images/valid.png", result[0].AbsolutePath);
         Assert.Equal(Models.MediaType.Image, result[0].MediaType);
+        Assert.Null(result[0].LastModified);
     }
 
     #endregion
@@ -661,6 +661,21 @@ public class Test
         Assert.Contains("checked=\"checked\"", html);
     }
 
+    [Fact]
+    public void ToHtml_WithTaskList_AddsSourceLineOfEachTask()
+    {
+        // Arrange
+        var markdown = "# Actions\n\n- [x] Completed task\n- [ ] Incomplete task\n- Not a task";
+
+        // Act
+        var html = _service.ToHtml(markdown);
+
+        // Assert
+        Assert.Contains("data-task-line=\"2\"", html);
+        Assert.Contains("data-task-line=\"3\"", html);
+        Assert.DoesNotContain("data-task-line=\"4\"", html);
+    }
+
     [Fact]
     public void ToHtml_WithStrikethrough_RendersStrikethrough()
     {
@@ -969,4 +984,268 @@ var code = ""sample"";
     }
 
     #endregion
+
+    #region Media Embed Tests
+
+    [Fact]
+    public void ToHtml_WithImageSyntaxOnVideo_RendersVideoPlayer()
+    {
+        // Arrange
+        var markdown = "![Demo](videos/demo.mp4){width=640}";
+
+        // Act
+        var html = _service.ToHtml(markdown, null, "docs/intro");
+
+        // Assert
+        Assert.Contains("<video src=\"/wiki/media/docs/videos/demo.mp4\" controls preload=\"metadata\"", html);
+        Assert.Contains("width=\"640\"", html);
+        Assert.Contains("title=\"Demo\"", html);
+        Assert.Contains("<a href=\"/wiki/media/docs/videos/demo.mp4\">Demo</a></video>", html);
+        Assert.DoesNotContain("<img", html);
+    }
+
+    [Fact]
+    public void ToHtml_WithImageSyntaxOnPdf_RendersInlineViewer()
+    {
+        // Arrange
+        var markdown = "![User guide](guide.pdf){height=600 .wiki-media-center}";
+
+        // Act
+        var html = _service.ToHtml(markdown, null, "home");
+
+        // Assert
+        Assert.Contains("<object data=\"/wiki/media/guide.pdf\" type=\"application/pdf\"", html);
+        Assert.Contains("class=\"wiki-media wiki-media-pdf wiki-media-center\"", html);
+        Assert.Contains("height=\"600\"", html);
+        Assert.Contains("<a href=\"/wiki/media/guide.pdf\">User guide</a></object>", html);
+    }
+
+    [Fact]
+    public void ToHtml_WithLinkToPdf_RendersLink()
+    {
+        // Arrange
+        var markdown = "[User guide](guide.pdf)";
+
+        // Act
+        var html = _service.ToHtml(markdown, null, "home");
+
+        // Assert
+        Assert.Contains("<a href=\"/wiki/media/guide.pdf\">User guide</a>", html);
+        Assert.DoesNotContain("<object", html);
+    }
+
+    [Fact]
+    public void ToHtml_WithVideoWithoutTitle_UsesFileNameAsFallbackText()
+    {
+        // Arrange
+        var markdown = "![](demo.webm)";
+
+        // Act
+        var html = _service.ToHtml(markdown, null, "home");
+
+        // Assert
+        Assert.Contains("<a href=\"/wiki/media/demo.webm\">demo.webm</a></video>", html);
+        Assert.DoesNotContain("title=", html);
+    }
+
+    [Fact]
+    public void ToHtml_WithEmbedAndInvalidDimension_IgnoresDimension()
+    {
+        // Arrange
+        var markdown = "![Demo](demo.mp4){width=wide}";
+
+        // Act
+        var html = _service.ToHtml(markdown, null, "home");
+
+        // Assert
+        Assert.Contains("<video", html);
+        Assert.DoesNotContain("width=", html);
+    }
+
+    [Fact]
+    public void ToHtml_WithEmbedTitleContainingHtml_EncodesTitle()
+    {
+        // Arrange
+        var markdown = "![<b>Demo</b>](demo.mp4)";
+
+        // Act
+        var html = _service.ToHtml(markdown, null, "home");
+
+        // Assert
+        Assert.DoesNotContain("<b>", html);
+        Assert.Contains("&lt;b&gt;Demo&lt;/b&gt;", html);
+    }
+
+    [Fact]
+    public void ToHtml_WithExternalVideo_DoesNotEmbed()
+    {
+        // Arrange
+        var markdown = "![Demo](https://example.com/demo.mp4)";
+
+        // Act
+        var html = _service.ToHtml(markdown, null, "home");
+
+        // Assert
+        Assert.DoesNotContain("/wiki/media/", html);
+        Assert.DoesNotContain("<object", html);
+    }
+
+    [Fact]
+    public void ToHtml_WithImageAttributes_RendersWidthAndAlignment()
+    {
+        // Arrange
+        var markdown = "[![Logo](logo.png){width=320 .wiki-media-right}](logo.png)";
+
+        // Act
+        var html = _service.ToHtml(markdown, null, "home");
+
+        // Assert
+        Assert.Contains("<a href=\"/wiki/media/logo.png\"><img src=\"/wiki/media/logo.png\"", html);
+        Assert.Contains("class=\"wiki-media-right\"", html);
+        Assert.Contains("width=\"320\"", html);
+    }
+
+    [Fact]
+    public void ToHtml_WithFigure_MovesImageAlignmentToFigure()
+    {
+        // Arrange
+        var markdown = "^^^\n![Logo](logo.png){.wiki-media-center}\n^^^ The logo";
+
+        // Act
+        var html = _service.ToHtml(markdown, null, "home");
+
+        // Assert
+        Assert.Contains("<figure class=\"wiki-media-center\">", html);
+        Assert.Contains("<figcaption>The logo</figcaption>", html);
+        Assert.DoesNotContain("<img src=\"/wiki/media/logo.png\" class=", html);
+    }
+
+    [Theory]
+    [InlineData("![Logo](logo.png){onerror=\"alert(1)\"}", "onerror")]
+    [InlineData("# Title {onclick=\"alert(1)\"}", "onclick")]
+    [InlineData("[Link](page.md){href=\"javascript:alert(1)\"}", "javascript:")]
+    [InlineData("# Title {style=\"position:fixed\"}", "style=")]
+    public void ToHtml_WithUnsafeGenericAttribute_RemovesAttribute(string markdown, string unexpected)
+    {
+        // Act
+        var html = _service.ToHtml(markdown, null, "home");
+
+        // Assert
+        Assert.DoesNotContain(unexpected, html);
+    }
+
+    #endregion
+
+    #region Code Block Tests
+
+    [Fact]
+    public void ToHtml_WithFencedCodeAndLineNumbersAttribute_KeepsClass()
+    {
+        // Arrange
+        var markdown = "```bash {.line-numbers}\necho hello\n```";
+
+        // Act
+        var html = _service.ToHtml(markdown, null, "home");
+
+        // Assert
+        Assert.Matches("<code class=\"[^\"]*\\bline-numbers\\b[^\"]*\">echo hello", html);
+        Assert.Matches("<code class=\"[^\"]*\\blanguage-bash\\b", html);
+    }
+
+    [Fact]
+    public void ToHtml_WithMermaidBlock_RendersDiagramContainer()
+    {
+        // Arrange
+        var markdown = "```mermaid\ngraph TD\n    A-->B\n```";
+
+        // Act
+        var html = _service.ToHtml(markdown, null, "home");
+
+        // Assert
+        Assert.Contains("<div class=\"mermaid\">", html);
+        Assert.Contains("A--&gt;B", html);
+        Assert.DoesNotContain("<pre>", html);
+    }
+
+    #endregion
+
+    #region Math Tests
+
+    [Fact]
+    public void ToHtml_WithMath_RendersMathElements()
+    {
+        // Arrange
+        var markdown = "Energy: $E = mc^2$\n\n$$\nx < 1\n$$";
+
+        // Act
+        var html = _service.ToHtml(markdown, null, "home");
+
+        // Assert
+        Assert.Contains("<span class=\"math\">\\(E = mc^2\\)</span>", html);
+        Assert.Contains("<div class=\"math\">", html);
+        Assert.Contains("x &lt; 1", html);
+    }
+
+    #endregion
+
+    #region Source Line Tests
+
+    [Fact]
+    public void ToHtml_WithoutSourceLines_DoesNotAddLineAttributes()
+    {
+        // Arrange
+        var markdown = "# Heading\n\nParagraph text.";
+
+        // Act
+        var html = _service.ToHtml(markdown, null, null, false);
+
+        // Assert
+        Assert.DoesNotContain("data-source-line", html);
+    }
+
+    [Fact]
+    public void ToHtml_WithSourceLines_AddsZeroBasedLineAttributes()
+    {
+        // Arrange
+        var markdown = "# Heading\n\nParagraph text.\n\n- Item 1\n- Item 2";
+
+        // Act
+        var html = _service.ToHtml(markdown, null, null, true);
+
+        // Assert
+        Assert.Contains("<h1 id=\"heading\" data-source-line=\"0\">", html);
+        Assert.Contains("<p data-source-line=\"2\">", html);
+        Assert.Contains("<ul data-source-line=\"4\">", html);
+        Assert.Contains("<li data-source-line=\"5\">", html);
+    }
+
+    [Fact]
+    public void ToHtml_WithSourceLinesAndFrontMatter_UsesLinesOfOriginalSource()
+    {
+        // Arrange
+        var markdown = "---\ntitle: Test\n---\n# Heading";
+
+        // Act
+        var html = _service.ToHtml(markdown, null, null, true);
+
+        // Assert
+        Assert.Contains("data-source-line=\"3\"", html);
+    }
+
+    [Fact]
+    public void ToHtml_WithHeadings_AddsSectionLineToRootHeadings()
+    {
+        // Arrange
+        var markdown = "# Title\n\n> ## Quoted\n\n## Section";
+
+        // Act
+        var html = _service.ToHtml(markdown);
+
+        // Assert
+        Assert.Contains("data-section-line=\"0\"", html);
+        Assert.Contains("data-section-line=\"4\"", html);
+        Assert.DoesNotContain("data-section-line=\"2\"", html);
+    }
+
+    #endregion
 }
@@ -0,0 +1,119 @@
+using Microsoft.Extensions.Caching.Memory;
+using Moq;
+using Pmad.Wiki.Models;
+using Pmad.Wiki.Services;
+using Pmad.Wiki.Test.Infrastructure;
+
+namespace Pmad.Wiki.Test.Services;
+
+public class MediaMetadataServiceTest : IDisposable
+{
+    private readonly Mock<IWikiPageService> _mockPageService;
+    private readonly MemoryCache _cache;
+    private readonly MediaMetadataService _service;
+
+    public MediaMetadataServiceTest()
+    {
+        _mockPageService = new Mock<IWikiPageService>();
+        _cache = new MemoryCache(new MemoryCacheOptions());
+        _service = new MediaMetadataService(_mockPageService.Object, _cache);
+    }
+
+    public void Dispose()
+    {
+        _cache.Dispose();
+    }
+
+    [Fact]
+    public async Task GetMetadataAsync_WithImage_ReturnsSizeAndDimensions()
+    {
+        // Arrange
+        var png = TestImages.CreatePng(320, 240);
+        _mockPageService
+            .Setup(x => x.GetMediaFileAsync("images/logo.png", It.IsAny<CancellationToken>()))
+            .ReturnsAsync(png);
+
+        // Act
+        var metadata = await _service.GetMetadataAsync(CreateMediaFile("images/logo.png", MediaType.Image, "blob1"));
+
+        // Assert
+        Assert.NotNull(metadata);
+        Assert.Equal(png.Length, metadata.Size);
+        Assert.Equal(320, metadata.Width);
+        Assert.Equal(240, metadata.Height);
+    }
+
+    [Fact]
+    public async Task GetMetadataAsync_WithDocument_ReturnsSizeOnly()
+    {
+        // Arrange
+        _mockPageService
+            .Setup(x => x.GetMediaFileAsync("documents/manual.pdf", It.IsAny<CancellationToken>()))
+            .ReturnsAsync(new byte[1234]);
+
+        // Act
+        var metadata = await _service.GetMetadataAsync(CreateMediaFile("documents/manual.pdf", MediaType.Document, "blob1"));
+
+        // Assert
+        Assert.NotNull(metadata);
+        Assert.Equal(1234, metadata.Size);
+        Assert.Null(metadata.Width);
+        Assert.Null(metadata.Height);
+    }
+
+    [Fact]
+    public async Task GetMetadataAsync_WithSameBlob_ReadsFileOnce()
+    {
+        // Arrange
+        _mockPageService
+            .Setup(x => x.GetMediaFileAsync("documents/manual.pdf", It.IsAny<CancellationToken>()))
+            .ReturnsAsync(new byte[1234]);
+
+        // Act
+        await _service.GetMetadataAsync(CreateMediaFile("documents/manual.pdf", MediaType.Document, "blob1"));
+        var metadata = await _service.GetMetadataAsync(CreateMediaFile("documents/manual.pdf", MediaType.Document, "blob1"));
+
+        // Assert
+        Assert.NotNull(metadata);
+        Assert.Equal(1234, metadata.Size);
+        _mockPageService.Verify(x => x.GetMediaFileAsync("documents/manual.pdf", It.IsAny<CancellationToken>()), Times.Once);
+    }
+
+    [Fact]
+    public async Task GetMetadataAsync_WithNewBlob_ReadsFileAgain()
+    {
+        // Arrange
+        _mockPageService
+            .SetupSequence(x => x.GetMediaFileAsync("documents/manual.pdf", It.IsAny<CancellationToken>()))
+            .ReturnsAsync(new byte[1234])
+            .ReturnsAsync(new byte[5678]);
+
+        // Act
+        await _service.GetMetadataAsync(CreateMediaFile("documents/manual.pdf", MediaType.Document, "blob1"));
+        var metadata = await _service.GetMetadataAsync(CreateMediaFile("documents/manual.pdf", MediaType.Document, "blob2"));
+
+        // Assert
+        Assert.NotNull(metadata);
+        Assert.Equal(5678, metadata.Size);
+    }
+
+    [Fact]
+    public async Task GetMetadataAsync_WhenFileDoesNotExist_ReturnsNull()
+    {
+        // Arrange
+        _mockPageService
+            .Setup(x => x.GetMediaFileAsync("images/missing.png", It.IsAny<CancellationToken>()))
+            .ReturnsAsync((byte[]?)null);
+
+        // Act
+        var metadata = await _service.GetMetadataAsync(CreateMediaFile("images/missing.png", MediaType.Image, null));
+
+        // Assert
+        Assert.Null(metadata);
+    }
+
+    private static MediaFileInfo CreateMediaFile(string path, MediaType mediaType, string? blobId)
+    {
+        return new MediaFileInfo { AbsolutePath = path, FileName = Path.GetFileName(path), MediaType = mediaType, BlobId = blobId };
+    }
+}
@@ -0,0 +1,150 @@
+using Microsoft.Extensions.Caching.Memory;
+using Microsoft.Extensions.Options;
+using Moq;
+using Pmad.Wiki.Services;
+using Pmad.Wiki.Test.Infrastructure;
+using SixLabors.ImageSharp;
+
+namespace Pmad.Wiki.Test.Services;
+
+public class MediaThumbnailServiceTest : IDisposable
+{
+    private readonly Mock<IWikiPageService> _mockPageService;
+    private readonly MemoryCache _cache;
+    private readonly WikiOptions _options;
+    private readonly MediaThumbnailService _service;
+
+    public MediaThumbnailServiceTest()
+    {
+        _mockPageService = new Mock<IWikiPageService>();
+        _cache = new MemoryCache(new MemoryCacheOptions());
+        _options = new WikiOptions { MediaThumbnailSize = 100 };
+        _service = new MediaThumbnailService(_mockPageService.Object, _cache, Options.Create(_options));
+    }
+
+    public void Dispose()
+    {
+        _cache.Dispose();
+    }
+
+    [Fact]
+    public async Task GetThumbnailAsync_WithLargeImage_ReturnsDownscaledWebp()
+    {
+        // Arrange
+        _mockPageService
+            .Setup(x => x.GetMediaFileBlobIdAsync("images/photo.png", It.IsAny<CancellationToken>()))
+            .ReturnsAsync("blob1");
+        _mockPageService
+            .Setup(x => x.GetMediaFileAsync("images/photo.png", It.IsAny<CancellationToken>()))
+            .ReturnsAsync(TestImages.CreatePng(400, 200));
+
+        // Act
+        var thumbnail = await _service.GetThumbnailAsync("images/photo.png");
+
+        // Assert
+        Assert.NotNull(thumbnail);
+        var info = Image.Identify(thumbnail);
+        Assert.Equal("Webp", info.Metadata.DecodedImageFormat?.Name);
+        Assert.Equal(100, info.Width);
+        Assert.Equal(50, info.Height);
+    }
+
+    [Fact]
+    public async Task GetThumbnailAsync_WithSmallImage_KeepsOriginalSize()
+    {
+        // Arrange
+        _mockPageService
+            .Setup(x => x.GetMediaFileBlobIdAsync("images/icon.png", It.IsAny<CancellationToken>()))
+            .ReturnsAsync("blob1");
+        _mockPageService
+            .Setup(x => x.GetMediaFileAsync("images/icon.png", It.IsAny<CancellationToken>()))
+            .ReturnsAsync(TestImages.CreatePng(32, 16));
+
+        // Act
+        var thumbnail = await _service.GetThumbnailAsync("images/icon.png");
+
+        // Assert
+        Assert.NotNull(thumbnail);
+        var info = Image.Identify(thumbnail);
+        Assert.Equal(32, info.Width);
+        Assert.Equal(16, info.Height);
+    }
+
+    [Fact]
+    public async Task GetThumbnailAsync_WithSameBlob_UsesCacheWithoutReadingFile()
+    {
+        // Arrange
+        _mockPageService
+            .Setup(x => x.GetMediaFileBlobIdAsync("images/a.png", It.IsAny<CancellationToken>()))
+            .ReturnsAsync("blob1");
+        _mockPageService
+            .Setup(x => x.GetMediaFileAsync("images/a.png", It.IsAny<CancellationToken>()))
+            .ReturnsAsync(TestImages.CreatePng(400, 200));
+
+        // Act
+        var first = await _service.GetThumbnailAsync("images/a.png");
+        var second = await _service.GetThumbnailAsync("images/a.png");
+
+        // Assert
+        Assert.NotNull(first);
+        Assert.Same(first, second);
+        _mockPageService.Verify(x => x.GetMediaFileAsync("images/a.png", It.IsAny<CancellationToken>()), Times.Once);
+    }
+
+    [Fact]
+    public async Task GetThumbnailAsync_WithNewBlob_CreatesNewThumbnail()
+    {
+        // Arrange
+        _mockPageService
+            .SetupSequence(x => x.GetMediaFileBlobIdAsync("images/a.png", It.IsAny<CancellationToken>()))
+            .ReturnsAsync("blob1")
+            .ReturnsAsync("blob2");
+        _mockPageService
+            .SetupSequence(x => x.GetMediaFileAsync("images/a.png", It.IsAny<CancellationToken>()))
+            .ReturnsAsync(TestImages.CreatePng(400, 200))
+            .ReturnsAsync(TestImages.CreatePng(200, 400));
+
+        // Act
+        var first = await _service.GetThumbnailAsync("images/a.png");
+        var second = await _service.GetThumbnailAsync("images/a.png");
+
+        // Assert
+        Assert.NotNull(first);
+        Assert.NotNull(second);
+        Assert.Equal(50, Image.Identify(first).Height);
+        Assert.Equal(100, Image.Identify(second).Height);
+    }
+
+    [Fact]
+    public async Task GetThumbnailAsync_WithInvalidImage_ReturnsNull()
+    {
+        // Arrange
+        _mockPageService
+            .Setup(x => x.GetMediaFileBlobIdAsync("images/broken.png", It.IsAny<CancellationToken>()))
+            .ReturnsAsync("blob1");
+        _mockPageService
+            .Setup(x => x.GetMediaFileAsync("images/broken.png", It.IsAny<CancellationToken>()))
+            .ReturnsAsync(new byte[] { 1, 2, 3, 4 });
+
+        // Act
+        var thumbnail = await _service.GetThumbnailAsync("images/broken.png");
+
+        // Assert
+        Assert.Null(thumbnail);
+    }
+
+    [Fact]
+    public async Task GetThumbnailAsync_WhenFileDoesNotExist_ReturnsNull()
+    {
+        // Arrange
+        _mockPageService
+            .Setup(x => x.GetMediaFileBlobIdAsync("images/missing.png", It.IsAny<CancellationToken>()))
+            .ReturnsAsync((string?)null);
+
+        // Act
+        var thumbnail = await _service.GetThumbnailAsync("images/missing.png");
+
+        // Assert
+        Assert.Null(thumbnail);
+    }
+}
@@ -104,6 +104,24 @@ public class TemporaryMediaStorageServiceTest : IDisposable
         Assert.Contains(id3, media.Keys);
     }
 
+    [Fact]
+    public async Task StoreTemporaryMediaAsync_WithSameFileName_KeepsBothFiles()
+    {
+        // Arrange
+        var user = CreateMockUser("user@example.com", "Test User");
+        var fileContent = new byte[] { 0x89, 0x50, 0x4E, 0x47 };
+
+        // Act
+        var id1 = await _service.StoreTemporaryMediaAsync(user, "screenshot.png", fileContent, CancellationToken.None);
+        var id2 = await _service.StoreTemporaryMediaAsync(user, "screenshot.png", fileContent, CancellationToken.None);
+
+        // Assert
+        var media = await _service.GetUserTemporaryMediaAsync(user, CancellationToken.None);
+        Assert.NotEqual(id1, id2);
+        Assert.Equal("screenshot.png", media[id1].OriginalFileName);
+        Assert.Equal("screenshot.png", media[id2].OriginalFileName);
+    }
+
     [Fact]
     public async Task StoreTemporaryMediaAsync_WithDifferentUsers_IsolatesStorage()
     {
@@ -1,6 +1,7 @@
 using System.Text;
 using Microsoft.AspNetCore.Routing;
 using Moq;
+using Pmad.Wiki.Models;
 using Pmad.Wiki.Services;
 using Pmad.Wiki.Test.Infrastructure;
 
@@ -49,7 +50,7 @@ public class WikiPageEditServiceTest
             content,
             commitMessage,
             author,
-            It.Is<Dictionary<string, byte[]>>(d => d.Count == 0),
+            It.Is<IReadOnlyList<WikiPageMediaFile>>(m => m.Count == 0),
             It.IsAny<CancellationToken>()), Times.Once);
     }
 
@@ -77,7 +78,7 @@ public class WikiPageEditServiceTest
             content,
             commitMessage,
             author,
-            It.Is<Dictionary<string, byte[]>>(d => d.Count == 0),
+            It.Is<IReadOnlyList<WikiPageMediaFile>>(m => m.Count == 0),
             It.IsAny<CancellationToken>()), Times.Once);
 
         _mockTempMediaStorage.Verify(
@@ -107,7 +108,7 @@ public class WikiPageEditServiceTest
             content,
             commitMessage,
             author,
-            It.Is<Dictionary<string, byte[]>>(d => d.Count == 0),
+            It.Is<IReadOnlyList<WikiPageMediaFile>>(m => m.Count == 0),
             It.IsAny<CancellationToken>()), Times.Once);
     }
 
@@ -133,7 +134,7 @@ public class WikiPageEditServiceTest
             content,
             commitMessage,
             author,
-            It.Is<Dictionary<string, byte[]>>(d => d.Count == 0),
+            It.Is<IReadOnlyList<WikiPageMediaFile>>(m => m.Count == 0),
             It.IsAny<CancellationToken>()), Times.Once);
     }
 
@@ -179,13 +180,12 @@ public class WikiPageEditServiceTest
         _mockPageService.Verify(x => x.SavePageWithMediaAsync(
             "test",
             null,
-            It.Is<string>(c => c.Contains("![Screenshot](medias/screenshot_abc123def456.png)")),
+            content,
             commitMessage,
             author,
-            It.Is<Dictionary<string, byte[]>>(m =>
+            It.Is<IReadOnlyList<WikiPageMediaFile>>(m =>
                 m.Count == 1 &&
-                m.ContainsKey("medias/screenshot_abc123def456.png") &&
-                m["medias/screenshot_abc123def456.png"].SequenceEqual(mediaContent)),
+                HasMedia(m, "medias/screenshot.png", mediaContent, tempId)),
             It.IsAny<CancellationToken>()), Times.Once);
     }
 
@@ -227,13 +227,12 @@ public class WikiPageEditServiceTest
         _mockPageService.Verify(x => x.SavePageWithMediaAsync(
             "docs/guide",
             null,
-            It.Is<string>(c => c.Contains("![Diagram](medias/diagram_abc789def012.svg)")),
+            content,
             commitMessage,
             author,
-            It.Is<Dictionary<string, byte[]>>(m =>
+            It.Is<IReadOnlyList<WikiPageMediaFile>>(m =>
                 m.Count == 1 &&
-                m.ContainsKey("docs/medias/diagram_abc789def012.svg") &&
-                m["docs/medias/diagram_abc789def012.svg"].SequenceEqual(mediaContent)),
+                HasMedia(m, "docs/medias/diagram.svg", mediaContent, tempId)),
             It.IsAny<CancellationToken>()), Times.Once);
     }
 
@@ -275,13 +274,12 @@ public class WikiPageEditServiceTest
         _mockPageService.Verify(x => x.SavePageWithMediaAsync(
             "test",
             null,
-            It.Is<string>(c => c.Contains("[Download](medias/datafile_abcdef123456)")),
+            content,
             commitMessage,
             author,
-            It.Is<Dictionary<string, byte[]>>(m =>
+            It.Is<IReadOnlyList<WikiPageMediaFile>>(m =>
                 m.Count == 1 &&
-                m.ContainsKey("medias/datafile_abcdef123456") &&
-                m["medias/datafile_abcdef123456"].SequenceEqual(mediaContent)),
+                HasMedia(m, "medias/datafile", mediaContent, tempId)),
             It.IsAny<CancellationToken>()), Times.Once);
     }
 
@@ -323,13 +321,12 @@ public class WikiPageEditServiceTest
         _mockPageService.Verify(x => x.SavePageWithMediaAsync(
             "test",
             null,
-            It.Is<string>(c => c.Contains("[Download](medias/backup-tar_fedcba987654.gz)")),
+            content,
             commitMessage,
             author,
-            It.Is<Dictionary<string, byte[]>>(m =>
+            It.Is<IReadOnlyList<WikiPageMediaFile>>(m =>
                 m.Count == 1 &&
-                m.ContainsKey("medias/backup-tar_fedcba987654.gz") &&
-                m["medias/backup-tar_fedcba987654.gz"].SequenceEqual(mediaContent)),
+                HasMedia(m, "medias/backup-tar.gz", mediaContent, tempId)),
             It.IsAny<CancellationToken>()), Times.Once);
     }
 
@@ -412,20 +409,14 @@ More text.
         _mockPageService.Verify(x => x.SavePageWithMediaAsync(
             "test",
             null,
-            It.Is<string>(c =>
-                c.Contains("![Image 1](medias/photo1_aabbccdd0001.png)") &&
-                c.Contains("![Image 2](medias/photo2_aabbccdd0002.jpg)") &&
-                c.Contains("[Download PDF](medias/document_aabbccdd0003.pdf)")),
+            content,
             commitMessage,
             author,
-            It.Is<Dictionary<string, byte[]>>(m =>
+            It.Is<IReadOnlyList<WikiPageMediaFile>>(m =>
                 m.Count == 3 &&
-                m.ContainsKey("medias/photo1_aabbccdd0001.png") &&
-                m.ContainsKey("medias/photo2_aabbccdd0002.jpg") &&
-                m.ContainsKey("medias/document_aabbccdd0003.pdf") &&
-                m["medias/photo1_aabbccdd0001.png"].SequenceEqual(mediaContent1) &&
-                m["medias/photo2_aabbccdd0002.jpg"].SequenceEqual(mediaContent2) &&
-                m["medias/document_aabbccdd0003.pdf"].SequenceEqual(mediaContent3)),
+                HasMedia(m, "medias/photo1.png", mediaContent1, tempId1) &&
+                HasMedia(m, "medias/photo2.jpg", mediaContent2, tempId2) &&
+                HasMedia(m, "medias/document.pdf", mediaContent3, tempId3)),
             It.IsAny<CancellationToken>()), Times.Once);
     }
 
@@ -475,15 +466,12 @@ The same image appears twice.";
         _mockPageService.Verify(x => x.SavePageWithMediaAsync(
             "test",
             null,
-            It.Is<string>(c =>
-                c.Contains("![First reference](medias/logo_abcdef123789.png)") &&
-                c.Contains("![Second reference](medias/logo_abcdef123789.png)")),
+            content,
             commitMessage,
             author,
-            It.Is<Dictionary<string, byte[]>>(m =>
+            It.Is<IReadOnlyList<WikiPageMediaFile>>(m =>
                 m.Count == 1 &&
-                m.ContainsKey("medias/logo_abcdef123789.png") &&
-                m["medias/logo_abcdef123789.png"].SequenceEqual(mediaContent)),
+                HasMedia(m, "medias/logo.png", mediaContent, tempId)),
             It.IsAny<CancellationToken>()), Times.Once);
 
         _mockTempMediaStorage.Verify(
@@ -491,6 +479,93 @@ The same image appears twice.";
             Times.Once);
     }
 
+    [Fact]
+    public async Task SavePageAsync_WithTempMediaHavingSameName_PassesEachFileWithItsLink()
+    {
+        // Arrange
+        var author = CreateMockUser("user@example.com", "Test User");
+        var tempId1 = "aaaa00000001";
+        var tempId2 = "aaaa00000002";
+        var mediaContent1 = new byte[] { 0x01 };
+        var mediaContent2 = new byte[] { 0x02 };
+
+        var content = $"![First](/wiki/tempmedia/{tempId1})\n![Second](/wiki/tempmedia/{tempId2})";
+
+        var tempMedia = new Dictionary<string, TemporaryMediaInfo>
+        {
+            [tempId1] = new TemporaryMediaInfo { TemporaryId = tempId1, OriginalFileName = "image.png", FilePath = "/temp/1.png", CreatedAt = DateTimeOffset.UtcNow },
+            [tempId2] = new TemporaryMediaInfo { TemporaryId = tempId2, OriginalFileName = "image.png", FilePath = "/temp/2.png", CreatedAt = DateTimeOffset.UtcNow }
+        };
+
+        _mockTempMediaStorage
+            .Setup(x => x.GetUserTemporaryMediaAsync(author, It.IsAny<CancellationToken>()))
+            .ReturnsAsync(tempMedia);
+        _mockTempMediaStorage
+            .Setup(x => x.GetTemporaryMediaAsync(author, tempId1, It.IsAny<CancellationToken>()))
+            .ReturnsAsync(mediaContent1);
+        _mockTempMediaStorage
+            .Setup(x => x.GetTemporaryMediaAsync(author, tempId2, It.IsAny<CancellationToken>()))
+            .ReturnsAsync(mediaContent2);
+
+        // Act
+        await _service.SavePageAsync("test", null, content, "Add images", author, CancellationToken.None);
+
+        // Assert
+        _mockPageService.Verify(x => x.SavePageWithMediaAsync(
+            "test",
+            null,
+            content,
+            "Add images",
+            author,
+            It.Is<IReadOnlyList<WikiPageMediaFile>>(m =>
+                m.Count == 2 &&
+                HasMedia(m, "medias/image.png", mediaContent1, tempId1) &&
+                HasMedia(m, "medias/image.png", mediaContent2, tempId2)),
+            It.IsAny<CancellationToken>()), Times.Once);
+    }
+
+    [Fact]
+    public async Task SavePageAsync_WithTempMediaNamedAsExistingMedia_LetsPageServiceNumberFile()
+    {
+        // Arrange
+        var author = CreateMockUser("user@example.com", "Test User");
+        var tempId = "bbbb00000001";
+        var mediaContent = new byte[] { 0x01 };
+
+        var content = $"![Existing](medias/logo.png)\n![New](/wiki/tempmedia/{tempId})";
+
+        var tempMedia = new Dictionary<string, TemporaryMediaInfo>
+        {
+            [tempId] = new TemporaryMediaInfo { TemporaryId = tempId, OriginalFileName = "logo.png", FilePath = "/temp/1.png", CreatedAt = DateTimeOffset.UtcNow }
+        };
+
+        _mockTempMediaStorage
+            .Setup(x => x.GetUserTemporaryMediaAsync(author, It.IsAny<CancellationToken>()))
+            .ReturnsAsync(tempMedia);
+        _mockTempMediaStorage
+            .Setup(x => x.GetTemporaryMediaAsync(author, tempId, It.IsAny<CancellationToken>()))
+            .ReturnsAsync(mediaContent);
+
+        // Act
+        await _service.SavePageAsync("docs/page", null, content, "Add logo", author, CancellationToken.None);
+
+        // Assert
+        _mockPageService.Verify(x => x.SavePageWithMediaAsync(
+            "docs/page",
+            null,
+            content,
+            "Add logo",
+            author,
+            It.Is<IReadOnlyList<WikiPageMediaFile>>(m =>
+                m.Count == 1 &&
+                HasMedia(m, "docs/medias/logo.png", mediaContent, tempId)),
+            It.IsAny<CancellationToken>()), Times.Once);
+
+        _mockPageService.Verify(
+            x => x.MediaFileExistsAsync(It.IsAny<string>(), It.IsAny<CancellationToken>()),
+            Times.Never);
+    }
+
     #endregion
 
     #region SavePageAsync Tests - Edge Cases
@@ -521,7 +596,7 @@ The same image appears twice.";
             It.Is<string>(c => c.Contains("/wiki/tempmedia/ffffffffffff")),
             commitMessage,
             author,
-            It.Is<Dictionary<string, byte[]>>(m => m.Count == 0),
+            It.Is<IReadOnlyList<WikiPageMediaFile>>(m => m.Count == 0),
             It.IsAny<CancellationToken>()), Times.Once);
     }
 
@@ -564,7 +639,7 @@ The same image appears twice.";
             It.Is<string>(c => c.Contains("/wiki/tempmedia/deadbeefcafe")),
             commitMessage,
             author,
-            It.Is<Dictionary<string, byte[]>>(m => m.Count == 0),
+            It.Is<IReadOnlyList<WikiPageMediaFile>>(m => m.Count == 0),
             It.IsAny<CancellationToken>()), Times.Once);
     }
 
@@ -611,15 +686,12 @@ The same image appears twice.";
         _mockPageService.Verify(x => x.SavePageWithMediaAsync(
             "test",
             null,
-            It.Is<string>(c =>
-                c.Contains("![Valid](medias/valid_abcd1234ef56.png)") &&
-                c.Contains("![Invalid](/wiki/tempmedia/999999999999)")),
+            content,
             commitMessage,
             author,
-            It.Is<Dictionary<string, byte[]>>(m =>
+            It.Is<IReadOnlyList<WikiPageMediaFile>>(m =>
                 m.Count == 1 &&
-                m.ContainsKey("medias/valid_abcd1234ef56.png") &&
-                m["medias/valid_abcd1234ef56.png"].SequenceEqual(mediaContent)),
+                HasMedia(m, "medias/valid.png", mediaContent, validId)),
             It.IsAny<CancellationToken>()), Times.Once);
     }
 
@@ -645,7 +717,7 @@ The same image appears twice.";
             "",
             commitMessage,
             author,
-            It.Is<Dictionary<string, byte[]>>(d => d.Count == 0),
+            It.Is<IReadOnlyList<WikiPageMediaFile>>(m => m.Count == 0),
             It.IsAny<CancellationToken>()), Times.Once);
     }
 
@@ -686,22 +758,21 @@ The same image appears twice.";
         _mockPageService.Verify(x => x.SavePageWithMediaAsync(
             "test",
             null,
-            It.Is<string>(c => c.Contains("![Image](medias/image_a1b2c3d4e5f6.png)")),
+            content,
             commitMessage,
             author,
-            It.Is<Dictionary<string, byte[]>>(m =>
+            It.Is<IReadOnlyList<WikiPageMediaFile>>(m =>
                 m.Count == 1 &&
-                m.ContainsKey("medias/image_a1b2c3d4e5f6.png") &&
-                m["medias/image_a1b2c3d4e5f6.png"].SequenceEqual(mediaContent)),
+                HasMedia(m, "medias/image.png", mediaContent, tempId)),
             It.IsAny<CancellationToken>()), Times.Once);
     }
 
     #endregion
 
-    #region SavePageAsync Tests - Content Replacement
+    #region SavePageAsync Tests - Temporary Media Links
 
     [Fact]
-    public async Task SavePageAsync_ReplacesOnlyTempMediaUrls_PreservesOtherUrls()
+    public async Task SavePageAsync_WithOtherUrls_PassesOnlyTempMediaLink()
     {
         // Arrange
         var author = CreateMockUser("user@example.com", "Test User");
@@ -746,23 +817,17 @@ The same image appears twice.";
         _mockPageService.Verify(x => x.SavePageWithMediaAsync(
             "test",
             null,
-            It.Is<string>(c =>
-                c.Contains("![Temp Image](medias/temp_cafe12345678.png)") &&
-                c.Contains("![External Image](https://example.com/image.png)") &&
-                c.Contains("![Relative Image](../images/other.png)") &&
-                c.Contains("[Link](/wiki/view/OtherPage)") &&
-                !c.Contains("/wiki/tempmedia/")),
+            content,
             commitMessage,
             author,
-            It.Is<Dictionary<string, byte[]>>(m =>
+            It.Is<IReadOnlyList<WikiPageMediaFile>>(m =>
                 m.Count == 1 &&
-                m.ContainsKey("medias/temp_cafe12345678.png") &&
-                m["medias/temp_cafe12345678.png"].SequenceEqual(mediaContent)),
+                HasMedia(m, "medias/temp.png", mediaContent, tempId)),
             It.IsAny<CancellationToken>()), Times.Once);
     }
 
     [Fact]
-    public async Task SavePageAsync_WithTempMediaInHtmlTags_ReplacesCorrectly()
+    public async Task SavePageAsync_WithTempMediaInHtmlTags_PassesMedia()
     {
         // Arrange
         var author = CreateMockUser("user@example.com", "Test User");
@@ -803,18 +868,139 @@ The same image appears twice.";
         _mockPageService.Verify(x => x.SavePageWithMediaAsync(
             "test",
             null,
-            It.Is<string>(c =>
-                c.Contains($@"<img src=""medias/file_dada123beeee.png"" alt=""Image"" />") &&
-                c.Contains($@"<a href=""medias/file_dada123beeee.png"">Download</a>")),
+            content,
             commitMessage,
             author,
-            It.Is<Dictionary<string, byte[]>>(m =>
+            It.Is<IReadOnlyList<WikiPageMediaFile>>(m =>
                 m.Count == 1 &&
-                m.ContainsKey("medias/file_dada123beeee.png") &&
-                m["medias/file_dada123beeee.png"].SequenceEqual(mediaContent)),
+                HasMedia(m, "medias/file.png", mediaContent, tempId)),
             It.IsAny<CancellationToken>()), Times.Once);
     }
 
+    [Fact]
+    public async Task SavePageAsync_WithTempMediaOnlyInCodeBlock_DoesNotCommitMedia()
+    {
+        // Arrange
+        var author = CreateMockUser("user@example.com", "Test User");
+        var tempId = "c0de00000001";
+
+        var content = $"# Page\n\n```\n![Image](/wiki/tempmedia/{tempId})\n```\n\nInline `/wiki/tempmedia/{tempId}` code.";
+
+        // Act
+        await _service.SavePageAsync("test", null, content, "Add page", author, CancellationToken.None);
+
+        // Assert
+        _mockPageService.Verify(x => x.SavePageWithMediaAsync(
+            "test",
+            null,
+            content,
+            "Add page",
+            author,
+            It.Is<IReadOnlyList<WikiPageMediaFile>>(m => m.Count == 0),
+            It.IsAny<CancellationToken>()), Times.Once);
+
+        _mockTempMediaStorage.Verify(
+            x => x.GetTemporaryMediaAsync(It.IsAny<IWikiUser>(), It.IsAny<string>(), It.IsAny<CancellationToken>()),
+            Times.Never);
+    }
+
+    [Fact]
+    public async Task SavePageAsync_WithTempMediaInLinkAndCodeBlock_PassesMedia()
+    {
+        // Arrange
+        var author = CreateMockUser("user@example.com", "Test User");
+        var tempId = "c0de00000002";
+        var mediaContent = new byte[] { 0x89, 0x50, 0x4E, 0x47 };
+
+        var content = $"![Image](/wiki/tempmedia/{tempId})\n\n    /wiki/tempmedia/{tempId}";
+
+        var tempMedia = new Dictionary<string, TemporaryMediaInfo>
+        {
+            [tempId] = new TemporaryMediaInfo
+            {
+                TemporaryId = tempId,
+                OriginalFileName = "image.png",
+                FilePath = "/temp/image.png",
+                CreatedAt = DateTimeOffset.UtcNow
+            }
+        };
+
+        _mockTempMediaStorage
+            .Setup(x => x.GetUserTemporaryMediaAsync(author, It.IsAny<CancellationToken>()))
+            .ReturnsAsync(tempMedia);
+
+        _mockTempMediaStorage
+            .Setup(x => x.GetTemporaryMediaAsync(author, tempId, It.IsAny<CancellationToken>()))
+            .ReturnsAsync(mediaContent);
+
+        // Act
+        await _service.SavePageAsync("test", null, content, "Add page", author, CancellationToken.None);
+
+        // Assert
+        _mockPageService.Verify(x => x.SavePageWithMediaAsync(
+            "test",
+            null,
+            content,
+            "Add page",
+            author,
+            It.Is<IReadOnlyList<WikiPageMediaFile>>(m => m.Count == 1 && HasMedia(m, "medias/image.png", mediaContent, tempId)),
+            It.IsAny<CancellationToken>()), Times.Once);
+    }
+
+    [Fact]
+    public async Task SavePageAsync_WithUnreferencedTempMedia_CommitsOnlyReferencedMedia()
+    {
+        // Arrange
+        var author = CreateMockUser("user@example.com", "Test User");
+        var usedId = "aaaa00000001";
+        var unusedId = "aaaa00000002";
+
+        var content = $"![Used](/wiki/tempmedia/{usedId})";
+
+        var tempMedia = new Dictionary<string, TemporaryMediaInfo>
+        {
+            [usedId] = new TemporaryMediaInfo
+            {
+                TemporaryId = usedId,
+                OriginalFileName = "used.png",
+                FilePath = "/temp/used.png",
+                CreatedAt = DateTimeOffset.UtcNow
+            },
+            [unusedId] = new TemporaryMediaInfo
+            {
+                TemporaryId = unusedId,
+                OriginalFileName = "unused.png",
+                FilePath = "/temp/unused.png",
+                CreatedAt = DateTimeOffset.UtcNow
+            }
+        };
+
+        _mockTempMediaStorage
+            .Setup(x => x.GetUserTemporaryMediaAsync(author, It.IsAny<CancellationToken>()))
+            .ReturnsAsync(tempMedia);
+
+        _mockTempMediaStorage
+            .Setup(x => x.GetTemporaryMediaAsync(author, It.IsAny<string>(), It.IsAny<CancellationToken>()))
+            .ReturnsAsync(new byte[] { 1 });
+
+        // Act
+        await _service.SavePageAsync("test", null, content, "Add page", author, CancellationToken.None);
+
+        // Assert
+        _mockPageService.Verify(x => x.SavePageWithMediaAsync(
+            "test",
+            null,
+            content,
+            "Add page",
+            author,
+            It.Is<IReadOnlyList<WikiPageMediaFile>>(m => m.Count == 1 && m[0].Path == "medias/used.png"),
+            It.IsAny<CancellationToken>()), Times.Once);
+
+        _mockTempMediaStorage.Verify(
+            x => x.GetTemporaryMediaAsync(author, unusedId, It.IsAny<CancellationToken>()),
+            Times.Never);
+    }
+
     #endregion
 
     #region SavePageAsync Tests - CancellationToken
@@ -842,7 +1028,7 @@ The same image appears twice.";
             content,
             commitMessage,
             author,
-            It.Is<Dictionary<string, byte[]>>(d => d.Count == 0),
+            It.Is<IReadOnlyList<WikiPageMediaFile>>(m => m.Count == 0),
             cancellationToken), Times.Once);
     }
 
@@ -895,10 +1081,9 @@ The same image appears twice.";
                 It.IsAny<string>(),
                 It.IsAny<string>(),
                 It.IsAny<IWikiUser>(),
-                It.Is<Dictionary<string, byte[]>>(m =>
+                It.Is<IReadOnlyList<WikiPageMediaFile>>(m =>
                     m.Count == 1 &&
-                    m.ContainsKey("medias/image_fade00000000.png") &&
-                    m["medias/image_fade00000000.png"].SequenceEqual(mediaContent)),
+                    HasMedia(m, "medias/image.png", mediaContent, tempId)),
                 cancellationToken),
             Times.Once);
     }
@@ -983,17 +1168,13 @@ That's it!";
         _mockPageService.Verify(x => x.SavePageWithMediaAsync(
             "docs/tutorial",
             null,
-            It.Is<string>(c =>
-                c.Contains("![Screenshot 1](medias/screenshot-1_abcdef000001.png)") &&
-                c.Contains("![Screenshot 2](medias/screenshot-2_abcdef000002.jpg)")),
+            content,
             commitMessage,
             author,
-            It.Is<Dictionary<string, byte[]>>(m =>
+            It.Is<IReadOnlyList<WikiPageMediaFile>>(m =>
                 m.Count == 2 &&
-                m.ContainsKey("docs/medias/screenshot-1_abcdef000001.png") &&
-                m.ContainsKey("docs/medias/screenshot-2_abcdef000002.jpg") &&
-                m["docs/medias/screenshot-1_abcdef000001.png"].SequenceEqual(mediaContent1) &&
-                m["docs/medias/screenshot-2_abcdef000002.jpg"].SequenceEqual(mediaContent2)),
+                HasMedia(m, "docs/medias/screenshot-1.png", mediaContent1, tempId1) &&
+                HasMedia(m, "docs/medias/screenshot-2.jpg", mediaContent2, tempId2)),
             It.IsAny<CancellationToken>()), Times.Once);
     }
 
@@ -1085,23 +1266,17 @@ That's it!";
         _mockPageService.Verify(x => x.SavePageWithMediaAsync(
             "gallery",
             null,
-            It.Is<string>(c =>
-                c.Contains("![PNG Image](medias/image_aabbccddee01.png)") &&
-                c.Contains("![JPEG Image](medias/photo_aabbccddee02.jpg)") &&
-                c.Contains("![GIF Animation](medias/anim_aabbccddee03.gif)") &&
-                c.Contains("![SVG Graphic](medias/vector_aabbccddee04.svg)") &&
-                c.Contains("[PDF Document](medias/doc_aabbccddee05.pdf)") &&
-                c.Contains($@"<video src=""medias/video_aabbccddee06.mp4"" controls></video>")),
+            content,
             commitMessage,
             author,
-            It.Is<Dictionary<string, byte[]>>(m =>
+            It.Is<IReadOnlyList<WikiPageMediaFile>>(m =>
                 m.Count == 6 &&
-                m.ContainsKey("medias/image_aabbccddee01.png") &&
-                m.ContainsKey("medias/photo_aabbccddee02.jpg") &&
-                m.ContainsKey("medias/anim_aabbccddee03.gif") &&
-                m.ContainsKey("medias/vector_aabbccddee04.svg") &&
-                m.ContainsKey("medias/doc_aabbccddee05.pdf") &&
-                m.ContainsKey("medias/video_aabbccddee06.mp4")),
+                m.Any(f => f.Path == "medias/image.png") &&
+                m.Any(f => f.Path == "medias/photo.jpg") &&
+                m.Any(f => f.Path == "medias/anim.gif") &&
+                m.Any(f => f.Path == "medias/vector.svg") &&
+                m.Any(f => f.Path == "medias/doc.pdf") &&
+                m.Any(f => f.Path == "medias/video.mp4")),
             It.IsAny<CancellationToken>()), Times.Once);
     }
 
@@ -1118,5 +1293,10 @@ That's it!";
         return mockUser.Object;
     }
 
+    private static bool HasMedia(IReadOnlyList<WikiPageMediaFile> mediaFiles, string path, byte[] content, string tempId)
+    {
+        return mediaFiles.Any(f => f.Path == path && f.Content.SequenceEqual(content) && f.Link == $"/wiki/tempmedia/{tempId}");
+    }
+
     #endregion
 }
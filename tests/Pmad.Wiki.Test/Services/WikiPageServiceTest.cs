@@ -3,6 +3,7 @@ using Microsoft.Extensions.Options;
 using Moq;
 using Pmad.Git.HttpServer;
 using Pmad.Git.LocalRepositories;
+using Pmad.Wiki.Models;
 using Pmad.Wiki.Services;
 
 namespace Pmad.Wiki.Test.Services;
@@ -438,6 +439,75 @@ public class WikiPageServiceTest
 
     #endregion
 
+    #region GetPageByContentHashAsync Tests
+
+    [Fact]
+    public async Task GetPageByContentHashAsync_WhenRevisionMatches_ReturnsThatRevision()
+    {
+        // Arrange
+        var latestHash = GitHash.FromBytes(Enumerable.Repeat((byte)1, 20).ToArray());
+        var olderHash = GitHash.FromBytes(Enumerable.Repeat((byte)2, 20).ToArray());
+        var latestCommit = CreateMockCommit("latest", "Other User", "other@example.com", "Latest commit");
+        var olderCommit = CreateMockCommit("older", "Test User", "test@example.com", "Older commit");
+
+        _mockRepository
+            .Setup(x => x.GetFileHistoryAsync("test.md", "main", It.IsAny<CancellationToken>()))
+            .Returns(AsyncEnumerable(latestCommit, olderCommit));
+
+        _mockRepository
+            .SetupSequence(x => x.ReadFileAndHashAsync("test.md", latestCommit.Id.Value, It.IsAny<CancellationToken>()))
+            .ReturnsAsync(new GitFileContentAndHash(Encoding.UTF8.GetBytes("# Latest"), latestHash))
+            .ReturnsAsync(new GitFileContentAndHash(Encoding.UTF8.GetBytes("# Older"), olderHash));
+
+        // Act
+        var result = await _service.GetPageByContentHashAsync("test", null, olderHash.Value, CancellationToken.None);
+
+        // Assert
+        Assert.NotNull(result);
+        Assert.Equal("# Older", result.Content);
+        Assert.Equal(olderHash.Value, result.ContentHash);
+        Assert.Equal("Test User", result.LastModifiedBy);
+    }
+
+    [Fact]
+    public async Task GetPageByContentHashAsync_WhenNoRevisionMatches_ReturnsNull()
+    {
+        // Arrange
+        var hash = GitHash.FromBytes(new byte[20]);
+        var commit = CreateMockCommit("commit1", "User", "user@example.com", "Commit");
+
+        _mockRepository
+            .Setup(x => x.GetFileHistoryAsync("test.md", "main", It.IsAny<CancellationToken>()))
+            .Returns(AsyncEnumerable(commit));
+
+        _mockRepository
+            .Setup(x => x.ReadFileAndHashAsync("test.md", commit.Id.Value, It.IsAny<CancellationToken>()))
+            .ReturnsAsync(new GitFileContentAndHash(Encoding.UTF8.GetBytes("# Content"), hash));
+
+        // Act
+        var result = await _service.GetPageByContentHashAsync("test", null, new string('f', 40), CancellationToken.None);
+
+        // Assert
+        Assert.Null(result);
+    }
+
+    [Fact]
+    public async Task GetPageByContentHashAsync_WhenPageDoesNotExist_ReturnsNull()
+    {
+        // Arrange
+        _mockRepository
+            .Setup(x => x.GetFileHistoryAsync("test.md", "main", It.IsAny<CancellationToken>()))
+            .Throws(new FileNotFoundException());
+
+        // Act
+        var result = await _service.GetPageByContentHashAsync("test", null, new string('f', 40), CancellationToken.None);
+
+        // Assert
+        Assert.Null(result);
+    }
+
+    #endregion
+
     #region PageExistsAsync Tests
 
     [Fact]
@@ -774,7 +844,7 @@ public class WikiPageServiceTest
             .Returns("New Page");
 
         // Act
-        await _service.SavePageWithMediaAsync("test", null, content, "Create new page", author, new(), CancellationToken.None);
+        await _service.SavePageWithMediaAsync("test", null, content, "Create new page", author, [], CancellationToken.None);
 
         // Assert
         _mockRepository.Verify(x => x.CreateCommitAsync(
@@ -813,7 +883,7 @@ public class WikiPageServiceTest
             .Returns("Updated Page");
 
         // Act
-        await _service.SavePageWithMediaAsync("test", null, content, "Update page", author, new(), CancellationToken.None);
+        await _service.SavePageWithMediaAsync("test", null, content, "Update page", author, [], CancellationToken.None);
 
         // Assert
         _mockRepository.Verify(x => x.CreateCommitAsync(
@@ -836,7 +906,7 @@ public class WikiPageServiceTest
 
         // Act & Assert
         await Assert.ThrowsAsync<InvalidOperationException>(() =>
-            _service.SavePageWithMediaAsync("test", null, content, "Create page", author, new(), CancellationToken.None));
+            _service.SavePageWithMediaAsync("test", null, content, "Create page", author, [], CancellationToken.None));
     }
 
     [Fact]
@@ -863,7 +933,7 @@ public class WikiPageServiceTest
             .Returns("Page Franaise");
 
         // Act
-        await _service.SavePageWithMediaAsync("test", "fr", content, "Add French page", author, new(), CancellationToken.None);
+        await _service.SavePageWithMediaAsync("test", "fr", content, "Add French page", author, [], CancellationToken.None);
 
         // Assert
         _mockRepository.Verify(x => x.GetPathTypeAsync("test.fr.md", "main", It.IsAny<CancellationToken>()), Times.Once);
@@ -906,9 +976,9 @@ public class WikiPageServiceTest
         // Arrange
         var author = CreateMockWikiUser("user@example.com", "Test User");
         var content = "# Page with Image\n\n![Logo](images/logo.png)";
-        var mediaFiles = new Dictionary<string, byte[]>
+        var mediaFiles = new List<WikiPageMediaFile>
         {
-            ["images/logo.png"] = new byte[] { 0x89, 0x50, 0x4E, 0x47 } // PNG header
+            new WikiPageMediaFile { Path = "images/logo.png", Content = new byte[] { 0x89, 0x50, 0x4E, 0x47 } } // PNG header
         };
 
         _mockRepository
@@ -952,11 +1022,11 @@ public class WikiPageServiceTest
         // Arrange
         var author = CreateMockWikiUser("user@example.com", "Test User");
         var content = "# Gallery\n\n![Image 1](images/img1.png)\n![Image 2](images/img2.jpg)\n[Document](docs/manual.pdf)";
-        var mediaFiles = new Dictionary<string, byte[]>
+        var mediaFiles = new List<WikiPageMediaFile>
         {
-            ["images/img1.png"] = new byte[] { 0x89, 0x50, 0x4E, 0x47 },
-            ["images/img2.jpg"] = new byte[] { 0xFF, 0xD8, 0xFF, 0xE0 },
-            ["docs/manual.pdf"] = new byte[] { 0x25, 0x50, 0x44, 0x46 }
+            new WikiPageMediaFile { Path = "images/img1.png", Content = new byte[] { 0x89, 0x50, 0x4E, 0x47 } },
+            new WikiPageMediaFile { Path = "images/img2.jpg", Content = new byte[] { 0xFF, 0xD8, 0xFF, 0xE0 } },
+            new WikiPageMediaFile { Path = "docs/manual.pdf", Content = new byte[] { 0x25, 0x50, 0x44, 0x46 } }
         };
 
         _mockRepository
@@ -997,9 +1067,9 @@ public class WikiPageServiceTest
         // Arrange
         var author = CreateMockWikiUser("user@example.com", "Test User");
         var content = "# Updated Page\n\n![New Image](images/new.png)";
-        var mediaFiles = new Dictionary<string, byte[]>
+        var mediaFiles = new List<WikiPageMediaFile>
         {
-            ["images/new.png"] = new byte[] { 0x89, 0x50, 0x4E, 0x47 }
+            new WikiPageMediaFile { Path = "images/new.png", Content = new byte[] { 0x89, 0x50, 0x4E, 0x47 } }
         };
 
         _mockRepository
@@ -1038,9 +1108,9 @@ public class WikiPageServiceTest
         // Arrange
         var author = CreateMockWikiUser("user@example.com", "Test User");
         var content = "# Test Page";
-        var mediaFiles = new Dictionary<string, byte[]>
+        var mediaFiles = new List<WikiPageMediaFile>
         {
-            ["../../../etc/passwd"] = new byte[] { 0x01, 0x02, 0x03 }
+            new WikiPageMediaFile { Path = "../../../etc/passwd", Content = new byte[] { 0x01, 0x02, 0x03 } }
         };
 
         // Act & Assert
@@ -1054,9 +1124,9 @@ public class WikiPageServiceTest
         // Arrange
         var author = CreateMockWikiUser("user@example.com", "Test User");
         var content = "# Test Page";
-        var mediaFiles = new Dictionary<string, byte[]>
+        var mediaFiles = new List<WikiPageMediaFile>
         {
-            ["images//logo.png"] = new byte[] { 0x89, 0x50, 0x4E, 0x47 }
+            new WikiPageMediaFile { Path = "images//logo.png", Content = new byte[] { 0x89, 0x50, 0x4E, 0x47 } }
         };
 
         // Act & Assert
@@ -1070,9 +1140,9 @@ public class WikiPageServiceTest
         // Arrange
         var author = CreateMockWikiUser("user@example.com", "Test User");
         var content = "# Test Page";
-        var mediaFiles = new Dictionary<string, byte[]>
+        var mediaFiles = new List<WikiPageMediaFile>
         {
-            ["/images/logo.png"] = new byte[] { 0x89, 0x50, 0x4E, 0x47 }
+            new WikiPageMediaFile { Path = "/images/logo.png", Content = new byte[] { 0x89, 0x50, 0x4E, 0x47 } }
         };
 
         // Act & Assert
@@ -1086,9 +1156,9 @@ public class WikiPageServiceTest
         // Arrange
         var author = CreateMockWikiUser("user@example.com", "Test User");
         var content = "# Test Page";
-        var mediaFiles = new Dictionary<string, byte[]>
+        var mediaFiles = new List<WikiPageMediaFile>
         {
-            ["images/"] = new byte[] { 0x89, 0x50, 0x4E, 0x47 }
+            new WikiPageMediaFile { Path = "images/", Content = new byte[] { 0x89, 0x50, 0x4E, 0x47 } }
         };
 
         // Act & Assert
@@ -1102,9 +1172,9 @@ public class WikiPageServiceTest
         // Arrange
         var author = CreateMockWikiUser("user@example.com", "Test User");
         var content = "# Test Page";
-        var mediaFiles = new Dictionary<string, byte[]>
+        var mediaFiles = new List<WikiPageMediaFile>
         {
-            ["images/.hidden.gif"] = new byte[] { 0x47, 0x49, 0x46 }
+            new WikiPageMediaFile { Path = "images/.hidden.gif", Content = new byte[] { 0x47, 0x49, 0x46 } }
         };
 
         // Act & Assert
@@ -1118,9 +1188,9 @@ public class WikiPageServiceTest
         // Arrange
         var author = CreateMockWikiUser("user@example.com", "Test User");
         var content = "# Test Page";
-        var mediaFiles = new Dictionary<string, byte[]>
+        var mediaFiles = new List<WikiPageMediaFile>
         {
-            ["images/logo"] = new byte[] { 0x89, 0x50, 0x4E, 0x47 }
+            new WikiPageMediaFile { Path = "images/logo", Content = new byte[] { 0x89, 0x50, 0x4E, 0x47 } }
         };
 
         // Act & Assert
@@ -1134,7 +1204,7 @@ public class WikiPageServiceTest
         // Arrange
         var author = CreateMockWikiUser("user@example.com", "Test User");
         var content = "# Simple Page";
-        var mediaFiles = new Dictionary<string, byte[]>();
+        var mediaFiles = new List<WikiPageMediaFile>();
 
         _mockRepository
             .Setup(x => x.GetPathTypeAsync("test.md", "main", It.IsAny<CancellationToken>()))
@@ -1170,9 +1240,9 @@ public class WikiPageServiceTest
         // Arrange
         var author = CreateMockWikiUser("user@example.com", "Test User");
         var content = "# Page Franaise\n\n![Image](images/banner.jpg)";
-        var mediaFiles = new Dictionary<string, byte[]>
+        var mediaFiles = new List<WikiPageMediaFile>
         {
-            ["images/banner.jpg"] = new byte[] { 0xFF, 0xD8, 0xFF, 0xE0 }
+            new WikiPageMediaFile { Path = "images/banner.jpg", Content = new byte[] { 0xFF, 0xD8, 0xFF, 0xE0 } }
         };
 
         _mockRepository
@@ -1212,9 +1282,9 @@ public class WikiPageServiceTest
         // Arrange
         var author = CreateMockWikiUser("admin@example.com", "Admin");
         var content = "# Admin Guide\n\n![Screenshot](docs/admin/screenshot.png)";
-        var mediaFiles = new Dictionary<string, byte[]>
+        var mediaFiles = new List<WikiPageMediaFile>
         {
-            ["docs/admin/screenshot.png"] = new byte[] { 0x89, 0x50, 0x4E, 0x47 }
+            new WikiPageMediaFile { Path = "docs/admin/screenshot.png", Content = new byte[] { 0x89, 0x50, 0x4E, 0x47 } }
         };
 
         _mockRepository
@@ -1252,13 +1322,13 @@ public class WikiPageServiceTest
         // Arrange
         var author = CreateMockWikiUser("user@example.com", "Test User");
         var content = "# Rich Media Page\n\nMultiple media types.";
-        var mediaFiles = new Dictionary<string, byte[]>
+        var mediaFiles = new List<WikiPageMediaFile>
         {
-            ["images/photo.jpg"] = new byte[] { 0xFF, 0xD8, 0xFF, 0xE0 },
-            ["images/diagram.png"] = new byte[] { 0x89, 0x50, 0x4E, 0x47 },
-            ["videos/tutorial.mp4"] = new byte[] { 0x00, 0x00, 0x00, 0x20, 0x66, 0x74, 0x79, 0x70 },
-            ["documents/spec.pdf"] = new byte[] { 0x25, 0x50, 0x44, 0x46 },
-            ["data/info.json"] = new byte[] { 0x7B, 0x7D }
+            new WikiPageMediaFile { Path = "images/photo.jpg", Content = new byte[] { 0xFF, 0xD8, 0xFF, 0xE0 } },
+            new WikiPageMediaFile { Path = "images/diagram.png", Content = new byte[] { 0x89, 0x50, 0x4E, 0x47 } },
+            new WikiPageMediaFile { Path = "videos/tutorial.mp4", Content = new byte[] { 0x00, 0x00, 0x00, 0x20, 0x66, 0x74, 0x79, 0x70 } },
+            new WikiPageMediaFile { Path = "documents/spec.pdf", Content = new byte[] { 0x25, 0x50, 0x44, 0x46 } },
+            new WikiPageMediaFile { Path = "data/info.json", Content = new byte[] { 0x7B, 0x7D } }
         };
 
         _mockRepository
@@ -1301,9 +1371,9 @@ public class WikiPageServiceTest
         var author = CreateMockWikiUser("user@example.com", "Test User");
         var content = "# Test Page";
         var imageContent = new byte[] { 0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A };
-        var mediaFiles = new Dictionary<string, byte[]>
+        var mediaFiles = new List<WikiPageMediaFile>
         {
-            ["images/test.png"] = imageContent
+            new WikiPageMediaFile { Path = "images/test.png", Content = imageContent }
         };
 
         _mockRepository
@@ -1341,10 +1411,10 @@ public class WikiPageServiceTest
         // Arrange
         var author = CreateMockWikiUser("user@example.com", "Test User");
         var content = "# Test Page";
-        var mediaFiles = new Dictionary<string, byte[]>
+        var mediaFiles = new List<WikiPageMediaFile>
         {
-            ["images/valid.png"] = new byte[] { 0x89, 0x50, 0x4E, 0x47 },
-            ["../invalid.png"] = new byte[] { 0x89, 0x50, 0x4E, 0x47 }
+            new WikiPageMediaFile { Path = "images/valid.png", Content = new byte[] { 0x89, 0x50, 0x4E, 0x47 } },
+            new WikiPageMediaFile { Path = "../invalid.png", Content = new byte[] { 0x89, 0x50, 0x4E, 0x47 } }
         };
 
         _mockRepository
@@ -1363,6 +1433,122 @@ public class WikiPageServiceTest
             It.IsAny<CancellationToken>()), Times.Never);
     }
 
+    [Fact]
+    public async Task SavePageWithMediaAsync_WhenMediaFileExists_RenamesFileAndUpdatesReferences()
+    {
+        // Arrange
+        var author = CreateMockWikiUser("user@example.com", "Test User");
+        var content = "![Logo](medias/logo.png \"Logo\")\n[Other logo](other/medias/logo.png)";
+        var imageContent = new byte[] { 0x89, 0x50, 0x4E, 0x47 };
+        var mediaFiles = new List<WikiPageMediaFile>
+        {
+            new WikiPageMediaFile { Path = "docs/medias/logo.png", Content = imageContent }
+        };
+
+        _mockRepository
+            .Setup(x => x.GetPathTypeAsync("docs/page.md", "main", It.IsAny<CancellationToken>()))
+            .ReturnsAsync((GitTreeEntryKind?)null);
+        _mockRepository
+            .Setup(x => x.GetPathTypeAsync("docs/medias/logo.png", "main", It.IsAny<CancellationToken>()))
+            .ReturnsAsync(GitTreeEntryKind.Blob);
+        _mockRepository
+            .Setup(x => x.GetPathTypeAsync("docs/medias/logo-2.png", "main", It.IsAny<CancellationToken>()))
+            .ReturnsAsync(GitTreeEntryKind.Blob);
+
+        GitCommitOperation[]? capturedOps = null;
+        _mockRepository
+            .Setup(x => x.CreateCommitAsync(
+                "main",
+                It.IsAny<IEnumerable<GitCommitOperation>>(),
+                It.IsAny<GitCommitMetadata>(),
+                It.IsAny<CancellationToken>()))
+            .Callback<string, IEnumerable<GitCommitOperation>, GitCommitMetadata, CancellationToken>(
+                (_, ops, _, _) => capturedOps = ops.ToArray())
+            .ReturnsAsync(GitHash.FromBytes(new byte[20]));
+
+        // Act
+        await _service.SavePageWithMediaAsync("docs/page", null, content, "Add logo", author, mediaFiles, CancellationToken.None);
+
+        // Assert
+        Assert.NotNull(capturedOps);
+        Assert.Equal(2, capturedOps.Length);
+
+        var pageOp = capturedOps.OfType<AddFileOperation>().Single(op => op.Path == "docs/page.md");
+        Assert.Equal("![Logo](medias/logo-3.png \"Logo\")\n[Other logo](other/medias/logo.png)", Encoding.UTF8.GetString(pageOp.Content));
+
+        var mediaOp = capturedOps.OfType<AddFileOperation>().Single(op => op.Path == "docs/medias/logo-3.png");
+        Assert.True(mediaOp.Content.SequenceEqual(imageContent));
+    }
+
+    [Fact]
+    public async Task SavePageWithMediaAsync_WithMediaFilesHavingSameName_NumbersFollowingFilesAndReplacesLinks()
+    {
+        // Arrange
+        var author = CreateMockWikiUser("user@example.com", "Test User");
+        var content = "![First](/wiki/tempmedia/aaaa01)\n<img src=\"/wiki/tempmedia/aaaa02\">\n![Existing](medias/image-2.png)";
+        var mediaFiles = new List<WikiPageMediaFile>
+        {
+            new WikiPageMediaFile { Path = "docs/medias/image.png", Content = new byte[] { 0x01 }, Link = "/wiki/tempmedia/aaaa01" },
+            new WikiPageMediaFile { Path = "docs/medias/image.png", Content = new byte[] { 0x02 }, Link = "/wiki/tempmedia/aaaa02" }
+        };
+
+        _mockRepository
+            .Setup(x => x.GetPathTypeAsync("docs/medias/image-2.png", "main", It.IsAny<CancellationToken>()))
+            .ReturnsAsync(GitTreeEntryKind.Blob);
+
+        GitCommitOperation[]? capturedOps = null;
+        _mockRepository
+            .Setup(x => x.CreateCommitAsync(
+                "main",
+                It.IsAny<IEnumerable<GitCommitOperation>>(),
+                It.IsAny<GitCommitMetadata>(),
+                It.IsAny<CancellationToken>()))
+            .Callback<string, IEnumerable<GitCommitOperation>, GitCommitMetadata, CancellationToken>(
+                (_, ops, _, _) => capturedOps = ops.ToArray())
+            .ReturnsAsync(GitHash.FromBytes(new byte[20]));
+
+        // Act
+        await _service.SavePageWithMediaAsync("docs/page", null, content, "Add images", author, mediaFiles, CancellationToken.None);
+
+        // Assert
+        Assert.NotNull(capturedOps);
+        var pageOp = capturedOps.OfType<AddFileOperation>().Single(op => op.Path == "docs/page.md");
+        Assert.Equal("![First](medias/image.png)\n<img src=\"medias/image-3.png\">\n![Existing](medias/image-2.png)", Encoding.UTF8.GetString(pageOp.Content));
+        Assert.True(capturedOps.OfType<AddFileOperation>().Single(op => op.Path == "docs/medias/image.png").Content.SequenceEqual(new byte[] { 0x01 }));
+        Assert.True(capturedOps.OfType<AddFileOperation>().Single(op => op.Path == "docs/medias/image-3.png").Content.SequenceEqual(new byte[] { 0x02 }));
+    }
+
+    [Fact]
+    public async Task SavePageWithMediaAsync_WithLinkInCodeBlock_ReplacesOnlyLinkOutsideCode()
+    {
+        // Arrange
+        var author = CreateMockWikiUser("user@example.com", "Test User");
+        var content = "![Image](/wiki/tempmedia/aaaa01)\n\n```\n![Image](/wiki/tempmedia/aaaa01)\n```\n\n[Other](/wiki/tempmedia/aaaa0123)";
+        var mediaFiles = new List<WikiPageMediaFile>
+        {
+            new WikiPageMediaFile { Path = "medias/image.png", Content = new byte[] { 0x01 }, Link = "/wiki/tempmedia/aaaa01" }
+        };
+
+        GitCommitOperation[]? capturedOps = null;
+        _mockRepository
+            .Setup(x => x.CreateCommitAsync(
+                "main",
+                It.IsAny<IEnumerable<GitCommitOperation>>(),
+                It.IsAny<GitCommitMetadata>(),
+                It.IsAny<CancellationToken>()))
+            .Callback<string, IEnumerable<GitCommitOperation>, GitCommitMetadata, CancellationToken>(
+                (_, ops, _, _) => capturedOps = ops.ToArray())
+            .ReturnsAsync(GitHash.FromBytes(new byte[20]));
+
+        // Act
+        await _service.SavePageWithMediaAsync("test", null, content, "Add image", author, mediaFiles, CancellationToken.None);
+
+        // Assert
+        Assert.NotNull(capturedOps);
+        var pageOp = capturedOps.OfType<AddFileOperation>().Single(op => op.Path == "test.md");
+        Assert.Equal("![Image](medias/image.png)\n\n```\n![Image](/wiki/tempmedia/aaaa01)\n```\n\n[Other](/wiki/tempmedia/aaaa0123)", Encoding.UTF8.GetString(pageOp.Content));
+    }
+
     #endregion
 
     #region GetPageTitleAsync Tests
@@ -1571,6 +1757,322 @@ public class WikiPageServiceTest
 
     #endregion
 
+    #region MediaFileExistsAsync Tests
+
+    [Fact]
+    public async Task MediaFileExistsAsync_WhenFileExists_ReturnsTrue()
+    {
+        // Arrange
+        _mockRepository
+            .Setup(x => x.GetPathTypeAsync("images/logo.png", "main", It.IsAny<CancellationToken>()))
+            .ReturnsAsync(GitTreeEntryKind.Blob);
+
+        // Act
+        var result = await _service.MediaFileExistsAsync("images/logo.png", CancellationToken.None);
+
+        // Assert
+        Assert.True(result);
+    }
+
+    [Fact]
+    public async Task MediaFileExistsAsync_WhenFileDoesNotExist_ReturnsFalse()
+    {
+        // Arrange
+        _mockRepository
+            .Setup(x => x.GetPathTypeAsync("images/missing.png", "main", It.IsAny<CancellationToken>()))
+            .ReturnsAsync((GitTreeEntryKind?)null);
+
+        // Act
+        var result = await _service.MediaFileExistsAsync("images/missing.png", CancellationToken.None);
+
+        // Assert
+        Assert.False(result);
+    }
+
+    #endregion
+
+    #region GetMediaFileBlobIdAsync Tests
+
+    [Fact]
+    public async Task GetMediaFileBlobIdAsync_WhenFileExists_ReturnsBlobId()
+    {
+        // Arrange
+        _mockRepository
+            .Setup(x => x.EnumerateCommitTreeAsync("main", "images", SearchOption.TopDirectoryOnly, It.IsAny<CancellationToken>()))
+            .Returns(AsyncEnumerable(
+                CreateTreeItem("images/icon.png", GitTreeEntryKind.Blob),
+                CreateTreeItem("images/logo.png", GitTreeEntryKind.Blob)));
+
+        // Act
+        var result = await _service.GetMediaFileBlobIdAsync("images/logo.png", CancellationToken.None);
+
+        // Assert
+        Assert.Equal(GitHash.FromBytes(new byte[20]).Value, result);
+    }
+
+    [Fact]
+    public async Task GetMediaFileBlobIdAsync_WhenFileDoesNotExist_ReturnsNull()
+    {
+        // Arrange
+        _mockRepository
+            .Setup(x => x.EnumerateCommitTreeAsync("main", "images", SearchOption.TopDirectoryOnly, It.IsAny<CancellationToken>()))
+            .Returns(AsyncEnumerable(CreateTreeItem("images/icon.png", GitTreeEntryKind.Blob)));
+
+        // Act
+        var result = await _service.GetMediaFileBlobIdAsync("images/logo.png", CancellationToken.None);
+
+        // Assert
+        Assert.Null(result);
+    }
+
+    [Fact]
+    public async Task GetMediaFileBlobIdAsync_WhenDirectoryDoesNotExist_ReturnsNull()
+    {
+        // Arrange
+        _mockRepository
+            .Setup(x => x.EnumerateCommitTreeAsync("main", "missing", SearchOption.TopDirectoryOnly, It.IsAny<CancellationToken>()))
+            .Throws(new DirectoryNotFoundException());
+
+        // Act
+        var result = await _service.GetMediaFileBlobIdAsync("missing/logo.png", CancellationToken.None);
+
+        // Assert
+        Assert.Null(result);
+    }
+
+    #endregion
+
+    #region Media Management Tests
+
+    [Fact]
+    public async Task AddMediaFileAsync_WhenFileDoesNotExist_CommitsFile()
+    {
+        // Arrange
+        var author = CreateMockWikiUser("user@example.com", "Test User");
+        var content = new byte[] { 0x89, 0x50, 0x4E, 0x47 };
+
+        _mockRepository
+            .Setup(x => x.GetPathTypeAsync("medias/logo.png", "main", It.IsAny<CancellationToken>()))
+            .ReturnsAsync((GitTreeEntryKind?)null);
+
+        GitCommitOperation[]? capturedOps = null;
+        GitCommitMetadata? capturedMetadata = null;
+        _mockRepository
+            .Setup(x => x.CreateCommitAsync("main", It.IsAny<IEnumerable<GitCommitOperation>>(), It.IsAny<GitCommitMetadata>(), It.IsAny<CancellationToken>()))
+            .Callback<string, IEnumerable<GitCommitOperation>, GitCommitMetadata, CancellationToken>(
+                (_, ops, metadata, _) => { capturedOps = ops.ToArray(); capturedMetadata = metadata; })
+            .ReturnsAsync(GitHash.FromBytes(new byte[20]));
+
+        // Act
+        var result = await _service.AddMediaFileAsync("medias/logo.png", content, author, CancellationToken.None);
+
+        // Assert
+        Assert.Equal("medias/logo.png", result);
+        Assert.NotNull(capturedOps);
+        var operation = Assert.IsType<AddFileOperation>(Assert.Single(capturedOps));
+        Assert.Equal("medias/logo.png", operation.Path);
+        Assert.True(operation.Content.SequenceEqual(content));
+        Assert.Equal("Upload medias/logo.png", capturedMetadata?.Message);
+    }
+
+    [Fact]
+    public async Task AddMediaFileAsync_WhenFileExists_NumbersFile()
+    {
+        // Arrange
+        var author = CreateMockWikiUser("user@example.com", "Test User");
+
+        _mockRepository
+            .Setup(x => x.GetPathTypeAsync("medias/logo.png", "main", It.IsAny<CancellationToken>()))
+            .ReturnsAsync(GitTreeEntryKind.Blob);
+        _mockRepository
+            .Setup(x => x.GetPathTypeAsync("medias/logo-2.png", "main", It.IsAny<CancellationToken>()))
+            .ReturnsAsync((GitTreeEntryKind?)null);
+
+        GitCommitOperation[]? capturedOps = null;
+        _mockRepository
+            .Setup(x => x.CreateCommitAsync("main", It.IsAny<IEnumerable<GitCommitOperation>>(), It.IsAny<GitCommitMetadata>(), It.IsAny<CancellationToken>()))
+            .Callback<string, IEnumerable<GitCommitOperation>, GitCommitMetadata, CancellationToken>(
+                (_, ops, _, _) => capturedOps = ops.ToArray())
+            .ReturnsAsync(GitHash.FromBytes(new byte[20]));
+
+        // Act
+        var result = await _service.AddMediaFileAsync("medias/logo.png", new byte[] { 1 }, author, CancellationToken.None);
+
+        // Assert
+        Assert.Equal("medias/logo-2.png", result);
+        Assert.NotNull(capturedOps);
+        Assert.Equal("medias/logo-2.png", Assert.IsType<AddFileOperation>(Assert.Single(capturedOps)).Path);
+    }
+
+    [Fact]
+    public async Task GetMediaReferencesAsync_ReturnsPagesLinkingToFile()
+    {
+        // Arrange
+        _mockRepository
+            .Setup(x => x.EnumerateCommitTreeAsync("main", null, SearchOption.AllDirectories, It.IsAny<CancellationToken>()))
+            .Returns(AsyncEnumerable(
+                CreateTreeItem("about.md", GitTreeEntryKind.Blob),
+                CreateTreeItem("docs", GitTreeEntryKind.Tree),
+                CreateTreeItem("docs/guide.md", GitTreeEntryKind.Blob),
+                CreateTreeItem("docs/guide.fr.md", GitTreeEntryKind.Blob),
+                CreateTreeItem("docs/medias/logo.png", GitTreeEntryKind.Blob)));
+        _mockRepository
+            .Setup(x => x.ReadFileAsync("about.md", "main", It.IsAny<CancellationToken>()))
+            .ReturnsAsync(Encoding.UTF8.GetBytes("# About\n\n![Logo](docs/medias/logo.png)"));
+        _mockRepository
+            .Setup(x => x.ReadFileAsync("docs/guide.md", "main", It.IsAny<CancellationToken>()))
+            .ReturnsAsync(Encoding.UTF8.GetBytes("# Guide\n\n[Logo](medias/other.png)"));
+        _mockRepository
+            .Setup(x => x.ReadFileAsync("docs/guide.fr.md", "main", It.IsAny<CancellationToken>()))
+            .ReturnsAsync(Encoding.UTF8.GetBytes("# Guide FR\n\n![Logo](medias/logo.png)"));
+        _mockTitleCache
+            .Setup(x => x.ExtractAndCacheTitle(It.IsAny<string>(), It.IsAny<string?>(), It.IsAny<string>()))
+            .Returns<string, string?, string>((pageName, _, _) => pageName);
+
+        // Act
+        var result = await _service.GetMediaReferencesAsync("docs/medias/logo.png", CancellationToken.None);
+
+        // Assert
+        Assert.Equal(2, result.Count);
+        Assert.Equal("about", result[0].PageName);
+        Assert.Null(result[0].Culture);
+        Assert.Equal("docs/guide", result[1].PageName);
+        Assert.Equal("fr", result[1].Culture);
+    }
+
+    [Fact]
+    public async Task MoveMediaFileAsync_MovesFileAndUpdatesReferencingPages()
+    {
+        // Arrange
+        var author = CreateMockWikiUser("user@example.com", "Test User");
+        var imageContent = new byte[] { 0x89, 0x50, 0x4E, 0x47 };
+
+        _mockRepository
+            .Setup(x => x.GetPathTypeAsync("docs/medias/logo.png", "main", It.IsAny<CancellationToken>()))
+            .ReturnsAsync(GitTreeEntryKind.Blob);
+        _mockRepository
+            .Setup(x => x.GetPathTypeAsync("images/brand.png", "main", It.IsAny<CancellationToken>()))
+            .ReturnsAsync((GitTreeEntryKind?)null);
+        _mockRepository
+            .Setup(x => x.ReadFileAsync("docs/medias/logo.png", "main", It.IsAny<CancellationToken>()))
+            .ReturnsAsync(imageContent);
+        _mockRepository
+            .Setup(x => x.EnumerateCommitTreeAsync("main", null, SearchOption.AllDirectories, It.IsAny<CancellationToken>()))
+            .Returns(AsyncEnumerable(
+                CreateTreeItem("Home.md", GitTreeEntryKind.Blob),
+                CreateTreeItem("docs/guide.md", GitTreeEntryKind.Blob)));
+        _mockRepository
+            .Setup(x => x.ReadFileAsync("Home.md", "main", It.IsAny<CancellationToken>()))
+            .ReturnsAsync(Encoding.UTF8.GetBytes("# Home"));
+        _mockRepository
+            .Setup(x => x.ReadFileAsync("docs/guide.md", "main", It.IsAny<CancellationToken>()))
+            .ReturnsAsync(Encoding.UTF8.GetBytes("# Guide\n\n![Logo](medias/logo.png)\n\n[logo]: medias/logo.png"));
+
+        GitCommitOperation[]? capturedOps = null;
+        GitCommitMetadata? capturedMetadata = null;
+        _mockRepository
+            .Setup(x => x.CreateCommitAsync("main", It.IsAny<IEnumerable<GitCommitOperation>>(), It.IsAny<GitCommitMetadata>(), It.IsAny<CancellationToken>()))
+            .Callback<string, IEnumerable<GitCommitOperation>, GitCommitMetadata, CancellationToken>(
+                (_, ops, metadata, _) => { capturedOps = ops.ToArray(); capturedMetadata = metadata; })
+            .ReturnsAsync(GitHash.FromBytes(new byte[20]));
+
+        // Act
+        var result = await _service.MoveMediaFileAsync("docs/medias/logo.png", "images/brand.png", author, CancellationToken.None);
+
+        // Assert
+        var updatedPage = Assert.Single(result);
+        Assert.Equal("docs/guide", updatedPage.PageName);
+
+        Assert.NotNull(capturedOps);
+        Assert.Equal(3, capturedOps.Length);
+        Assert.Equal("docs/medias/logo.png", capturedOps.OfType<RemoveFileOperation>().Single().Path);
+        var addOp = capturedOps.OfType<AddFileOperation>().Single();
+        Assert.Equal("images/brand.png", addOp.Path);
+        Assert.True(addOp.Content.SequenceEqual(imageContent));
+        var pageOp = capturedOps.OfType<UpdateFileOperation>().Single();
+        Assert.Equal("docs/guide.md", pageOp.Path);
+        Assert.Equal("# Guide\n\n![Logo](../images/brand.png)\n\n[logo]: ../images/brand.png", Encoding.UTF8.GetString(pageOp.Content));
+        Assert.Equal("Move docs/medias/logo.png to images/brand.png", capturedMetadata?.Message);
+    }
+
+    [Fact]
+    public async Task MoveMediaFileAsync_WhenDestinationExists_ThrowsInvalidOperationException()
+    {
+        // Arrange
+        var author = CreateMockWikiUser("user@example.com", "Test User");
+
+        _mockRepository
+            .Setup(x => x.GetPathTypeAsync("medias/logo.png", "main", It.IsAny<CancellationToken>()))
+            .ReturnsAsync(GitTreeEntryKind.Blob);
+        _mockRepository
+            .Setup(x => x.GetPathTypeAsync("medias/other.png", "main", It.IsAny<CancellationToken>()))
+            .ReturnsAsync(GitTreeEntryKind.Blob);
+
+        // Act & Assert
+        await Assert.ThrowsAsync<InvalidOperationException>(() =>
+            _service.MoveMediaFileAsync("medias/logo.png", "medias/other.png", author, CancellationToken.None));
+
+        _mockRepository.Verify(x => x.CreateCommitAsync(
+            It.IsAny<string>(), It.IsAny<IEnumerable<GitCommitOperation>>(), It.IsAny<GitCommitMetadata>(), It.IsAny<CancellationToken>()), Times.Never);
+    }
+
+    [Fact]
+    public async Task DeleteMediaFileAsync_WhenNotReferenced_RemovesFile()
+    {
+        // Arrange
+        var author = CreateMockWikiUser("user@example.com", "Test User");
+
+        _mockRepository
+            .Setup(x => x.GetPathTypeAsync("medias/unused.png", "main", It.IsAny<CancellationToken>()))
+            .ReturnsAsync(GitTreeEntryKind.Blob);
+        _mockRepository
+            .Setup(x => x.EnumerateCommitTreeAsync("main", null, SearchOption.AllDirectories, It.IsAny<CancellationToken>()))
+            .Returns(AsyncEnumerable(CreateTreeItem("Home.md", GitTreeEntryKind.Blob)));
+        _mockRepository
+            .Setup(x => x.ReadFileAsync("Home.md", "main", It.IsAny<CancellationToken>()))
+            .ReturnsAsync(Encoding.UTF8.GetBytes("# Home\n\n![Logo](medias/logo.png)"));
+
+        GitCommitOperation[]? capturedOps = null;
+        _mockRepository
+            .Setup(x => x.CreateCommitAsync("main", It.IsAny<IEnumerable<GitCommitOperation>>(), It.IsAny<GitCommitMetadata>(), It.IsAny<CancellationToken>()))
+            .Callback<string, IEnumerable<GitCommitOperation>, GitCommitMetadata, CancellationToken>(
+                (_, ops, _, _) => capturedOps = ops.ToArray())
+            .ReturnsAsync(GitHash.FromBytes(new byte[20]));
+
+        // Act
+        await _service.DeleteMediaFileAsync("medias/unused.png", author, CancellationToken.None);
+
+        // Assert
+        Assert.NotNull(capturedOps);
+        Assert.Equal("medias/unused.png", Assert.IsType<RemoveFileOperation>(Assert.Single(capturedOps)).Path);
+    }
+
+    [Fact]
+    public async Task DeleteMediaFileAsync_WhenReferenced_ThrowsInvalidOperationException()
+    {
+        // Arrange
+        var author = CreateMockWikiUser("user@example.com", "Test User");
+
+        _mockRepository
+            .Setup(x => x.GetPathTypeAsync("medias/logo.png", "main", It.IsAny<CancellationToken>()))
+            .ReturnsAsync(GitTreeEntryKind.Blob);
+        _mockRepository
+            .Setup(x => x.EnumerateCommitTreeAsync("main", null, SearchOption.AllDirectories, It.IsAny<CancellationToken>()))
+            .Returns(AsyncEnumerable(CreateTreeItem("Home.md", GitTreeEntryKind.Blob)));
+        _mockRepository
+            .Setup(x => x.ReadFileAsync("Home.md", "main", It.IsAny<CancellationToken>()))
+            .ReturnsAsync(Encoding.UTF8.GetBytes("# Home\n\n![Logo](medias/logo.png)"));
+
+        // Act & Assert
+        await Assert.ThrowsAsync<InvalidOperationException>(() =>
+            _service.DeleteMediaFileAsync("medias/logo.png", author, CancellationToken.None));
+
+        _mockRepository.Verify(x => x.CreateCommitAsync(
+            It.IsAny<string>(), It.IsAny<IEnumerable<GitCommitOperation>>(), It.IsAny<GitCommitMetadata>(), It.IsAny<CancellationToken>()), Times.Never);
+    }
+
+    #endregion
+
     #region Helper Methods
 
     private static GitCommit CreateMockCommit(string id, string authorName, string authorEmail, string message)